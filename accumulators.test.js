@@ -0,0 +1,73 @@
+// Schedine: probabilità congiunta delle selezioni sulla stessa partita e validazione delle gambe
+process.env.DB_PATH = ':memory:';
+
+const { db, ScorelineModel, AccumulatorService } = require('./server');
+
+const pct = (value) => parseFloat(value) / 100;
+
+const AVERAGE_MATCH = {
+    halfTime: { home: 0.65, away: 0.55, rho: -0.05 },
+    secondHalf: { home: 0.8, away: 0.65, rho: -0.05 }
+};
+
+afterAll(() => new Promise((resolve) => db.close(() => resolve())));
+
+describe('AccumulatorService.jointProbability', () => {
+    const periods = ScorelineModel.buildPeriods(AVERAGE_MATCH);
+    const probabilities = ScorelineModel.toProbabilities(periods);
+
+    it('prices correlated selections on the same match jointly', () => {
+        const { joint, marginals } = AccumulatorService.jointProbability(periods, [
+            { market: 'fullTime.1X2', selection: 'home' },
+            { market: 'fullTime.goals', selection: 'over25' }
+        ]);
+
+        expect(marginals[0]).toBeCloseTo(pct(probabilities.fullTime['1X2'].home), 3);
+        expect(marginals[1]).toBeCloseTo(pct(probabilities.fullTime.goals.over25), 3);
+        expect(joint).toBeGreaterThan(marginals[0] * marginals[1]);
+        expect(joint).toBeLessThan(Math.min(...marginals));
+    });
+
+    it('matches the HT/FT market across periods and returns 0 for incompatible selections', () => {
+        const htft = AccumulatorService.jointProbability(periods, [
+            { market: 'halfTime.1X2', selection: 'draw' },
+            { market: 'fullTime.1X2', selection: 'home' }
+        ]);
+        const impossible = AccumulatorService.jointProbability(periods, [
+            { market: 'fullTime.1X2', selection: 'home' },
+            { market: 'fullTime.goals', selection: 'under05' }
+        ]);
+
+        expect(htft.joint).toBeCloseTo(pct(probabilities.fullTime.htft.draw_home), 3);
+        expect(impossible.joint).toBe(0);
+    });
+});
+
+describe('AccumulatorService.validate', () => {
+    const leg = (homeTeamId, awayTeamId, selections) => ({ homeTeamId, awayTeamId, selections });
+
+    it('accepts legs with supported selections', () => {
+        expect(AccumulatorService.validate({
+            legs: [
+                leg(98, 108, [{ market: 'fullTime.1X2', selection: 'home' }, { market: 'fullTime.goals', selection: 'over25' }]),
+                leg(109, 100, [{ market: 'halfTime.btts', selection: 'btts_no', price: 1.3 }])
+            ],
+            price: 4.5
+        })).toEqual([]);
+    });
+
+    it('rejects repeated matches, draw no bet and unknown selections', () => {
+        const errors = AccumulatorService.validate({
+            legs: [
+                leg(98, 108, [{ market: 'fullTime.drawNoBet', selection: 'home' }]),
+                leg(98, 108, [{ market: 'fullTime.1X2', selection: 'over25' }])
+            ]
+        });
+
+        expect(errors).toEqual([
+            'legs[0].selections[0]: draw no bet is not supported in accumulators',
+            'legs[1]: duplicate match, put all its selections in the same leg',
+            'legs[1].selections[0]: unsupported market/selection "fullTime.1X2" "over25"'
+        ]);
+    });
+});
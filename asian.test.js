@@ -0,0 +1,69 @@
+// Mercati asiatici: linee quarter, rimborsi e mezze vincite/perdite
+process.env.DB_PATH = ':memory:';
+
+const { db, ScorelineModel } = require('./server');
+
+const outcomes = (s) => ['win', 'halfWin', 'push', 'halfLoss', 'loss'].map(k => parseFloat(s[k]));
+
+afterAll(() => new Promise((resolve) => db.close(() => resolve())));
+
+describe('ScorelineModel.settleAsian', () => {
+    // Differenza reti (casa - trasferta)
+    const differences = [{ value: -1, p: 0.2 }, { value: 0, p: 0.3 }, { value: 1, p: 0.3 }, { value: 2, p: 0.2 }];
+    const handicap = (line) => ScorelineModel.settleAsian(differences, line, (diff, l) => diff + l);
+
+    it('splits quarter lines into the two adjacent lines', () => {
+        expect(ScorelineModel.splitLine(-0.75)).toEqual([-1, -0.5]);
+        expect(ScorelineModel.splitLine(2.25)).toEqual([2, 2.5]);
+        expect(ScorelineModel.splitLine(-0.5)).toEqual([-0.5]);
+        expect(ScorelineModel.splitLine(-1)).toEqual([-1]);
+    });
+
+    it('refunds whole lines when the margin is exactly covered', () => {
+        expect(outcomes(handicap(-1))).toEqual([20, 0, 30, 0, 50]);
+        expect(handicap(-1).fairPrice).toBe('3.50');
+        expect(outcomes(handicap(0))).toEqual([50, 0, 30, 0, 20]);
+    });
+
+    it('settles quarter lines as half win or half loss', () => {
+        // -0.75: vittoria di un gol = metà vinta a -0.5 e metà rimborsata a -1
+        expect(outcomes(handicap(-0.75))).toEqual([20, 30, 0, 0, 50]);
+        expect(handicap(-0.75).fairPrice).toBe('2.43');
+        // +0.25: pareggio = metà rimborsata a 0 e metà vinta a +0.5
+        expect(outcomes(handicap(0.25))).toEqual([50, 30, 0, 0, 20]);
+        // -0.25: pareggio = metà rimborsata a 0 e metà persa a -0.5
+        expect(outcomes(handicap(-0.25))).toEqual([50, 0, 0, 30, 20]);
+    });
+
+    it('returns no fair price when the selection cannot win', () => {
+        expect(handicap(-3).fairPrice).toBeNull();
+    });
+});
+
+describe('ScorelineModel.asianFromMatrix', () => {
+    const lines = { handicap: [-1, -0.75, -0.5, -0.25, 0, 0.25, 0.5], totals: [2, 2.25, 2.5, 2.75, 3] };
+
+    it('covers every outcome on each line and mirrors home and away', () => {
+        const asian = ScorelineModel.asianFromMatrix(ScorelineModel.buildMatrix(1.4, 1.1), lines);
+
+        [...asian.handicap.flatMap(h => [h.home, h.away]), ...asian.totals.flatMap(t => [t.over, t.under])].forEach(s => {
+            expect(outcomes(s).reduce((a, b) => a + b, 0)).toBeCloseTo(100, 0);
+        });
+
+        const quarter = asian.handicap.find(h => h.line === -0.75);
+        expect(quarter.home.halfWin).toBe(quarter.away.halfLoss);
+        expect(quarter.home.loss).toBe(quarter.away.win);
+
+        const total = asian.totals.find(t => t.line === 2.25);
+        expect(total.over.halfLoss).toBe(total.under.halfWin);
+        expect(total.over.win).toBe(total.under.loss);
+    });
+
+    it('picks the balanced line as the main handicap', () => {
+        const even = ScorelineModel.asianFromMatrix(ScorelineModel.buildMatrix(1.2, 1.2), lines);
+        const favourite = ScorelineModel.asianFromMatrix(ScorelineModel.buildMatrix(2.4, 0.6), lines);
+
+        expect(even.main.handicap).toBe(0);
+        expect(favourite.main.handicap).toBeLessThan(-0.5);
+    });
+});
@@ -0,0 +1,107 @@
+// Qualità dei dati: anomalie di historical_matches, parziali 0-0 sospetti e copertura dei parziali
+process.env.DB_PATH = ':memory:';
+
+const { db, SchemaMigrator, TeamRegistry, DataQualityAudit } = require('./server');
+
+const run = (sql, params = []) => new Promise((resolve, reject) => {
+    db.run(sql, params, (err) => err ? reject(err) : resolve());
+});
+
+const milan = { id: 98, name: 'AC Milan' };
+const roma = { id: 100, name: 'AS Roma' };
+const inter = { id: 108, name: 'FC Internazionale Milano' };
+const juventus = { id: 109, name: 'Juventus FC' };
+const napoli = { id: 113, name: 'SSC Napoli' };
+const juventusFile = { id: TeamRegistry.generateId('Juventus'), name: 'Juventus' };
+const arsenal = { id: 57, name: 'Arsenal FC' };
+const chelsea = { id: 61, name: 'Chelsea FC' };
+
+// createdAt: data di salvataggio, per i parziali salvati prima della migrazione dei parziali NULL
+const insertMatch = (id, date, season, home, away, goals, halfTime, { competitionId = 2019, createdAt = null } = {}) => run(`
+    INSERT INTO historical_matches
+    (id, match_date, season, competition_id, home_team_id, away_team_id, home_team_name, away_team_name,
+     home_goals, away_goals, home_goals_ht, away_goals_ht, status, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'FINISHED', COALESCE(?, CURRENT_TIMESTAMP))
+`, [id, date, season, competitionId, home.id, away.id, home.name, away.name, ...goals, ...(halfTime || [null, null]), createdAt]);
+
+const ids = (matches) => matches.map(m => m.id);
+
+describe('DataQualityAudit.run', () => {
+    beforeAll(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        await SchemaMigrator.migrate();
+
+        for (const team of [milan, roma, inter, juventus, napoli]) await TeamRegistry.register(team.id, team.name, 'test');
+
+        await insertMatch(1, '2023-09-16T16:00:00Z', 2023, inter, milan, [5, 1], [2, 0], { createdAt: '2023-09-17 00:00:00' });
+        await insertMatch(2, '2023-09-23T16:00:00Z', 2023, juventus, roma, [1, 1], [2, 0]);
+        // Stessa partita da due fonti, a un giorno di distanza
+        await insertMatch(3, '2023-10-01T18:45:00Z', 2023, milan, napoli, [2, 2], [1, 1]);
+        await insertMatch(3000000004, '2023-10-02T00:00:00Z', 2023, milan, napoli, [2, 2], [1, 1]);
+        await insertMatch(5, '2023-10-08T16:00:00Z', 2023, roma, napoli, [3, 1], [0, 0], { createdAt: '2020-01-01 00:00:00' });
+        await insertMatch(6, '2023-10-15T16:00:00Z', 2023, napoli, inter, [0, 0], [0, 0], { createdAt: '2020-01-01 00:00:00' });
+        await insertMatch(7, '2099-01-10T20:45:00Z', 2098, inter, juventus, [1, 0], [1, 0]);
+        await insertMatch(8, '2023-11-05T16:00:00Z', 2023, juventusFile, roma, [2, 0], [1, 0]);
+        await insertMatch(9, '2023-11-12T16:00:00Z', 2023, roma, milan, [1, 0], null);
+        await insertMatch(10, '2023-05-20T16:00:00Z', 2023, milan, juventus, [0, 1], [0, 1]);
+        // 0-0 all'intervallo salvato dopo la migrazione: è un parziale vero
+        await insertMatch(11, '2023-12-03T16:00:00Z', 2023, juventus, napoli, [0, 1], [0, 0]);
+        await insertMatch(12, '2023-10-21T11:30:00Z', 2023, arsenal, chelsea, [1, 0], [2, 0], { competitionId: 2021 });
+    });
+
+    afterAll(async () => {
+        jest.restoreAllMocks();
+        await new Promise((resolve) => db.close(() => resolve()));
+    });
+
+    it('lists the anomalies of a competition', async () => {
+        const report = await DataQualityAudit.run({ competitionId: 2019 });
+
+        expect(report.summary).toEqual({
+            halfTimeAboveFullTime: 1,
+            duplicateFixtures: 1,
+            impossibleDates: 2,
+            singleAppearanceTeams: 1,
+            suspectedHalfTimePlaceholders: 2,
+            matchesMissingHalfTime: 1,
+            matchesSuspectedHalfTimePlaceholder: 2
+        });
+
+        const { anomalies } = report;
+        expect(anomalies.halfTimeAboveFullTime[0]).toMatchObject({ id: 2, score: '1-1', scoreHT: '2-0', league: 'SA' });
+        expect(anomalies.duplicateFixtures).toEqual([
+            expect.objectContaining({ sameScore: true, daysApart: 0 })
+        ]);
+        expect(anomalies.duplicateFixtures[0].matches.map(m => m.id)).toEqual([3, 3000000004]);
+        expect(anomalies.impossibleDates.map(m => [m.id, m.reason])).toEqual([[7, 'finished_in_future'], [10, 'outside_season']]);
+        expect(anomalies.singleAppearanceTeams).toEqual([expect.objectContaining({
+            teamId: juventusFile.id,
+            name: 'Juventus',
+            match: expect.objectContaining({ id: 8 }),
+            suggestion: expect.objectContaining({ teamId: juventus.id })
+        })]);
+    });
+
+    it('suspects only 0-0 half-time scores saved before the nullable half-time migration', async () => {
+        const report = await DataQualityAudit.run({ competitionId: 2019 });
+
+        // Prima la partita con più gol nel finale
+        expect(ids(report.anomalies.suspectedHalfTimePlaceholders)).toEqual([5, 6]);
+        expect(report.halfTimeCoverage).toEqual([
+            { competitionId: 2019, league: 'SA', season: 2098, matches: 1, withHalfTime: 1, missingHalfTime: 0, suspectedPlaceholderHalfTime: 0, coverage: '100.0' },
+            { competitionId: 2019, league: 'SA', season: 2023, matches: 10, withHalfTime: 9, missingHalfTime: 1, suspectedPlaceholderHalfTime: 2, coverage: '90.0' }
+        ]);
+    });
+
+    it('covers every competition without a filter and applies the limit to each list', async () => {
+        const report = await DataQualityAudit.run();
+        expect(ids(report.anomalies.halfTimeAboveFullTime)).toEqual([12, 2]);
+        expect(report.anomalies.singleAppearanceTeams.map(t => t.teamId)).toEqual([arsenal.id, chelsea.id, juventusFile.id]);
+        expect(report.halfTimeCoverage.map(r => r.league)).toEqual(['SA', 'SA', 'PL']);
+
+        const limited = await DataQualityAudit.run({ limit: 1 });
+        expect(limited.limit).toBe(1);
+        expect(ids(limited.anomalies.suspectedHalfTimePlaceholders)).toEqual([5]);
+        expect(limited.summary.matchesSuspectedHalfTimePlaceholder).toBe(2);
+    });
+});
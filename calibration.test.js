@@ -0,0 +1,74 @@
+// Calibrazione: adattamento isotonico e di Platt, record dalle previsioni salvate
+process.env.DB_PATH = ':memory:';
+
+const { db, SchemaMigrator, CalibrationService } = require('./server');
+
+const run = (sql, params = []) => new Promise((resolve, reject) => {
+    db.run(sql, params, (err) => err ? reject(err) : resolve());
+});
+
+afterAll(() => new Promise((resolve) => db.close(() => resolve())));
+
+describe('CalibrationService', () => {
+    it('pools adjacent violators into a non-decreasing isotonic fit', () => {
+        const fit = CalibrationService.fitIsotonic([
+            { p: 0.3, y: 0 }, { p: 0.1, y: 0 }, { p: 0.4, y: 1 }, { p: 0.2, y: 1 }
+        ]);
+
+        expect(fit.x.map(x => +x.toFixed(4))).toEqual([0.1, 0.25, 0.4]);
+        expect(fit.y).toEqual([0, 0.5, 1]);
+        expect(CalibrationService.applyValue('isotonic', fit, 0.175)).toBeCloseTo(0.25, 10);
+        expect(CalibrationService.applyValue('isotonic', fit, 0.05)).toBe(0);
+        expect(CalibrationService.applyValue('isotonic', fit, 0.9)).toBe(1);
+    });
+
+    it('recovers the Platt parameters of a known miscalibration', () => {
+        const logit = (p) => Math.log(p / (1 - p));
+        const sigmoid = (x) => 1 / (1 + Math.exp(-x));
+        const grid = Array.from({ length: 19 }, (_, i) => (i + 1) / 20);
+
+        // Esiti "morbidi" (frequenze osservate) generati da p' = sigmoid(1.5 * logit(p) - 0.3)
+        const fit = CalibrationService.fitPlatt(grid.map(p => ({ p, y: sigmoid(1.5 * logit(p) - 0.3) })));
+        expect(fit.a).toBeCloseTo(1.5, 4);
+        expect(fit.b).toBeCloseTo(-0.3, 4);
+        expect(CalibrationService.applyValue('platt', fit, 0.5)).toBeCloseTo(sigmoid(-0.3), 4);
+
+        const identity = CalibrationService.fitPlatt(grid.map(p => ({ p, y: p })));
+        expect(identity.a).toBeCloseTo(1, 4);
+        expect(identity.b).toBeCloseTo(0, 4);
+    });
+});
+
+describe('CalibrationService.getStoredRecords', () => {
+    const savePrediction = (matchId, createdAt, home, settled = true) => run(`
+        INSERT INTO predictions
+        (match_id, match_date, model_version, probabilities, created_at, settled_at, home_goals, away_goals, home_goals_ht, away_goals_ht)
+        VALUES (?, '2024-03-02T17:00:00Z', 'test', ?, ?, ?, 2, 1, NULL, NULL)
+    `, [matchId, JSON.stringify({ fullTime: { '1X2': { home, draw: '25.0', away: '25.0' } } }), createdAt,
+        settled ? '2024-03-02 19:00:00' : null]);
+
+    beforeAll(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        await SchemaMigrator.migrate();
+
+        await savePrediction(1, '2024-03-01 10:00:00', '40.0');
+        await savePrediction(1, '2024-03-02 12:00:00', '50.0');
+        // Fotografia presa dopo il calcio d'inizio: non conta
+        await savePrediction(1, '2024-03-02 18:00:00', '90.0');
+        // Partita non ancora regolata
+        await savePrediction(2, '2024-03-01 10:00:00', '60.0', false);
+    });
+
+    afterAll(() => jest.restoreAllMocks());
+
+    it('keeps the last settled snapshot taken before kick-off for each match', async () => {
+        const records = await CalibrationService.getStoredRecords();
+
+        expect(records).toEqual([{
+            matchId: 1,
+            dataSource: null,
+            probabilities: { fullTime: { '1X2': { home: '50.0', draw: '25.0', away: '25.0' } } },
+            actual: { fullTime: { home: 2, away: 1 }, halfTime: null }
+        }]);
+    });
+});
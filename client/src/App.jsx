@@ -1,6 +1,9 @@
 // App.jsx - Frontend aggiornato per gestire tutte le partite della stagione
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useRef, forwardRef, useImperativeHandle } from 'react';
 import axios from 'axios';
+import {
+  ResponsiveContainer, ComposedChart, Line, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend
+} from 'recharts';
 import './App.css';
 
 // ===========================================
@@ -34,6 +37,10 @@ const FootballStatsApp = () => {
   const [error, setError] = useState('');
   const [sortBy, setSortBy] = useState('date');
   const [filterStatus, setFilterStatus] = useState('all'); // NEW: Filtro per status
+  const [view, setView] = useState('matches'); // Pagina corrente: partite | classifica | calibrazione | squadra
+  const [selectedTeamId, setSelectedTeamId] = useState(null);
+  // Schedina: lo stato vive nel pannello, così aggiungere selezioni non ricarica l'analisi aperta
+  const slipRef = useRef(null);
 
   // Campionati disponibili
   const leagues = [
@@ -164,6 +171,25 @@ const FootballStatsApp = () => {
   // COMPONENTI
   // ===========================================
 
+  // Apre il profilo di una squadra (chiude l'eventuale analisi aperta)
+  const openTeam = (teamId) => {
+    if (!teamId) return;
+    setSelectedMatch(null);
+    setSelectedTeamId(teamId);
+    setView('team');
+    window.scrollTo(0, 0);
+  };
+
+  const TeamNameButton = ({ team, fallback }) => (
+    <button
+      onClick={() => openTeam(team?.id)}
+      className="hover:text-purple-600 hover:underline"
+      title="Profilo squadra"
+    >
+      {team?.name || fallback}
+    </button>
+  );
+
   // Componente Match Card Aggiornato
   const MatchCard = ({ match }) => {
     const hasResult = match.score?.fullTime?.home !== null;
@@ -197,7 +223,7 @@ const FootballStatsApp = () => {
         <div className="text-center mb-6">
           <div className="flex items-center justify-center space-x-6">
             <div className="text-right flex-1">
-              <h3 className="text-xl font-bold">{match.homeTeam?.name || 'Casa'}</h3>
+              <h3 className="text-xl font-bold"><TeamNameButton team={match.homeTeam} fallback="Casa" /></h3>
               <div className="text-sm text-gray-500">Casa</div>
             </div>
             
@@ -218,12 +244,17 @@ const FootballStatsApp = () => {
             </div>
             
             <div className="text-left flex-1">
-              <h3 className="text-xl font-bold">{match.awayTeam?.name || 'Trasferta'}</h3>
+              <h3 className="text-xl font-bold"><TeamNameButton team={match.awayTeam} fallback="Trasferta" /></h3>
               <div className="text-sm text-gray-500">Trasferta</div>
             </div>
           </div>
         </div>
 
+        {/* Previsione pre-partita salvata confrontata col risultato */}
+        {isFinished && match.prediction && (
+          <PredictionReview prediction={match.prediction} homeTeam={match.homeTeam?.name} awayTeam={match.awayTeam?.name} />
+        )}
+
         {/* BOTTONI BASATI SULLO STATUS */}
         <div className="flex justify-center space-x-3">
           {canAnalyze ? (
@@ -256,6 +287,16 @@ const FootballStatsApp = () => {
               🎯 {match.confidence}% Confidenza
             </div>
           )}
+
+          {/* Quote salvate con valore atteso positivo */}
+          {match.hasValueBets && (
+            <div
+              className="bg-yellow-100 text-yellow-800 px-4 py-3 rounded-xl text-sm font-bold"
+              title={match.analysis.valueBets.map(v => `${v.market} ${v.selection} @ ${v.price} (${v.bookmaker}) EV ${v.expectedValue}`).join('\n')}
+            >
+              💰 {match.analysis.valueBets.length} Value Bet
+            </div>
+          )}
         </div>
       </div>
     );
@@ -271,17 +312,36 @@ const FootballStatsApp = () => {
   // ===========================================
   // RENDER PRINCIPALE
   // ===========================================
+  if (view === 'calibration') {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-gray-50 to-blue-50">
+        <AppHeader view={view} setView={setView} leagues={leagues} onOpenTeam={openTeam} />
+        <CalibrationPage />
+      </div>
+    );
+  }
+
+  if (view === 'team') {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-gray-50 to-blue-50">
+        <AppHeader view={view} setView={setView} leagues={leagues} onOpenTeam={openTeam} />
+        <TeamPage teamId={selectedTeamId} leagues={leagues} onBack={() => setView('matches')} onOpenTeam={openTeam} />
+      </div>
+    );
+  }
+
+  if (view === 'standings') {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-gray-50 to-blue-50">
+        <AppHeader view={view} setView={setView} leagues={leagues} onOpenTeam={openTeam} />
+        <StandingsPage leagues={leagues} />
+      </div>
+    );
+  }
+
   return (
     <div className="min-h-screen bg-gradient-to-br from-gray-50 to-blue-50">
-      {/* Header */}
-      <div className="bg-gradient-to-r from-blue-600 via-purple-600 to-indigo-600 text-white p-8 shadow-xl">
-        <div className="max-w-7xl mx-auto">
-          <div className="text-center">
-            <h1 className="text-4xl font-bold mb-2">⚽ Football Statistics Pro</h1>
-            <p className="text-xl text-blue-100">• Dati Reali • Analisi Intelligente</p>
-          </div>
-        </div>
-      </div>
+      <AppHeader view={view} setView={setView} leagues={leagues} onOpenTeam={openTeam} />
 
       {/* Errore di connessione */}
       {error && (
@@ -463,6 +523,9 @@ const FootballStatsApp = () => {
             onClose={() => setSelectedMatch(null)}
           />
         )}
+
+        {/* Schedina */}
+        <AccumulatorSlip ref={slipRef} />
       </div>
     </div>
   );
@@ -486,7 +549,7 @@ const FootballStatsApp = () => {
           console.log('🔄 Loading extended analysis...');
           
           const response = await api.get(`/extended-analysis/${match.homeTeam.id}/${match.awayTeam.id}`, {
-            params: { league: selectedLeague }
+            params: { league: selectedLeague, thresholds: GOAL_LINES.join(',') }
           });
           
           if (response.data.success) {
@@ -551,7 +614,7 @@ const FootballStatsApp = () => {
           <div className="flex justify-between items-center mb-8">
             <h2 className="text-3xl font-bold flex items-center">
               <span className="text-4xl mr-4">📊</span>
-              {isExtendedAnalysis ? 'Analisi Multi-Tempo' : 'Analisi Completa'}: {match.homeTeam?.name} vs {match.awayTeam?.name}
+              {isExtendedAnalysis ? 'Analisi Multi-Tempo' : 'Analisi Completa'}: <TeamNameButton team={match.homeTeam} /> vs <TeamNameButton team={match.awayTeam} />
             </h2>
             <button
               onClick={onClose}
@@ -566,14 +629,63 @@ const FootballStatsApp = () => {
               <div>
                 {/* Tab per i diversi tempi */}
                 <TimePeriodsTab activeTab={activeTab} setActiveTab={setActiveTab} />
+                <CalibrationNotice calibration={analysis.calibration} activeTab={activeTab} />
 
                 {/* Display delle probabilità per il tempo selezionato */}
-                <ExtendedProbabilitiesDisplay 
-                  analysis={analysis}
-                  homeTeam={match.homeTeam?.name}
-                  awayTeam={match.awayTeam?.name}
-                  activeTab={activeTab}
-                />
+                {activeTab === 'asian' ? (
+                  <AsianMarketsDisplay
+                    analysis={analysis}
+                    homeTeam={match.homeTeam?.name}
+                    awayTeam={match.awayTeam?.name}
+                  />
+                ) : activeTab === 'halves' ? (
+                  <HalvesComparisonDisplay
+                    analysis={analysis}
+                    homeTeam={match.homeTeam?.name}
+                    awayTeam={match.awayTeam?.name}
+                  />
+                ) : (
+                  <ExtendedProbabilitiesDisplay 
+                    analysis={analysis}
+                    homeTeam={match.homeTeam?.name}
+                    awayTeam={match.awayTeam?.name}
+                    activeTab={activeTab}
+                  />
+                )}
+
+                {/* Calcolo puntate (Kelly / puntate fisse) */}
+                <div className="mt-8">
+                  <StakePanel
+                    analysis={analysis}
+                    homeTeamId={match.homeTeam?.id}
+                    awayTeamId={match.awayTeam?.id}
+                    league={selectedLeague}
+                  />
+                </div>
+
+                {/* Selezioni da aggiungere alla schedina */}
+                <div className="mt-8">
+                  <SlipPicker
+                    analysis={analysis}
+                    onAdd={(option) => slipRef.current?.add({
+                      ...option,
+                      homeTeam: match.homeTeam,
+                      awayTeam: match.awayTeam,
+                      league: selectedLeague
+                    })}
+                  />
+                </div>
+
+                {/* Forma generale vs forma per campo */}
+                {analysis.formSplits && (
+                  <div className="mt-8">
+                    <VenueFormDisplay
+                      formSplits={analysis.formSplits}
+                      homeTeam={match.homeTeam?.name}
+                      awayTeam={match.awayTeam?.name}
+                    />
+                  </div>
+                )}
 
                 {/* H2H esteso (sempre visibile) */}
                 {analysis.h2hData && (
@@ -629,7 +741,7 @@ const FootballStatsApp = () => {
                 {match.analysis.homeForm && (
                   <div className="mb-4 p-4 bg-blue-50 rounded-lg">
                     <h4 className="font-bold text-blue-600 mb-2 flex items-center justify-between">
-                      🏠 {match.homeTeam.name} (Casa)
+                      🏠 <TeamNameButton team={match.homeTeam} /> (Casa)
                     </h4>
                     <div className="text-sm space-y-1">
                       <div className="flex justify-between">
@@ -651,7 +763,7 @@ const FootballStatsApp = () => {
                 {match.analysis.awayForm && (
                   <div className="mb-4 p-4 bg-red-50 rounded-lg">
                     <h4 className="font-bold text-red-600 mb-2 flex items-center justify-between">
-                      ✈️ {match.awayTeam.name} (Trasferta)
+                      ✈️ <TeamNameButton team={match.awayTeam} /> (Trasferta)
                     </h4>
                     <div className="text-sm space-y-1">
                       <div className="flex justify-between">
@@ -926,6 +1038,18 @@ const TimePeriodsTab = ({ activeTab, setActiveTab }) => {
           label: '45\' Secondo Tempo', 
           icon: '🕕', 
           desc: 'Solo 2° tempo (45-90min)'
+      },
+      {
+          id: 'halves',
+          label: '1T vs 2T',
+          icon: '⚖️',
+          desc: 'Confronto tra i tempi'
+      },
+      {
+          id: 'asian',
+          label: 'Mercati Asiatici',
+          icon: '🌏',
+          desc: 'Handicap e linee gol'
       }
   ];
 
@@ -939,7 +1063,7 @@ const TimePeriodsTab = ({ activeTab, setActiveTab }) => {
           </div>
           
           {/* Grid dei tab */}
-          <div className="grid grid-cols-3 gap-2">
+          <div className="grid grid-cols-2 md:grid-cols-5 gap-2">
               {tabs.map(tab => (
                   <button
                       key={tab.id}
@@ -965,6 +1089,301 @@ const TimePeriodsTab = ({ activeTab, setActiveTab }) => {
   );
 };
 
+// Mercati di confronto tra i tempi: modello (fullTime.*) affiancato alle frequenze degli scontri diretti
+const HalvesComparisonDisplay = ({ analysis, homeTeam, awayTeam }) => {
+    const model = analysis?.fullTime;
+    const h2h = analysis?.h2hData?.summary?.halves_pct;
+    if (!model?.highestScoringHalf) {
+        return <div className="bg-white p-6 rounded-xl border shadow-sm text-center text-gray-500">Confronto tra i tempi non disponibile</div>;
+    }
+
+    const rows = [
+        { title: 'Tempo con più gol', group: 'highestScoringHalf', options: [['first', '1° tempo'], ['second', '2° tempo'], ['equal', 'Uguale']] },
+        { title: 'Gol in entrambi i tempi', group: 'goalBothHalves', options: [['yes', 'Sì'], ['no', 'No']] },
+        { title: 'Segna in entrambi i tempi', group: 'scoreBothHalves', options: [['home', homeTeam], ['away', awayTeam]] },
+        { title: 'Vince almeno un tempo', group: 'winEitherHalf', options: [['home', homeTeam], ['away', awayTeam]] }
+    ];
+
+    return (
+        <div className="bg-white p-6 rounded-xl border shadow-sm">
+            <h3 className="text-xl font-bold mb-2">⚖️ Primo Tempo vs Secondo Tempo</h3>
+            <p className="text-sm text-gray-500 mb-6">
+                Probabilità del modello ({analysis.dataSource}){h2h ? ` e frequenze negli scontri diretti con parziale noto (${analysis.h2hData.summary.matchesWithHalfTime} partite)` : ''}
+            </p>
+
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+                {rows.map(row => {
+                    const best = Math.max(...row.options.map(([key]) => parseFloat(model[row.group]?.[key]) || 0));
+                    return (
+                        <div key={row.group}>
+                            <h4 className="font-semibold text-gray-700 mb-2">{row.title}</h4>
+                            <div className={`grid gap-2 ${row.options.length === 3 ? 'grid-cols-3' : 'grid-cols-2'}`}>
+                                {row.options.map(([key, label]) => (
+                                    <div
+                                        key={key}
+                                        className={`p-3 rounded-lg text-center ${parseFloat(model[row.group]?.[key]) === best ? 'bg-green-50 border-2 border-green-200' : 'bg-gray-50 border border-gray-200'}`}
+                                    >
+                                        <div className="text-xs text-gray-600 mb-1 truncate">{label}</div>
+                                        <div className="text-2xl font-bold">{model[row.group]?.[key]}%</div>
+                                        {h2h?.[row.group] && (
+                                            <div className="text-xs text-gray-500 mt-1">H2H: {h2h[row.group][key]}%</div>
+                                        )}
+                                    </div>
+                                ))}
+                            </div>
+                        </div>
+                    );
+                })}
+            </div>
+        </div>
+    );
+};
+
+// Ricerca globale di squadre e partite (tutte le competizioni, tollerante a accenti ed errori)
+const GlobalSearch = ({ leagues, onOpenTeam }) => {
+  const [query, setQuery] = useState('');
+  const [filters, setFilters] = useState({ league: '', from: '', to: '', score: '' });
+  const [showFilters, setShowFilters] = useState(false);
+  const [results, setResults] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const hasFilters = Object.values(filters).some(Boolean);
+  const active = query.trim().length >= 2 || hasFilters;
+
+  useEffect(() => {
+    if (!active) {
+      setResults(null);
+      return undefined;
+    }
+    let cancelled = false;
+    const timer = setTimeout(() => {
+      setLoading(true);
+      setError('');
+      const params = Object.fromEntries(Object.entries({ q: query.trim(), ...filters, limit: 10 }).filter(([, v]) => v));
+      api.get('/search', { params })
+        .then(response => {
+          if (!cancelled) setResults(response.data);
+        })
+        .catch(err => {
+          if (!cancelled) {
+            setResults(null);
+            setError(err.response?.data?.error || err.message);
+          }
+        })
+        .finally(() => {
+          if (!cancelled) setLoading(false);
+        });
+    }, 300);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [query, filters, active]);
+
+  const close = () => {
+    setQuery('');
+    setFilters({ league: '', from: '', to: '', score: '' });
+    setResults(null);
+  };
+
+  const openTeam = (teamId) => {
+    close();
+    onOpenTeam(teamId);
+  };
+
+  const leagueName = (code) => leagues.find(l => l.id === code)?.name || code || '';
+
+  return (
+    <div className="relative max-w-2xl mx-auto mt-6 text-gray-800">
+      <div className="flex space-x-2">
+        <input
+          type="text"
+          placeholder="🔍 Cerca squadre e partite (es. Famalicao, Benfica vs Porto)..."
+          className="flex-1 rounded-xl px-4 py-3 focus:outline-none focus:ring-2 focus:ring-white"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          onKeyDown={(e) => e.key === 'Escape' && close()}
+        />
+        <button
+          onClick={() => setShowFilters(!showFilters)}
+          className={`px-4 rounded-xl font-semibold ${showFilters || hasFilters ? 'bg-white text-purple-700' : 'bg-white/20 text-white hover:bg-white/30'}`}
+        >
+          ⚙️ Filtri
+        </button>
+      </div>
+
+      {showFilters && (
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-2 mt-2">
+          <select
+            className="rounded-lg px-3 py-2 text-sm"
+            value={filters.league}
+            onChange={(e) => setFilters({ ...filters, league: e.target.value })}
+          >
+            <option value="">Tutte le competizioni</option>
+            {leagues.map(l => (
+              <option key={l.id} value={l.id}>{l.name}</option>
+            ))}
+          </select>
+          <input
+            type="date"
+            className="rounded-lg px-3 py-2 text-sm"
+            value={filters.from}
+            onChange={(e) => setFilters({ ...filters, from: e.target.value })}
+            title="Dal"
+          />
+          <input
+            type="date"
+            className="rounded-lg px-3 py-2 text-sm"
+            value={filters.to}
+            onChange={(e) => setFilters({ ...filters, to: e.target.value })}
+            title="Al"
+          />
+          <input
+            type="text"
+            placeholder="Risultato (2-1)"
+            className="rounded-lg px-3 py-2 text-sm"
+            value={filters.score}
+            onChange={(e) => setFilters({ ...filters, score: e.target.value.replace(/[^0-9-]/g, '') })}
+          />
+        </div>
+      )}
+
+      {active && (results || error || loading) && (
+        <div className="absolute left-0 right-0 mt-2 bg-white rounded-xl shadow-2xl max-h-96 overflow-y-auto z-40 text-left">
+          <div className="flex justify-between items-center px-4 py-2 border-b text-xs text-gray-500">
+            <span>{loading ? 'Ricerca...' : `${results?.teams.length || 0} squadre • ${results?.matches.length || 0} partite`}</span>
+            <button onClick={close} className="hover:text-gray-700">✕</button>
+          </div>
+
+          {error && <div className="px-4 py-3 text-sm text-red-600">⚠️ {error}</div>}
+
+          {results?.teams.length > 0 && (
+            <div className="py-2">
+              <div className="px-4 text-xs font-semibold text-gray-400 uppercase">Squadre</div>
+              {results.teams.map(t => (
+                <button
+                  key={t.teamId}
+                  onClick={() => openTeam(t.teamId)}
+                  className="w-full flex justify-between items-center px-4 py-2 hover:bg-purple-50 text-left"
+                >
+                  <span className="font-medium">
+                    {t.name}
+                    {t.matchedAlias !== t.name && <span className="text-xs text-gray-400 ml-2">({t.matchedAlias})</span>}
+                  </span>
+                  <span className="text-xs text-gray-500">{leagueName(t.league)} • {t.matches} partite</span>
+                </button>
+              ))}
+            </div>
+          )}
+
+          {results?.matches.length > 0 && (
+            <div className="py-2 border-t">
+              <div className="px-4 text-xs font-semibold text-gray-400 uppercase">Partite</div>
+              {results.matches.map(m => (
+                <div key={m.id} className="flex items-center px-4 py-2 text-sm hover:bg-gray-50">
+                  <span className="w-24 text-xs text-gray-500">{new Date(m.utcDate).toLocaleDateString('it-IT')}</span>
+                  <span className="flex-1 text-right">
+                    <button onClick={() => openTeam(m.homeTeam.id)} className="hover:text-purple-600 hover:underline">{m.homeTeam.name}</button>
+                  </span>
+                  <span className="w-20 text-center font-bold">
+                    {m.score.fullTime.home ?? '-'} - {m.score.fullTime.away ?? '-'}
+                    {m.score.halfTime.home !== null && (
+                      <span className="block text-xs font-normal text-gray-400">({m.score.halfTime.home}-{m.score.halfTime.away})</span>
+                    )}
+                  </span>
+                  <span className="flex-1">
+                    <button onClick={() => openTeam(m.awayTeam.id)} className="hover:text-purple-600 hover:underline">{m.awayTeam.name}</button>
+                  </span>
+                  <span className="w-28 text-right text-xs text-gray-500">{leagueName(m.league)}</span>
+                </div>
+              ))}
+            </div>
+          )}
+
+          {results && !loading && results.teams.length === 0 && results.matches.length === 0 && (
+            <div className="px-4 py-6 text-center text-sm text-gray-500">Nessun risultato</div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Header con navigazione tra le pagine
+const AppHeader = ({ view, setView, leagues, onOpenTeam }) => {
+  const pages = [
+    { id: 'matches', label: '📅 Partite' },
+    { id: 'standings', label: '🏆 Classifica' },
+    { id: 'calibration', label: '📈 Calibrazione' }
+  ];
+
+  return (
+    <div className="bg-gradient-to-r from-blue-600 via-purple-600 to-indigo-600 text-white p-8 shadow-xl">
+      <div className="max-w-7xl mx-auto">
+        <div className="text-center">
+          <h1 className="text-4xl font-bold mb-2">⚽ Football Statistics Pro</h1>
+          <p className="text-xl text-blue-100">• Dati Reali • Analisi Intelligente</p>
+        </div>
+        <div className="flex justify-center space-x-3 mt-6">
+          {pages.map(page => (
+            <button
+              key={page.id}
+              onClick={() => setView(page.id)}
+              className={`px-5 py-2 rounded-full font-semibold transition-colors ${
+                view === page.id ? 'bg-white text-purple-700' : 'bg-white/20 text-white hover:bg-white/30'
+              }`}
+            >
+              {page.label}
+            </button>
+          ))}
+        </div>
+        <GlobalSearch leagues={leagues} onOpenTeam={onOpenTeam} />
+      </div>
+    </div>
+  );
+};
+
+// Nomi leggibili dei gruppi non ricalibrati (le chiavi sconosciute restano come sono)
+const UNCALIBRATED_LABELS = {
+    correctScore: 'risultati esatti',
+    htft: 'HT/FT',
+    asian: 'asiatici',
+    homeGoals: 'gol casa',
+    awayGoals: 'gol trasferta',
+    winningMargin: 'margine di vittoria',
+    cleanSheet: 'porta inviolata',
+    winToNil: 'vittoria a zero',
+    multigol: 'multigol',
+    homeMultigol: 'multigol casa',
+    awayMultigol: 'multigol trasferta',
+    exactGoals: 'gol esatti',
+    homeExactGoals: 'gol esatti casa',
+    awayExactGoals: 'gol esatti trasferta',
+    highestScoringHalf: 'tempo con più gol',
+    goalBothHalves: 'gol in entrambi i tempi',
+    scoreBothHalves: 'segna in entrambi i tempi',
+    winEitherHalf: 'vince almeno un tempo'
+};
+
+// Con una ricalibrazione attiva solo alcuni mercati sono corretti: gli altri restano quelli del modello
+const CalibrationNotice = ({ calibration, activeTab }) => {
+    if (!calibration) return null;
+
+    // Le schede asiatici e 1T vs 2T mostrano solo mercati non ricalibrati
+    const wholeTab = activeTab === 'asian' || activeTab === 'halves';
+    const groups = (calibration.uncalibrated?.[activeTab] || []).map(group => UNCALIBRATED_LABELS[group] || group);
+    if (!wholeTab && groups.length === 0) return null;
+
+    return (
+        <div className="mb-6 p-4 bg-amber-50 border border-amber-200 rounded-xl text-sm text-amber-800">
+            🎚️ Ricalibrazione <strong>{calibration.method}</strong> attiva su 1X2, doppia chance, draw no bet, Over/Under 0.5-3.5 e BTTS.{' '}
+            {wholeTab ? 'I mercati di questa scheda' : `Non ricalibrati: ${groups.join(', ')}. Questi mercati`} vengono
+            dal modello non calibrato e possono non tornare con i valori ricalibrati.
+        </div>
+    );
+};
+
 // Componente per display probabilità estese
 const ExtendedProbabilitiesDisplay = ({ analysis, homeTeam, awayTeam, activeTab }) => {
     console.log('🔍 Displaying extended probabilities for tab:', activeTab, analysis);
@@ -1023,23 +1442,69 @@ const ExtendedProbabilitiesDisplay = ({ analysis, homeTeam, awayTeam, activeTab
             </div>
 
             {/* Goals Over/Under - usa il componente esistente */}
-            <GoalsSection currentData={currentData} activeTab={activeTab} />
+            <GoalsSection currentData={currentData} activeTab={activeTab} homeTeam={homeTeam} awayTeam={awayTeam} />
 
             {/* BTTS - usa il componente esistente */}
             <BTTSSection currentData={currentData} activeTab={activeTab} homeTeam={homeTeam} awayTeam={awayTeam} />
+
+            {/* Multigol e gol esatti (90' e primo tempo) */}
+            {currentData.multigol && (
+                <MultigolSection
+                    currentData={currentData}
+                    activeTab={activeTab}
+                    homeTeam={homeTeam}
+                    awayTeam={awayTeam}
+                    h2hSummary={analysis.h2hData?.summary}
+                />
+            )}
+
+            {/* Mercati derivati: doppia chance, DNB, parziale/finale, margine, porta inviolata */}
+            {currentData.doubleChance && (
+                <DerivedMarketsSection
+                    currentData={currentData}
+                    activeTab={activeTab}
+                    homeTeam={homeTeam}
+                    awayTeam={awayTeam}
+                    h2hSummary={analysis.h2hData?.summary}
+                />
+            )}
+
+            {/* Risultati esatti - heatmap */}
+            {currentData.correctScore && (
+                <CorrectScoreSection correctScore={currentData.correctScore} activeTab={activeTab} homeTeam={homeTeam} awayTeam={awayTeam} />
+            )}
         </div>
     );
 };
 
+// Soglie Over/Under richieste al backend (?thresholds=...)
+const GOAL_LINES = [0.5, 1.5, 2.5, 3.5, 4.5, 5.5];
+const GOAL_LINE_COLORS = ['blue', 'purple', 'green', 'red'];
+
+// 2.5 -> { key: '25', label: '2.5', ... } (chiavi over25/under25 del backend)
+const toGoalLines = (values) => [...values]
+  .sort((a, b) => a - b)
+  .map((value, index) => ({
+    key: value.toString().replace('.', ''),
+    label: value.toFixed(1),
+    description: `Almeno ${Math.floor(value) + 1} gol`,
+    color: GOAL_LINE_COLORS[index % GOAL_LINE_COLORS.length]
+  }));
+
+// Soglie presenti in un oggetto { over05, under05, over25, ... }
+const getGoalLines = (goals) => toGoalLines(Object.keys(goals || {})
+  .map(key => /^over(\d+)$/.exec(key))
+  .filter(Boolean)
+  .map(match => parseInt(match[1]) / 10));
+
 // Componente Goals separato per gestire meglio la logica
-const GoalsSection = ({ currentData, activeTab }) => {
-  // Definizione di tutte le soglie
-  const thresholds = [
-      { key: '05', label: '0.5', description: 'Almeno 1 gol', color: 'blue' },
-      { key: '15', label: '1.5', description: 'Almeno 2 gol', color: 'purple' },
-      { key: '25', label: '2.5', description: 'Almeno 3 gol', color: 'green' },
-      { key: '35', label: '3.5', description: 'Almeno 4 gol', color: 'red' }
-  ];
+const GoalsSection = ({ currentData, activeTab, homeTeam, awayTeam }) => {
+  // Soglie restituite dal backend
+  const thresholds = getGoalLines(currentData.goals);
+  const teamTotals = [
+      { team: homeTeam, data: currentData.homeGoals },
+      { team: awayTeam, data: currentData.awayGoals }
+  ].filter(t => t.data);
 
   // Labels dinamici per periodo
   const periodLabels = {
@@ -1139,6 +1604,37 @@ const GoalsSection = ({ currentData, activeTab }) => {
                   );
               })}
           </div>
+
+          {/* GOL PER SQUADRA */}
+          {teamTotals.length > 0 && (
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-6">
+                  {teamTotals.map(({ team, data }) => (
+                      <div key={team} className="bg-gray-50 rounded-lg p-4">
+                          <div className="flex justify-between items-center mb-3">
+                              <span className="font-bold text-gray-800">Gol {team}</span>
+                              <span className="text-sm text-gray-600">Attesi: <strong>{data.expected}</strong></span>
+                          </div>
+                          <div className="space-y-1">
+                              {getGoalLines(data).map(line => {
+                                  const overValue = parseFloat(data[`over${line.key}`]);
+                                  const underValue = parseFloat(data[`under${line.key}`]);
+                                  return (
+                                      <div key={line.key} className="grid grid-cols-3 gap-2 text-sm items-center">
+                                          <span className="font-medium">{line.label}</span>
+                                          <span className={`text-center rounded px-2 py-1 ${overValue > underValue ? 'bg-green-100 text-green-700 font-bold' : 'bg-white text-gray-600'}`}>
+                                              Over {overValue.toFixed(1)}%
+                                          </span>
+                                          <span className={`text-center rounded px-2 py-1 ${underValue >= overValue ? 'bg-orange-100 text-orange-700 font-bold' : 'bg-white text-gray-600'}`}>
+                                              Under {underValue.toFixed(1)}%
+                                          </span>
+                                      </div>
+                                  );
+                              })}
+                          </div>
+                      </div>
+                  ))}
+              </div>
+          )}
           
           {/* RIEPILOGO RACCOMANDAZIONI */}
           <div className="bg-blue-50 rounded-lg p-4">
@@ -1175,6 +1671,192 @@ const GoalsSection = ({ currentData, activeTab }) => {
   );
 };
 
+// Colonna multigol + gol esatti per la partita o per una squadra; h2h: stesse chiavi dagli scontri diretti
+const MultigolColumn = ({ title, multigol, exactGoals, h2h }) => {
+    const bestRange = Math.max(...Object.values(multigol || {}).map(v => parseFloat(v) || 0));
+    return (
+        <div className="bg-gray-50 rounded-lg p-4">
+            <h4 className="font-bold text-gray-800 mb-3 text-center">{title}</h4>
+
+            <div className="text-xs font-semibold text-gray-500 uppercase mb-1">Multigol</div>
+            <div className="space-y-1 mb-4">
+                {Object.entries(multigol || {}).map(([range, value]) => (
+                    <div key={range} className={`flex justify-between items-center px-2 py-1 rounded text-sm ${parseFloat(value) === bestRange ? 'bg-green-100' : 'bg-white'}`}>
+                        <span className="font-medium">{range}</span>
+                        <span>
+                            <strong>{value}%</strong>
+                            {h2h?.multigol?.[range] !== undefined && <span className="text-xs text-gray-500 ml-2">H2H {h2h.multigol[range]}%</span>}
+                        </span>
+                    </div>
+                ))}
+            </div>
+
+            <div className="text-xs font-semibold text-gray-500 uppercase mb-1">Gol esatti</div>
+            <div className="space-y-1">
+                {Object.entries(exactGoals || {}).map(([goals, value]) => (
+                    <div key={goals} className="flex items-center space-x-2 text-sm">
+                        <span className="w-8 font-medium">{goals}</span>
+                        <div className="flex-1 h-3 bg-gray-200 rounded-full overflow-hidden">
+                            <div className="h-full bg-blue-500" style={{ width: `${Math.min(100, parseFloat(value))}%` }}></div>
+                        </div>
+                        <span className="w-14 text-right font-semibold">{value}%</span>
+                        {h2h?.exactGoals?.[goals] !== undefined && <span className="w-16 text-right text-xs text-gray-500">H2H {h2h.exactGoals[goals]}%</span>}
+                    </div>
+                ))}
+            </div>
+        </div>
+    );
+};
+
+const MultigolSection = ({ currentData, activeTab, homeTeam, awayTeam, h2hSummary }) => {
+    const suffix = activeTab === 'halfTime' ? 'HT' : 'FT';
+    const h2h = h2hSummary?.[`multigol${suffix}_pct`]
+        ? { multigol: h2hSummary[`multigol${suffix}_pct`], exactGoals: h2hSummary[`exactGoals${suffix}_pct`] }
+        : null;
+
+    return (
+        <div className="bg-white p-6 rounded-xl border shadow-sm">
+            <h3 className="text-xl font-bold mb-4">🔢 Multigol e Gol Esatti ({DERIVED_PERIOD_LABELS[activeTab]})</h3>
+            <div className="grid grid-cols-1 lg:grid-cols-3 gap-4">
+                <MultigolColumn title="Partita" multigol={currentData.multigol} exactGoals={currentData.exactGoals} h2h={h2h} />
+                <MultigolColumn title={homeTeam} multigol={currentData.homeMultigol} exactGoals={currentData.homeExactGoals} />
+                <MultigolColumn title={awayTeam} multigol={currentData.awayMultigol} exactGoals={currentData.awayExactGoals} />
+            </div>
+            {h2h && (
+                <p className="text-xs text-gray-500 mt-3">
+                    H2H: frequenze negli scontri diretti ({suffix === 'HT' ? `${h2hSummary.matchesWithHalfTime} con parziale noto` : `${h2hSummary.totalMatches} partite`}, pesate per data)
+                </p>
+            )}
+        </div>
+    );
+};
+
+const DERIVED_PERIOD_LABELS = {
+    fullTime: '90 minuti',
+    halfTime: 'primo tempo',
+    secondHalf: 'secondo tempo'
+};
+
+const WINNING_MARGIN_BANDS = [
+    { key: 'home3plus', side: 'home', label: '3+' },
+    { key: 'home2', side: 'home', label: '2' },
+    { key: 'home1', side: 'home', label: '1' },
+    { key: 'draw', side: null, label: 'Pareggio' },
+    { key: 'away1', side: 'away', label: '1' },
+    { key: 'away2', side: 'away', label: '2' },
+    { key: 'away3plus', side: 'away', label: '3+' }
+];
+
+const DerivedMarketCell = ({ label, value, highlight }) => (
+    <div className={`p-3 rounded-lg text-center ${highlight ? 'bg-green-50 border-2 border-green-200' : 'bg-gray-50 border border-gray-200'}`}>
+        <div className="text-xs text-gray-600 mb-1">{label}</div>
+        <div className="text-lg font-bold">{value !== null && value !== undefined ? `${value}%` : 'N/D'}</div>
+    </div>
+);
+
+// Mercati derivati dalla stessa distribuzione dei risultati del periodo selezionato
+const DerivedMarketsSection = ({ currentData, activeTab, homeTeam, awayTeam, h2hSummary }) => {
+    const { doubleChance, drawNoBet, winningMargin, cleanSheet, winToNil, htft } = currentData;
+    const best = (values) => Math.max(...values.map(v => parseFloat(v) || 0));
+    const bestDoubleChance = best(Object.values(doubleChance));
+    const bestMargin = best(Object.values(winningMargin || {}));
+    const bestHtft = htft ? best(Object.values(htft)) : null;
+    const sideLabel = { home: '1', draw: 'X', away: '2' };
+
+    return (
+        <div className="bg-white p-6 rounded-xl border shadow-sm">
+            <h3 className="text-xl font-bold mb-4">🧮 Mercati Derivati ({DERIVED_PERIOD_LABELS[activeTab]})</h3>
+
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+                {/* Doppia chance */}
+                <div>
+                    <h4 className="font-semibold text-gray-700 mb-2">Doppia Chance</h4>
+                    <div className="grid grid-cols-3 gap-2">
+                        {['1X', '12', 'X2'].map(key => (
+                            <DerivedMarketCell key={key} label={key} value={doubleChance[key]} highlight={parseFloat(doubleChance[key]) === bestDoubleChance} />
+                        ))}
+                    </div>
+                </div>
+
+                {/* Draw no bet */}
+                {drawNoBet && (
+                    <div>
+                        <h4 className="font-semibold text-gray-700 mb-2">Draw No Bet <span className="text-xs font-normal text-gray-500">(rimborso col pareggio)</span></h4>
+                        <div className="grid grid-cols-2 gap-2">
+                            <DerivedMarketCell label={homeTeam} value={drawNoBet.home} highlight={parseFloat(drawNoBet.home) > 50} />
+                            <DerivedMarketCell label={awayTeam} value={drawNoBet.away} highlight={parseFloat(drawNoBet.away) > 50} />
+                        </div>
+                    </div>
+                )}
+
+                {/* Porta inviolata e vittoria a zero */}
+                {cleanSheet && winToNil && (
+                    <div>
+                        <h4 className="font-semibold text-gray-700 mb-2">Porta Inviolata / Vittoria a Zero</h4>
+                        <div className="grid grid-cols-2 gap-2">
+                            <DerivedMarketCell label={`${homeTeam} non subisce`} value={cleanSheet.home} />
+                            <DerivedMarketCell label={`${awayTeam} non subisce`} value={cleanSheet.away} />
+                            <DerivedMarketCell label={`${homeTeam} vince a zero`} value={winToNil.home} />
+                            <DerivedMarketCell label={`${awayTeam} vince a zero`} value={winToNil.away} />
+                        </div>
+                    </div>
+                )}
+
+                {/* Margine di vittoria */}
+                {winningMargin && (
+                    <div>
+                        <h4 className="font-semibold text-gray-700 mb-2">Margine di Vittoria</h4>
+                        <div className="grid grid-cols-7 gap-1">
+                            {WINNING_MARGIN_BANDS.map(band => (
+                                <div
+                                    key={band.key}
+                                    className={`p-2 rounded text-center ${parseFloat(winningMargin[band.key]) === bestMargin ? 'bg-green-100 font-bold' : 'bg-gray-50'}`}
+                                >
+                                    <div className="text-[10px] text-gray-500 truncate">
+                                        {band.side ? (band.side === 'home' ? homeTeam : awayTeam) : ''}
+                                    </div>
+                                    <div className="text-xs font-semibold">{band.side ? `+${band.label}` : band.label}</div>
+                                    <div className="text-sm">{winningMargin[band.key]}%</div>
+                                </div>
+                            ))}
+                        </div>
+                    </div>
+                )}
+            </div>
+
+            {/* Parziale/finale: solo sui 90 minuti */}
+            {htft && (
+                <div className="mt-6">
+                    <h4 className="font-semibold text-gray-700 mb-2">Parziale / Finale</h4>
+                    <div className="grid grid-cols-3 gap-2">
+                        {['home', 'draw', 'away'].map(ht => ['home', 'draw', 'away'].map(ft => {
+                            const key = `${ht}_${ft}`;
+                            const h2hValue = h2hSummary?.htft_pct?.[key];
+                            return (
+                                <div
+                                    key={key}
+                                    className={`p-3 rounded-lg text-center ${parseFloat(htft[key]) === bestHtft ? 'bg-green-50 border-2 border-green-200' : 'bg-gray-50 border border-gray-200'}`}
+                                >
+                                    <div className="text-xs text-gray-600 mb-1">{sideLabel[ht]}/{sideLabel[ft]}</div>
+                                    <div className="text-lg font-bold">{htft[key]}%</div>
+                                    {h2hValue !== null && h2hValue !== undefined && (
+                                        <div className="text-xs text-gray-500">H2H: {h2hValue}%</div>
+                                    )}
+                                </div>
+                            );
+                        }))}
+                    </div>
+                    {h2hSummary?.htft_pct && (
+                        <p className="text-xs text-gray-500 mt-2">
+                            H2H: frequenza negli scontri diretti con parziale noto ({h2hSummary.matchesWithHalfTime} partite, pesate per data)
+                        </p>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
 // H2H esteso con tutti i tempi
 const ExtendedHeadToHeadDisplay = ({ h2hData, homeTeam, awayTeam }) => {
     if (!h2hData || !h2hData.matches || h2hData.matches.length === 0) {
@@ -1195,13 +1877,8 @@ const ExtendedHeadToHeadDisplay = ({ h2hData, homeTeam, awayTeam }) => {
 
     const { matches, summary } = h2hData;
 
-    // Tutte le soglie per ogni tempo
-    const thresholds = [
-        { key: '05', label: '0.5', color: 'blue' },
-        { key: '15', label: '1.5', color: 'purple' },
-        { key: '25', label: '2.5', color: 'green' },
-        { key: '35', label: '3.5', color: 'red' }
-    ];
+    // Soglie calcolate dal backend, uguali per ogni tempo
+    const thresholds = toGoalLines(summary?.thresholds || [0.5, 1.5, 2.5, 3.5]);
 
     return (
         <div className="bg-white p-6 rounded-xl border shadow-sm">
@@ -1227,8 +1904,11 @@ const ExtendedHeadToHeadDisplay = ({ h2hData, homeTeam, awayTeam }) => {
                             
                             {/* Media gol */}
                             <div className="text-center bg-blue-50 p-3 rounded-lg mb-4">
-                                <div className="text-3xl font-bold text-blue-700">{summary.avgGoalsHT}</div>
+                                <div className="text-3xl font-bold text-blue-700">{summary.avgGoalsHT ?? 'N/D'}</div>
                                 <div className="text-sm text-blue-600">Media Gol Primo Tempo</div>
+                                {summary.matchesWithHalfTime < summary.totalMatches && (
+                                    <div className="text-xs text-gray-500 mt-1">Parziale noto in {summary.matchesWithHalfTime}/{summary.totalMatches} partite</div>
+                                )}
                             </div>
                             
                             {/* Tutte le soglie primo tempo */}
@@ -1254,7 +1934,7 @@ const ExtendedHeadToHeadDisplay = ({ h2hData, homeTeam, awayTeam }) => {
                             <div className="border-t pt-3 mb-3">
                                 <div className="flex justify-between items-center p-2 bg-orange-50 rounded">
                                     <span className="font-medium text-sm">Goal 1T:</span>
-                                    <strong className="text-orange-700">{summary.bttsHT_pct}%</strong>
+                                    <strong className="text-orange-700">{summary.bttsHT_pct !== null ? `${summary.bttsHT_pct}%` : 'N/D'}</strong>
                                 </div>
                             </div>
                             
@@ -1278,8 +1958,11 @@ const ExtendedHeadToHeadDisplay = ({ h2hData, homeTeam, awayTeam }) => {
                             
                             {/* Media gol secondo tempo */}
                             <div className="text-center bg-green-50 p-3 rounded-lg mb-4">
-                                <div className="text-3xl font-bold text-green-700">{summary.avgGoals2H}</div>
+                                <div className="text-3xl font-bold text-green-700">{summary.avgGoals2H ?? 'N/D'}</div>
                                 <div className="text-sm text-green-600">Media Gol Secondo Tempo</div>
+                                {summary.matchesWithHalfTime < summary.totalMatches && (
+                                    <div className="text-xs text-gray-500 mt-1">Parziale noto in {summary.matchesWithHalfTime}/{summary.totalMatches} partite</div>
+                                )}
                             </div>
                             
                             {/* Tutte le soglie secondo tempo */}
@@ -1305,7 +1988,7 @@ const ExtendedHeadToHeadDisplay = ({ h2hData, homeTeam, awayTeam }) => {
                             <div className="border-t pt-3 mb-3">
                                 <div className="flex justify-between items-center p-2 bg-orange-50 rounded">
                                     <span className="font-medium text-sm">Goal 2T:</span>
-                                    <strong className="text-orange-700">{summary.btts2H_pct}%</strong>
+                                    <strong className="text-orange-700">{summary.btts2H_pct !== null ? `${summary.btts2H_pct}%` : 'N/D'}</strong>
                                 </div>
                             </div>
                             
@@ -1520,7 +2203,7 @@ const ExtendedHeadToHeadDisplay = ({ h2hData, homeTeam, awayTeam }) => {
                                               match.totalGoalsHT > 0.5 ? 'bg-purple-100 text-purple-700' :
                                               'bg-gray-100 text-gray-600'
                                           }`}>
-                                              {match.scoreHT}
+                                              {match.scoreHT ?? 'N/D'}
                                           </div>
                                           <div className="text-xs text-blue-500 mt-1 font-medium">1° Tempo</div>
                                       </div>
@@ -1550,7 +2233,7 @@ const ExtendedHeadToHeadDisplay = ({ h2hData, homeTeam, awayTeam }) => {
                                               match.totalGoals2H > 0.5 ? 'bg-yellow-100 text-yellow-700' :
                                               'bg-gray-100 text-gray-600'
                                           }`}>
-                                              {match.totalGoals2H}g
+                                              {match.totalGoals2H !== null ? `${match.totalGoals2H}g` : 'N/D'}
                                           </div>
                                           <div className="text-xs text-green-500 mt-1 font-medium">2° Tempo</div>
                                       </div>
@@ -1563,7 +2246,11 @@ const ExtendedHeadToHeadDisplay = ({ h2hData, homeTeam, awayTeam }) => {
                                   <div className="mb-3">
                                       <div className="text-xs font-semibold text-blue-600 mb-2">1° Tempo:</div>
                                       <div className="flex flex-wrap gap-2 justify-center">
-                                          {(() => {
+                                          {match.scoreHT === null ? (
+                                              <span className="bg-gray-100 text-gray-500 px-3 py-1 rounded-lg text-sm font-bold">
+                                                  N/D
+                                              </span>
+                                          ) : (() => {
                                               const htThreshold = getHighestThreshold(match.totalGoalsHT);
                                               return (
                                                   <span className={`px-3 py-1 rounded-lg text-sm font-bold ${htThreshold.color}`}>
@@ -1571,7 +2258,7 @@ const ExtendedHeadToHeadDisplay = ({ h2hData, homeTeam, awayTeam }) => {
                                                   </span>
                                               );
                                           })()}
-                                          {match.isBTTS_HT ? (
+                                          {match.scoreHT === null ? null : match.isBTTS_HT ? (
                                               <span className="bg-indigo-200 text-indigo-800 px-3 py-1 rounded-lg text-sm font-bold">
                                                   GG
                                               </span>
@@ -1611,7 +2298,11 @@ const ExtendedHeadToHeadDisplay = ({ h2hData, homeTeam, awayTeam }) => {
                                   <div className="mb-3">
                                       <div className="text-xs font-semibold text-green-600 mb-2">2° Tempo:</div>
                                       <div className="flex flex-wrap gap-2 justify-center">
-                                          {(() => {
+                                          {match.scoreHT === null ? (
+                                              <span className="bg-gray-100 text-gray-500 px-3 py-1 rounded-lg text-sm font-bold">
+                                                  N/D
+                                              </span>
+                                          ) : (() => {
                                               const shThreshold = getHighestThreshold(match.totalGoals2H);
                                               return (
                                                   <span className={`px-3 py-1 rounded-lg text-sm font-bold ${shThreshold.color}`}>
@@ -1619,7 +2310,7 @@ const ExtendedHeadToHeadDisplay = ({ h2hData, homeTeam, awayTeam }) => {
                                                   </span>
                                               );
                                           })()}
-                                          {match.isBTTS_2H ? (
+                                          {match.scoreHT === null ? null : match.isBTTS_2H ? (
                                               <span className="bg-pink-200 text-pink-800 px-3 py-1 rounded-lg text-sm font-bold">
                                                   GG
                                               </span>
@@ -1633,7 +2324,7 @@ const ExtendedHeadToHeadDisplay = ({ h2hData, homeTeam, awayTeam }) => {
                                   
                                   {/* Riepilogo compatto come nel tuo esempio */}
                                   <div className="text-xs text-gray-500 bg-white px-3 py-2 rounded border mt-2">
-                                      <strong>Gol:</strong> 1T({match.totalGoalsHT}) + 2T({match.totalGoals2H}) = Tot({match.totalGoalsFT})
+                                      <strong>Gol:</strong> {match.scoreHT !== null ? `1T(${match.totalGoalsHT}) + 2T(${match.totalGoals2H}) = ` : ''}Tot({match.totalGoalsFT})
                                   </div>
                               </div>
                           </div>
@@ -1789,10 +2480,1542 @@ const BTTSSection = ({ currentData, activeTab, homeTeam, awayTeam }) => {
   );
 };
 
-const getHighestThreshold = (goals) => {
-    if (goals > 3.5) return { threshold: 'OV 3.5', color: 'bg-red-200 text-red-800' };
-    if (goals > 2.5) return { threshold: 'OV 2.5', color: 'bg-green-200 text-green-800' };
-    if (goals > 1.5) return { threshold: 'OV 1.5', color: 'bg-purple-200 text-purple-800' };
-    if (goals > 0.5) return { threshold: 'OV 0.5', color: 'bg-blue-200 text-blue-800' };
-    return { threshold: 'UN 0.5', color: 'bg-gray-200 text-gray-600' };
-};
\ No newline at end of file
+// Griglia risultati esatti (heatmap) per il periodo selezionato
+const CorrectScoreSection = ({ correctScore, activeTab, homeTeam, awayTeam }) => {
+    const titles = {
+        fullTime: 'Risultato Esatto (90 minuti)',
+        halfTime: 'Risultato Esatto Primo Tempo',
+        secondHalf: 'Risultato Esatto Secondo Tempo (solo gol 45-90)'
+    };
+
+    const { matrix, other, mostLikely } = correctScore;
+    const maxValue = Math.max(...matrix.flat().map(v => parseFloat(v)));
+    const topScores = mostLikely.map(s => s.score);
+
+    return (
+        <div className="bg-white p-6 rounded-xl border shadow-sm">
+            <h3 className="text-xl font-bold mb-4">🔢 {titles[activeTab]}</h3>
+
+            {/* Risultati più probabili */}
+            <div className="grid grid-cols-2 md:grid-cols-5 gap-3 mb-6">
+                {mostLikely.map((s, index) => (
+                    <div key={s.score} className={`p-3 rounded-lg text-center border-2 ${
+                        index === 0 ? 'bg-purple-50 border-purple-300' : 'bg-gray-50 border-gray-200'
+                    }`}>
+                        <div className="text-2xl font-bold text-gray-800">{s.score}</div>
+                        <div className="text-sm font-semibold text-purple-700">{s.probability}%</div>
+                    </div>
+                ))}
+            </div>
+
+            {/* Heatmap: righe = gol casa, colonne = gol trasferta */}
+            <div className="overflow-x-auto">
+                <table className="mx-auto text-xs border-collapse">
+                    <thead>
+                        <tr>
+                            <th className="p-2 text-gray-500 text-left">
+                                {homeTeam?.substring(0, 10)} ↓ / {awayTeam?.substring(0, 10)} →
+                            </th>
+                            {matrix[0].map((_, away) => (
+                                <th key={away} className="p-2 text-gray-700 font-bold">{away}</th>
+                            ))}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {matrix.map((row, home) => (
+                            <tr key={home}>
+                                <th className="p-2 text-gray-700 font-bold text-right">{home}</th>
+                                {row.map((value, away) => {
+                                    const intensity = maxValue > 0 ? parseFloat(value) / maxValue : 0;
+                                    const isTop = topScores.includes(`${home}-${away}`);
+                                    return (
+                                        <td
+                                            key={away}
+                                            className={`w-14 h-10 text-center border border-white font-medium ${
+                                                isTop ? 'ring-2 ring-purple-500' : ''
+                                            }`}
+                                            style={{
+                                                backgroundColor: `rgba(124, 58, 237, ${(0.05 + intensity * 0.85).toFixed(2)})`,
+                                                color: intensity > 0.5 ? 'white' : '#374151'
+                                            }}
+                                            title={`${home}-${away}: ${value}%`}
+                                        >
+                                            {value}
+                                        </td>
+                                    );
+                                })}
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+
+            <div className="text-center mt-4">
+                <span className="inline-block bg-gray-100 text-gray-700 px-4 py-2 rounded-full text-sm">
+                    Altro risultato (oltre {matrix.length - 1} gol per squadra): <strong>{other}%</strong>
+                </span>
+            </div>
+        </div>
+    );
+};
+
+// ===========================================
+// PREVISTO VS REALE (PARTITE TERMINATE)
+// ===========================================
+const PREDICTION_MARKET_LABELS = {
+  'fullTime.btts.btts_yes': 'Goal',
+  'fullTime.btts.btts_no': 'No Goal',
+  'fullTime.goals.over25': 'Over 2.5',
+  'fullTime.goals.under25': 'Under 2.5',
+  'halfTime.1X2.home': '1 (1°T)',
+  'halfTime.1X2.draw': 'X (1°T)',
+  'halfTime.1X2.away': '2 (1°T)'
+};
+
+const PredictionReview = ({ prediction, homeTeam, awayTeam }) => {
+  const oneXTwo = prediction.predicted['1X2'];
+  const outcomes = [
+    { key: 'home', label: homeTeam || '1' },
+    { key: 'draw', label: 'Pareggio' },
+    { key: 'away', label: awayTeam || '2' }
+  ];
+  const markets = prediction.markets.filter(m => PREDICTION_MARKET_LABELS[`${m.market}.${m.selection}`]);
+
+  return (
+    <div className="bg-gray-50 border border-gray-200 rounded-xl p-4 mb-4">
+      <div className="flex justify-between items-center mb-3">
+        <h4 className="font-bold text-gray-800">🔮 Previsto vs Reale</h4>
+        {prediction.settled ? (
+          <span className={`text-xs font-bold px-3 py-1 rounded-full ${prediction.pickCorrect ? 'bg-green-100 text-green-700' : 'bg-red-100 text-red-700'}`}>
+            {prediction.pickCorrect ? '✅ Pronostico corretto' : '❌ Pronostico errato'}
+          </span>
+        ) : (
+          <span className="text-xs font-bold px-3 py-1 rounded-full bg-yellow-100 text-yellow-700">⏳ In attesa di regolamento</span>
+        )}
+      </div>
+
+      <div className="grid grid-cols-3 gap-3 mb-3">
+        {outcomes.map(({ key, label }) => {
+          const isPick = prediction.pick === key;
+          const isActual = prediction.actual?.result === key;
+          return (
+            <div
+              key={key}
+              className={`text-center p-2 rounded-lg border-2 ${isActual ? 'border-green-500 bg-green-50' : 'border-transparent bg-white'}`}
+            >
+              <div className="text-xs text-gray-600 truncate">{label}</div>
+              <div className={`text-lg font-bold ${isPick ? 'text-blue-600' : 'text-gray-700'}`}>{oneXTwo[key]}%</div>
+              <div className="text-xs text-gray-500">
+                {isPick && '🎯 Pronostico'}{isPick && isActual && ' • '}{isActual && '🏁 Esito'}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+
+      {markets.length > 0 && (
+        <div className="flex flex-wrap gap-2 mb-3">
+          {markets.map(m => (
+            <span
+              key={`${m.market}.${m.selection}`}
+              className={`text-xs px-2 py-1 rounded-full ${m.outcome === 'won' ? 'bg-green-100 text-green-700' : 'bg-red-100 text-red-700'}`}
+            >
+              {PREDICTION_MARKET_LABELS[`${m.market}.${m.selection}`]} {m.probability}%
+            </span>
+          ))}
+        </div>
+      )}
+
+      <div className="flex justify-between text-xs text-gray-500">
+        <span>
+          Salvata il {new Date(`${prediction.createdAt.replace(' ', 'T')}Z`).toLocaleString('it-IT')} • v{prediction.modelVersion} • {prediction.dataSource}
+        </span>
+        {prediction.settled && (
+          <span>
+            HT {prediction.actual.scoreHT || 'N/D'} • Mercati: {prediction.totals.won} ✅ / {prediction.totals.lost} ❌
+          </span>
+        )}
+      </div>
+    </div>
+  );
+};
+
+const VENUE_FORM_ROWS = [
+    { key: 'winRate', label: 'Vittorie', suffix: '%' },
+    { key: 'drawRate', label: 'Pareggi', suffix: '%' },
+    { key: 'avgGoalsFor', label: 'Gol fatti / partita' },
+    { key: 'avgGoalsAgainst', label: 'Gol subiti / partita' },
+    { key: 'bttsRate', label: 'Goal/Goal', suffix: '%' }
+];
+
+const VenueFormColumn = ({ title, side, venueLabel }) => {
+    const overall = side.overall;
+    const venue = side[side.venue];
+    return (
+        <div className="bg-white p-6 rounded-xl border shadow-sm">
+            <h4 className="text-lg font-bold mb-4">{title}</h4>
+            <table className="w-full text-sm">
+                <thead>
+                    <tr className="text-gray-500 border-b">
+                        <th className="py-2 text-left"></th>
+                        <th className="py-2 text-center">Generale</th>
+                        <th className="py-2 text-center">{venueLabel}</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    <tr className="border-b">
+                        <td className="py-2 text-gray-600">Partite (effettive)</td>
+                        <td className="py-2 text-center">{overall.matches} ({overall.effectiveSampleSize})</td>
+                        <td className="py-2 text-center">{venue.matches} ({venue.effectiveSampleSize})</td>
+                    </tr>
+                    <tr className="border-b">
+                        <td className="py-2 text-gray-600">Ultime 5</td>
+                        <td className="py-2 text-center font-mono">{overall.form || '-'}</td>
+                        <td className="py-2 text-center font-mono">{venue.form || '-'}</td>
+                    </tr>
+                    {VENUE_FORM_ROWS.map(row => (
+                        <tr key={row.key} className="border-b">
+                            <td className="py-2 text-gray-600">{row.label}</td>
+                            <td className="py-2 text-center font-semibold">{overall[row.key]}{row.suffix}</td>
+                            <td className="py-2 text-center font-semibold text-blue-700">{venue[row.key]}{row.suffix}</td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+            <div className="mt-3 text-xs text-gray-500">
+                Peso {venueLabel.toLowerCase()} nella media: {Math.round(parseFloat(side.venueWeight) * 100)}% •
+                Gol fatti/subiti combinati: {side.blended.avgGoalsFor} / {side.blended.avgGoalsAgainst}
+            </div>
+        </div>
+    );
+};
+
+// Selezioni coperte dal modello per il pannello puntate: "<periodo>.<gruppo>|<selezione>"
+const STAKE_PERIODS = { fullTime: '90\'', halfTime: '1°T', secondHalf: '2°T' };
+
+const STAKE_DERIVED_MARKETS = {
+    doubleChance: 'doppia chance',
+    drawNoBet: 'DNB',
+    htft: 'parziale/finale',
+    winningMargin: 'margine',
+    cleanSheet: 'porta inviolata',
+    winToNil: 'vittoria a zero',
+    highestScoringHalf: 'tempo con più gol',
+    goalBothHalves: 'gol in entrambi i tempi',
+    scoreBothHalves: 'segna in entrambi i tempi',
+    winEitherHalf: 'vince almeno un tempo',
+    multigol: 'multigol',
+    homeMultigol: 'multigol casa',
+    awayMultigol: 'multigol ospite',
+    exactGoals: 'gol esatti',
+    homeExactGoals: 'gol esatti casa',
+    awayExactGoals: 'gol esatti ospite'
+};
+
+const getStakeOptions = (analysis) => {
+    const options = [];
+    Object.entries(STAKE_PERIODS).forEach(([period, periodLabel]) => {
+        const data = analysis?.[period];
+        if (!data) return;
+        ['home', 'draw', 'away'].forEach(selection => {
+            if (data['1X2']?.[selection]) {
+                options.push({ market: `${period}.1X2`, selection, label: `${periodLabel} 1X2 ${selection}`, probability: data['1X2'][selection] });
+            }
+        });
+        Object.entries(data.goals || {}).forEach(([selection, value]) => {
+            if (/^(over|under)\d+$/.test(selection)) {
+                options.push({ market: `${period}.goals`, selection, label: `${periodLabel} ${selection}`, probability: value });
+            }
+        });
+        Object.entries(data.btts || {}).forEach(([selection, value]) => {
+            options.push({ market: `${period}.btts`, selection, label: `${periodLabel} ${selection}`, probability: value });
+        });
+        [['homeGoals', 'casa'], ['awayGoals', 'ospite']].forEach(([group, side]) => {
+            Object.entries(data[group] || {}).forEach(([selection, value]) => {
+                if (/^(over|under)\d+$/.test(selection)) {
+                    options.push({ market: `${period}.${group}`, selection, label: `${periodLabel} ${side} ${selection}`, probability: value });
+                }
+            });
+        });
+        Object.entries(STAKE_DERIVED_MARKETS).forEach(([group, name]) => {
+            Object.entries(data[group] || {}).forEach(([selection, value]) => {
+                if (value !== null) {
+                    options.push({ market: `${period}.${group}`, selection, label: `${periodLabel} ${name} ${selection}`, probability: value });
+                }
+            });
+        });
+    });
+    return options;
+};
+
+const STAKE_STRATEGY_LABELS = {
+    kelly: 'Kelly',
+    fractionalKelly: 'Kelly Frazionato',
+    fixedPercentage: '% Fissa',
+    fixedUnit: 'Unità Fissa'
+};
+
+// Pannello puntate: più selezioni della stessa partita, stake calcolati dal backend
+const StakePanel = ({ analysis, homeTeamId, awayTeamId, league }) => {
+    const stakeOptions = getStakeOptions(analysis);
+    const [bankroll, setBankroll] = useState(1000);
+    const [kellyFraction, setKellyFraction] = useState(0.25);
+    const [bets, setBets] = useState([{ key: `${stakeOptions[0]?.market}|${stakeOptions[0]?.selection}`, price: '' }]);
+    const [result, setResult] = useState(null);
+    const [error, setError] = useState('');
+    const [loading, setLoading] = useState(false);
+
+    const updateBet = (index, field, value) => {
+        setBets(bets.map((bet, i) => (i === index ? { ...bet, [field]: value } : bet)));
+    };
+
+    const calculate = async () => {
+        setLoading(true);
+        setError('');
+        try {
+            const response = await api.post('/stakes', {
+                bankroll,
+                kellyFraction,
+                homeTeamId,
+                awayTeamId,
+                league,
+                bets: bets.filter(b => parseFloat(b.price) > 1).map(b => {
+                    const [market, selection] = b.key.split('|');
+                    return { market, selection, price: parseFloat(b.price) };
+                })
+            });
+            setResult(response.data);
+        } catch (err) {
+            setResult(null);
+            setError(err.response?.data?.errors?.join(', ') || err.response?.data?.error || err.message);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    if (stakeOptions.length === 0) return null;
+
+    return (
+        <div className="bg-white p-6 rounded-xl border shadow-sm">
+            <h3 className="text-xl font-bold mb-4">💶 Calcolo Puntate</h3>
+
+            <div className="grid grid-cols-2 gap-4 mb-4">
+                <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Bankroll</label>
+                    <input
+                        type="number"
+                        min="1"
+                        className="w-full border-2 border-gray-200 rounded-lg px-3 py-2"
+                        value={bankroll}
+                        onChange={(e) => setBankroll(e.target.value)}
+                    />
+                </div>
+                <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Frazione di Kelly</label>
+                    <select
+                        className="w-full border-2 border-gray-200 rounded-lg px-3 py-2"
+                        value={kellyFraction}
+                        onChange={(e) => setKellyFraction(parseFloat(e.target.value))}
+                    >
+                        <option value={1}>Kelly pieno</option>
+                        <option value={0.5}>1/2 Kelly</option>
+                        <option value={0.25}>1/4 Kelly</option>
+                        <option value={0.1}>1/10 Kelly</option>
+                    </select>
+                </div>
+            </div>
+
+            {/* Selezioni sulla partita */}
+            <div className="space-y-2 mb-4">
+                {bets.map((bet, index) => (
+                    <div key={index} className="flex items-center space-x-2">
+                        <select
+                            className="flex-1 border-2 border-gray-200 rounded-lg px-3 py-2"
+                            value={bet.key}
+                            onChange={(e) => updateBet(index, 'key', e.target.value)}
+                        >
+                            {stakeOptions.map(o => (
+                                <option key={`${o.market}|${o.selection}`} value={`${o.market}|${o.selection}`}>
+                                    {o.label} ({o.probability}%)
+                                </option>
+                            ))}
+                        </select>
+                        <input
+                            type="number"
+                            step="0.01"
+                            min="1.01"
+                            placeholder="Quota"
+                            className="w-28 border-2 border-gray-200 rounded-lg px-3 py-2"
+                            value={bet.price}
+                            onChange={(e) => updateBet(index, 'price', e.target.value)}
+                        />
+                        {bets.length > 1 && (
+                            <button
+                                onClick={() => setBets(bets.filter((_, i) => i !== index))}
+                                className="text-gray-400 hover:text-red-600 text-xl px-2"
+                            >
+                                ×
+                            </button>
+                        )}
+                    </div>
+                ))}
+            </div>
+
+            <div className="flex space-x-3 mb-4">
+                <button
+                    onClick={() => setBets([...bets, { key: bets[bets.length - 1].key, price: '' }])}
+                    className="bg-gray-100 text-gray-700 px-4 py-2 rounded-lg font-semibold hover:bg-gray-200"
+                >
+                    + Aggiungi selezione
+                </button>
+                <button
+                    onClick={calculate}
+                    disabled={loading}
+                    className="bg-green-600 text-white px-4 py-2 rounded-lg font-bold hover:bg-green-700 disabled:opacity-50"
+                >
+                    {loading ? 'Calcolo...' : 'Calcola puntate'}
+                </button>
+            </div>
+
+            {error && <div className="bg-red-50 text-red-700 p-3 rounded-lg text-sm mb-4">⚠️ {error}</div>}
+
+            {result && (
+                <div className="overflow-x-auto">
+                    <table className="w-full text-sm">
+                        <thead>
+                            <tr className="text-gray-500 border-b">
+                                <th className="py-2 text-left">Selezione</th>
+                                <th className="py-2 text-right">Quota</th>
+                                <th className="py-2 text-right">Prob.</th>
+                                <th className="py-2 text-right">EV</th>
+                                {Object.entries(STAKE_STRATEGY_LABELS).map(([key, label]) => (
+                                    <th key={key} className="py-2 text-right">{label}</th>
+                                ))}
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {result.bets.map((bet, index) => (
+                                <tr key={index} className={`border-b ${bet.isValue ? '' : 'text-gray-400'}`}>
+                                    <td className="py-2">{bet.market} {bet.selection}</td>
+                                    <td className="py-2 text-right">{bet.price}</td>
+                                    {bet.error ? (
+                                        <td colSpan={6} className="py-2 text-right text-red-600">{bet.error}</td>
+                                    ) : (
+                                        <>
+                                            <td className="py-2 text-right">{bet.probability}%</td>
+                                            <td className={`py-2 text-right ${bet.isValue ? 'text-green-600 font-semibold' : ''}`}>{bet.expectedValue}</td>
+                                            {Object.keys(STAKE_STRATEGY_LABELS).map(key => (
+                                                <td key={key} className="py-2 text-right font-semibold">
+                                                    {bet.stakes[key].amount}{bet.stakes[key].capped && <span title="Ridotta dai limiti di puntata"> ⚠️</span>}
+                                                </td>
+                                            ))}
+                                        </>
+                                    )}
+                                </tr>
+                            ))}
+                            <tr className="font-bold">
+                                <td className="py-2" colSpan={4}>Totale (profitto atteso)</td>
+                                {Object.keys(STAKE_STRATEGY_LABELS).map(key => (
+                                    <td key={key} className="py-2 text-right">
+                                        {result.totals[key].staked}
+                                        <div className="text-xs font-normal text-gray-500">({result.totals[key].expectedProfit})</div>
+                                    </td>
+                                ))}
+                            </tr>
+                        </tbody>
+                    </table>
+                    <p className="text-xs text-gray-500 mt-2">
+                        Limiti: {result.options.maxStakePercent}% per selezione, {result.options.maxFixturePercent}% per partita • Probabilità dal modello ({result.dataSource})
+                    </p>
+                </div>
+            )}
+        </div>
+    );
+};
+
+// Aggiunta di una selezione della partita alla schedina
+const SlipPicker = ({ analysis, onAdd }) => {
+    // Il draw no bet (rimborso col pareggio) non è combinabile in schedina
+    const options = getStakeOptions(analysis).filter(o => !o.market.endsWith('.drawNoBet'));
+    const [key, setKey] = useState(`${options[0]?.market}|${options[0]?.selection}`);
+    const [message, setMessage] = useState('');
+
+    if (options.length === 0) return null;
+
+    const add = () => {
+        const option = options.find(o => `${o.market}|${o.selection}` === key);
+        if (!option) return;
+        setMessage(onAdd(option) ? `✓ ${option.label} aggiunta alla schedina` : `${option.label} è già in schedina`);
+    };
+
+    return (
+        <div className="bg-white p-6 rounded-xl border shadow-sm">
+            <h3 className="text-xl font-bold mb-2">🎫 Schedina</h3>
+            <p className="text-sm text-gray-500 mb-4">
+                Più selezioni sulla stessa partita (es. 1 + Over 2.5) vengono valutate insieme sui risultati esatti, non moltiplicando le probabilità.
+            </p>
+            <div className="flex items-center space-x-2">
+                <select
+                    className="flex-1 border-2 border-gray-200 rounded-lg px-3 py-2"
+                    value={key}
+                    onChange={(e) => {
+                        setKey(e.target.value);
+                        setMessage('');
+                    }}
+                >
+                    {options.map(o => (
+                        <option key={`${o.market}|${o.selection}`} value={`${o.market}|${o.selection}`}>
+                            {o.label} ({o.probability}%)
+                        </option>
+                    ))}
+                </select>
+                <button
+                    onClick={add}
+                    className="bg-purple-600 text-white px-4 py-2 rounded-lg font-bold hover:bg-purple-700"
+                >
+                    + Aggiungi
+                </button>
+            </div>
+            {message && <p className="text-xs text-purple-700 mt-2">{message}</p>}
+        </div>
+    );
+};
+
+const slipMatchKey = (item) => `${item.homeTeam?.id}-${item.awayTeam?.id}`;
+
+// Schedina multipla: una gamba per partita, probabilità combinata, quota equa ed EV dal backend.
+// add(item) è esposto tramite ref e restituisce false se la selezione è già presente
+const AccumulatorSlip = forwardRef((props, ref) => {
+    const [slip, setSlip] = useState([]);
+    const [open, setOpen] = useState(true);
+    const [prices, setPrices] = useState({});        // quota per selezione
+    const [legPrices, setLegPrices] = useState({});  // quota della combinazione sulla stessa partita
+    const [price, setPrice] = useState('');          // quota totale offerta per la multipla
+    const [result, setResult] = useState(null);
+    const [error, setError] = useState('');
+    const [loading, setLoading] = useState(false);
+
+    const legs = [];
+    slip.forEach(item => {
+        let leg = legs.find(l => l.key === slipMatchKey(item));
+        if (!leg) {
+            leg = { key: slipMatchKey(item), homeTeam: item.homeTeam, awayTeam: item.awayTeam, league: item.league, items: [] };
+            legs.push(leg);
+        }
+        leg.items.push(item);
+    });
+
+    useImperativeHandle(ref, () => ({
+        add: (item) => {
+            const key = `${slipMatchKey(item)}|${item.market}|${item.selection}`;
+            if (slip.some(existing => existing.key === key)) return false;
+            setSlip([...slip, { ...item, key }]);
+            setResult(null);
+            setOpen(true);
+            return true;
+        }
+    }), [slip]);
+
+    const remove = (key) => {
+        setSlip(slip.filter(item => item.key !== key));
+        setResult(null);
+    };
+
+    const clear = () => {
+        setSlip([]);
+        setResult(null);
+    };
+
+    if (slip.length === 0) return null;
+
+    const calculate = async () => {
+        setLoading(true);
+        setError('');
+        try {
+            const positive = (value) => (parseFloat(value) > 1 ? parseFloat(value) : undefined);
+            const response = await api.post('/accumulator', {
+                price: positive(price),
+                legs: legs.map(leg => ({
+                    homeTeamId: leg.homeTeam?.id,
+                    awayTeamId: leg.awayTeam?.id,
+                    homeTeam: leg.homeTeam?.name,
+                    awayTeam: leg.awayTeam?.name,
+                    league: leg.league,
+                    price: positive(legPrices[leg.key]),
+                    selections: leg.items.map(item => ({
+                        market: item.market,
+                        selection: item.selection,
+                        price: positive(prices[item.key])
+                    }))
+                }))
+            });
+            setResult(response.data);
+        } catch (err) {
+            setResult(null);
+            setError(err.response?.data?.errors?.join(', ') || err.response?.data?.error || err.message);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    if (!open) {
+        return (
+            <button
+                onClick={() => setOpen(true)}
+                className="fixed bottom-6 right-6 z-[60] bg-purple-600 text-white px-5 py-3 rounded-full shadow-2xl font-bold hover:bg-purple-700"
+            >
+                🎫 Schedina ({slip.length})
+            </button>
+        );
+    }
+
+    return (
+        <div className="fixed bottom-6 right-6 z-[60] w-[26rem] max-w-[calc(100vw-3rem)] max-h-[80vh] overflow-y-auto bg-white rounded-2xl shadow-2xl border border-purple-200 p-5">
+            <div className="flex justify-between items-center mb-4">
+                <h3 className="text-lg font-bold">🎫 Schedina ({slip.length})</h3>
+                <div className="flex items-center space-x-3 text-sm">
+                    <button onClick={clear} className="text-gray-500 hover:text-red-600">Svuota</button>
+                    <button onClick={() => setOpen(false)} className="text-gray-400 hover:text-gray-700 text-xl">−</button>
+                </div>
+            </div>
+
+            <div className="space-y-4 mb-4">
+                {legs.map(leg => {
+                    const legResult = result?.legs.find(l => `${l.homeTeamId}-${l.awayTeamId}` === leg.key);
+                    return (
+                        <div key={leg.key} className="border rounded-xl p-3">
+                            <div className="font-semibold text-sm mb-2">{leg.homeTeam?.name} vs {leg.awayTeam?.name}</div>
+                            {leg.items.map(item => (
+                                <div key={item.key} className="flex items-center space-x-2 text-sm mb-1">
+                                    <span className="flex-1">{item.label} <span className="text-gray-400">({item.probability}%)</span></span>
+                                    <input
+                                        type="number"
+                                        step="0.01"
+                                        min="1.01"
+                                        placeholder="Quota"
+                                        className="w-20 border border-gray-200 rounded px-2 py-1"
+                                        value={prices[item.key] || ''}
+                                        onChange={(e) => setPrices({ ...prices, [item.key]: e.target.value })}
+                                    />
+                                    <button onClick={() => remove(item.key)} className="text-gray-400 hover:text-red-600 px-1">×</button>
+                                </div>
+                            ))}
+                            {leg.items.length > 1 && (
+                                <div className="flex items-center space-x-2 text-sm mt-2">
+                                    <span className="flex-1 text-gray-500">Quota combinata sulla partita</span>
+                                    <input
+                                        type="number"
+                                        step="0.01"
+                                        min="1.01"
+                                        placeholder="Opz."
+                                        className="w-20 border border-gray-200 rounded px-2 py-1"
+                                        value={legPrices[leg.key] || ''}
+                                        onChange={(e) => setLegPrices({ ...legPrices, [leg.key]: e.target.value })}
+                                    />
+                                    <span className="w-5"></span>
+                                </div>
+                            )}
+                            {legResult && (
+                                <div className="mt-2 pt-2 border-t text-xs text-gray-600 grid grid-cols-2 gap-1">
+                                    <span>Prob. congiunta: <strong>{legResult.probability}%</strong></span>
+                                    <span>Quota equa: <strong>{legResult.fairPrice || '—'}</strong></span>
+                                    {leg.items.length > 1 && (
+                                        <>
+                                            <span>Se indipendenti: {legResult.independentProbability}%</span>
+                                            <span title="Congiunta / prodotto delle singole">Correlazione: ×{legResult.correlation || '—'}</span>
+                                        </>
+                                    )}
+                                    {legResult.expectedValue !== null && (
+                                        <span className={parseFloat(legResult.expectedValue) > 0 ? 'text-green-600 font-semibold' : ''}>
+                                            EV @{legResult.price}: {legResult.expectedValue}
+                                        </span>
+                                    )}
+                                </div>
+                            )}
+                        </div>
+                    );
+                })}
+            </div>
+
+            <div className="flex items-center space-x-2 mb-4">
+                <label className="flex-1 text-sm font-medium text-gray-700">Quota totale (opzionale)</label>
+                <input
+                    type="number"
+                    step="0.01"
+                    min="1.01"
+                    placeholder="Auto"
+                    className="w-24 border-2 border-gray-200 rounded-lg px-2 py-1"
+                    value={price}
+                    onChange={(e) => setPrice(e.target.value)}
+                />
+            </div>
+
+            <button
+                onClick={calculate}
+                disabled={loading}
+                className="w-full bg-purple-600 text-white px-4 py-2 rounded-lg font-bold hover:bg-purple-700 disabled:opacity-50"
+            >
+                {loading ? 'Calcolo...' : 'Calcola multipla'}
+            </button>
+
+            {error && <div className="bg-red-50 text-red-700 p-3 rounded-lg text-sm mt-4">⚠️ {error}</div>}
+
+            {result && (
+                <div className={`mt-4 p-4 rounded-xl ${result.combined.isValue ? 'bg-green-50' : 'bg-gray-50'}`}>
+                    <div className="grid grid-cols-2 gap-2 text-sm">
+                        <span>Probabilità: <strong>{result.combined.probability}%</strong></span>
+                        <span>Quota equa: <strong>{result.combined.fairPrice || '—'}</strong></span>
+                        <span className="text-gray-500">Se indipendenti: {result.combined.independentProbability}%</span>
+                        <span className="text-gray-500">Quota equa ingenua: {result.combined.naiveFairPrice || '—'}</span>
+                        {result.combined.price && (
+                            <>
+                                <span>Quota: <strong>{result.combined.price}</strong> ({result.combined.impliedProbability}%)</span>
+                                <span className={result.combined.isValue ? 'text-green-600 font-bold' : 'text-red-600'}>
+                                    EV: {result.combined.expectedValue}
+                                </span>
+                            </>
+                        )}
+                    </div>
+                    {!result.combined.price && (
+                        <p className="text-xs text-gray-500 mt-2">Inserisci le quote di tutte le selezioni (o la quota totale) per calcolare l'EV.</p>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+});
+
+// Forma generale e forma per campo (casa per la squadra di casa, trasferta per l'ospite) affiancate
+const VenueFormDisplay = ({ formSplits, homeTeam, awayTeam }) => (
+    <div>
+        <h3 className="text-xl font-bold mb-4">🏟️ Forma Generale vs Forma per Campo</h3>
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            <VenueFormColumn title={`🏠 ${homeTeam}`} side={formSplits.home} venueLabel="In casa" />
+            <VenueFormColumn title={`✈️ ${awayTeam}`} side={formSplits.away} venueLabel="In trasferta" />
+        </div>
+        <p className="text-xs text-gray-500 mt-2 text-center">
+            Partite pesate per età (emivita {formSplits.halfLifeDays} giorni)
+        </p>
+    </div>
+);
+
+// Esito asiatico compatto: quota equa, vincita piena / mezza vincita / rimborso / mezza perdita
+const AsianOutcomeCell = ({ outcome }) => (
+    <td className="py-2 px-2 text-center">
+        <div className="font-bold text-gray-800">{outcome.fairPrice || '-'}</div>
+        <div className="text-xs text-gray-500">
+            <span className="text-green-600">{outcome.win}%</span>
+            {parseFloat(outcome.halfWin) > 0 && <span className="text-green-500"> • ½ {outcome.halfWin}%</span>}
+            {parseFloat(outcome.push) > 0 && <span className="text-gray-500"> • R {outcome.push}%</span>}
+            {parseFloat(outcome.halfLoss) > 0 && <span className="text-orange-500"> • ½P {outcome.halfLoss}%</span>}
+        </div>
+    </td>
+);
+
+// Handicap asiatico e linee gol asiatiche (90' e primo tempo)
+const AsianMarketsDisplay = ({ analysis, homeTeam, awayTeam }) => {
+    const [period, setPeriod] = useState('fullTime');
+    const asian = analysis?.[period]?.asian;
+
+    const formatLine = (line) => (line > 0 ? `+${line}` : `${line}`);
+
+    return (
+        <div className="space-y-6">
+            <div className="flex justify-center space-x-2">
+                {[
+                    { id: 'fullTime', label: '90\' Finale' },
+                    { id: 'halfTime', label: '45\' Primo Tempo' }
+                ].map(p => (
+                    <button
+                        key={p.id}
+                        onClick={() => setPeriod(p.id)}
+                        className={`px-4 py-2 rounded-full font-semibold ${
+                            period === p.id ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-600 hover:bg-gray-200'
+                        }`}
+                    >
+                        {p.label}
+                    </button>
+                ))}
+            </div>
+
+            {!asian ? (
+                <div className="text-center text-gray-500 py-12">Mercati asiatici non disponibili per questa analisi</div>
+            ) : (
+                <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+                    <div className="bg-white p-6 rounded-xl border shadow-sm overflow-x-auto">
+                        <h3 className="text-xl font-bold mb-1">⚖️ Handicap Asiatico</h3>
+                        <p className="text-xs text-gray-500 mb-4">Quota equa e probabilità (½ = mezza vincita/perdita, R = rimborso)</p>
+                        <table className="w-full text-sm">
+                            <thead>
+                                <tr className="text-gray-500 border-b">
+                                    <th className="py-2 text-left">Linea</th>
+                                    <th className="py-2 text-center">{homeTeam}</th>
+                                    <th className="py-2 text-center">{awayTeam}</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {asian.handicap.map(h => (
+                                    <tr key={h.line} className={`border-b ${h.line === asian.main.handicap ? 'bg-blue-50' : ''}`}>
+                                        <td className="py-2 font-bold">{formatLine(h.line)} / {formatLine(-h.line)}</td>
+                                        <AsianOutcomeCell outcome={h.home} />
+                                        <AsianOutcomeCell outcome={h.away} />
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+
+                    <div className="bg-white p-6 rounded-xl border shadow-sm overflow-x-auto">
+                        <h3 className="text-xl font-bold mb-1">🎯 Linee Gol Asiatiche</h3>
+                        <p className="text-xs text-gray-500 mb-4">Linea principale evidenziata: {asian.main.total}</p>
+                        <table className="w-full text-sm">
+                            <thead>
+                                <tr className="text-gray-500 border-b">
+                                    <th className="py-2 text-left">Linea</th>
+                                    <th className="py-2 text-center">Over</th>
+                                    <th className="py-2 text-center">Under</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {asian.totals.map(t => (
+                                    <tr key={t.line} className={`border-b ${t.line === asian.main.total ? 'bg-blue-50' : ''}`}>
+                                        <td className="py-2 font-bold">{t.line}</td>
+                                        <AsianOutcomeCell outcome={t.over} />
+                                        <AsianOutcomeCell outcome={t.under} />
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+const getHighestThreshold = (goals) => {
+    if (goals > 3.5) return { threshold: 'OV 3.5', color: 'bg-red-200 text-red-800' };
+    if (goals > 2.5) return { threshold: 'OV 2.5', color: 'bg-green-200 text-green-800' };
+    if (goals > 1.5) return { threshold: 'OV 1.5', color: 'bg-purple-200 text-purple-800' };
+    if (goals > 0.5) return { threshold: 'OV 0.5', color: 'bg-blue-200 text-blue-800' };
+    return { threshold: 'UN 0.5', color: 'bg-gray-200 text-gray-600' };
+};
+
+// ===========================================
+// PAGINA CALIBRAZIONE
+// ===========================================
+const PERIOD_LABELS = {
+    fullTime: '90\' Finale',
+    halfTime: '45\' Primo Tempo',
+    secondHalf: '45\' Secondo Tempo'
+};
+
+const CalibrationPage = () => {
+    const [runs, setRuns] = useState([]);
+    const [runId, setRunId] = useState(null);
+    const [source, setSource] = useState('backtest');
+    const [report, setReport] = useState(null);
+    const [period, setPeriod] = useState('fullTime');
+    const [market, setMarket] = useState('goals.over25');
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState('');
+
+    // id: backtest da valutare, 'predictions' per le previsioni salvate e già regolate
+    const fetchReport = useCallback(async (id) => {
+        setLoading(true);
+        setError('');
+        try {
+            const params = id === 'predictions' ? { source: 'predictions' } : id ? { runId: id } : {};
+            const response = await api.get('/calibration', { params });
+            setReport(response.data);
+            setRunId(response.data.runId);
+            setSource(response.data.source || 'backtest');
+        } catch (err) {
+            setReport(null);
+            setError(err.response?.data?.error || err.message);
+        } finally {
+            setLoading(false);
+        }
+    }, []);
+
+    useEffect(() => {
+        // Solo i backtest conclusi hanno previsioni da calibrare
+        api.get('/backtest')
+            .then(response => setRuns((response.data.runs || []).filter(run => run.status === 'completed')))
+            .catch(() => setRuns([]));
+        fetchReport(null);
+    }, [fetchReport]);
+
+    const recalibrate = async (method) => {
+        setLoading(true);
+        try {
+            if (method) {
+                await api.post('/calibration/recalibrate', { runId, method });
+            } else {
+                await api.delete('/calibration/recalibrate');
+            }
+            await fetchReport(runId);
+        } catch (err) {
+            setError(err.response?.data?.error || err.message);
+            setLoading(false);
+        }
+    };
+
+    const periodData = report?.periods?.[period];
+    const marketData = periodData?.markets?.[market] || null;
+    const chartData = (marketData?.bins || []).map(bin => ({
+        bin: `${Math.round(parseFloat(bin.from) * 100)}-${Math.round(parseFloat(bin.to) * 100)}`,
+        ideal: Math.round(((parseFloat(bin.from) + parseFloat(bin.to)) / 2) * 100),
+        predicted: bin.avgPredicted !== null ? parseFloat(bin.avgPredicted) : null,
+        observed: bin.observedRate !== null ? parseFloat(bin.observedRate) : null,
+        count: bin.count
+    }));
+
+    return (
+        <div className="max-w-7xl mx-auto p-6 space-y-6">
+            {/* Selezione backtest e ricalibrazione */}
+            <div className="bg-white rounded-2xl shadow-xl p-6">
+                <div className="grid grid-cols-1 lg:grid-cols-3 gap-6 items-end">
+                    <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-2">Previsioni</label>
+                        <select
+                            className="w-full border-2 border-gray-200 rounded-xl px-4 py-3"
+                            value={source === 'predictions' ? 'predictions' : runId || ''}
+                            onChange={(e) => fetchReport(e.target.value === 'predictions' ? 'predictions' : parseInt(e.target.value))}
+                        >
+                            {runs.map(run => (
+                                <option key={run.runId} value={run.runId}>
+                                    Backtest #{run.runId} • {run.matches} partite • {new Date(run.createdAt).toLocaleDateString('it-IT')}
+                                </option>
+                            ))}
+                            <option value="predictions">Previsioni salvate (regolate)</option>
+                        </select>
+                    </div>
+                    <div className="lg:col-span-2 flex flex-wrap gap-3">
+                        <button
+                            onClick={() => recalibrate('isotonic')}
+                            disabled={loading || !runId || source !== 'backtest'}
+                            className="bg-purple-600 text-white px-4 py-3 rounded-xl font-bold hover:bg-purple-700 disabled:opacity-50"
+                        >
+                            Ricalibra (isotonica)
+                        </button>
+                        <button
+                            onClick={() => recalibrate('platt')}
+                            disabled={loading || !runId || source !== 'backtest'}
+                            className="bg-indigo-600 text-white px-4 py-3 rounded-xl font-bold hover:bg-indigo-700 disabled:opacity-50"
+                        >
+                            Ricalibra (Platt)
+                        </button>
+                        <button
+                            onClick={() => recalibrate(null)}
+                            disabled={loading || !report?.recalibration}
+                            className="bg-gray-200 text-gray-700 px-4 py-3 rounded-xl font-bold hover:bg-gray-300 disabled:opacity-50"
+                        >
+                            Disattiva
+                        </button>
+                    </div>
+                </div>
+
+                <div className="mt-4 text-sm text-gray-600">
+                    {report?.recalibration ? (
+                        <span>
+                            🎚️ Ricalibrazione attiva: <strong>{report.recalibration.method}</strong> dal backtest
+                            #{report.recalibration.runId} ({report.recalibration.selections} selezioni)
+                        </span>
+                    ) : (
+                        <span>Nessuna ricalibrazione attiva: le probabilità mostrate sono quelle grezze del modello.</span>
+                    )}
+                </div>
+            </div>
+
+            {error && (
+                <div className="bg-red-50 border border-red-200 rounded-xl p-4 text-red-700">⚠️ {error}</div>
+            )}
+
+            {loading && !report && (
+                <div className="text-center py-20">
+                    <div className="animate-spin rounded-full h-16 w-16 border-b-4 border-blue-600 mx-auto"></div>
+                </div>
+            )}
+
+            {report && (
+                <>
+                    {/* Periodi */}
+                    <div className="grid grid-cols-3 gap-2">
+                        {Object.keys(PERIOD_LABELS).filter(p => report.periods[p]).map(p => (
+                            <button
+                                key={p}
+                                onClick={() => setPeriod(p)}
+                                className={`py-3 rounded-lg font-semibold ${
+                                    period === p ? 'bg-white text-blue-600 shadow-lg' : 'text-gray-600 hover:bg-white/50'
+                                }`}
+                            >
+                                {PERIOD_LABELS[p]}
+                            </button>
+                        ))}
+                    </div>
+
+                    {/* Punteggi 1X2 */}
+                    {periodData?.['1X2'] && (
+                        <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                            {[
+                                { label: 'Partite', value: periodData['1X2'].matches },
+                                { label: 'Brier 1X2', value: periodData['1X2'].brier },
+                                { label: 'Log Loss 1X2', value: periodData['1X2'].logLoss },
+                                { label: 'RPS 1X2', value: periodData['1X2'].rps }
+                            ].map(item => (
+                                <div key={item.label} className="bg-white p-4 rounded-xl border shadow-sm text-center">
+                                    <div className="text-2xl font-bold text-gray-800">{item.value}</div>
+                                    <div className="text-xs text-gray-500">{item.label}</div>
+                                </div>
+                            ))}
+                        </div>
+                    )}
+
+                    {/* Diagramma di affidabilità */}
+                    <div className="bg-white p-6 rounded-xl border shadow-sm">
+                        <div className="flex flex-wrap items-center justify-between mb-4 gap-3">
+                            <h3 className="text-xl font-bold">📈 Diagramma di Affidabilità</h3>
+                            <select
+                                className="border-2 border-gray-200 rounded-xl px-3 py-2"
+                                value={market}
+                                onChange={(e) => setMarket(e.target.value)}
+                            >
+                                {Object.keys(periodData?.markets || {}).map(key => (
+                                    <option key={key} value={key}>{key}</option>
+                                ))}
+                            </select>
+                        </div>
+
+                        {marketData ? (
+                            <ResponsiveContainer width="100%" height={360}>
+                                <ComposedChart data={chartData}>
+                                    <CartesianGrid strokeDasharray="3 3" />
+                                    <XAxis dataKey="bin" label={{ value: 'Probabilità prevista (%)', position: 'insideBottom', offset: -5 }} />
+                                    <YAxis yAxisId="rate" domain={[0, 100]} />
+                                    <YAxis yAxisId="count" orientation="right" />
+                                    <Tooltip />
+                                    <Legend verticalAlign="top" />
+                                    <Bar yAxisId="count" dataKey="count" name="Campioni" fill="#e5e7eb" />
+                                    <Line yAxisId="rate" dataKey="ideal" name="Calibrazione perfetta" stroke="#9ca3af" strokeDasharray="5 5" dot={false} />
+                                    <Line yAxisId="rate" dataKey="observed" name="Frequenza osservata" stroke="#7c3aed" strokeWidth={2} connectNulls />
+                                    <Line yAxisId="rate" dataKey="predicted" name="Media prevista" stroke="#2563eb" connectNulls />
+                                </ComposedChart>
+                            </ResponsiveContainer>
+                        ) : (
+                            <div className="text-center text-gray-500 py-12">Mercato non disponibile per questo periodo</div>
+                        )}
+                    </div>
+
+                    {/* Tabella mercati */}
+                    <div className="bg-white p-6 rounded-xl border shadow-sm overflow-x-auto">
+                        <h3 className="text-xl font-bold mb-4">🎯 Punteggi per Mercato</h3>
+                        <table className="w-full text-sm">
+                            <thead>
+                                <tr className="text-left text-gray-500 border-b">
+                                    <th className="py-2">Mercato</th>
+                                    <th className="py-2 text-right">Campioni</th>
+                                    <th className="py-2 text-right">Prevista %</th>
+                                    <th className="py-2 text-right">Osservata %</th>
+                                    <th className="py-2 text-right">Brier</th>
+                                    <th className="py-2 text-right">Log Loss</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {Object.entries(periodData?.markets || {}).map(([key, m]) => (
+                                    <tr
+                                        key={key}
+                                        onClick={() => setMarket(key)}
+                                        className={`border-b cursor-pointer hover:bg-gray-50 ${key === market ? 'bg-purple-50' : ''}`}
+                                    >
+                                        <td className="py-2 font-medium">{key}</td>
+                                        <td className="py-2 text-right">{m.samples}</td>
+                                        <td className="py-2 text-right">{m.avgPredicted}</td>
+                                        <td className="py-2 text-right">{m.observedRate}</td>
+                                        <td className="py-2 text-right">{m.brier}</td>
+                                        <td className="py-2 text-right">{m.logLoss}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                </>
+            )}
+        </div>
+    );
+};
+
+// ===========================================
+// CLASSIFICA
+// ===========================================
+const STANDINGS_SPLITS = [
+    { id: 'total', label: 'Totale' },
+    { id: 'home', label: 'Casa' },
+    { id: 'away', label: 'Trasferta' }
+];
+
+const FORM_BADGE_COLORS = { W: 'bg-green-500', D: 'bg-yellow-400', L: 'bg-red-500' };
+
+const StandingsPage = ({ leagues }) => {
+    const [league, setLeague] = useState('SA');
+    const [season, setSeason] = useState(null);
+    const [matchday, setMatchday] = useState(null);
+    const [period, setPeriod] = useState('fullTime');
+    const [split, setSplit] = useState('total');
+    const [data, setData] = useState(null);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        let cancelled = false;
+        setLoading(true);
+        setError('');
+        api.get(`/standings/${league}`, { params: { season: season || undefined, matchday: matchday || undefined, period } })
+            .then(response => {
+                if (!cancelled) setData(response.data);
+            })
+            .catch(err => {
+                if (!cancelled) {
+                    setData(null);
+                    setError(err.response?.data?.error || err.message);
+                }
+            })
+            .finally(() => {
+                if (!cancelled) setLoading(false);
+            });
+        return () => { cancelled = true; };
+    }, [league, season, matchday, period]);
+
+    const changeLeague = (id) => {
+        setLeague(id);
+        setSeason(null);
+        setMatchday(null);
+    };
+
+    const changeSeason = (value) => {
+        setSeason(parseInt(value));
+        setMatchday(null);
+    };
+
+    const maxMatchday = data?.maxMatchday || 1;
+    const rows = (data?.standings || [])
+        .map(row => (split === 'total' ? row : { ...row, ...row[split] }))
+        .sort((a, b) => b.points - a.points || b.goalDifference - a.goalDifference || b.goalsFor - a.goalsFor);
+
+    return (
+        <div className="max-w-7xl mx-auto p-6 space-y-6">
+            {/* Campionato, stagione e periodo */}
+            <div className="bg-white rounded-2xl shadow-xl p-6 space-y-6">
+                <div className="grid grid-cols-1 lg:grid-cols-4 gap-6">
+                    <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-2">Campionato</label>
+                        <select
+                            className="w-full border-2 border-gray-200 rounded-xl px-4 py-3"
+                            value={league}
+                            onChange={(e) => changeLeague(e.target.value)}
+                        >
+                            {leagues.map(l => (
+                                <option key={l.id} value={l.id}>{l.name}</option>
+                            ))}
+                        </select>
+                    </div>
+                    <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-2">Stagione</label>
+                        <select
+                            className="w-full border-2 border-gray-200 rounded-xl px-4 py-3"
+                            value={data?.season || ''}
+                            onChange={(e) => changeSeason(e.target.value)}
+                        >
+                            {(data?.seasons || []).map(s => (
+                                <option key={s} value={s}>{s}/{(s + 1) % 100}</option>
+                            ))}
+                        </select>
+                    </div>
+                    <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-2">Risultati</label>
+                        <div className="grid grid-cols-2 gap-2">
+                            {[{ id: 'fullTime', label: '90\'' }, { id: 'halfTime', label: '1° Tempo' }].map(p => (
+                                <button
+                                    key={p.id}
+                                    onClick={() => setPeriod(p.id)}
+                                    className={`py-3 rounded-xl font-semibold ${period === p.id ? 'bg-purple-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}`}
+                                >
+                                    {p.label}
+                                </button>
+                            ))}
+                        </div>
+                    </div>
+                    <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-2">Rendimento</label>
+                        <div className="grid grid-cols-3 gap-2">
+                            {STANDINGS_SPLITS.map(s => (
+                                <button
+                                    key={s.id}
+                                    onClick={() => setSplit(s.id)}
+                                    className={`py-3 rounded-xl font-semibold text-sm ${split === s.id ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}`}
+                                >
+                                    {s.label}
+                                </button>
+                            ))}
+                        </div>
+                    </div>
+                </div>
+
+                {/* Slider giornata */}
+                <div>
+                    <div className="flex justify-between text-sm font-medium text-gray-700 mb-2">
+                        <span>Giornata: {matchday ? `fino alla ${matchday}ª` : 'tutte'}</span>
+                        {matchday && (
+                            <button onClick={() => setMatchday(null)} className="text-blue-600 hover:underline">Mostra tutte</button>
+                        )}
+                    </div>
+                    <input
+                        type="range"
+                        min={1}
+                        max={maxMatchday}
+                        value={matchday || maxMatchday}
+                        onChange={(e) => setMatchday(parseInt(e.target.value))}
+                        className="w-full accent-purple-600"
+                        disabled={!data?.maxMatchday}
+                    />
+                    <div className="flex justify-between text-xs text-gray-500">
+                        <span>1</span>
+                        <span>{maxMatchday}</span>
+                    </div>
+                </div>
+            </div>
+
+            {error && (
+                <div className="bg-red-50 border border-red-200 rounded-xl p-4 text-red-700">⚠️ {error}</div>
+            )}
+
+            {/* Tabella */}
+            <div className="bg-white p-6 rounded-xl border shadow-sm overflow-x-auto">
+                <div className="flex justify-between items-center mb-4">
+                    <h3 className="text-xl font-bold">
+                        🏆 Classifica {period === 'halfTime' ? 'all\'intervallo' : ''} {split !== 'total' ? `(${STANDINGS_SPLITS.find(s => s.id === split).label.toLowerCase()})` : ''}
+                    </h3>
+                    <span className="text-sm text-gray-500">
+                        {loading ? 'Caricamento...' : `${data?.matchesCounted || 0} partite${data?.lastMatchDate ? ` • fino al ${new Date(data.lastMatchDate).toLocaleDateString('it-IT')}` : ''}`}
+                    </span>
+                </div>
+
+                {rows.length === 0 && !loading ? (
+                    <div className="text-center text-gray-500 py-12">Nessuna partita disponibile per questa stagione</div>
+                ) : (
+                    <table className="w-full text-sm">
+                        <thead>
+                            <tr className="text-left text-gray-500 border-b">
+                                <th className="py-2 w-10">#</th>
+                                <th className="py-2">Squadra</th>
+                                <th className="py-2 text-right">G</th>
+                                <th className="py-2 text-right">V</th>
+                                <th className="py-2 text-right">N</th>
+                                <th className="py-2 text-right">P</th>
+                                <th className="py-2 text-right">GF</th>
+                                <th className="py-2 text-right">GS</th>
+                                <th className="py-2 text-right">DR</th>
+                                <th className="py-2 text-right">Punti</th>
+                                {split === 'total' && <th className="py-2 text-center">Forma</th>}
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {rows.map((row, index) => (
+                                <tr key={row.teamId} className="border-b hover:bg-gray-50">
+                                    <td className="py-2 font-bold text-gray-500">{index + 1}</td>
+                                    <td className="py-2 font-medium">{row.teamName}</td>
+                                    <td className="py-2 text-right">{row.played}</td>
+                                    <td className="py-2 text-right">{row.won}</td>
+                                    <td className="py-2 text-right">{row.drawn}</td>
+                                    <td className="py-2 text-right">{row.lost}</td>
+                                    <td className="py-2 text-right">{row.goalsFor}</td>
+                                    <td className="py-2 text-right">{row.goalsAgainst}</td>
+                                    <td className={`py-2 text-right ${row.goalDifference > 0 ? 'text-green-600' : row.goalDifference < 0 ? 'text-red-600' : ''}`}>
+                                        {row.goalDifference > 0 ? `+${row.goalDifference}` : row.goalDifference}
+                                    </td>
+                                    <td className="py-2 text-right font-bold">{row.points}</td>
+                                    {split === 'total' && (
+                                        <td className="py-2">
+                                            <div className="flex justify-center space-x-1">
+                                                {row.form.split('').map((r, i) => (
+                                                    <span key={i} className={`w-5 h-5 rounded-full text-white text-xs flex items-center justify-center ${FORM_BADGE_COLORS[r]}`}>{r}</span>
+                                                ))}
+                                            </div>
+                                        </td>
+                                    )}
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                )}
+            </div>
+        </div>
+    );
+};
+
+// ===========================================
+// PROFILO SQUADRA
+// ===========================================
+const TEAM_STREAK_LABELS = [
+    { id: 'wins', label: 'Vittorie consecutive', good: true },
+    { id: 'unbeaten', label: 'Risultati utili', good: true },
+    { id: 'scoring', label: 'Partite in gol', good: true },
+    { id: 'cleanSheets', label: 'Porta inviolata', good: true },
+    { id: 'over25', label: 'Over 2.5 consecutivi', good: null },
+    { id: 'draws', label: 'Pareggi consecutivi', good: null },
+    { id: 'winless', label: 'Senza vittorie', good: false },
+    { id: 'losses', label: 'Sconfitte consecutive', good: false }
+];
+
+const TeamResultRow = ({ result, leagues, onOpenTeam }) => (
+    <tr className="border-b hover:bg-gray-50">
+        <td className="py-2 text-gray-500">{new Date(result.date).toLocaleDateString('it-IT')}</td>
+        <td className="py-2 text-gray-500">{leagues.find(l => l.id === result.league)?.name || result.league || '-'}</td>
+        <td className="py-2">{result.venue === 'home' ? '🏠' : '✈️'}</td>
+        <td className="py-2">
+            <button onClick={() => onOpenTeam(result.opponentId)} className="font-medium hover:text-purple-600 hover:underline">
+                {result.opponent}
+            </button>
+        </td>
+        <td className="py-2 text-center font-bold">{result.score}</td>
+        <td className="py-2 text-center text-gray-500">{result.scoreHT || '-'}</td>
+        <td className="py-2">
+            <span className={`w-6 h-6 rounded-full text-white text-xs flex items-center justify-center mx-auto ${FORM_BADGE_COLORS[result.result]}`}>
+                {result.result}
+            </span>
+        </td>
+    </tr>
+);
+
+const TeamResultsTable = ({ title, results, leagues, onOpenTeam }) => (
+    <div className="bg-white p-6 rounded-xl border shadow-sm overflow-x-auto">
+        <h3 className="text-xl font-bold mb-4">{title}</h3>
+        {results.length === 0 ? (
+            <div className="text-center text-gray-500 py-6">Nessuna partita</div>
+        ) : (
+            <table className="w-full text-sm">
+                <thead>
+                    <tr className="text-left text-gray-500 border-b">
+                        <th className="py-2">Data</th>
+                        <th className="py-2">Competizione</th>
+                        <th className="py-2"></th>
+                        <th className="py-2">Avversario</th>
+                        <th className="py-2 text-center">90'</th>
+                        <th className="py-2 text-center">1°T</th>
+                        <th className="py-2 text-center">Esito</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {results.map(r => (
+                        <TeamResultRow key={r.matchId} result={r} leagues={leagues} onOpenTeam={onOpenTeam} />
+                    ))}
+                </tbody>
+            </table>
+        )}
+    </div>
+);
+
+const TeamPage = ({ teamId, leagues, onBack, onOpenTeam }) => {
+    const [profile, setProfile] = useState(null);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        if (!teamId) return undefined;
+        let cancelled = false;
+        setLoading(true);
+        setError('');
+        api.get(`/teams/${teamId}`)
+            .then(response => {
+                if (!cancelled) setProfile(response.data);
+            })
+            .catch(err => {
+                if (!cancelled) {
+                    setProfile(null);
+                    setError(err.response?.data?.error || err.message);
+                }
+            })
+            .finally(() => {
+                if (!cancelled) setLoading(false);
+            });
+        return () => { cancelled = true; };
+    }, [teamId]);
+
+    const leagueName = (code) => leagues.find(l => l.id === code)?.name || code || '-';
+    const halves = profile?.scoringByHalf;
+
+    return (
+        <div className="max-w-7xl mx-auto p-6 space-y-6">
+            <button onClick={onBack} className="text-blue-600 hover:underline font-medium">← Torna alle partite</button>
+
+            {error && (
+                <div className="bg-red-50 border border-red-200 rounded-xl p-4 text-red-700">⚠️ {error}</div>
+            )}
+
+            {loading && !profile && (
+                <div className="text-center text-gray-500 py-12">Caricamento profilo...</div>
+            )}
+
+            {profile && (
+                <>
+                    {/* Intestazione */}
+                    <div className="bg-white rounded-2xl shadow-xl p-6 flex flex-col md:flex-row md:items-center md:justify-between">
+                        <div>
+                            <h2 className="text-3xl font-bold">{profile.team.name}</h2>
+                            {profile.team.aliases.filter(a => a !== profile.team.name).length > 0 && (
+                                <div className="text-sm text-gray-500 mt-1">
+                                    Conosciuta anche come: {profile.team.aliases.filter(a => a !== profile.team.name).join(', ')}
+                                </div>
+                            )}
+                            <div className="text-sm text-gray-600 mt-2">
+                                {profile.totalMatches} partite in archivio • {profile.competitions.map(c => leagueName(c.league)).join(', ')}
+                            </div>
+                        </div>
+                        <div className="mt-4 md:mt-0">
+                            <div className="text-xs text-gray-500 mb-1 text-right">Ultime 5</div>
+                            <div className="flex space-x-1">
+                                {profile.form.split('').map((r, i) => (
+                                    <span key={i} className={`w-7 h-7 rounded-full text-white text-sm flex items-center justify-center ${FORM_BADGE_COLORS[r]}`}>{r}</span>
+                                ))}
+                            </div>
+                        </div>
+                    </div>
+
+                    {/* Statistiche per competizione (getTeamStats, ultime 2 stagioni) */}
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                        {profile.competitions.filter(c => c.stats).map(c => (
+                            <div key={c.competitionId} className="bg-white p-6 rounded-xl border shadow-sm">
+                                <h3 className="text-lg font-bold mb-1">{leagueName(c.league)}</h3>
+                                <div className="text-xs text-gray-500 mb-4">
+                                    Stagioni {c.firstSeason}–{c.lastSeason} • {c.matches} partite (statistiche sulle ultime 2 stagioni)
+                                </div>
+                                <div className="grid grid-cols-2 gap-6 text-sm">
+                                    <div className="space-y-1">
+                                        <div className="font-semibold text-blue-600 mb-2">⏱️ 90'</div>
+                                        <div className="flex justify-between"><span>Risultati:</span><strong>{c.stats.wins}V-{c.stats.draws}N-{c.stats.losses}P</strong></div>
+                                        <div className="flex justify-between"><span>% Vittorie:</span><strong className="text-green-600">{c.stats.winRate}%</strong></div>
+                                        <div className="flex justify-between"><span>Gol fatti:</span><strong>{c.stats.avgGoalsFor}</strong></div>
+                                        <div className="flex justify-between"><span>Gol subiti:</span><strong>{c.stats.avgGoalsAgainst}</strong></div>
+                                        <div className="flex justify-between"><span>Gol totali:</span><strong>{c.stats.avgTotalGoals}</strong></div>
+                                    </div>
+                                    <div className="space-y-1">
+                                        <div className="font-semibold text-orange-600 mb-2">🕐 1° Tempo</div>
+                                        {c.stats.halfTime ? (
+                                            <>
+                                                <div className="flex justify-between"><span>Gol fatti:</span><strong>{c.stats.halfTime.avgGoalsFor}</strong></div>
+                                                <div className="flex justify-between"><span>Gol totali:</span><strong>{c.stats.halfTime.avgTotalGoals}</strong></div>
+                                                <div className="flex justify-between"><span>GG 1°T:</span><strong>{c.stats.halfTime.bttsPercentage}%</strong></div>
+                                                {c.stats.halfTime.matches < c.stats.matches && (
+                                                    <div className="text-xs text-gray-500">Su {c.stats.halfTime.matches}/{c.stats.matches} partite con parziale</div>
+                                                )}
+                                            </>
+                                        ) : (
+                                            <div className="text-gray-500">Parziali non disponibili</div>
+                                        )}
+                                    </div>
+                                </div>
+                            </div>
+                        ))}
+                    </div>
+
+                    <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+                        {/* Gol per tempo */}
+                        <div className="bg-white p-6 rounded-xl border shadow-sm">
+                            <h3 className="text-xl font-bold mb-1">⚽ Gol per tempo</h3>
+                            <div className="text-xs text-gray-500 mb-4">{halves.matches} partite con parziale disponibile</div>
+                            <table className="w-full text-sm">
+                                <thead>
+                                    <tr className="text-left text-gray-500 border-b">
+                                        <th className="py-2"></th>
+                                        <th className="py-2 text-right">Fatti</th>
+                                        <th className="py-2 text-right">Subiti</th>
+                                        <th className="py-2 text-right">Media F/S</th>
+                                        <th className="py-2 text-right">In gol</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {[{ id: 'firstHalf', label: '1° Tempo' }, { id: 'secondHalf', label: '2° Tempo' }].map(h => (
+                                        <tr key={h.id} className="border-b">
+                                            <td className="py-2 font-medium">{h.label}</td>
+                                            <td className="py-2 text-right">{halves[h.id].goalsFor}</td>
+                                            <td className="py-2 text-right">{halves[h.id].goalsAgainst}</td>
+                                            <td className="py-2 text-right">{halves[h.id].avgGoalsFor ?? '-'} / {halves[h.id].avgGoalsAgainst ?? '-'}</td>
+                                            <td className="py-2 text-right">{halves[h.id].scoredIn ?? '-'}%</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                            {halves.secondHalfGoalShare && (
+                                <div className="text-sm text-gray-600 mt-3">
+                                    {halves.secondHalfGoalShare}% dei gol segnati nel secondo tempo
+                                </div>
+                            )}
+                        </div>
+
+                        {/* Serie in corso */}
+                        <div className="bg-white p-6 rounded-xl border shadow-sm">
+                            <h3 className="text-xl font-bold mb-4">🔥 Serie in corso</h3>
+                            <div className="grid grid-cols-2 gap-3">
+                                {TEAM_STREAK_LABELS.map(s => (
+                                    <div
+                                        key={s.id}
+                                        className={`p-3 rounded-lg flex justify-between items-center ${
+                                            profile.streaks[s.id] === 0 ? 'bg-gray-50 text-gray-400'
+                                                : s.good === true ? 'bg-green-50 text-green-700'
+                                                    : s.good === false ? 'bg-red-50 text-red-700' : 'bg-blue-50 text-blue-700'
+                                        }`}
+                                    >
+                                        <span className="text-sm">{s.label}</span>
+                                        <strong className="text-lg">{profile.streaks[s.id]}</strong>
+                                    </div>
+                                ))}
+                            </div>
+                        </div>
+                    </div>
+
+                    {/* Stagioni */}
+                    <div className="bg-white p-6 rounded-xl border shadow-sm overflow-x-auto">
+                        <h3 className="text-xl font-bold mb-4">📅 Stagioni</h3>
+                        <table className="w-full text-sm">
+                            <thead>
+                                <tr className="text-left text-gray-500 border-b">
+                                    <th className="py-2">Stagione</th>
+                                    <th className="py-2">Competizione</th>
+                                    <th className="py-2 text-right">G</th>
+                                    <th className="py-2 text-right">V</th>
+                                    <th className="py-2 text-right">N</th>
+                                    <th className="py-2 text-right">P</th>
+                                    <th className="py-2 text-right">GF</th>
+                                    <th className="py-2 text-right">GS</th>
+                                    <th className="py-2 text-right">Punti</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {profile.seasons.map(s => (
+                                    <tr key={`${s.season}_${s.competitionId}`} className="border-b hover:bg-gray-50">
+                                        <td className="py-2 font-medium">{s.season}/{(s.season + 1) % 100}</td>
+                                        <td className="py-2">{leagueName(s.league)}</td>
+                                        <td className="py-2 text-right">{s.matches}</td>
+                                        <td className="py-2 text-right">{s.won}</td>
+                                        <td className="py-2 text-right">{s.drawn}</td>
+                                        <td className="py-2 text-right">{s.lost}</td>
+                                        <td className="py-2 text-right">{s.goalsFor}</td>
+                                        <td className="py-2 text-right">{s.goalsAgainst}</td>
+                                        <td className="py-2 text-right font-bold">{s.points}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+
+                    <TeamResultsTable title="🕒 Ultimi risultati" results={profile.recentResults} leagues={leagues} onOpenTeam={onOpenTeam} />
+
+                    <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+                        <TeamResultsTable title="🏅 Vittorie più larghe" results={profile.biggestWins} leagues={leagues} onOpenTeam={onOpenTeam} />
+                        <TeamResultsTable title="💥 Sconfitte più pesanti" results={profile.biggestLosses} leagues={leagues} onOpenTeam={onOpenTeam} />
+                    </div>
+                </>
+            )}
+        </div>
+    );
+};
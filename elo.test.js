@@ -0,0 +1,129 @@
+// Rating Elo: aggiornamento per partita, probabilità 1X2 e ricalcolo sullo storico
+process.env.DB_PATH = ':memory:';
+
+const { db, SchemaMigrator, EloRatings } = require('./server');
+
+const run = (sql, params = []) => new Promise((resolve, reject) => {
+    db.run(sql, params, (err) => err ? reject(err) : resolve());
+});
+const all = (sql, params = []) => new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => err ? reject(err) : resolve(rows));
+});
+
+const insertMatch = (id, date, home, away, goals) => run(`
+    INSERT INTO historical_matches
+    (id, match_date, season, competition_id, home_team_id, away_team_id, home_team_name, away_team_name, home_goals, away_goals, status)
+    VALUES (?, ?, 2023, 2019, ?, ?, ?, ?, ?, ?, 'FINISHED')
+`, [id, date, home.id, away.id, home.name, away.name, goals[0], goals[1]]);
+
+describe('EloRatings.rate', () => {
+    it('moves the same points from one team to the other', () => {
+        const next = EloRatings.rate(1500, 1500, 0, 1);
+
+        expect(next.home + next.away).toBeCloseTo(3000, 10);
+        expect(next.home).toBeLessThan(1500);
+    });
+
+    it('counts the home advantage and weights wide goal differences more', () => {
+        // A pari rating la squadra di casa è favorita: il pareggio le costa punti
+        expect(EloRatings.rate(1500, 1500, 1, 1).home).toBeLessThan(1500);
+
+        const narrow = EloRatings.rate(1500, 1500, 1, 0).home - 1500;
+        const wide = EloRatings.rate(1500, 1500, 4, 0).home - 1500;
+        expect(wide / narrow).toBeCloseTo(EloRatings.goalDifferenceMultiplier(4, 0), 10);
+        expect(EloRatings.goalDifferenceMultiplier(3, 2)).toBe(1);
+    });
+});
+
+describe('EloRatings.probabilities', () => {
+    it('returns 1X2 probabilities that sum to 1 with fewer draws between distant teams', () => {
+        const close = EloRatings.probabilities(1500, 1565, 0.27);
+        const distant = EloRatings.probabilities(1800, 1400, 0.27);
+
+        expect(close.home + close.draw + close.away).toBeCloseTo(1, 10);
+        expect(distant.home + distant.draw + distant.away).toBeCloseTo(1, 10);
+        expect(close.home).toBeCloseTo(close.away, 10);
+        expect(distant.draw).toBeLessThan(close.draw);
+        expect(distant.home).toBeGreaterThan(distant.away);
+    });
+});
+
+describe('EloRatings on the match history', () => {
+    const milan = { id: 98, name: 'AC Milan' };
+    const inter = { id: 108, name: 'FC Internazionale Milano' };
+    const juventus = { id: 109, name: 'Juventus FC' };
+
+    beforeAll(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        await SchemaMigrator.migrate();
+
+        await insertMatch(1, '2023-09-16T16:00:00Z', inter, milan, [5, 1]);
+        await insertMatch(2, '2023-09-23T16:00:00Z', juventus, inter, [1, 1]);
+        await insertMatch(3, '2023-10-07T16:00:00Z', milan, juventus, [0, 1]);
+    });
+
+    afterAll(async () => {
+        jest.restoreAllMocks();
+        await new Promise((resolve) => db.close(() => resolve()));
+    });
+
+    it('rebuilds the ratings in chronological order', async () => {
+        expect(await EloRatings.rebuild()).toEqual({ teams: 3, matches: 3 });
+
+        const first = EloRatings.rate(1500, 1500, 5, 1);
+        const second = EloRatings.rate(1500, first.home, 1, 1);
+        const third = EloRatings.rate(first.away, second.home, 0, 1);
+
+        const ratings = await all(`SELECT team_id, rating, matches, last_match_date FROM team_ratings ORDER BY team_id`);
+        expect(ratings.map(r => r.team_id)).toEqual([milan.id, inter.id, juventus.id]);
+        expect(ratings[0].rating).toBeCloseTo(third.home, 10);
+        expect(ratings[1].rating).toBeCloseTo(second.away, 10);
+        expect(ratings[2].rating).toBeCloseTo(third.away, 10);
+        expect(ratings.map(r => r.matches)).toEqual([2, 2, 2]);
+        expect(ratings[1].last_match_date).toBe('2023-09-23T16:00:00Z');
+
+        expect(await all(`SELECT COUNT(*) AS rows FROM rating_history`)).toEqual([{ rows: 6 }]);
+    });
+
+    it('runs overlapping rebuilds one after the other', async () => {
+        const results = await Promise.all([EloRatings.rebuild(), EloRatings.rebuild(), EloRatings.rebuild()]);
+
+        expect(results).toEqual(Array(3).fill({ teams: 3, matches: 3 }));
+        expect(await all(`SELECT COUNT(*) AS rows FROM rating_history`)).toEqual([{ rows: 6 }]);
+    });
+
+    it('applies a new result on top of the current ratings', async () => {
+        const [before] = await all(`SELECT rating FROM team_ratings WHERE team_id = ?`, [inter.id]);
+        const [opponent] = await all(`SELECT rating FROM team_ratings WHERE team_id = ?`, [juventus.id]);
+        const match = {
+            id: 4, match_date: '2023-10-21T16:00:00Z', competition_id: 2019,
+            home_team_id: inter.id, away_team_id: juventus.id,
+            home_team_name: inter.name, away_team_name: juventus.name,
+            home_goals: 2, away_goals: 0
+        };
+
+        await EloRatings.applyMatch(match);
+
+        const next = EloRatings.rate(before.rating, opponent.rating, 2, 0);
+        const updated = await EloRatings.getTeamRating(inter.id);
+        expect(updated.rating).toBeCloseTo(next.home, 10);
+        expect(updated.matches).toBe(3);
+        expect(await all(`SELECT team_id, rating_before FROM rating_history WHERE match_id = 4 ORDER BY is_home DESC`)).toEqual([
+            { team_id: inter.id, rating_before: before.rating },
+            { team_id: juventus.id, rating_before: opponent.rating }
+        ]);
+    });
+
+    it('predicts from the ratings before a date and the default draw rate on a short history', async () => {
+        const prediction = await EloRatings.predict(milan.id, juventus.id, '2023-10-01T00:00:00Z');
+        const first = EloRatings.rate(1500, 1500, 5, 1);
+
+        expect(parseFloat(prediction.home.rating)).toBeCloseTo(first.away, 1);
+        expect(prediction.home.matches).toBe(1);
+        expect(await EloRatings.getDrawRateAsOf('2023-10-01T00:00:00Z')).toBe(0.27);
+
+        const { home, draw, away } = prediction['1X2'];
+        expect(parseFloat(home) + parseFloat(draw) + parseFloat(away)).toBeCloseTo(100, 0);
+        expect(await EloRatings.predict(milan.id, juventus.id, '2023-09-01T00:00:00Z')).toBeNull();
+    });
+});
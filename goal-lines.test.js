@@ -0,0 +1,57 @@
+// Soglie gol richieste: lettura dei parametri e mercati Over/Under calcolati sulle soglie scelte
+process.env.DB_PATH = ':memory:';
+
+const { db, ScorelineModel } = require('./server');
+
+const AVERAGE_MATCH = {
+    halfTime: { home: 0.65, away: 0.55, rho: -0.05 },
+    secondHalf: { home: 0.8, away: 0.65, rho: -0.05 }
+};
+
+afterAll(() => new Promise((resolve) => db.close(() => resolve())));
+
+describe('ScorelineModel.parseGoalLines', () => {
+    it('parses, deduplicates and sorts the requested lines', () => {
+        expect(ScorelineModel.parseGoalLines({ thresholds: '4.5,0.5,4.5', teamThresholds: '1.5' })).toEqual({
+            goalLines: { thresholds: [0.5, 4.5], teamThresholds: [1.5] },
+            errors: []
+        });
+    });
+
+    it('leaves missing or empty parameters to the defaults', () => {
+        expect(ScorelineModel.parseGoalLines({})).toEqual({ goalLines: {}, errors: [] });
+        expect(ScorelineModel.parseGoalLines({ thresholds: '' })).toEqual({ goalLines: {}, errors: [] });
+    });
+
+    it.each([
+        ['whole numbers', '2'],
+        ['lines above 10.5', '11.5'],
+        ['non-numeric values', '0.5,abc'],
+        ['negative lines', '-0.5'],
+        ['more than 12 lines', Array.from({ length: 13 }, (_, i) => i + 0.5).join(',')]
+    ])('rejects %s', (_, thresholds) => {
+        const { goalLines, errors } = ScorelineModel.parseGoalLines({ thresholds, teamThresholds: '0.5' });
+        expect(goalLines).toEqual({ teamThresholds: [0.5] });
+        expect(errors).toHaveLength(1);
+        expect(errors[0]).toMatch(/^thresholds must be/);
+    });
+});
+
+describe('ScorelineModel.toProbabilities with goal lines', () => {
+    const lineKeys = (group) => Object.keys(group).filter(k => /^(over|under)\d+$/.test(k));
+
+    it('prices only the requested lines for every period', () => {
+        const { goalLines } = ScorelineModel.parseGoalLines({ thresholds: '0.5,4.5', teamThresholds: '1.5' });
+        const result = ScorelineModel.toProbabilities(ScorelineModel.buildPeriods(AVERAGE_MATCH), goalLines);
+
+        ['fullTime', 'halfTime', 'secondHalf'].forEach(period => {
+            expect(lineKeys(result[period].goals)).toEqual(['over05', 'under05', 'over45', 'under45']);
+            expect(lineKeys(result[period].homeGoals)).toEqual(['over15', 'under15']);
+            expect(lineKeys(result[period].awayGoals)).toEqual(['over15', 'under15']);
+        });
+
+        const { over45, under45 } = result.fullTime.goals;
+        expect(parseFloat(over45) + parseFloat(under45)).toBeCloseTo(100, 0);
+        expect(parseFloat(result.fullTime.goals.over05)).toBeGreaterThan(parseFloat(over45));
+    });
+});
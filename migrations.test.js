@@ -0,0 +1,91 @@
+// Migrazioni dello schema: applicazione in ordine, annullamento fino a una versione e riapplicazione
+process.env.DB_PATH = ':memory:';
+
+const { db, SchemaMigrator } = require('./server');
+
+const run = (sql, params = []) => new Promise((resolve, reject) => {
+    db.run(sql, params, (err) => err ? reject(err) : resolve());
+});
+const all = (sql, params = []) => new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => err ? reject(err) : resolve(rows));
+});
+
+const insertMatch = (id, halfTime = null) => run(`
+    INSERT INTO historical_matches
+    (id, match_date, season, competition_id, home_team_id, away_team_id, home_team_name, away_team_name, home_goals, away_goals
+     ${halfTime ? ', home_goals_ht, away_goals_ht' : ''})
+    VALUES (?, '2023-09-02T19:30:00Z', 2023, 2017, 498, 503, 'Sporting CP', 'FC Porto', 2, 1 ${halfTime ? ', ?, ?' : ''})
+`, halfTime ? [id, ...halfTime] : [id]);
+
+const tables = async () => (await all(`SELECT name FROM sqlite_master WHERE type = 'table'`)).map(t => t.name);
+const columns = async (table) => all(`PRAGMA table_xinfo(${table})`);
+const indexes = async () => (await all(`
+    SELECT name FROM sqlite_master
+    WHERE type = 'index' AND tbl_name = 'historical_matches' AND sql IS NOT NULL
+    ORDER BY name
+`)).map(i => i.name);
+const halfTimeDefault = async () => (await columns('historical_matches')).find(c => c.name === 'home_goals_ht').dflt_value;
+
+describe('SchemaMigrator', () => {
+    const latest = SchemaMigrator.list().slice(-1)[0].version;
+    let latestIndexes;
+
+    beforeAll(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterAll(async () => {
+        jest.restoreAllMocks();
+        await new Promise((resolve) => db.close(() => resolve()));
+    });
+
+    it('refuses an empty database and applies every migration in order', async () => {
+        await expect(SchemaMigrator.assertCurrent()).rejects.toThrow(/schema is at version 0/);
+
+        const applied = await SchemaMigrator.migrate();
+        expect(applied.map(m => m.version)).toEqual(SchemaMigrator.list().map(m => m.version));
+
+        const status = await SchemaMigrator.assertCurrent();
+        expect(status).toMatchObject({ current: latest, latest, pending: [], unknown: [] });
+        expect(await SchemaMigrator.migrate()).toEqual([]);
+
+        expect(await halfTimeDefault()).toBe('NULL');
+        expect((await columns('historical_matches')).map(c => c.name)).toContain('total_goals_ht');
+        latestIndexes = await indexes();
+        expect(latestIndexes.length).toBeGreaterThan(0);
+    });
+
+    it('rolls back to a version from the most recent migration, keeping the data', async () => {
+        await insertMatch(1);
+        await insertMatch(2, [1, 0]);
+
+        const reverted = await SchemaMigrator.rollback(9);
+        expect(reverted.map(m => m.version)).toEqual(SchemaMigrator.list().filter(m => m.version > 9).map(m => m.version).reverse());
+        expect((await SchemaMigrator.status()).current).toBe(9);
+        await expect(SchemaMigrator.assertCurrent()).rejects.toThrow(`version 9, ${latest} required`);
+
+        expect(await tables()).not.toContain('fixtures');
+        expect((await columns('backtest_runs')).map(c => c.name)).not.toContain('status');
+        expect(await halfTimeDefault()).toBe('0');
+        expect(await indexes()).toEqual(latestIndexes);
+
+        // I parziali mancanti restano NULL, le nuove righe senza parziale tornano a 0-0
+        await insertMatch(3);
+        expect(await all(`SELECT id, home_goals_ht, total_goals_ht FROM historical_matches ORDER BY id`)).toEqual([
+            { id: 1, home_goals_ht: null, total_goals_ht: null },
+            { id: 2, home_goals_ht: 1, total_goals_ht: 1 },
+            { id: 3, home_goals_ht: 0, total_goals_ht: 0 }
+        ]);
+    });
+
+    it('migrates again to the latest version', async () => {
+        const applied = await SchemaMigrator.migrate();
+
+        expect(applied[0].version).toBe(10);
+        expect((await SchemaMigrator.assertCurrent()).current).toBe(latest);
+        expect(await tables()).toContain('fixtures');
+        expect(await halfTimeDefault()).toBe('NULL');
+        expect(await indexes()).toEqual(latestIndexes);
+        expect(await all(`SELECT COUNT(*) AS matches FROM historical_matches`)).toEqual([{ matches: 3 }]);
+    });
+});
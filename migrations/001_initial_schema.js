@@ -0,0 +1,20 @@
+// Schema di partenza: partite storiche (con primo tempo) e cache delle risposte API.
+// IF NOT EXISTS: sui DB creati prima delle migrazioni le tabelle esistono già.
+const { createTableSql } = require('./lib/historical_matches');
+
+module.exports = {
+    async up(db) {
+        await db.run(createTableSql('historical_matches', { ifNotExists: true }));
+
+        await db.run(`CREATE TABLE IF NOT EXISTS cache_simple (
+            key TEXT PRIMARY KEY,
+            data TEXT NOT NULL,
+            expires_at DATETIME NOT NULL
+        )`);
+    },
+
+    // Tornare a zero cancellerebbe lo storico partite: va fatto a mano, non da migrazione
+    async down() {
+        throw new Error('The initial schema cannot be reverted');
+    }
+};
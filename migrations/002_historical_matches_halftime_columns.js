@@ -0,0 +1,18 @@
+// I DB creati prima del supporto primo tempo ricevevano home/away_goals_ht con ALTER TABLE,
+// ma le colonne generate (total_goals, total_goals_ht) non si possono aggiungere così:
+// se ne manca qualcuna la tabella viene ricostruita con lo schema completo.
+const { rebuild } = require('./lib/historical_matches');
+
+const REQUIRED_COLUMNS = ['total_goals', 'home_goals_ht', 'away_goals_ht', 'total_goals_ht', 'match_result_ht'];
+
+module.exports = {
+    async up(db) {
+        const columns = (await db.all(`PRAGMA table_xinfo(historical_matches)`)).map(c => c.name);
+        if (REQUIRED_COLUMNS.every(c => columns.includes(c))) return;
+
+        await rebuild(db);
+    },
+
+    // Lo schema ricostruito è un sovrainsieme di quello vecchio: niente da annullare
+    async down() {}
+};
@@ -0,0 +1,16 @@
+// Indici per H2H, forma, stagioni e statistiche del primo tempo
+module.exports = {
+    async up(db) {
+        await db.run(`CREATE INDEX IF NOT EXISTS idx_h_teams ON historical_matches(home_team_id, away_team_id)`);
+        await db.run(`CREATE INDEX IF NOT EXISTS idx_h_date ON historical_matches(match_date DESC)`);
+        await db.run(`CREATE INDEX IF NOT EXISTS idx_h_season ON historical_matches(season, competition_id)`);
+        await db.run(`CREATE INDEX IF NOT EXISTS idx_h_ht_goals ON historical_matches(home_goals_ht, away_goals_ht)`);
+    },
+
+    async down(db) {
+        await db.run(`DROP INDEX IF EXISTS idx_h_teams`);
+        await db.run(`DROP INDEX IF EXISTS idx_h_date`);
+        await db.run(`DROP INDEX IF EXISTS idx_h_season`);
+        await db.run(`DROP INDEX IF EXISTS idx_h_ht_goals`);
+    }
+};
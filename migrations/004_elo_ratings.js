@@ -0,0 +1,33 @@
+// Rating Elo correnti e storico per partita
+module.exports = {
+    async up(db) {
+        await db.run(`CREATE TABLE IF NOT EXISTS team_ratings (
+            team_id INTEGER PRIMARY KEY,
+            team_name TEXT NOT NULL,
+            rating REAL NOT NULL,
+            matches INTEGER DEFAULT 0,
+            last_match_date TEXT,
+            last_competition_id INTEGER,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`);
+
+        await db.run(`CREATE TABLE IF NOT EXISTS rating_history (
+            match_id INTEGER NOT NULL,
+            team_id INTEGER NOT NULL,
+            opponent_id INTEGER NOT NULL,
+            match_date TEXT NOT NULL,
+            competition_id INTEGER,
+            is_home INTEGER NOT NULL,
+            rating_before REAL NOT NULL,
+            rating_after REAL NOT NULL,
+            PRIMARY KEY (match_id, team_id)
+        )`);
+
+        await db.run(`CREATE INDEX IF NOT EXISTS idx_rh_team ON rating_history(team_id, match_date)`);
+    },
+
+    async down(db) {
+        await db.run(`DROP TABLE IF EXISTS rating_history`);
+        await db.run(`DROP TABLE IF EXISTS team_ratings`);
+    }
+};
@@ -0,0 +1,22 @@
+// Quote bookmaker: una riga per partita/bookmaker/mercato/selezione
+module.exports = {
+    async up(db) {
+        await db.run(`CREATE TABLE IF NOT EXISTS odds (
+            match_id INTEGER NOT NULL,
+            bookmaker TEXT NOT NULL,
+            market TEXT NOT NULL,
+            selection TEXT NOT NULL,
+            price REAL NOT NULL,
+            home_team_id INTEGER,
+            away_team_id INTEGER,
+            competition_id INTEGER,
+            match_date TEXT,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (match_id, bookmaker, market, selection)
+        )`);
+    },
+
+    async down(db) {
+        await db.run(`DROP TABLE IF EXISTS odds`);
+    }
+};
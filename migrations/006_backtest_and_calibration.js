@@ -0,0 +1,43 @@
+// Backtest (esecuzioni e previsioni per partita) e ricalibrazioni stimate dai backtest
+module.exports = {
+    async up(db) {
+        await db.run(`CREATE TABLE IF NOT EXISTS backtest_runs (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            params TEXT,
+            summary TEXT,
+            matches INTEGER,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`);
+
+        await db.run(`CREATE TABLE IF NOT EXISTS backtest_predictions (
+            run_id INTEGER NOT NULL,
+            match_id INTEGER NOT NULL,
+            match_date TEXT NOT NULL,
+            competition_id INTEGER,
+            season INTEGER,
+            data_source TEXT,
+            confidence INTEGER,
+            probabilities TEXT NOT NULL,
+            home_goals INTEGER,
+            away_goals INTEGER,
+            home_goals_ht INTEGER,
+            away_goals_ht INTEGER,
+            PRIMARY KEY (run_id, match_id)
+        )`);
+
+        await db.run(`CREATE TABLE IF NOT EXISTS calibration_models (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            run_id INTEGER,
+            method TEXT NOT NULL,
+            markets TEXT NOT NULL,
+            active INTEGER DEFAULT 0,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`);
+    },
+
+    async down(db) {
+        await db.run(`DROP TABLE IF EXISTS calibration_models`);
+        await db.run(`DROP TABLE IF EXISTS backtest_predictions`);
+        await db.run(`DROP TABLE IF EXISTS backtest_runs`);
+    }
+};
@@ -0,0 +1,40 @@
+// Previsioni pre-partita (payload completo) ed esito per mercato a partita terminata
+module.exports = {
+    async up(db) {
+        await db.run(`CREATE TABLE IF NOT EXISTS predictions (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            match_id INTEGER NOT NULL,
+            competition_id INTEGER,
+            home_team_id INTEGER,
+            away_team_id INTEGER,
+            match_date TEXT,
+            model_version TEXT NOT NULL,
+            data_source TEXT,
+            confidence INTEGER,
+            calibration_id INTEGER,
+            probabilities TEXT NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            settled_at DATETIME,
+            home_goals INTEGER,
+            away_goals INTEGER,
+            home_goals_ht INTEGER,
+            away_goals_ht INTEGER
+        )`);
+
+        await db.run(`CREATE TABLE IF NOT EXISTS prediction_settlements (
+            prediction_id INTEGER NOT NULL,
+            market TEXT NOT NULL,
+            selection TEXT NOT NULL,
+            probability REAL,
+            outcome TEXT NOT NULL,
+            PRIMARY KEY (prediction_id, market, selection)
+        )`);
+
+        await db.run(`CREATE INDEX IF NOT EXISTS idx_predictions_match ON predictions(match_id, created_at)`);
+    },
+
+    async down(db) {
+        await db.run(`DROP TABLE IF EXISTS prediction_settlements`);
+        await db.run(`DROP TABLE IF EXISTS predictions`);
+    }
+};
@@ -0,0 +1,25 @@
+// Squadre con id canonico e nomi alternativi con cui compaiono nelle fonti
+module.exports = {
+    async up(db) {
+        await db.run(`CREATE TABLE IF NOT EXISTS teams (
+            id INTEGER PRIMARY KEY,
+            name TEXT NOT NULL,
+            source TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`);
+
+        await db.run(`CREATE TABLE IF NOT EXISTS team_aliases (
+            alias TEXT PRIMARY KEY COLLATE NOCASE,
+            team_id INTEGER NOT NULL,
+            source TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`);
+
+        await db.run(`CREATE INDEX IF NOT EXISTS idx_team_aliases_team ON team_aliases(team_id)`);
+    },
+
+    async down(db) {
+        await db.run(`DROP TABLE IF EXISTS team_aliases`);
+        await db.run(`DROP TABLE IF EXISTS teams`);
+    }
+};
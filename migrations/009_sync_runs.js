@@ -0,0 +1,27 @@
+// Esecuzioni della sincronizzazione periodica (una riga per campionato e passaggio)
+module.exports = {
+    async up(db) {
+        await db.run(`CREATE TABLE IF NOT EXISTS sync_runs (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            league TEXT NOT NULL,
+            competition_id INTEGER NOT NULL,
+            trigger TEXT NOT NULL,
+            status TEXT NOT NULL,
+            started_at TEXT NOT NULL,
+            finished_at TEXT,
+            window_from TEXT,
+            window_to TEXT,
+            fetched INTEGER DEFAULT 0,
+            changed INTEGER DEFAULT 0,
+            saved INTEGER DEFAULT 0,
+            fixtures INTEGER DEFAULT 0,
+            error TEXT
+        )`);
+
+        await db.run(`CREATE INDEX IF NOT EXISTS idx_sync_runs_league ON sync_runs(league, started_at)`);
+    },
+
+    async down(db) {
+        await db.run(`DROP TABLE IF EXISTS sync_runs`);
+    }
+};
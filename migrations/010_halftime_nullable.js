@@ -0,0 +1,23 @@
+// Parziale mancante = NULL: home/away_goals_ht passano da DEFAULT 0 a DEFAULT NULL.
+// SQLite non modifica i DEFAULT con ALTER TABLE: la tabella viene ricostruita (con i suoi indici).
+// I parziali già salvati come 0-0 in mancanza del dato non sono distinguibili da quelli veri:
+// GET /api/audit li elenca (suspectedHalfTimePlaceholders: 0-0 salvati prima di questa migrazione).
+// Per ripulirli, una volta dopo npm run db:migrate, reimportare i file delle stagioni interessate
+// (npm run db:import -- data/2022-23 ...) o risincronizzarle: INSERT OR REPLACE riscrive il parziale.
+const { rebuild } = require('./lib/historical_matches');
+
+module.exports = {
+    async up(db) {
+        await rebuild(db, { halfTimeDefault: 'NULL' });
+        // Un parziale a metà (un solo lato) non è utilizzabile: lo si considera mancante
+        await db.run(`
+            UPDATE historical_matches SET home_goals_ht = NULL, away_goals_ht = NULL, match_result_ht = NULL
+            WHERE home_goals_ht IS NULL OR away_goals_ht IS NULL
+        `);
+    },
+
+    // I NULL restano tali: cambia solo il DEFAULT
+    async down(db) {
+        await rebuild(db, { halfTimeDefault: '0' });
+    }
+};
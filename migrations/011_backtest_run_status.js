@@ -0,0 +1,14 @@
+// Backtest eseguiti in background: stato dell'esecuzione ed eventuale errore
+module.exports = {
+    async up(db) {
+        await db.run(`ALTER TABLE backtest_runs ADD COLUMN status TEXT NOT NULL DEFAULT 'completed'`);
+        await db.run(`ALTER TABLE backtest_runs ADD COLUMN error TEXT`);
+        await db.run(`ALTER TABLE backtest_runs ADD COLUMN finished_at DATETIME`);
+    },
+
+    async down(db) {
+        await db.run(`ALTER TABLE backtest_runs DROP COLUMN finished_at`);
+        await db.run(`ALTER TABLE backtest_runs DROP COLUMN error`);
+        await db.run(`ALTER TABLE backtest_runs DROP COLUMN status`);
+    }
+};
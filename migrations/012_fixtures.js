@@ -0,0 +1,25 @@
+// Calendario: partite non ancora giocate scaricate dalla sync nella finestra di lookahead
+// (una riga per partita, tolta quando il risultato finisce in historical_matches)
+module.exports = {
+    async up(db) {
+        await db.run(`CREATE TABLE IF NOT EXISTS fixtures (
+            id INTEGER PRIMARY KEY,
+            competition_id INTEGER NOT NULL,
+            season INTEGER,
+            matchday INTEGER,
+            match_date TEXT NOT NULL,
+            home_team_id INTEGER NOT NULL,
+            away_team_id INTEGER NOT NULL,
+            home_team_name TEXT NOT NULL,
+            away_team_name TEXT NOT NULL,
+            status TEXT NOT NULL,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`);
+
+        await db.run(`CREATE INDEX IF NOT EXISTS idx_fixtures_competition_date ON fixtures(competition_id, match_date)`);
+    },
+
+    async down(db) {
+        await db.run(`DROP TABLE IF EXISTS fixtures`);
+    }
+};
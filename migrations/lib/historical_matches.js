@@ -0,0 +1,49 @@
+// Definizione di historical_matches condivisa dalle migrazioni che la creano o la ricostruiscono
+// (001, 002, 010): cambia solo il DEFAULT dei parziali. Fuori dalla cartella delle migrazioni
+// numerate, quindi SchemaMigrator non la esegue.
+const GENERATED_COLUMNS = ['total_goals', 'total_goals_ht'];
+
+function createTableSql(table, { halfTimeDefault = '0', ifNotExists = false } = {}) {
+    return `CREATE TABLE ${ifNotExists ? 'IF NOT EXISTS ' : ''}${table} (
+        id INTEGER PRIMARY KEY,
+        match_date TEXT NOT NULL,
+        season INTEGER NOT NULL,
+        competition_id INTEGER NOT NULL,
+        matchday INTEGER,
+        home_team_id INTEGER NOT NULL,
+        away_team_id INTEGER NOT NULL,
+        home_team_name TEXT NOT NULL,
+        away_team_name TEXT NOT NULL,
+        home_goals INTEGER DEFAULT 0,
+        away_goals INTEGER DEFAULT 0,
+        total_goals INTEGER GENERATED ALWAYS AS (home_goals + away_goals),
+        match_result TEXT,
+        status TEXT DEFAULT 'FINISHED',
+        winner TEXT,
+        home_goals_ht INTEGER DEFAULT ${halfTimeDefault},
+        away_goals_ht INTEGER DEFAULT ${halfTimeDefault},
+        total_goals_ht INTEGER GENERATED ALWAYS AS (home_goals_ht + away_goals_ht),
+        match_result_ht TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(id) ON CONFLICT REPLACE
+    )`;
+}
+
+// SQLite non modifica colonne e DEFAULT con ALTER TABLE: nuova tabella, copia delle colonne
+// non generate, scambio. Gli indici cadono con la vecchia tabella e vengono ricreati uguali
+async function rebuild(db, { halfTimeDefault = '0' } = {}) {
+    const columns = (await db.all(`PRAGMA table_xinfo(historical_matches)`)).map(c => c.name);
+    const indexes = await db.all(`
+        SELECT sql FROM sqlite_master
+        WHERE type = 'index' AND tbl_name = 'historical_matches' AND sql IS NOT NULL
+    `);
+
+    await db.run(createTableSql('historical_matches_new', { halfTimeDefault }));
+    const copied = columns.filter(c => !GENERATED_COLUMNS.includes(c)).join(', ');
+    await db.run(`INSERT INTO historical_matches_new (${copied}) SELECT ${copied} FROM historical_matches`);
+    await db.run(`DROP TABLE historical_matches`);
+    await db.run(`ALTER TABLE historical_matches_new RENAME TO historical_matches`);
+    for (const { sql } of indexes) await db.run(sql);
+}
+
+module.exports = { GENERATED_COLUMNS, createTableSql, rebuild };
@@ -0,0 +1,74 @@
+// Backtest da riga di comando:
+//   node scripts/backtest.js --league PPL --season 2022 --from 2022-09-01 --to 2023-05-31 --limit 300 --out report.json
+const fs = require('fs');
+const { db, API_CONFIG, BacktestEngine, BACKTEST_CONFIG, SchemaMigrator } = require('../server');
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith('--')) continue;
+    const key = argv[i].slice(2);
+    const value = argv[i + 1] && !argv[i + 1].startsWith('--') ? argv[++i] : true;
+    args[key] = value;
+  }
+  return args;
+}
+
+function printStats(label, stats) {
+  console.log(`\n${label} — ${stats.matches} matches, 1X2 accuracy ${stats.accuracy ?? '-'}%`);
+  Object.entries(stats.markets).forEach(([key, m]) => {
+    console.log(`  ${key.padEnd(24)} ${String(m.hits).padStart(5)}/${String(m.predictions).padEnd(5)} ${m.hitRate}%`);
+  });
+  Object.entries(stats.roi).forEach(([strategy, r]) => {
+    if (r.bets === 0) return;
+    console.log(`  ROI ${strategy.padEnd(20)} bets ${r.bets}, profit ${r.profit}u, ROI ${r.roi}%`);
+  });
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  try {
+    await SchemaMigrator.assertCurrent();
+  } catch (err) {
+    console.error(`❌ ${err.message}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const competitionId = args.league ? API_CONFIG.competitions[args.league] : null;
+  if (args.league && !competitionId) {
+    console.error(`❌ Unknown league: ${args.league} (available: ${Object.keys(API_CONFIG.competitions).join(', ')})`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const params = {
+    competitionId,
+    season: args.season ? parseInt(args.season) : null,
+    from: args.from || null,
+    to: args.to || null,
+    limit: args.limit ? parseInt(args.limit) : null,
+    refitDays: args.refit ? parseInt(args.refit) : BACKTEST_CONFIG.refitDays
+  };
+
+  const { runId, summary, predictions } = await BacktestEngine.run(params, (done, total) => {
+    console.log(`  ... ${done}/${total}`);
+  });
+
+  printStats(`📊 Backtest ${runId}`, summary.overall);
+  Object.entries(summary.byDataSource).forEach(([source, stats]) => printStats(`  ↳ ${source}`, stats));
+  console.log(`\n💰 Matches with stored odds: ${summary.matchesWithOdds}`);
+
+  if (args.out) {
+    fs.writeFileSync(args.out, JSON.stringify({ runId, params, summary, predictions }, null, 2));
+    console.log(`💾 Report written to ${args.out}`);
+  }
+}
+
+main()
+  .catch(err => {
+    console.error('❌ Backtest failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => db.close());
@@ -0,0 +1,306 @@
+// Import di file JSON in formato openfootball (uno o più file e/o cartelle):
+//   node scripts/import.js data/2022-23/pt.1.json data/2023-24 --dry-run
+//   node scripts/import.js it.1.json --league PPL --season 2022
+// Campionato e stagione sono ricavati dal nome del file JSON ("Portuguese Primeira Liga 2022/23"),
+// poi dal nome file (pt.1.json) e dalla cartella (2022-23); --league/--season li forzano.
+// Exit code 1 se qualche file non è leggibile o contiene record malformati.
+const fs = require('fs');
+const path = require('path');
+const { db, API_CONFIG, HistoricalManager, TeamRegistry, SchemaMigrator } = require('../server');
+
+// Nome campionato (campo "name") e codice file openfootball → codice football-data
+const OPENFOOTBALL_LEAGUES = [
+  { code: 'SA', file: 'it.1', pattern: /serie a\b/i },
+  { code: 'PL', file: 'en.1', pattern: /premier league/i },
+  { code: 'BL1', file: 'de.1', pattern: /^(?!.*(2\.|österreich|austria)).*bundesliga/i },
+  { code: 'FL1', file: 'fr.1', pattern: /ligue 1\b/i },
+  { code: 'PD', file: 'es.1', pattern: /primera divisi[oó]n|la ?liga/i },
+  { code: 'DED', file: 'nl.1', pattern: /eredivisie/i },
+  { code: 'PPL', file: 'pt.1', pattern: /primeira liga|liga portugal/i },
+  { code: 'CL', file: 'uefa.cl', pattern: /champions league/i }
+];
+
+const MAX_REPORTED_ERRORS = 5;
+
+function parseArgs(argv) {
+  const args = { paths: [] };
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith('--')) {
+      args.paths.push(argv[i]);
+      continue;
+    }
+    const key = argv[i].slice(2);
+    const value = argv[i + 1] && !argv[i + 1].startsWith('--') ? argv[++i] : true;
+    args[key] = value;
+  }
+  return args;
+}
+
+function collectFiles(paths) {
+  return paths.flatMap(p => {
+    if (!fs.existsSync(p)) return [{ file: p, missing: true }];
+    if (!fs.statSync(p).isDirectory()) return [{ file: p }];
+    return collectFiles(fs.readdirSync(p).sort()
+      .map(name => path.join(p, name))
+      .filter(child => fs.statSync(child).isDirectory() || child.endsWith('.json')));
+  });
+}
+
+function detectLeague(data, file, override) {
+  if (override) return override.toUpperCase();
+  const byName = OPENFOOTBALL_LEAGUES.find(l => data.name && l.pattern.test(data.name));
+  if (byName) return byName.code;
+  const base = path.basename(file, '.json').toLowerCase();
+  return OPENFOOTBALL_LEAGUES.find(l => l.file === base)?.code || null;
+}
+
+// Stagione = anno di inizio (convenzione football-data): "2022/23", "2022-23" o "2022"
+function detectSeason(data, file, matches, override) {
+  if (override) return parseInt(override);
+  const fromText = (text) => {
+    const found = String(text || '').match(/(?:^|\D)((?:19|20)\d{2})(?:[/-]\d{2,4})?(?:\D|$)/);
+    return found ? parseInt(found[1]) : null;
+  };
+  const season = fromText(data.name) || fromText(path.basename(path.dirname(path.resolve(file))));
+  if (season) return season;
+
+  // Ultima risorsa: le stagioni europee iniziano in estate
+  const first = matches.map(m => m.date).filter(Boolean).sort()[0];
+  if (!first) return null;
+  const year = parseInt(first.slice(0, 4));
+  return parseInt(first.slice(5, 7)) >= 7 ? year : year - 1;
+}
+
+// Formato attuale ({ matches: [...] }) e precedente ({ rounds: [{ name, matches }] })
+function flattenMatches(data) {
+  if (Array.isArray(data.matches)) return data.matches;
+  if (Array.isArray(data.rounds)) {
+    return data.rounds.flatMap(r => (r.matches || []).map(m => ({ round: r.name, ...m })));
+  }
+  return null;
+}
+
+function teamName(team) {
+  return typeof team === 'string' ? team.trim() : team?.name?.trim();
+}
+
+function isGoals(value) {
+  return Number.isInteger(value) && value >= 0;
+}
+
+// Record normalizzato, { unplayed: true } per partite senza risultato o { error } se malformato
+function parseMatch(m) {
+  const home = teamName(m.team1);
+  const away = teamName(m.team2);
+  if (!home || !away) return { error: 'missing team names' };
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(m.date || '') || isNaN(new Date(m.date))) {
+    return { error: `invalid date "${m.date}" (${home} vs ${away})` };
+  }
+  if (m.time && !/^\d{1,2}:\d{2}$/.test(m.time)) {
+    return { error: `invalid time "${m.time}" (${home} vs ${away})` };
+  }
+
+  const ft = m.score?.ft || (m.score1 !== undefined ? [m.score1, m.score2] : null);
+  const ht = m.score?.ht || (m.score1i !== undefined ? [m.score1i, m.score2i] : null);
+  if (!ft || ft.every(g => g === null || g === undefined)) return { unplayed: true };
+  if (!Array.isArray(ft) || ft.length !== 2 || !ft.every(isGoals)) {
+    return { error: `invalid full-time score ${JSON.stringify(ft)} (${m.date} ${home} vs ${away})` };
+  }
+  if (ht && (!Array.isArray(ht) || ht.length !== 2 || !ht.every(isGoals) || ht[0] > ft[0] || ht[1] > ft[1])) {
+    return { error: `invalid half-time score ${JSON.stringify(ht)} (${m.date} ${home} vs ${away})` };
+  }
+
+  const time = m.time ? m.time.padStart(5, '0') : '00:00';
+  return {
+    // Id stabile: stesso schema del vecchio import-db.js, così i re-import sovrascrivono le stesse righe
+    id: TeamRegistry.generateId(`${m.date}_${home}_${away}`),
+    matchDate: `${m.date}T${time}:00Z`,
+    matchday: parseInt(String(m.round || '').replace(/\D/g, '')) || 1,
+    home,
+    away,
+    fullTime: { home: ft[0], away: ft[1] },
+    halfTime: ht ? { home: ht[0], away: ht[1] } : null
+  };
+}
+
+// Id di un nome già presente in historical_matches: in dry run TeamRegistry.sync non gira (non si scrive
+// nulla), quindi i nomi di un DB mai sincronizzato non sono ancora in team_aliases
+function findMatchTeamId(name) {
+  return new Promise((resolve) => {
+    db.get(`
+      SELECT team_id FROM (
+        SELECT home_team_id AS team_id, home_team_name AS team_name FROM historical_matches
+        UNION ALL
+        SELECT away_team_id, away_team_name FROM historical_matches
+      )
+      WHERE team_name = ? COLLATE NOCASE
+      LIMIT 1
+    `, [name], (err, row) => resolve(row ? row.team_id : null));
+  });
+}
+
+// Id canonico via team_aliases; i nomi sconosciuti ricevono un id dal nome e le squadre simili come suggerimento
+async function resolveTeams(records, dryRun) {
+  const teamIds = new Map();
+  const newTeams = [];
+  for (const name of new Set(records.flatMap(r => [r.home, r.away]))) {
+    const known = await TeamRegistry.resolve(name) || (dryRun ? await findMatchTeamId(name) : null);
+    if (known) {
+      teamIds.set(name, known);
+      continue;
+    }
+    const id = TeamRegistry.generateId(name);
+    teamIds.set(name, id);
+    newTeams.push({ name, id, suggestions: await TeamRegistry.suggest(name, { limit: 3 }) });
+    if (!dryRun) await TeamRegistry.register(id, name, 'generated');
+  }
+  return { teamIds, newTeams };
+}
+
+async function saveMatches(records, season, competitionId, teamIds) {
+  return new Promise((resolve, reject) => {
+    db.serialize(() => {
+      db.run('BEGIN TRANSACTION', (err) => err && reject(err));
+      const stmt = db.prepare(`
+        INSERT OR REPLACE INTO historical_matches
+        (id, match_date, season, competition_id, matchday,
+         home_team_id, away_team_id, home_team_name, away_team_name,
+         home_goals, away_goals, match_result, status, winner,
+         home_goals_ht, away_goals_ht, match_result_ht)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `);
+      records.forEach(r => {
+        const result = HistoricalManager.getMatchResult(r.fullTime);
+        // Parziale mancante → NULL (escluso dalle statistiche HT), non 0-0
+        const halfTime = r.halfTime || { home: null, away: null };
+        stmt.run([
+          r.id, r.matchDate, season, competitionId, r.matchday,
+          teamIds.get(r.home), teamIds.get(r.away), r.home, r.away,
+          r.fullTime.home, r.fullTime.away, result, 'FINISHED',
+          result === 'home' ? 'HOME_TEAM' : result === 'away' ? 'AWAY_TEAM' : 'DRAW',
+          halfTime.home, halfTime.away, r.halfTime ? HistoricalManager.getMatchResult(r.halfTime) : null
+        ]);
+      });
+      stmt.finalize();
+      db.run('COMMIT', (err) => err ? reject(err) : resolve(records.length));
+    });
+  });
+}
+
+async function importFile(entry, args) {
+  const summary = { file: entry.file, league: null, competitionId: null, season: null,
+    total: 0, imported: 0, unplayed: 0, withHalfTime: 0, newTeams: [], errors: [] };
+  if (entry.missing) {
+    summary.errors.push('file not found');
+    return summary;
+  }
+
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(entry.file, 'utf8'));
+  } catch (err) {
+    summary.errors.push(`unreadable JSON: ${err.message}`);
+    return summary;
+  }
+
+  const matches = flattenMatches(data);
+  if (!matches) {
+    summary.errors.push('no "matches" or "rounds" array');
+    return summary;
+  }
+
+  summary.league = detectLeague(data, entry.file, args.league);
+  summary.competitionId = API_CONFIG.competitions[summary.league] || null;
+  summary.season = detectSeason(data, entry.file, matches, args.season);
+  summary.total = matches.length;
+  if (!summary.competitionId) {
+    summary.errors.push(`unknown league "${data.name || path.basename(entry.file)}" (use --league ${Object.keys(API_CONFIG.competitions).join('|')})`);
+    return summary;
+  }
+  if (!summary.season) {
+    summary.errors.push('season not detected (use --season)');
+    return summary;
+  }
+
+  const records = [];
+  matches.forEach((m, index) => {
+    const parsed = parseMatch(m);
+    if (parsed.error) summary.errors.push(`#${index + 1}: ${parsed.error}`);
+    else if (parsed.unplayed) summary.unplayed++;
+    else records.push(parsed);
+  });
+  summary.withHalfTime = records.filter(r => r.halfTime).length;
+
+  const dryRun = Boolean(args['dry-run']);
+  const { teamIds, newTeams } = await resolveTeams(records, dryRun);
+  summary.newTeams = newTeams;
+  summary.imported = dryRun ? records.length : await saveMatches(records, summary.season, summary.competitionId, teamIds);
+  return summary;
+}
+
+function printSummary(summary, dryRun) {
+  const status = summary.errors.length ? '⚠️ ' : '✅';
+  console.log(`\n${status} ${summary.file}`);
+  if (summary.competitionId) {
+    console.log(`   League: ${summary.league} (${summary.competitionId}) — season ${summary.season}/${(summary.season + 1) % 100}`);
+    console.log(`   Matches: ${summary.total} in file, ${summary.imported} ${dryRun ? 'to import' : 'imported'}, ${summary.unplayed} unplayed, ${summary.withHalfTime} with half-time score`);
+  }
+  summary.newTeams.forEach(t => {
+    const hint = t.suggestions.map(s => `${s.name} (${s.teamId}, ${s.score})`).join(', ');
+    console.log(`   🆕 ${t.name} → ${t.id}${hint ? ` — similar: ${hint}` : ''}`);
+  });
+  summary.errors.slice(0, MAX_REPORTED_ERRORS).forEach(e => console.log(`   ❌ ${e}`));
+  if (summary.errors.length > MAX_REPORTED_ERRORS) {
+    console.log(`   ... and ${summary.errors.length - MAX_REPORTED_ERRORS} more errors`);
+  }
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  try {
+    await SchemaMigrator.assertCurrent();
+  } catch (err) {
+    console.error(`❌ ${err.message}`);
+    process.exitCode = 1;
+    return;
+  }
+  if (args.league && !API_CONFIG.competitions[String(args.league).toUpperCase()]) {
+    console.error(`❌ Unknown league: ${args.league} (available: ${Object.keys(API_CONFIG.competitions).join(', ')})`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const files = collectFiles(args.paths);
+  if (files.length === 0) {
+    console.error('Usage: node scripts/import.js <file.json|dir>... [--dry-run] [--league CODE] [--season YYYY]');
+    process.exitCode = 1;
+    return;
+  }
+
+  const dryRun = Boolean(args['dry-run']);
+  console.log(`🚀 ${dryRun ? 'Dry run' : 'Importing'}: ${files.length} file(s)`);
+
+  if (!dryRun) await TeamRegistry.sync();
+  const summaries = [];
+  for (const entry of files) {
+    const summary = await importFile(entry, args);
+    printSummary(summary, dryRun);
+    summaries.push(summary);
+  }
+
+  const imported = summaries.reduce((sum, s) => sum + s.imported, 0);
+  const failed = summaries.filter(s => s.errors.length > 0);
+  console.log(`\n📊 ${imported} matches ${dryRun ? 'to import' : 'imported'} from ${summaries.length} file(s), ${failed.length} with errors`);
+  if (summaries.some(s => s.newTeams.some(t => t.suggestions.length > 0))) {
+    console.log('🔗 Review similar teams with GET /api/teams/suggestions and merge them with POST /api/teams/merge');
+  }
+  if (failed.length > 0) process.exitCode = 1;
+}
+
+main()
+  .catch(err => {
+    console.error('❌ Import failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => db.close());
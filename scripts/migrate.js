@@ -0,0 +1,74 @@
+// Migrazioni dello schema SQLite (file in migrations/):
+//   node scripts/migrate.js              applica tutte le migrazioni mancanti
+//   node scripts/migrate.js up --to 5    applica fino alla versione 5
+//   node scripts/migrate.js down         annulla l'ultima migrazione (--steps N o --to N)
+//   node scripts/migrate.js status
+const { db, SchemaMigrator } = require('../server');
+
+function parseArgs(argv) {
+  const args = { command: 'up' };
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith('--')) {
+      args.command = argv[i];
+      continue;
+    }
+    const key = argv[i].slice(2);
+    const value = argv[i + 1] && !argv[i + 1].startsWith('--') ? argv[++i] : true;
+    args[key] = value;
+  }
+  return args;
+}
+
+async function printStatus() {
+  const status = await SchemaMigrator.status();
+  console.log(`📦 Schema version ${status.current} (latest ${status.latest})`);
+  status.applied.forEach(a => console.log(`  ✅ ${String(a.version).padStart(3, '0')} ${a.name} — ${a.applied_at}`));
+  status.pending.forEach(m => console.log(`  ⏳ ${m.file}`));
+  status.unknown.forEach(a => console.log(`  ❓ ${String(a.version).padStart(3, '0')} ${a.name} (no migration file)`));
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  switch (args.command) {
+    case 'status':
+      await printStatus();
+      return;
+
+    case 'up': {
+      const target = args.to !== undefined ? parseInt(args.to) : null;
+      const applied = await SchemaMigrator.migrate(target);
+      console.log(applied.length ? `✅ Applied ${applied.length} migration(s)` : '✅ Schema already up to date');
+      await printStatus();
+      return;
+    }
+
+    case 'down': {
+      const { current, applied } = await SchemaMigrator.status();
+      const steps = args.steps !== undefined ? parseInt(args.steps) : 1;
+      const target = args.to !== undefined
+        ? parseInt(args.to)
+        : (applied[applied.length - 1 - steps]?.version ?? 0);
+      if (!Number.isInteger(target) || target < 0 || target > current) {
+        console.error(`❌ Invalid target version ${args.to ?? target} (current ${current})`);
+        process.exitCode = 1;
+        return;
+      }
+      const reverted = await SchemaMigrator.rollback(target);
+      console.log(`✅ Reverted ${reverted.length} migration(s)`);
+      await printStatus();
+      return;
+    }
+
+    default:
+      console.error(`❌ Unknown command: ${args.command} (use up, down or status)`);
+      process.exitCode = 1;
+  }
+}
+
+main()
+  .catch(err => {
+    console.error('❌', err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => db.close());
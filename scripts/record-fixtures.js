@@ -0,0 +1,112 @@
+// Registra le risposte di football-data.org come fixture JSON per DATA_PROVIDER=file:
+//   node scripts/record-fixtures.js --league PPL --season 2024             (API live, serve FOOTBALL_DATA_API_KEY)
+//   node scripts/record-fixtures.js --league PPL --season 2024 --from-db   (ricostruite dal DB locale)
+// --out cartella di destinazione (default: DATA_PROVIDER_DIR o fixtures/football-data)
+const fs = require('fs');
+const path = require('path');
+const { db, API_CONFIG, DATA_PROVIDER_CONFIG, DATA_PROVIDERS, SchemaMigrator } = require('../server');
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith('--')) continue;
+    const key = argv[i].slice(2);
+    const value = argv[i + 1] && !argv[i + 1].startsWith('--') ? argv[++i] : true;
+    args[key] = value;
+  }
+  return args;
+}
+
+function writeJson(outDir, parts, data) {
+  const file = path.join(outDir, ...parts);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(data, null, 2) + '\n');
+  console.log(`💾 ${path.relative(process.cwd(), file)}`);
+}
+
+// Partite in formato football-data v4 a partire da historical_matches
+async function matchesFromDb(league, competitionId, season) {
+  const rows = await new Promise((resolve, reject) => {
+    db.all(`
+      SELECT * FROM historical_matches
+      WHERE competition_id = ? AND season = ?
+      ORDER BY match_date ASC, id ASC
+    `, [competitionId, season], (err, rows) => err ? reject(err) : resolve(rows || []));
+  });
+
+  const competition = { id: competitionId, code: league };
+  const seasonInfo = {
+    startDate: rows[0]?.match_date.slice(0, 10) || `${season}-08-01`,
+    endDate: rows[rows.length - 1]?.match_date.slice(0, 10) || `${season + 1}-05-31`
+  };
+  const score = (home, away) => ({ home, away });
+
+  return {
+    filters: { season: String(season) },
+    resultSet: { count: rows.length },
+    competition,
+    matches: rows.map(m => ({
+      id: m.id,
+      utcDate: m.match_date,
+      status: m.status || 'FINISHED',
+      matchday: m.matchday,
+      stage: 'REGULAR_SEASON',
+      lastUpdated: m.match_date,
+      competition,
+      season: seasonInfo,
+      homeTeam: { id: m.home_team_id, name: m.home_team_name },
+      awayTeam: { id: m.away_team_id, name: m.away_team_name },
+      score: {
+        winner: m.winner,
+        duration: 'REGULAR',
+        fullTime: score(m.home_goals, m.away_goals),
+        halfTime: score(m.home_goals_ht, m.away_goals_ht)
+      }
+    }))
+  };
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const league = String(args.league || '').toUpperCase();
+  const competitionId = API_CONFIG.competitions[league];
+  const season = parseInt(args.season);
+  if (!competitionId || !season) {
+    console.error(`Usage: node scripts/record-fixtures.js --league ${Object.keys(API_CONFIG.competitions).join('|')} --season YYYY [--from-db] [--out dir]`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const outDir = path.resolve(args.out || DATA_PROVIDER_CONFIG.fixturesDir);
+  const live = DATA_PROVIDERS['football-data'];
+  const competitionDir = ['competitions', String(competitionId)];
+
+  let matches;
+  if (args['from-db']) {
+    await SchemaMigrator.assertCurrent();
+    matches = await matchesFromDb(league, competitionId, season);
+  } else {
+    if (!live.isConfigured()) throw new Error('FOOTBALL_DATA_API_KEY missing (or use --from-db)');
+    matches = await live.getMatches(competitionId, { season });
+    writeJson(outDir, [...competitionDir, `teams-${season}.json`], await live.getTeams(competitionId, { season }));
+  }
+  writeJson(outDir, [...competitionDir, `matches-${season}.json`], matches);
+
+  // competitions.json: aggiunge la competizione registrata a quelle già presenti
+  const competitionsFile = path.join(outDir, 'competitions.json');
+  const existing = fs.existsSync(competitionsFile) ? JSON.parse(fs.readFileSync(competitionsFile, 'utf8')).competitions : [];
+  const competitions = [
+    ...existing.filter(c => c.id !== competitionId),
+    { id: competitionId, code: league, name: matches.competition?.name || league }
+  ].sort((a, b) => a.id - b.id);
+  writeJson(outDir, ['competitions.json'], { count: competitions.length, competitions });
+
+  console.log(`✅ Recorded ${matches.matches.length} matches for ${league} ${season}`);
+}
+
+main()
+  .catch(err => {
+    console.error('❌ Recording failed:', err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => db.close());
@@ -0,0 +1,92 @@
+// Ricerca: squadre senza accenti e con errori di battitura, partite per squadra e filtri
+process.env.DB_PATH = ':memory:';
+
+const { db, SchemaMigrator, TeamRegistry, SearchService } = require('./server');
+
+const run = (sql, params = []) => new Promise((resolve, reject) => {
+    db.run(sql, params, (err) => err ? reject(err) : resolve());
+});
+
+const benfica = { id: 1903, name: 'Sport Lisboa e Benfica' };
+const porto = { id: 503, name: 'FC Porto' };
+const famalicao = { id: 582, name: 'FC Famalicão' };
+const portimonense = { id: 5529, name: 'Portimonense SC' };
+const inter = { id: 108, name: 'FC Internazionale Milano' };
+
+const insertMatch = (id, date, competitionId, home, away, goals, halfTime) => run(`
+    INSERT INTO historical_matches
+    (id, match_date, season, competition_id, home_team_id, away_team_id, home_team_name, away_team_name,
+     home_goals, away_goals, home_goals_ht, away_goals_ht, status)
+    VALUES (?, ?, 2023, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'FINISHED')
+`, [id, date, competitionId, home.id, away.id, home.name, away.name, ...goals, ...halfTime]);
+
+const ids = (matches) => matches.map(m => m.id);
+
+beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    await SchemaMigrator.migrate();
+
+    for (const team of [benfica, porto, famalicao, portimonense, inter]) await TeamRegistry.register(team.id, team.name, 'test');
+
+    await insertMatch(1, '2023-09-01T19:15:00Z', 2017, benfica, famalicao, [2, 1], [1, 1]);
+    await insertMatch(2, '2023-10-08T19:30:00Z', 2017, porto, benfica, [0, 1], [0, 0]);
+    await insertMatch(3, '2023-11-29T20:00:00Z', 2001, benfica, inter, [3, 3], [0, 3]);
+    await insertMatch(4, '2023-12-10T15:30:00Z', 2017, portimonense, famalicao, [2, 1], [1, 0]);
+    await insertMatch(5, '2024-03-03T20:30:00Z', 2017, benfica, porto, [1, 1], [1, 0]);
+});
+
+afterAll(async () => {
+    jest.restoreAllMocks();
+    await new Promise((resolve) => db.close(() => resolve()));
+});
+
+describe('SearchService.searchTeams', () => {
+    it('finds teams without accents and with a typo', async () => {
+        const [found] = await SearchService.searchTeams('Famalicao');
+        expect(found).toMatchObject({
+            teamId: famalicao.id, name: famalicao.name, score: '1.00',
+            matches: 2, lastMatch: '2023-12-10T15:30:00Z', league: 'PPL'
+        });
+
+        const [typo] = await SearchService.searchTeams('Benfca');
+        expect(typo.teamId).toBe(benfica.id);
+        expect(parseFloat(typo.score)).toBeLessThan(1);
+    });
+
+    it('ranks exact words above near misses and splits "A vs B" queries', async () => {
+        const teams = await SearchService.searchTeams('porto');
+        expect(teams.map(t => t.teamId)).toEqual([porto.id, portimonense.id]);
+
+        const both = await SearchService.searchTeams('Benfica vs Famalicao');
+        expect(both.map(t => t.teamId)).toEqual([benfica.id, famalicao.id]);
+
+        expect(await SearchService.searchTeams('Braga')).toEqual([]);
+    });
+});
+
+describe('SearchService.searchMatches', () => {
+    it('searches the matches of the best team only when the others are clearly worse', async () => {
+        expect(ids(await SearchService.searchMatches('porto'))).toEqual([5, 2]);
+        expect(await SearchService.searchMatches('Braga')).toEqual([]);
+    });
+
+    it('returns head-to-head matches in both venues', async () => {
+        const matches = await SearchService.searchMatches('Benfica - Porto');
+
+        expect(ids(matches)).toEqual([5, 2]);
+        expect(matches[0]).toMatchObject({
+            league: 'PPL',
+            homeTeam: { id: benfica.id, name: benfica.name },
+            score: { fullTime: { home: 1, away: 1 }, halfTime: { home: 1, away: 0 } }
+        });
+    });
+
+    it('filters by score, half-time score, competition and a date range including its last day', async () => {
+        expect(ids(await SearchService.searchMatches('', { score: '2-1' }))).toEqual([4, 1]);
+        expect(ids(await SearchService.searchMatches('benfica', { score: '2-1' }))).toEqual([1]);
+        expect(ids(await SearchService.searchMatches('', { htScore: '0-3' }))).toEqual([3]);
+        expect(ids(await SearchService.searchMatches('', { competitionId: 2001 }))).toEqual([3]);
+        expect(ids(await SearchService.searchMatches('', { from: '2023-10-01', to: '2023-12-10' }))).toEqual([4, 3, 2]);
+        expect(ids(await SearchService.searchMatches('', {}, { limit: 2 }))).toEqual([5, 4]);
+    });
+});
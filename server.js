@@ -2,7 +2,11 @@
 const express = require('express');
 const cors = require('cors');
 const axios = require('axios');
+const cron = require('node-cron');
 const sqlite3 = require('sqlite3').verbose();
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
 require('dotenv').config();
 
 const app = express();
@@ -42,57 +46,307 @@ async function rateLimitedCall(apiCall) {
 }
 
 // ===========================================
-// DATABASE SETUP CON SUPPORTO PRIMO TEMPO
+// FORNITORI DATI (football-data.org o fixture JSON locali)
 // ===========================================
-const db = new sqlite3.Database('./football_final.db');
-
-db.serialize(() => {
-    // Tabella partite storiche AGGIORNATA con primo tempo
-    db.run(`CREATE TABLE IF NOT EXISTS historical_matches (
-        id INTEGER PRIMARY KEY,
-        match_date TEXT NOT NULL,
-        season INTEGER NOT NULL,
-        competition_id INTEGER NOT NULL,
-        matchday INTEGER,
-        home_team_id INTEGER NOT NULL,
-        away_team_id INTEGER NOT NULL,
-        home_team_name TEXT NOT NULL,
-        away_team_name TEXT NOT NULL,
-        home_goals INTEGER DEFAULT 0,
-        away_goals INTEGER DEFAULT 0,
-        total_goals INTEGER GENERATED ALWAYS AS (home_goals + away_goals),
-        match_result TEXT,
-        status TEXT DEFAULT 'FINISHED',
-        winner TEXT,
-        -- NUOVE COLONNE PER PRIMO TEMPO
-        home_goals_ht INTEGER DEFAULT 0,
-        away_goals_ht INTEGER DEFAULT 0,
-        total_goals_ht INTEGER GENERATED ALWAYS AS (home_goals_ht + away_goals_ht),
-        match_result_ht TEXT,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        UNIQUE(id) ON CONFLICT REPLACE
-    )`);
-    
-    // Aggiungi colonne primo tempo se non esistono (per DB esistenti)
-    db.run(`ALTER TABLE historical_matches ADD COLUMN home_goals_ht INTEGER DEFAULT 0`, () => {});
-    db.run(`ALTER TABLE historical_matches ADD COLUMN away_goals_ht INTEGER DEFAULT 0`, () => {});
-    db.run(`ALTER TABLE historical_matches ADD COLUMN match_result_ht TEXT`, () => {});
-    
-    // Cache
-    db.run(`CREATE TABLE IF NOT EXISTS cache_simple (
-        key TEXT PRIMARY KEY,
-        data TEXT NOT NULL,
-        expires_at DATETIME NOT NULL
-    )`);
-    
-    // Indici
-    db.run(`CREATE INDEX IF NOT EXISTS idx_h_teams ON historical_matches(home_team_id, away_team_id)`);
-    db.run(`CREATE INDEX IF NOT EXISTS idx_h_date ON historical_matches(match_date DESC)`);
-    db.run(`CREATE INDEX IF NOT EXISTS idx_h_season ON historical_matches(season, competition_id)`);
-    db.run(`CREATE INDEX IF NOT EXISTS idx_h_ht_goals ON historical_matches(home_goals_ht, away_goals_ht)`);
-    
-    console.log('📦 Database initialized with halftime support');
-});
+// Stessa interfaccia statica, risposte nel formato football-data.org v4:
+//   getCompetitions()                                        → { competitions }
+//   getMatches(competitionId, { season, status, dateFrom, dateTo }) → { matches }
+//   getTeams(competitionId, { season })                      → { teams }
+//   getTeam(teamId)                                          → team
+// DATA_PROVIDER=file rilegge le risposte registrate in DATA_PROVIDER_DIR (vedi scripts/record-fixtures.js)
+const DATA_PROVIDER_CONFIG = {
+    provider: process.env.DATA_PROVIDER || 'football-data',
+    fixturesDir: path.resolve(process.env.DATA_PROVIDER_DIR || path.join(__dirname, 'fixtures', 'football-data'))
+};
+
+class FootballDataProvider {
+
+    static isConfigured() {
+        return Boolean(process.env.FOOTBALL_DATA_API_KEY);
+    }
+
+    static async request(endpoint, params = {}) {
+        const response = await rateLimitedCall(async () => {
+            return await axios.get(`${API_CONFIG.baseUrl}${endpoint}`, {
+                headers: API_CONFIG.headers,
+                params: Object.fromEntries(Object.entries(params).filter(([, v]) => v !== null && v !== undefined)),
+                timeout: 20000
+            });
+        });
+        return response.data;
+    }
+
+    static async getCompetitions() {
+        return this.request('/competitions');
+    }
+
+    static async getMatches(competitionId, filters = {}) {
+        return this.request(`/competitions/${competitionId}/matches`, filters);
+    }
+
+    static async getTeams(competitionId, filters = {}) {
+        return this.request(`/competitions/${competitionId}/teams`, filters);
+    }
+
+    static async getTeam(teamId) {
+        return this.request(`/teams/${teamId}`);
+    }
+}
+
+// Struttura della cartella (stessi file scritti da scripts/record-fixtures.js):
+//   competitions.json, competitions/<id>/matches-<season>.json, competitions/<id>/teams-<season>.json, teams/<id>.json
+class FileDataProvider {
+
+    static isConfigured() {
+        return fs.existsSync(DATA_PROVIDER_CONFIG.fixturesDir);
+    }
+
+    static readJson(...parts) {
+        const file = path.join(DATA_PROVIDER_CONFIG.fixturesDir, ...parts);
+        return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null;
+    }
+
+    // Stagioni registrate per competizione e tipo di file, dalla più recente
+    static seasons(competitionId, kind) {
+        const dir = path.join(DATA_PROVIDER_CONFIG.fixturesDir, 'competitions', String(competitionId));
+        if (!fs.existsSync(dir)) {
+            const error = new Error(`No recorded fixtures for competition ${competitionId} in ${DATA_PROVIDER_CONFIG.fixturesDir}`);
+            error.response = { status: 404 };
+            throw error;
+        }
+        return fs.readdirSync(dir)
+            .map(file => file.match(new RegExp(`^${kind}-(\\d{4})\\.json$`)))
+            .filter(Boolean)
+            .map(m => parseInt(m[1]))
+            .sort((a, b) => b - a);
+    }
+
+    static async getCompetitions() {
+        return this.readJson('competitions.json') || { count: 0, competitions: [] };
+    }
+
+    static async getMatches(competitionId, filters = {}) {
+        const seasons = filters.season ? [parseInt(filters.season)] : this.seasons(competitionId, 'matches');
+        const statuses = filters.status ? String(filters.status).split(',') : null;
+
+        const recorded = seasons.map(season => this.readJson('competitions', String(competitionId), `matches-${season}.json`));
+        const matches = recorded
+            .flatMap(data => data?.matches || [])
+            .filter(m => !statuses || statuses.includes(m.status))
+            .filter(m => !filters.dateFrom || m.utcDate.slice(0, 10) >= filters.dateFrom)
+            .filter(m => !filters.dateTo || m.utcDate.slice(0, 10) <= filters.dateTo)
+            .sort((a, b) => a.utcDate.localeCompare(b.utcDate));
+
+        return {
+            filters: { ...filters },
+            resultSet: { count: matches.length },
+            competition: recorded.find(Boolean)?.competition || { id: competitionId },
+            matches
+        };
+    }
+
+    // Squadre dal file registrato o, se manca, ricavate dalle partite della stagione
+    static async getTeams(competitionId, filters = {}) {
+        const season = filters.season ? parseInt(filters.season) : this.seasons(competitionId, 'matches')[0];
+        const recorded = this.readJson('competitions', String(competitionId), `teams-${season}.json`);
+        if (recorded) return recorded;
+
+        const { matches } = await this.getMatches(competitionId, { season });
+        const teams = new Map();
+        matches.forEach(m => [m.homeTeam, m.awayTeam].forEach(t => teams.set(t.id, t)));
+        return { count: teams.size, season: { startDate: `${season}` }, teams: [...teams.values()] };
+    }
+
+    static async getTeam(teamId) {
+        const recorded = this.readJson('teams', `${teamId}.json`);
+        if (recorded) return recorded;
+
+        const error = new Error(`No recorded fixture for team ${teamId}`);
+        error.response = { status: 404 };
+        throw error;
+    }
+}
+
+const DATA_PROVIDERS = {
+    'football-data': FootballDataProvider,
+    file: FileDataProvider
+};
+
+const dataProvider = DATA_PROVIDERS[DATA_PROVIDER_CONFIG.provider];
+if (!dataProvider) {
+    throw new Error(`Unknown DATA_PROVIDER "${DATA_PROVIDER_CONFIG.provider}" (available: ${Object.keys(DATA_PROVIDERS).join(', ')})`);
+}
+
+// ===========================================
+// DATABASE E MIGRAZIONI DELLO SCHEMA
+// ===========================================
+const DB_PATH = process.env.DB_PATH || './football_final.db';     // ':memory:' per i test
+const DB_BUSY_TIMEOUT = 15000;
+const db = new sqlite3.Database(DB_PATH);
+// Con un'altra connessione in scrittura (TeamRegistry.merge) si attende il lock invece di fallire con SQLITE_BUSY
+db.configure('busyTimeout', DB_BUSY_TIMEOUT);
+
+// Scritture in transazione sulla connessione condivisa: una alla volta. Due BEGIN sulla stessa
+// connessione non si annidano: il secondo fallisce e i suoi INSERT/COMMIT finirebbero nella
+// transazione dell'altro chiamante
+let writeQueue = Promise.resolve();
+
+class WriteQueue {
+
+    // task parte dopo le scritture già in coda; un errore non blocca quelle successive
+    static enqueue(task) {
+        const result = writeQueue.then(task);
+        writeQueue = result.catch(() => {});
+        return result;
+    }
+
+    // BEGIN, istruzioni di write(check) in serie, COMMIT. check va passato come callback alle
+    // istruzioni: al primo errore la transazione viene annullata. Se BEGIN fallisce non parte nulla.
+    // Da chiamare dentro enqueue
+    static transaction(write) {
+        return new Promise((resolve, reject) => {
+            db.run('BEGIN TRANSACTION', (beginErr) => {
+                if (beginErr) return reject(beginErr);
+
+                let failed = null;
+                const check = (err) => { failed = failed || err; };
+                db.serialize(() => {
+                    write(check);
+                    db.get('SELECT 1', () => {
+                        if (failed) return db.run('ROLLBACK', () => reject(failed));
+                        db.run('COMMIT', (err) => err ? db.run('ROLLBACK', () => reject(err)) : resolve());
+                    });
+                });
+            });
+        });
+    }
+}
+
+// File migrations/NNN_descrizione.js con { up(db), down(db) }, applicati in ordine numerico
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+class SchemaMigrator {
+
+    // Interfaccia a promise passata alle migrazioni
+    static get connection() {
+        return {
+            run: (sql, params = []) => new Promise((resolve, reject) => {
+                db.run(sql, params, function(err) {
+                    if (err) reject(err);
+                    else resolve(this.changes);
+                });
+            }),
+            all: (sql, params = []) => new Promise((resolve, reject) => {
+                db.all(sql, params, (err, rows) => err ? reject(err) : resolve(rows || []));
+            }),
+            get: (sql, params = []) => new Promise((resolve, reject) => {
+                db.get(sql, params, (err, row) => err ? reject(err) : resolve(row));
+            })
+        };
+    }
+
+    static list() {
+        const migrations = fs.readdirSync(MIGRATIONS_DIR)
+            .map(file => file.match(/^(\d+)_(.+)\.js$/))
+            .filter(Boolean)
+            .map(([file, version, name]) => ({ version: parseInt(version), name, file }))
+            .sort((a, b) => a.version - b.version);
+
+        migrations.forEach((m, i) => {
+            if (i > 0 && migrations[i - 1].version === m.version) {
+                throw new Error(`Duplicate migration version ${m.version}: ${migrations[i - 1].file}, ${m.file}`);
+            }
+        });
+        return migrations;
+    }
+
+    static async getApplied() {
+        const conn = this.connection;
+        await conn.run(`CREATE TABLE IF NOT EXISTS schema_version (
+            version INTEGER PRIMARY KEY,
+            name TEXT NOT NULL,
+            applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )`);
+        return conn.all(`SELECT version, name, applied_at FROM schema_version ORDER BY version`);
+    }
+
+    static async status() {
+        const migrations = this.list();
+        const applied = await this.getApplied();
+        const appliedVersions = new Set(applied.map(a => a.version));
+
+        return {
+            current: applied.length ? applied[applied.length - 1].version : 0,
+            latest: migrations.length ? migrations[migrations.length - 1].version : 0,
+            applied,
+            pending: migrations.filter(m => !appliedVersions.has(m.version)),
+            unknown: applied.filter(a => !migrations.some(m => m.version === a.version))
+        };
+    }
+
+    // Ogni migrazione gira in una transazione insieme alla riga di schema_version
+    static async runStep(migration, direction) {
+        const conn = this.connection;
+        const definition = require(path.join(MIGRATIONS_DIR, migration.file));
+
+        await conn.run('BEGIN TRANSACTION');
+        try {
+            await definition[direction](conn);
+            if (direction === 'up') {
+                await conn.run(`INSERT INTO schema_version (version, name) VALUES (?, ?)`, [migration.version, migration.name]);
+            } else {
+                await conn.run(`DELETE FROM schema_version WHERE version = ?`, [migration.version]);
+            }
+            await conn.run('COMMIT');
+        } catch (err) {
+            await conn.run('ROLLBACK').catch(() => {});
+            throw new Error(`Migration ${migration.file} (${direction}) failed: ${err.message}`);
+        }
+    }
+
+    // Applica le migrazioni mancanti fino a target (default: l'ultima)
+    static async migrate(target = null) {
+        const { pending } = await this.status();
+        const steps = pending.filter(m => target === null || m.version <= target);
+        for (const migration of steps) {
+            await this.runStep(migration, 'up');
+            console.log(`⬆️  ${migration.file}`);
+        }
+        return steps;
+    }
+
+    // Annulla le migrazioni applicate sopra target, dalla più recente
+    static async rollback(target) {
+        const migrations = this.list();
+        const { applied } = await this.status();
+        const steps = applied
+            .filter(a => a.version > target)
+            .reverse()
+            .map(a => {
+                const migration = migrations.find(m => m.version === a.version);
+                if (!migration) throw new Error(`Migration file for version ${a.version} (${a.name}) not found`);
+                return migration;
+            });
+        for (const migration of steps) {
+            await this.runStep(migration, 'down');
+            console.log(`⬇️  ${migration.file}`);
+        }
+        return steps;
+    }
+
+    // Server e import non partono su un DB non aggiornato (o più recente del codice)
+    static async assertCurrent() {
+        const status = await this.status();
+        if (status.pending.length > 0) {
+            throw new Error(`Database schema is at version ${status.current}, ${status.latest} required ` +
+                `(${status.pending.length} pending migration(s)): run "npm run db:migrate"`);
+        }
+        if (status.unknown.length > 0) {
+            throw new Error(`Database schema version ${status.current} is newer than this code (latest migration ${status.latest})`);
+        }
+        return status;
+    }
+}
 
 // Cache helper
 const cache = {
@@ -125,14 +379,15 @@ class HistoricalManager {
             return false;
         }
         
-        // Estrai dati primo tempo (se disponibili)
-        const halfTimeScore = match.score?.halfTime || { home: 0, away: 0 };
-        const htHome = halfTimeScore.home !== null ? halfTimeScore.home : 0;
-        const htAway = halfTimeScore.away !== null ? halfTimeScore.away : 0;
+        // Dati primo tempo: NULL se la fonte non li riporta (non 0-0, falserebbe le statistiche HT)
+        const halfTimeScore = match.score?.halfTime;
+        const hasHalfTime = Number.isInteger(halfTimeScore?.home) && Number.isInteger(halfTimeScore?.away);
+        const htHome = hasHalfTime ? halfTimeScore.home : null;
+        const htAway = hasHalfTime ? halfTimeScore.away : null;
         
         return new Promise((resolve) => {
             const ftResult = this.getMatchResult(match.score.fullTime);
-            const htResult = this.getMatchResult({ home: htHome, away: htAway });
+            const htResult = hasHalfTime ? this.getMatchResult({ home: htHome, away: htAway }) : null;
             
             db.run(`
                 INSERT OR REPLACE INTO historical_matches 
@@ -164,30 +419,53 @@ class HistoricalManager {
                     console.error('Save error:', err.message);
                     resolve(false);
                 } else {
+                    TeamRegistry.register(match.homeTeam.id, match.homeTeam.name, 'football-data');
+                    TeamRegistry.register(match.awayTeam.id, match.awayTeam.name, 'football-data');
+
+                    // Aggiorna i rating Elo e regola le previsioni salvate col nuovo risultato
+                    if (match.status === 'FINISHED') {
+                        PredictionStore.settleMatch(match.id, {
+                            fullTime: match.score.fullTime,
+                            halfTime: hasHalfTime ? { home: htHome, away: htAway } : null
+                        }).catch(err => console.error('❌ Prediction settlement failed:', err.message));
+
+                        EloRatings.applyMatch({
+                            id: match.id,
+                            match_date: match.utcDate,
+                            competition_id: competitionId,
+                            home_team_id: match.homeTeam.id,
+                            away_team_id: match.awayTeam.id,
+                            home_team_name: match.homeTeam.name,
+                            away_team_name: match.awayTeam.name,
+                            home_goals: match.score.fullTime.home,
+                            away_goals: match.score.fullTime.away
+                        });
+                    }
                     resolve(true);
                 }
             });
         });
     }
     
-    // Ottieni H2H con dati primo tempo
-    static async getH2HWithHalftime(team1Id, team2Id, years = 5) {
-        const cutoff = new Date();
+    // Ottieni H2H con dati primo tempo (asOf: solo partite precedenti a quella data, per i backtest)
+    static async getH2HWithHalftime(team1Id, team2Id, years = 5, asOf = null, limit = 15) {
+        const cutoff = asOf ? new Date(asOf) : new Date();
         cutoff.setFullYear(cutoff.getFullYear() - years);
         
         return new Promise((resolve) => {
             db.all(`
                 SELECT 
                     *,
-                    (total_goals - COALESCE(total_goals_ht, 0)) as second_half_goals,
-                    (home_goals - COALESCE(home_goals_ht, 0)) as home_goals_2h,
-                    (away_goals - COALESCE(away_goals_ht, 0)) as away_goals_2h
+                    (total_goals - total_goals_ht) as second_half_goals,
+                    (home_goals - home_goals_ht) as home_goals_2h,
+                    (away_goals - away_goals_ht) as away_goals_2h
                 FROM historical_matches 
                 WHERE ((home_team_id = ? AND away_team_id = ?) OR (home_team_id = ? AND away_team_id = ?))
                 AND match_date >= ?
+                AND match_date < ?
                 ORDER BY match_date DESC
-                LIMIT 15
-            `, [team1Id, team2Id, team2Id, team1Id, cutoff.toISOString()], (err, rows) => {
+                LIMIT ?
+            `, [team1Id, team2Id, team2Id, team1Id, cutoff.toISOString(), asOf || '9999-12-31', limit], (err, rows) => {
                 resolve(err ? [] : rows || []);
             });
         });
@@ -198,22 +476,29 @@ class HistoricalManager {
         return this.getH2HWithHalftime(team1Id, team2Id, years);
     }
     
-    static async getTeamForm(teamId, competitionId, limit = 5) {
+    // venue: 'home' solo partite in casa, 'away' solo in trasferta, null tutte
+    static async getTeamForm(teamId, competitionId, limit = 5, asOf = null, venue = null) {
+        const teamFilter = venue === 'home' ? 'home_team_id = ?'
+            : venue === 'away' ? 'away_team_id = ?'
+            : '(home_team_id = ? OR away_team_id = ?)';
+        const teamParams = venue ? [teamId] : [teamId, teamId];
+        
         return new Promise((resolve) => {
             db.all(`
                 SELECT * FROM historical_matches 
-                WHERE (home_team_id = ? OR away_team_id = ?) 
+                WHERE ${teamFilter}
                 AND competition_id = ?
+                AND match_date < ?
                 ORDER BY match_date DESC
                 LIMIT ?
-            `, [teamId, teamId, competitionId, limit], (err, rows) => {
+            `, [...teamParams, competitionId, asOf || '9999-12-31', limit], (err, rows) => {
                 resolve(err ? [] : rows || []);
             });
         });
     }
     
-    static async getTeamStats(teamId, competitionId, seasons = 2) {
-        const currentYear = new Date().getFullYear();
+    static async getTeamStats(teamId, competitionId, seasons = 2, asOf = null) {
+        const currentYear = (asOf ? new Date(asOf) : new Date()).getFullYear();
         const startYear = currentYear - seasons;
         
         return new Promise((resolve) => {
@@ -229,21 +514,42 @@ class HistoricalManager {
                     AVG(CASE WHEN home_team_id = ? THEN away_goals ELSE home_goals END) as avg_goals_against,
                     AVG(total_goals) as avg_total_goals,
                     
-                    -- Statistiche primo tempo
-                    AVG(CASE WHEN home_team_id = ? THEN COALESCE(home_goals_ht, 0) ELSE COALESCE(away_goals_ht, 0) END) as avg_goals_for_ht,
-                    AVG(COALESCE(total_goals_ht, 0)) as avg_total_goals_ht,
-                    SUM(CASE WHEN COALESCE(home_goals_ht, 0) > 0 AND COALESCE(away_goals_ht, 0) > 0 THEN 1 ELSE 0 END) * 100.0 / COUNT(*) as btts_ht_pct
+                    -- Statistiche primo tempo (solo partite con parziale: AVG ignora i NULL)
+                    COUNT(total_goals_ht) as matches_with_ht,
+                    AVG(CASE WHEN home_team_id = ? THEN home_goals_ht ELSE away_goals_ht END) as avg_goals_for_ht,
+                    AVG(total_goals_ht) as avg_total_goals_ht,
+                    SUM(CASE WHEN home_goals_ht > 0 AND away_goals_ht > 0 THEN 1 ELSE 0 END) * 100.0 / NULLIF(COUNT(total_goals_ht), 0) as btts_ht_pct
                     
                 FROM historical_matches 
                 WHERE (home_team_id = ? OR away_team_id = ?) 
                 AND competition_id = ? 
                 AND season >= ?
-            `, [teamId, teamId, teamId, teamId, teamId, teamId, teamId, competitionId, startYear], (err, row) => {
+                AND match_date < ?
+            `, [teamId, teamId, teamId, teamId, teamId, teamId, teamId, competitionId, startYear, asOf || '9999-12-31'], (err, row) => {
                 resolve(err ? null : row);
             });
         });
     }
-    
+
+    // Tutte le partite di una competizione (ordine cronologico) per il fit del modello gol
+    static async getCompetitionMatches(competitionId, seasons = 3, asOf = null) {
+        const until = asOf || '9999-12-31';
+        return new Promise((resolve) => {
+            db.all(`
+                SELECT * FROM historical_matches
+                WHERE competition_id = ?
+                AND status = 'FINISHED'
+                AND match_date < ?
+                AND season > (
+                    SELECT MAX(season) FROM historical_matches WHERE competition_id = ? AND match_date < ?
+                ) - ?
+                ORDER BY match_date ASC
+            `, [competitionId, until, competitionId, until, seasons], (err, rows) => {
+                resolve(err ? [] : rows || []);
+            });
+        });
+    }
+
     static getMatchResult(score) {
         if (score.home > score.away) return 'home';
         if (score.away > score.home) return 'away';
@@ -252,636 +558,4886 @@ class HistoricalManager {
 }
 
 // ===========================================
-// SMART CALCULATOR ESTESO
+// IDENTITÀ SQUADRE E ALIAS
 // ===========================================
-// SmartCalculator AGGIORNATO - Versione completa con tutti gli Over/Under
-class SmartCalculator {
-    
-    static async calculateProbabilities(homeId, awayId, competitionId) {
-        console.log(`🧮 Calculating enhanced probabilities for ${homeId} vs ${awayId}`);
-        
-        // Ottieni H2H con dati primo tempo
-        const h2h = await HistoricalManager.getH2HWithHalftime(homeId, awayId);
-        
-        if (h2h.length >= 3) {
-            console.log(`✅ Using H2H enhanced analysis (${h2h.length} matches)`);
-            return this.fromH2HEnhanced(h2h, homeId, awayId);
-        }
-        
-        // Fallback con statistiche squadre (MIGLIORATO)
-        console.log(`🔄 Using enhanced team stats fallback`);
-        const [homeStats, awayStats, homeForm, awayForm] = await Promise.all([
-            HistoricalManager.getTeamStats(homeId, competitionId),
-            HistoricalManager.getTeamStats(awayId, competitionId),
-            HistoricalManager.getTeamForm(homeId, competitionId, 5),
-            HistoricalManager.getTeamForm(awayId, competitionId, 5)
-        ]);
-        
-        if (homeForm?.length >= 3 && awayForm?.length >= 3) {
-            console.log(`📊 Using recent form analysis (${homeForm.length} + ${awayForm.length} matches)`);
-            return this.fromRecentForm(homeForm, awayForm, homeId, awayId);
-        }
-        
-        // Fallback generico
-        console.log(`⚠️ Using enhanced generic fallback`);
-        return this.getEnhancedGenericProbabilities();
+// Id canonico per squadra (football-data.org quando disponibile) e tutti i nomi con cui compare nelle fonti
+const TEAM_MATCH_CONFIG = {
+    suggestionThreshold: 0.6,   // Somiglianza minima per proporre un abbinamento
+    suggestionLimit: 5
+};
+
+// Parole che non identificano la squadra ("FC", "Clube de", ...)
+const TEAM_NAME_NOISE = new Set(['fc', 'cf', 'sc', 'ac', 'afc', 'cd', 'ud', 'sd', 'club', 'clube', 'de', 'da', 'do', 'e', 'the', 'of', 'y']);
+const TEAM_NAME_CONNECTORS = new Set(['de', 'da', 'do', 'e', 'the', 'of', 'y']);
+
+class TeamRegistry {
+
+    // Id stabile derivato dal nome per squadre senza id della fonte (stesso schema degli import openfootball)
+    static generateId(name) {
+        return parseInt(crypto.createHash('md5').update(name).digest('hex').slice(0, 8), 16);
     }
-    
-    // NUOVO: Calcolo H2H completo con tutte le soglie Over/Under
-    static fromH2HEnhanced(matches, currentHomeId, currentAwayId) {
-        const total = matches.length;
-        
-        // Contatori risultato finale
-        let ftHomeWins = 0, ftAwayWins = 0, ftDraws = 0;
-        let ftTotalGoals = 0, ftBtts = 0;
-        
-        // Contatori primo tempo  
-        let htHomeWins = 0, htAwayWins = 0, htDraws = 0;
-        let htTotalGoals = 0, htBtts = 0;
-        
-        // NUOVO: Contatori secondo tempo (anche per risultati!)
-        let shHomeWins = 0, shAwayWins = 0, shDraws = 0; // <-- AGGIUNTO
-        let shTotalGoals = 0, shBtts = 0;
-        
-        // Contatori per tutte le soglie Over/Under
-        const overCounters = {
-            ft: { over05: 0, over15: 0, over25: 0, over35: 0 },
-            ht: { over05: 0, over15: 0, over25: 0, over35: 0 },
-            sh: { over05: 0, over15: 0, over25: 0, over35: 0 }
-        };
-        
-        matches.forEach(match => {
-            // === DATI FINALE ===
-            const ftGoals = match.total_goals;
-            ftTotalGoals += ftGoals;
-            if (match.home_goals > 0 && match.away_goals > 0) ftBtts++;
-            
-            // Over/Under finale
-            if (ftGoals > 0.5) overCounters.ft.over05++;
-            if (ftGoals > 1.5) overCounters.ft.over15++;
-            if (ftGoals > 2.5) overCounters.ft.over25++;
-            if (ftGoals > 3.5) overCounters.ft.over35++;
-            
-            // === DATI PRIMO TEMPO ===
-            const htGoalsHome = match.home_goals_ht || 0;
-            const htGoalsAway = match.away_goals_ht || 0;
-            const htGoals = htGoalsHome + htGoalsAway;
-            
-            htTotalGoals += htGoals;
-            if (htGoalsHome > 0 && htGoalsAway > 0) htBtts++;
-            
-            // Over/Under primo tempo
-            if (htGoals > 0.5) overCounters.ht.over05++;
-            if (htGoals > 1.5) overCounters.ht.over15++;
-            if (htGoals > 2.5) overCounters.ht.over25++;
-            if (htGoals > 3.5) overCounters.ht.over35++;
-            
-            // === DATI SECONDO TEMPO ===
-            const shGoalsHome = Math.max(0, match.home_goals - htGoalsHome);
-            const shGoalsAway = Math.max(0, match.away_goals - htGoalsAway);
-            const shGoals = shGoalsHome + shGoalsAway;
-            
-            shTotalGoals += shGoals;
-            if (shGoalsHome > 0 && shGoalsAway > 0) shBtts++;
-            
-            // Over/Under secondo tempo
-            if (shGoals > 0.5) overCounters.sh.over05++;
-            if (shGoals > 1.5) overCounters.sh.over15++;
-            if (shGoals > 2.5) overCounters.sh.over25++;
-            if (shGoals > 3.5) overCounters.sh.over35++;
-            
-            // === RISULTATI ===
-            // Risultati finale
-            if (match.match_result === 'draw') {
-                ftDraws++;
-            } else if (
-                (match.match_result === 'home' && match.home_team_id === currentHomeId) ||
-                (match.match_result === 'away' && match.away_team_id === currentHomeId)
-            ) {
-                ftHomeWins++;
-            } else {
-                ftAwayWins++;
-            }
-            
-            // Risultati primo tempo
-            const htResult = this.getMatchResult({ home: htGoalsHome, away: htGoalsAway });
-            if (htResult === 'draw') {
-                htDraws++;
-            } else if (
-                (htResult === 'home' && match.home_team_id === currentHomeId) ||
-                (htResult === 'away' && match.away_team_id === currentHomeId)
-            ) {
-                htHomeWins++;
-            } else {
-                htAwayWins++;
-            }
-            
-            // NUOVO: Risultati secondo tempo 
-            const shResult = this.getMatchResult({ home: shGoalsHome, away: shGoalsAway });
-            if (shResult === 'draw') {
-                shDraws++;
-            } else if (
-                (shResult === 'home' && match.home_team_id === currentHomeId) ||
-                (shResult === 'away' && match.away_team_id === currentHomeId)
-            ) {
-                shHomeWins++;
-            } else {
-                shAwayWins++;
+
+    static tokens(name) {
+        return String(name || '')
+            .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, ' ')
+            .trim()
+            .split(' ')
+            .filter(Boolean);
+    }
+
+    // Sigle espanse sulle parole dell'altro nome: "SL" → "Sport Lisboa", "CP" → "Clube de Portugal"
+    // (non "FC", "SC", ...: troppo comuni, farebbero combaciare squadre diverse)
+    static expandAcronyms(tokens, other) {
+        const words = other.filter(t => !TEAM_NAME_CONNECTORS.has(t));
+        return tokens.flatMap(t => {
+            if (t.length < 2 || t.length > 4 || TEAM_NAME_NOISE.has(t) || other.includes(t)) return [t];
+            for (let i = 0; i + t.length <= words.length; i++) {
+                const run = words.slice(i, i + t.length);
+                if (run.every(w => w.length >= 3) && run.map(w => w[0]).join('') === t) return run;
             }
+            return [t];
         });
-        
-        // Calcola probabilità con vantaggio casa
-        let ftHomeProb = (ftHomeWins / total) * 1.15;
-        let ftDrawProb = ftDraws / total;
-        let ftAwayProb = ftAwayWins / total;
-        const ftSum = ftHomeProb + ftDrawProb + ftAwayProb;
-        
-        let htHomeProb = (htHomeWins / total) * 1.08;
-        let htDrawProb = htDraws / total;
-        let htAwayProb = htAwayWins / total;
-        const htSum = htHomeProb + htDrawProb + htAwayProb;
-        
-        // NUOVO: Calcola probabilità secondo tempo (vantaggio casa minimo)
-        let shHomeProb = (shHomeWins / total) * 1.05; // Vantaggio casa minimo nel 2T
-        let shDrawProb = shDraws / total;
-        let shAwayProb = shAwayWins / total;
-        const shSum = shHomeProb + shDrawProb + shAwayProb;
-        
-        return {
-            // FORMATO COMPLETO CON TUTTE LE SOGLIE
-            fullTime: {
-                '1X2': {
-                    home: ((ftHomeProb / ftSum) * 100).toFixed(1),
-                    draw: ((ftDrawProb / ftSum) * 100).toFixed(1),
-                    away: ((ftAwayProb / ftSum) * 100).toFixed(1)
-                },
-                goals: {
-                    expectedTotal: (ftTotalGoals / total).toFixed(2),
-                    over05: ((overCounters.ft.over05 / total) * 100).toFixed(1),
-                    under05: (((total - overCounters.ft.over05) / total) * 100).toFixed(1),
-                    over15: ((overCounters.ft.over15 / total) * 100).toFixed(1),
-                    under15: (((total - overCounters.ft.over15) / total) * 100).toFixed(1),
-                    over25: ((overCounters.ft.over25 / total) * 100).toFixed(1),
-                    under25: (((total - overCounters.ft.over25) / total) * 100).toFixed(1),
-                    over35: ((overCounters.ft.over35 / total) * 100).toFixed(1),
-                    under35: (((total - overCounters.ft.over35) / total) * 100).toFixed(1)
-                },
-                btts: {
-                    btts_yes: ((ftBtts / total) * 100).toFixed(1),
-                    btts_no: (((total - ftBtts) / total) * 100).toFixed(1)
-                }
-            },
-            halfTime: {
-                '1X2': {
-                    home: ((htHomeProb / htSum) * 100).toFixed(1),
-                    draw: ((htDrawProb / htSum) * 100).toFixed(1),
-                    away: ((htAwayProb / htSum) * 100).toFixed(1)
-                },
-                goals: {
-                    expectedTotal: (htTotalGoals / total).toFixed(2),
-                    over05: ((overCounters.ht.over05 / total) * 100).toFixed(1),
-                    under05: (((total - overCounters.ht.over05) / total) * 100).toFixed(1),
-                    over15: ((overCounters.ht.over15 / total) * 100).toFixed(1),
-                    under15: (((total - overCounters.ht.over15) / total) * 100).toFixed(1),
-                    over25: ((overCounters.ht.over25 / total) * 100).toFixed(1),
-                    under25: (((total - overCounters.ht.over25) / total) * 100).toFixed(1),
-                    over35: ((overCounters.ht.over35 / total) * 100).toFixed(1),
-                    under35: (((total - overCounters.ht.over35) / total) * 100).toFixed(1)
-                },
-                btts: {
-                    btts_yes: ((htBtts / total) * 100).toFixed(1),
-                    btts_no: (((total - htBtts) / total) * 100).toFixed(1)
-                }
-            },
-            // NUOVO: Aggiunto 1X2 per secondo tempo
-            secondHalf: {
-                '1X2': {
-                    home: ((shHomeProb / shSum) * 100).toFixed(1),
-                    draw: ((shDrawProb / shSum) * 100).toFixed(1),
-                    away: ((shAwayProb / shSum) * 100).toFixed(1)
-                },
-                goals: {
-                    expectedTotal: (shTotalGoals / total).toFixed(2),
-                    over05: ((overCounters.sh.over05 / total) * 100).toFixed(1),
-                    under05: (((total - overCounters.sh.over05) / total) * 100).toFixed(1),
-                    over15: ((overCounters.sh.over15 / total) * 100).toFixed(1),
-                    under15: (((total - overCounters.sh.over15) / total) * 100).toFixed(1),
-                    over25: ((overCounters.sh.over25 / total) * 100).toFixed(1),
-                    under25: (((total - overCounters.sh.over25) / total) * 100).toFixed(1),
-                    over35: ((overCounters.sh.over35 / total) * 100).toFixed(1),
-                    under35: (((total - overCounters.sh.over35) / total) * 100).toFixed(1)
-                },
-                btts: {
-                    btts_yes: ((shBtts / total) * 100).toFixed(1),
-                    btts_no: (((total - shBtts) / total) * 100).toFixed(1)
-                }
-            },
-            h2hData: {
-                matches: matches.map(m => ({
-                    date: m.match_date,
-                    homeTeamName: m.home_team_name,
-                    awayTeamName: m.away_team_name,
-                    scoreHT: `${m.home_goals_ht || 0}-${m.away_goals_ht || 0}`,
-                    scoreFT: `${m.home_goals}-${m.away_goals}`,
-                    totalGoalsHT: m.total_goals_ht || 0,
-                    totalGoalsFT: m.total_goals,
-                    totalGoals2H: Math.max(0, m.total_goals - (m.total_goals_ht || 0)),
-                    isBTTS_HT: (m.home_goals_ht || 0) > 0 && (m.away_goals_ht || 0) > 0,
-                    isBTTS_FT: m.home_goals > 0 && m.away_goals > 0,
-                    isBTTS_2H: (m.home_goals - (m.home_goals_ht || 0)) > 0 && (m.away_goals - (m.away_goals_ht || 0)) > 0
-                })).slice(0, 8),
-                summary: {
-                    totalMatches: total,
-                    avgGoalsHT: (htTotalGoals / total).toFixed(2),
-                    avgGoalsFT: (ftTotalGoals / total).toFixed(2),
-                    avgGoals2H: (shTotalGoals / total).toFixed(2),
-                    // Aggiungi tutte le percentuali
-                    over05HT_pct: ((overCounters.ht.over05 / total) * 100).toFixed(1),
-                    over15HT_pct: ((overCounters.ht.over15 / total) * 100).toFixed(1),
-                    over25HT_pct: ((overCounters.ht.over25 / total) * 100).toFixed(1),
-                    over35HT_pct: ((overCounters.ht.over35 / total) * 100).toFixed(1),
-                    over05FT_pct: ((overCounters.ft.over05 / total) * 100).toFixed(1),
-                    over15FT_pct: ((overCounters.ft.over15 / total) * 100).toFixed(1),
-                    over25FT_pct: ((overCounters.ft.over25 / total) * 100).toFixed(1),
-                    over35FT_pct: ((overCounters.ft.over35 / total) * 100).toFixed(1),
-                    over052H_pct: ((overCounters.sh.over05 / total) * 100).toFixed(1),
-                    over152H_pct: ((overCounters.sh.over15 / total) * 100).toFixed(1),
-                    over252H_pct: ((overCounters.sh.over25 / total) * 100).toFixed(1),
-                    over352H_pct: ((overCounters.sh.over35 / total) * 100).toFixed(1),
-                    bttsHT_pct: ((htBtts / total) * 100).toFixed(1),
-                    bttsFT_pct: ((ftBtts / total) * 100).toFixed(1),
-                    btts2H_pct: ((shBtts / total) * 100).toFixed(1),
-                    homeWinsFT: ftHomeWins,
-                    awayWinsFT: ftAwayWins,
-                    drawsFT: ftDraws,
-                    homeWinsHT: htHomeWins,
-                    awayWinsHT: htAwayWins,
-                    drawsHT: htDraws,
-                    // NUOVO: Aggiungi risultati secondo tempo
-                    homeWins2H: shHomeWins,
-                    awayWins2H: shAwayWins,
-                    draws2H: shDraws
-                }
-            },
-            confidence: Math.min(90, 55 + (total * 4)),
-            dataSource: 'h2h_enhanced_database'
-        };
     }
-    
-    // NUOVO: Fallback basato su forma recente (ultimi 5 match di ogni squadra)
-    static fromRecentForm(homeMatches, awayMatches, currentHomeId, currentAwayId) {
-        console.log(`📊 Analyzing recent form: Home(${homeMatches.length}) vs Away(${awayMatches.length})`);
-        
-        // Analizza forma casa
-        const homeAnalysis = this.analyzeTeamMatches(homeMatches, currentHomeId, true);
-        const awayAnalysis = this.analyzeTeamMatches(awayMatches, currentAwayId, false);
-        
-        // Combina le analisi per prevedere il match
-        const expectedHomeGoals = homeAnalysis.avgGoalsFor * 1.1; // Vantaggio casa
-        const expectedAwayGoals = awayAnalysis.avgGoalsFor * 0.95;
-        const expectedTotal = expectedHomeGoals + expectedAwayGoals;
-        
-        // Calcola probabilità risultato
-        const homeWinProb = Math.max(0.15, homeAnalysis.winRate * 1.2);
-        const awayWinProb = Math.max(0.15, awayAnalysis.winRate * 0.9);
-        const drawProb = Math.max(0.2, 0.35 - (homeWinProb + awayWinProb) * 0.5);
-        
-        const total1X2 = homeWinProb + drawProb + awayWinProb;
-        
-        return {
-            fullTime: {
-                '1X2': {
-                    home: ((homeWinProb / total1X2) * 100).toFixed(1),
-                    draw: ((drawProb / total1X2) * 100).toFixed(1),
-                    away: ((awayWinProb / total1X2) * 100).toFixed(1)
-                },
-                goals: this.calculateOverUnderFromExpected(expectedTotal, 'fullTime'),
-                btts: {
-                    btts_yes: this.calculateBTTSProbability(homeAnalysis, awayAnalysis).toFixed(1),
-                    btts_no: (100 - this.calculateBTTSProbability(homeAnalysis, awayAnalysis)).toFixed(1)
-                }
-            },
-            halfTime: {
-                '1X2': {
-                    home: (((homeWinProb * 0.7) / (homeWinProb * 0.7 + drawProb * 1.3 + awayWinProb * 0.7)) * 100).toFixed(1),
-                    draw: (((drawProb * 1.3) / (homeWinProb * 0.7 + drawProb * 1.3 + awayWinProb * 0.7)) * 100).toFixed(1),
-                    away: (((awayWinProb * 0.7) / (homeWinProb * 0.7 + drawProb * 1.3 + awayWinProb * 0.7)) * 100).toFixed(1)
-                },
-                goals: this.calculateOverUnderFromExpected(expectedTotal * 0.45, 'halfTime'),
-                btts: {
-                    btts_yes: (this.calculateBTTSProbability(homeAnalysis, awayAnalysis) * 0.6).toFixed(1),
-                    btts_no: (100 - this.calculateBTTSProbability(homeAnalysis, awayAnalysis) * 0.6).toFixed(1)
-                }
-            },
-            // AGGIUNTO: Probabilità 1X2 per secondo tempo
-            secondHalf: {
-                '1X2': {
-                    home: (((homeWinProb * 0.8) / (homeWinProb * 0.8 + drawProb * 1.1 + awayWinProb * 0.85)) * 100).toFixed(1),
-                    draw: (((drawProb * 1.1) / (homeWinProb * 0.8 + drawProb * 1.1 + awayWinProb * 0.85)) * 100).toFixed(1),
-                    away: (((awayWinProb * 0.85) / (homeWinProb * 0.8 + drawProb * 1.1 + awayWinProb * 0.85)) * 100).toFixed(1)
-                },
-                goals: this.calculateOverUnderFromExpected(expectedTotal * 0.55, 'secondHalf'),
-                btts: {
-                    btts_yes: (this.calculateBTTSProbability(homeAnalysis, awayAnalysis) * 0.7).toFixed(1),
-                    btts_no: (100 - this.calculateBTTSProbability(homeAnalysis, awayAnalysis) * 0.7).toFixed(1)
-                }
-            },
-            h2hData: null,
-            confidence: 65,
-            dataSource: 'recent_form_analysis',
-            formBreakdown: {
-                home: {
-                    matches: homeMatches.length,
-                    winRate: (homeAnalysis.winRate * 100).toFixed(1) + '%',
-                    avgGoals: homeAnalysis.avgGoalsFor.toFixed(2),
-                    form: homeAnalysis.formString
-                },
-                away: {
-                    matches: awayMatches.length,
-                    winRate: (awayAnalysis.winRate * 100).toFixed(1) + '%',
-                    avgGoals: awayAnalysis.avgGoalsFor.toFixed(2),
-                    form: awayAnalysis.formString
-                }
+
+    static bigrams(text) {
+        const result = [];
+        for (let i = 0; i < text.length - 1; i++) result.push(text.slice(i, i + 2));
+        return result;
+    }
+
+    // Somiglianza 0-1: parole in comune (sul nome più corto) e coefficiente di Dice sui bigrammi
+    static similarity(a, b) {
+        const rawA = this.tokens(a);
+        const rawB = this.tokens(b);
+        const tokensA = this.expandAcronyms(rawA, rawB).filter(t => !TEAM_NAME_NOISE.has(t));
+        const tokensB = this.expandAcronyms(rawB, rawA).filter(t => !TEAM_NAME_NOISE.has(t));
+        if (tokensA.length === 0 || tokensB.length === 0) return 0;
+
+        // Parole uguali o una prefisso dell'altra ("Inter" / "Internazionale")
+        const sameWord = (x, y) => x === y || (Math.min(x.length, y.length) >= 4 && (x.startsWith(y) || y.startsWith(x)));
+        const uniqueA = [...new Set(tokensA)];
+        const uniqueB = [...new Set(tokensB)];
+        const shared = uniqueA.filter(t => uniqueB.some(u => sameWord(t, u))).length;
+        const containment = Math.min(1, shared / Math.min(uniqueA.length, uniqueB.length));
+
+        const bigramsA = this.bigrams(tokensA.join(''));
+        const bigramsB = this.bigrams(tokensB.join(''));
+        const pool = [...bigramsB];
+        let common = 0;
+        bigramsA.forEach(bg => {
+            const index = pool.indexOf(bg);
+            if (index >= 0) {
+                common++;
+                pool.splice(index, 1);
             }
-        };
+        });
+        const dice = bigramsA.length + bigramsB.length > 0 ? (2 * common) / (bigramsA.length + bigramsB.length) : 0;
+
+        return 0.6 * containment + 0.4 * dice;
     }
-    
-    // Helper per analizzare partite di una squadra
-    static analyzeTeamMatches(matches, teamId, isHome) {
-        let wins = 0, draws = 0, losses = 0;
-        let goalsFor = 0, goalsAgainst = 0, bttsCount = 0;
-        const formChars = [];
-        
-        matches.forEach(match => {
-            const isHomeInMatch = match.home_team_id === teamId;
-            const ourGoals = isHomeInMatch ? match.home_goals : match.away_goals;
-            const theirGoals = isHomeInMatch ? match.away_goals : match.home_goals;
-            
-            goalsFor += ourGoals;
-            goalsAgainst += theirGoals;
-            
-            if (ourGoals > 0 && theirGoals > 0) bttsCount++;
-            
-            if (ourGoals > theirGoals) {
-                wins++;
-                formChars.push('W');
-            } else if (ourGoals < theirGoals) {
-                losses++;
-                formChars.push('L');
-            } else {
-                draws++;
-                formChars.push('D');
+
+    // Registra squadra e alias se mancanti (source: 'football-data', 'openfootball', 'generated', ...)
+    static register(teamId, name, source) {
+        return new Promise((resolve) => {
+            db.serialize(() => {
+                db.run(`INSERT OR IGNORE INTO teams (id, name, source) VALUES (?, ?, ?)`, [teamId, name, source]);
+                db.run(`INSERT OR IGNORE INTO team_aliases (alias, team_id, source) VALUES (?, ?, ?)`,
+                    [name, teamId, source], () => resolve(teamId));
+            });
+        });
+    }
+
+    // Popola teams/team_aliases dai nomi già presenti in historical_matches (DB esistenti, import precedenti)
+    static async sync() {
+        const rows = await new Promise((resolve) => {
+            db.all(`
+                SELECT team_id, team_name, MAX(match_date) as last_seen FROM (
+                    SELECT home_team_id as team_id, home_team_name as team_name, match_date FROM historical_matches
+                    UNION ALL
+                    SELECT away_team_id, away_team_name, match_date FROM historical_matches
+                )
+                GROUP BY team_id, team_name
+                ORDER BY last_seen DESC
+            `, [], (err, rows) => resolve(err ? [] : rows || []));
+        });
+
+        // Id uguale all'hash di un suo nome → inventato dall'import, non della fonte
+        const generated = new Set(rows.filter(r => r.team_id === this.generateId(r.team_name)).map(r => r.team_id));
+        for (const r of rows) {
+            await this.register(r.team_id, r.team_name, generated.has(r.team_id) ? 'generated' : 'matches');
+        }
+        return rows.length;
+    }
+
+    // Id per nome esatto (senza distinzione maiuscole), null se il nome non è noto
+    static async resolve(name) {
+        return new Promise((resolve) => {
+            db.get(`SELECT team_id FROM team_aliases WHERE alias = ? COLLATE NOCASE`,
+                [name], (err, row) => resolve(row ? row.team_id : null));
+        });
+    }
+
+    static async getTeams() {
+        return new Promise((resolve) => {
+            db.all(`
+                SELECT t.id, t.name, t.source, GROUP_CONCAT(a.alias, '|') as aliases
+                FROM teams t
+                LEFT JOIN team_aliases a ON a.team_id = t.id
+                GROUP BY t.id
+            `, [], (err, rows) => resolve(err ? [] : (rows || []).map(r => ({
+                id: r.id, name: r.name, source: r.source, aliases: r.aliases ? r.aliases.split('|') : []
+            }))));
+        });
+    }
+
+    // Squadre candidate per un nome, ordinate per somiglianza con il migliore dei loro alias
+    static async suggest(name, { limit = TEAM_MATCH_CONFIG.suggestionLimit, excludeId = null, teams = null } = {}) {
+        const candidates = (teams || await this.getTeams())
+            .filter(t => t.id !== excludeId)
+            .map(t => {
+                const best = t.aliases.reduce((acc, alias) => {
+                    const score = this.similarity(name, alias);
+                    return score > acc.score ? { alias, score } : acc;
+                }, { alias: null, score: 0 });
+                return { teamId: t.id, name: t.name, source: t.source, matchedAlias: best.alias, score: best.score };
+            })
+            .filter(c => c.score >= TEAM_MATCH_CONFIG.suggestionThreshold)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit);
+
+        return candidates.map(c => ({ ...c, score: c.score.toFixed(2) }));
+    }
+
+    // Squadre con id inventato dall'import e i possibili duplicati con id della fonte
+    static async unmatched() {
+        const teams = await this.getTeams();
+        const generated = teams.filter(t => t.source === 'generated');
+        const results = [];
+        for (const team of generated) {
+            results.push({
+                teamId: team.id,
+                name: team.name,
+                aliases: team.aliases,
+                suggestions: await this.suggest(team.name, { excludeId: team.id, teams })
+            });
+        }
+        return results;
+    }
+
+    static async addAlias(alias, teamId) {
+        const team = await new Promise((resolve) => {
+            db.get(`SELECT id FROM teams WHERE id = ?`, [teamId], (err, row) => resolve(row));
+        });
+        if (!team) throw new Error(`Unknown team ${teamId}`);
+
+        return new Promise((resolve, reject) => {
+            db.run(`INSERT OR REPLACE INTO team_aliases (alias, team_id, source) VALUES (?, ?, 'manual')`,
+                [alias.trim(), teamId], (err) => err ? reject(err) : resolve({ alias: alias.trim(), teamId }));
+        });
+    }
+
+    // Unisce sourceId in targetId: partite, quote, previsioni e alias passano al target, i duplicati
+    // della stessa partita (stessa data e squadre da due fonti) vengono eliminati tenendo l'id più basso,
+    // a cui passano quote, previsioni e storico Elo del duplicato
+    static async merge(sourceId, targetId) {
+        if (sourceId === targetId) throw new Error('sourceId and targetId must differ');
+
+        const teams = await new Promise((resolve) => {
+            db.all(`SELECT * FROM teams WHERE id IN (?, ?)`, [sourceId, targetId], (err, rows) => resolve(rows || []));
+        });
+        const source = teams.find(t => t.id === sourceId);
+        const target = teams.find(t => t.id === targetId);
+        if (!source || !target) throw new Error(`Unknown team ${!source ? sourceId : targetId}`);
+
+        // Connessione dedicata: tra un await e l'altro le scritture non in coda della connessione condivisa
+        // (saveMatch) non entrano in questa transazione, aspettano il lock fino al COMMIT.
+        // Un DB ':memory:' non si può riaprire da un'altra connessione: lì si usa quella condivisa
+        const dedicated = DB_PATH !== ':memory:';
+        const connection = dedicated ? new sqlite3.Database(DB_PATH) : db;
+        if (dedicated) connection.configure('busyTimeout', DB_BUSY_TIMEOUT);
+        const run = (sql, params = []) => new Promise((resolve, reject) => {
+            connection.run(sql, params, function(err) {
+                if (err) reject(err);
+                else resolve(this.changes);
+            });
+        });
+
+        let matchesUpdated = 0, duplicatesRemoved = 0;
+        // In coda alle transazioni della connessione condivisa (rebuild Elo, regolazioni, backtest)
+        await WriteQueue.enqueue(async () => {
+            let begun = false;
+            try {
+                await run('BEGIN IMMEDIATE TRANSACTION');
+                begun = true;
+                matchesUpdated += await run(`UPDATE historical_matches SET home_team_id = ?, home_team_name = ? WHERE home_team_id = ?`,
+                    [targetId, target.name, sourceId]);
+                matchesUpdated += await run(`UPDATE historical_matches SET away_team_id = ?, away_team_name = ? WHERE away_team_id = ?`,
+                    [targetId, target.name, sourceId]);
+
+                // Duplicato → id superstite (il più basso); quote, previsioni (anche dei backtest) e storico Elo
+                // passano al superstite (a parità di chiave primaria restano le righe del superstite)
+                // prima di eliminare il duplicato
+                await run(`
+                    CREATE TEMP TABLE merge_duplicates AS
+                    SELECT a.id as duplicate_id, MIN(b.id) as keep_id FROM historical_matches a
+                    JOIN historical_matches b
+                      ON b.home_team_id = a.home_team_id AND b.away_team_id = a.away_team_id
+                     AND date(b.match_date) = date(a.match_date) AND b.id < a.id
+                    WHERE ? IN (a.home_team_id, a.away_team_id)
+                    GROUP BY a.id
+                `, [targetId]);
+                for (const table of ['odds', 'predictions', 'backtest_predictions', 'rating_history']) {
+                    await run(`
+                        UPDATE OR IGNORE ${table}
+                        SET match_id = (SELECT keep_id FROM merge_duplicates WHERE duplicate_id = ${table}.match_id)
+                        WHERE match_id IN (SELECT duplicate_id FROM merge_duplicates)
+                    `);
+                    await run(`DELETE FROM ${table} WHERE match_id IN (SELECT duplicate_id FROM merge_duplicates)`);
+                }
+                duplicatesRemoved = await run(`DELETE FROM historical_matches WHERE id IN (SELECT duplicate_id FROM merge_duplicates)`);
+                await run(`DROP TABLE merge_duplicates`);
+
+                for (const table of ['odds', 'predictions']) {
+                    await run(`UPDATE ${table} SET home_team_id = ? WHERE home_team_id = ?`, [targetId, sourceId]);
+                    await run(`UPDATE ${table} SET away_team_id = ? WHERE away_team_id = ?`, [targetId, sourceId]);
+                }
+                await run(`UPDATE team_aliases SET team_id = ? WHERE team_id = ?`, [targetId, sourceId]);
+                await run(`DELETE FROM team_ratings WHERE team_id = ?`, [sourceId]);
+                await run(`DELETE FROM teams WHERE id = ?`, [sourceId]);
+                await run('COMMIT');
+            } catch (err) {
+                // Senza BEGIN riuscito non c'è nulla da annullare (e sulla connessione condivisa si annullerebbe altro)
+                if (begun) await run('ROLLBACK').catch(() => {});
+                throw err;
+            } finally {
+                if (dedicated) await new Promise((resolve) => connection.close(() => resolve()));
             }
         });
-        
+
+        // Modelli e rating vanno ristimati sulle partite riassegnate
+        fittedModels.clear();
+        await EloRatings.rebuild();
+
+        console.log(`🔗 Merged team ${sourceId} (${source.name}) into ${targetId} (${target.name}): ${matchesUpdated} rows, ${duplicatesRemoved} duplicates removed`);
         return {
-            winRate: matches.length > 0 ? wins / matches.length : 0,
-            drawRate: matches.length > 0 ? draws / matches.length : 0,
-            avgGoalsFor: matches.length > 0 ? goalsFor / matches.length : 0,
-            avgGoalsAgainst: matches.length > 0 ? goalsAgainst / matches.length : 0,
-            bttsRate: matches.length > 0 ? bttsCount / matches.length : 0,
-            formString: formChars.join(''),
-            totalMatches: matches.length
+            source: { id: sourceId, name: source.name },
+            target: { id: targetId, name: target.name },
+            matchesUpdated,
+            duplicatesRemoved
         };
     }
-    
-    // Helper per calcolare Over/Under da gol attesi
-    static calculateOverUnderFromExpected(expectedGoals, period) {
-        const thresholds = [0.5, 1.5, 2.5, 3.5];
-        const result = { expectedTotal: expectedGoals.toFixed(2) };
-        
-        thresholds.forEach(threshold => {
-            // Usa distribuzione di Poisson per calcolare probabilità
-            const overProb = this.poissonOver(expectedGoals, threshold);
-            result[`over${threshold.toString().replace('.', '')}`] = (overProb * 100).toFixed(1);
-            result[`under${threshold.toString().replace('.', '')}`] = ((1 - overProb) * 100).toFixed(1);
+}
+
+// ===========================================
+// CLASSIFICHE
+// ===========================================
+// Classifica di una stagione da historical_matches, fino a una giornata o a una data;
+// period 'halfTime' usa solo i gol del primo tempo (classifica "all'intervallo")
+const STANDINGS_PERIODS = ['fullTime', 'halfTime'];
+const STANDINGS_FORM_LENGTH = 5;
+
+class StandingsService {
+
+    static emptySplit() {
+        return { played: 0, won: 0, drawn: 0, lost: 0, goalsFor: 0, goalsAgainst: 0, points: 0 };
+    }
+
+    static addResult(split, goalsFor, goalsAgainst) {
+        split.played++;
+        split.goalsFor += goalsFor;
+        split.goalsAgainst += goalsAgainst;
+        if (goalsFor > goalsAgainst) {
+            split.won++;
+            split.points += 3;
+        } else if (goalsFor === goalsAgainst) {
+            split.drawn++;
+            split.points += 1;
+        } else {
+            split.lost++;
+        }
+    }
+
+    static async getSeasons(competitionId) {
+        return new Promise((resolve) => {
+            db.all(`
+                SELECT season, MAX(matchday) as max_matchday, MIN(match_date) as first_date, MAX(match_date) as last_date
+                FROM historical_matches
+                WHERE competition_id = ? AND status = 'FINISHED'
+                GROUP BY season
+                ORDER BY season DESC
+            `, [competitionId], (err, rows) => resolve(err ? [] : rows || []));
         });
-        
-        return result;
     }
-    
-    // Helper per BTTS da analisi squadre
-    static calculateBTTSProbability(homeAnalysis, awayAnalysis) {
-        // Probabilità che la casa segni * probabilità che l'away segni
-        const homeScoringProb = Math.min(0.95, Math.max(0.3, homeAnalysis.avgGoalsFor / 2.5));
-        const awayScoringProb = Math.min(0.95, Math.max(0.25, awayAnalysis.avgGoalsFor / 2.5));
-        
-        return homeScoringProb * awayScoringProb * 100;
+
+    // options: { season, matchday, date, period }
+    static async compute(competitionId, options = {}) {
+        const seasons = await this.getSeasons(competitionId);
+        const season = options.season || seasons[0]?.season || null;
+        const seasonInfo = seasons.find(s => s.season === season) || null;
+        const period = STANDINGS_PERIODS.includes(options.period) ? options.period : 'fullTime';
+        const [homeColumn, awayColumn] = period === 'halfTime' ? ['home_goals_ht', 'away_goals_ht'] : ['home_goals', 'away_goals'];
+
+        const matches = await new Promise((resolve) => {
+            db.all(`
+                SELECT id, match_date, matchday, home_team_id, away_team_id, home_team_name, away_team_name,
+                       ${homeColumn} as home_goals, ${awayColumn} as away_goals
+                FROM historical_matches
+                WHERE competition_id = ? AND season = ? AND status = 'FINISHED'
+                AND ${homeColumn} IS NOT NULL AND ${awayColumn} IS NOT NULL
+                AND (? IS NULL OR matchday <= ?)
+                AND (? IS NULL OR match_date <= ?)
+                ORDER BY match_date ASC, id ASC
+            `, [
+                competitionId, season,
+                options.matchday || null, options.matchday || null,
+                options.date || null, options.date ? `${options.date}T23:59:59Z` : null
+            ], (err, rows) => resolve(err ? [] : rows || []));
+        });
+
+        const teams = new Map();
+        const getTeam = (id, name) => {
+            if (!teams.has(id)) {
+                teams.set(id, { teamId: id, teamName: name, total: this.emptySplit(), home: this.emptySplit(), away: this.emptySplit(), results: [] });
+            }
+            return teams.get(id);
+        };
+
+        matches.forEach(m => {
+            const home = getTeam(m.home_team_id, m.home_team_name);
+            const away = getTeam(m.away_team_id, m.away_team_name);
+            this.addResult(home.total, m.home_goals, m.away_goals);
+            this.addResult(home.home, m.home_goals, m.away_goals);
+            this.addResult(away.total, m.away_goals, m.home_goals);
+            this.addResult(away.away, m.away_goals, m.home_goals);
+            home.results.push(m.home_goals > m.away_goals ? 'W' : m.home_goals < m.away_goals ? 'L' : 'D');
+            away.results.push(m.away_goals > m.home_goals ? 'W' : m.away_goals < m.home_goals ? 'L' : 'D');
+        });
+
+        const withDifference = (split) => ({ ...split, goalDifference: split.goalsFor - split.goalsAgainst });
+        const standings = [...teams.values()]
+            .map(t => ({
+                teamId: t.teamId,
+                teamName: t.teamName,
+                ...withDifference(t.total),
+                form: t.results.slice(-STANDINGS_FORM_LENGTH).join(''),
+                home: withDifference(t.home),
+                away: withDifference(t.away)
+            }))
+            .sort((a, b) => b.points - a.points
+                || b.goalDifference - a.goalDifference
+                || b.goalsFor - a.goalsFor
+                || a.teamName.localeCompare(b.teamName))
+            .map((row, index) => ({ position: index + 1, ...row }));
+
+        return {
+            season,
+            seasons: seasons.map(s => s.season),
+            period,
+            matchday: options.matchday || null,
+            date: options.date || null,
+            maxMatchday: seasonInfo?.max_matchday || null,
+            seasonDates: seasonInfo ? { from: seasonInfo.first_date, to: seasonInfo.last_date } : null,
+            matchesCounted: matches.length,
+            lastMatchDate: matches.length ? matches[matches.length - 1].match_date : null,
+            standings
+        };
     }
-    
-    // Approssimazione di Poisson per Over/Under
-    static poissonOver(lambda, threshold) {
-        if (lambda <= 0) return 0;
-        
-        // Per semplicità, usa approssimazione normale per lambda > 10
-        if (lambda > 10) {
-            const mean = lambda;
-            const std = Math.sqrt(lambda);
-            return 1 - this.normalCDF((threshold + 0.5 - mean) / std);
-        }
-        
-        // Calcolo esatto per lambda piccoli
-        let cumulative = 0;
-        let term = Math.exp(-lambda);
-        
-        for (let k = 0; k <= threshold; k++) {
-            cumulative += term;
-            term = term * lambda / (k + 1);
-        }
-        
-        return Math.max(0, Math.min(1, 1 - cumulative));
+}
+
+// ===========================================
+// PROFILO SQUADRA
+// ===========================================
+const TEAM_PROFILE_CONFIG = {
+    statsSeasons: 2,      // Finestra di getTeamStats
+    recentMatches: 10,
+    biggestResults: 5
+};
+
+class TeamProfileService {
+
+    static leagueCode(competitionId) {
+        return Object.keys(API_CONFIG.competitions).find(code => API_CONFIG.competitions[code] === competitionId) || null;
     }
-    
-    // Approssimazione CDF normale
-    static normalCDF(x) {
-        return 0.5 * (1 + this.erf(x / Math.sqrt(2)));
+
+    // Partita dal punto di vista della squadra (gol fatti/subiti, 1° e 2° tempo)
+    static perspective(m, teamId) {
+        const isHome = m.home_team_id === teamId;
+        const goalsFor = isHome ? m.home_goals : m.away_goals;
+        const goalsAgainst = isHome ? m.away_goals : m.home_goals;
+        const hasHalfTime = m.home_goals_ht !== null && m.away_goals_ht !== null;
+        const htFor = hasHalfTime ? (isHome ? m.home_goals_ht : m.away_goals_ht) : null;
+        const htAgainst = hasHalfTime ? (isHome ? m.away_goals_ht : m.home_goals_ht) : null;
+
+        return {
+            matchId: m.id,
+            date: m.match_date,
+            season: m.season,
+            competitionId: m.competition_id,
+            league: this.leagueCode(m.competition_id),
+            venue: isHome ? 'home' : 'away',
+            opponentId: isHome ? m.away_team_id : m.home_team_id,
+            opponent: isHome ? m.away_team_name : m.home_team_name,
+            goalsFor,
+            goalsAgainst,
+            htFor,
+            htAgainst,
+            result: goalsFor > goalsAgainst ? 'W' : goalsFor < goalsAgainst ? 'L' : 'D',
+            score: `${goalsFor}-${goalsAgainst}`,
+            scoreHT: hasHalfTime ? `${htFor}-${htAgainst}` : null
+        };
     }
-    
-    // Approssimazione funzione errore
-    static erf(x) {
-        const a1 = 0.254829592;
-        const a2 = -0.284496736;
-        const a3 = 1.421413741;
-        const a4 = -1.453152027;
-        const a5 = 1.061405429;
-        const p = 0.3275911;
-        
-        const sign = x >= 0 ? 1 : -1;
-        x = Math.abs(x);
-        
-        const t = 1.0 / (1.0 + p * x);
-        const y = 1.0 - (((((a5 * t + a4) * t) + a3) * t + a2) * t + a1) * t * Math.exp(-x * x);
-        
-        return sign * y;
+
+    static formatStats(row) {
+        if (!row || !row.total_matches) return null;
+        const losses = row.total_matches - row.wins - row.draws;
+        return {
+            matches: row.total_matches,
+            wins: row.wins,
+            draws: row.draws,
+            losses,
+            winRate: ((row.wins / row.total_matches) * 100).toFixed(1),
+            avgGoalsFor: (row.avg_goals_for || 0).toFixed(2),
+            avgGoalsAgainst: (row.avg_goals_against || 0).toFixed(2),
+            avgTotalGoals: (row.avg_total_goals || 0).toFixed(2),
+            halfTime: row.matches_with_ht > 0 ? {
+                matches: row.matches_with_ht,
+                avgGoalsFor: row.avg_goals_for_ht.toFixed(2),
+                avgTotalGoals: row.avg_total_goals_ht.toFixed(2),
+                bttsPercentage: row.btts_ht_pct.toFixed(1)
+            } : null
+        };
     }
-    
-    // Fallback generico MIGLIORATO
-    static getEnhancedGenericProbabilities() {
+
+    // Gol fatti/subiti per tempo sulle partite con parziale disponibile
+    static scoringByHalf(results) {
+        const withHalfTime = results.filter(r => r.htFor !== null);
+        const sum = (fn) => withHalfTime.reduce((acc, r) => acc + fn(r), 0);
+        const firstFor = sum(r => r.htFor);
+        const firstAgainst = sum(r => r.htAgainst);
+        const secondFor = sum(r => r.goalsFor - r.htFor);
+        const secondAgainst = sum(r => r.goalsAgainst - r.htAgainst);
+        const n = withHalfTime.length;
+        const pct = (count) => n > 0 ? ((count / n) * 100).toFixed(1) : null;
+
         return {
-            fullTime: {
-                '1X2': { home: '46.0', draw: '26.0', away: '28.0' },
-                goals: {
-                    expectedTotal: '2.65',
-                    over05: '88.0', under05: '12.0',
-                    over15: '72.0', under15: '28.0',
-                    over25: '56.0', under25: '44.0',
-                    over35: '32.0', under35: '68.0'
-                },
-                btts: { btts_yes: '52.0', btts_no: '48.0' }
-            },
-            halfTime: {
-                '1X2': { home: '35.0', draw: '42.0', away: '23.0' },
-                goals: {
-                    expectedTotal: '1.20',
-                    over05: '65.0', under05: '35.0',
-                    over15: '28.0', under15: '72.0',
-                    over25: '8.0', under25: '92.0',
-                    over35: '2.0', under35: '98.0'
-                },
-                btts: { btts_yes: '32.0', btts_no: '68.0' }
+            matches: n,
+            firstHalf: {
+                goalsFor: firstFor,
+                goalsAgainst: firstAgainst,
+                avgGoalsFor: n > 0 ? (firstFor / n).toFixed(2) : null,
+                avgGoalsAgainst: n > 0 ? (firstAgainst / n).toFixed(2) : null,
+                scoredIn: pct(withHalfTime.filter(r => r.htFor > 0).length)
             },
-            // AGGIUNTO: Probabilità complete per secondo tempo
             secondHalf: {
-                '1X2': { home: '38.0', draw: '35.0', away: '27.0' },
-                goals: {
-                    expectedTotal: '1.45',
-                    over05: '72.0', under05: '28.0',
-                    over15: '42.0', under15: '58.0',
-                    over25: '18.0', under25: '82.0',
-                    over35: '6.0', under35: '94.0'
-                },
-                btts: { btts_yes: '38.0', btts_no: '62.0' }
+                goalsFor: secondFor,
+                goalsAgainst: secondAgainst,
+                avgGoalsFor: n > 0 ? (secondFor / n).toFixed(2) : null,
+                avgGoalsAgainst: n > 0 ? (secondAgainst / n).toFixed(2) : null,
+                scoredIn: pct(withHalfTime.filter(r => r.goalsFor - r.htFor > 0).length)
             },
-            h2hData: null,
-            confidence: 45,
-            dataSource: 'enhanced_generic_fallback'
+            secondHalfGoalShare: firstFor + secondFor > 0 ? ((secondFor / (firstFor + secondFor)) * 100).toFixed(1) : null
         };
     }
-    
-    static getMatchResult(score) {
-        if (score.home > score.away) return 'home';
-        if (score.away > score.home) return 'away';
-        return 'draw';
+
+    // Serie in corso, dalla partita più recente all'indietro
+    static streaks(results) {
+        const run = (predicate) => {
+            let count = 0;
+            for (const r of results) {
+                if (!predicate(r)) break;
+                count++;
+            }
+            return count;
+        };
+        return {
+            wins: run(r => r.result === 'W'),
+            draws: run(r => r.result === 'D'),
+            losses: run(r => r.result === 'L'),
+            unbeaten: run(r => r.result !== 'L'),
+            winless: run(r => r.result !== 'W'),
+            scoring: run(r => r.goalsFor > 0),
+            cleanSheets: run(r => r.goalsAgainst === 0),
+            over25: run(r => r.goalsFor + r.goalsAgainst > 2)
+        };
+    }
+
+    static biggest(results, direction) {
+        return results
+            .filter(r => direction === 'win' ? r.result === 'W' : r.result === 'L')
+            .sort((a, b) => Math.abs(b.goalsFor - b.goalsAgainst) - Math.abs(a.goalsFor - a.goalsAgainst)
+                || (direction === 'win' ? b.goalsFor - a.goalsFor : b.goalsAgainst - a.goalsAgainst)
+                || b.date.localeCompare(a.date))
+            .slice(0, TEAM_PROFILE_CONFIG.biggestResults);
+    }
+
+    static async getProfile(teamId) {
+        const [team, matches] = await Promise.all([
+            new Promise((resolve) => {
+                db.get(`
+                    SELECT t.id, t.name, t.source, GROUP_CONCAT(a.alias, '|') as aliases
+                    FROM teams t
+                    LEFT JOIN team_aliases a ON a.team_id = t.id
+                    WHERE t.id = ?
+                    GROUP BY t.id
+                `, [teamId], (err, row) => resolve(err ? null : row));
+            }),
+            new Promise((resolve) => {
+                db.all(`
+                    SELECT * FROM historical_matches
+                    WHERE (home_team_id = ? OR away_team_id = ?) AND status = 'FINISHED'
+                    ORDER BY match_date DESC, id DESC
+                `, [teamId, teamId], (err, rows) => resolve(err ? [] : rows || []));
+            })
+        ]);
+        if (!team && matches.length === 0) return null;
+
+        const results = matches.map(m => this.perspective(m, teamId));
+        const latest = matches[0];
+        const name = team?.name || (latest ? (latest.home_team_id === teamId ? latest.home_team_name : latest.away_team_name) : null);
+
+        // Stagioni e competizioni con il rendimento di ciascuna
+        const seasonMap = new Map();
+        results.forEach(r => {
+            const key = `${r.season}_${r.competitionId}`;
+            if (!seasonMap.has(key)) {
+                seasonMap.set(key, { season: r.season, competitionId: r.competitionId, league: r.league,
+                    matches: 0, won: 0, drawn: 0, lost: 0, goalsFor: 0, goalsAgainst: 0, points: 0 });
+            }
+            const s = seasonMap.get(key);
+            s.matches++;
+            s.goalsFor += r.goalsFor;
+            s.goalsAgainst += r.goalsAgainst;
+            if (r.result === 'W') { s.won++; s.points += 3; }
+            else if (r.result === 'D') { s.drawn++; s.points += 1; }
+            else s.lost++;
+        });
+        const seasons = [...seasonMap.values()].sort((a, b) => b.season - a.season || a.competitionId - b.competitionId);
+
+        const competitionIds = [...new Set(results.map(r => r.competitionId))];
+        const competitions = await Promise.all(competitionIds.map(async competitionId => {
+            const played = seasons.filter(s => s.competitionId === competitionId);
+            const stats = await HistoricalManager.getTeamStats(teamId, competitionId, TEAM_PROFILE_CONFIG.statsSeasons);
+            return {
+                competitionId,
+                league: this.leagueCode(competitionId),
+                matches: played.reduce((acc, s) => acc + s.matches, 0),
+                firstSeason: Math.min(...played.map(s => s.season)),
+                lastSeason: Math.max(...played.map(s => s.season)),
+                stats: this.formatStats(stats)
+            };
+        }));
+
+        return {
+            team: {
+                id: teamId,
+                name,
+                source: team?.source || null,
+                aliases: team?.aliases ? team.aliases.split('|') : []
+            },
+            totalMatches: results.length,
+            seasons,
+            competitions: competitions.sort((a, b) => b.lastSeason - a.lastSeason || b.matches - a.matches),
+            scoringByHalf: this.scoringByHalf(results),
+            streaks: this.streaks(results),
+            form: results.slice(0, 5).map(r => r.result).join(''),
+            recentResults: results.slice(0, TEAM_PROFILE_CONFIG.recentMatches),
+            biggestWins: this.biggest(results, 'win'),
+            biggestLosses: this.biggest(results, 'loss')
+        };
     }
 }
 
 // ===========================================
-// API ENDPOINTS AGGIORNATI
+// RICERCA SQUADRE E PARTITE
 // ===========================================
+// Ricerca su tutti gli alias e su historical_matches di ogni competizione,
+// senza accenti e tollerante agli errori di battitura ("Famalicao", "Benfca")
+const SEARCH_CONFIG = {
+    minScore: 0.7,          // Punteggio minimo per considerare una squadra trovata
+    teamLimit: 10,
+    matchLimit: 50,
+    maxLimit: 200,
+    matchTeams: 5,          // Squadre migliori usate per cercare le partite...
+    matchTeamMargin: 0.15   // ...se vicine al punteggio della prima ("porto" non cerca anche "Portimonense")
+};
 
-// Endpoint principale (invariato)
-app.get('/api/matches/:leagueId', async (req, res) => {
-    const start = Date.now();
-    
-    try {
-        const { leagueId } = req.params;
-        const { season } = req.query;
-        
-        console.log(`🚀 Processing ${leagueId} season ${season || 'current'}`);
-        
-        const matches = await MainAPI.getSmartMatches(leagueId, season ? parseInt(season) : null);
-        
-        if (!matches?.length) {
-            return res.json({ success: true, matches: [], message: 'No matches found' });
+class SearchService {
+
+    // Distanza di Levenshtein (inserimenti, cancellazioni, sostituzioni)
+    static editDistance(a, b) {
+        let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            for (let j = 1; j <= b.length; j++) {
+                current[j] = Math.min(
+                    previous[j] + 1,
+                    current[j - 1] + 1,
+                    previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+                );
+            }
+            previous = current;
         }
+        return previous[b.length];
+    }
 
-        const competitionId = API_CONFIG.competitions[leagueId];
-        const now = new Date();
+    // Quanto una parola cercata corrisponde a una parola del nome: uguale, prefisso o con pochi errori
+    static wordScore(query, word) {
+        if (query === word) return 1;
+        if (query.length >= 3 && word.startsWith(query)) return 0.9;
+        const allowed = query.length >= 8 ? 2 : query.length >= 4 ? 1 : 0;
+        if (allowed === 0) return 0;
+        const distance = Math.min(this.editDistance(query, word), this.editDistance(query, word.slice(0, query.length)));
+        return distance <= allowed ? 0.85 - 0.05 * distance : 0;
+    }
 
-        const enriched = await Promise.all(
-            matches.map(async (match) => {
-                const matchDate = new Date(match.utcDate);
-                const isFuture = matchDate > now;
-                const isFinished = match.status === 'FINISHED';
-                const canAnalyze = isFuture;
+    // Media delle parole cercate sulla migliore parola del nome, o somiglianza tra nomi completi
+    static score(query, name) {
+        const queryTokens = TeamRegistry.tokens(query);
+        const significant = queryTokens.filter(t => !TEAM_NAME_NOISE.has(t));
+        const tokens = significant.length > 0 ? significant : queryTokens;
+        const nameTokens = TeamRegistry.tokens(name);
+        if (tokens.length === 0 || nameTokens.length === 0) return 0;
 
-                let analysis = null;
-                if (canAnalyze) {
-                    try {
-                        console.log(`[ANALYZING] ${match.homeTeam.name} vs ${match.awayTeam.name}`);
-                        
-                        const [probabilities, homeForm, awayForm] = await Promise.all([
-                            SmartCalculator.calculateProbabilities(match.homeTeam.id, match.awayTeam.id, competitionId),
-                            MainAPI.getTeamForm(match.homeTeam.id, competitionId),
-                            MainAPI.getTeamForm(match.awayTeam.id, competitionId)
-                        ]);
-                        
-                        analysis = {
-                            probabilities,
-                            homeForm,
-                            awayForm,
-                            confidence: probabilities.confidence,
-                            dataSource: probabilities.dataSource
-                        };
-                        
-                    } catch (error) {
-                        console.error(`❌ Analysis error: ${error.message}`);
-                    }
-                }
+        const expanded = TeamRegistry.expandAcronyms(tokens, nameTokens);
+        const byWord = expanded.reduce((acc, t) => acc + Math.max(...nameTokens.map(w => this.wordScore(t, w))), 0) / expanded.length;
+        return Math.max(byWord, TeamRegistry.similarity(query, name));
+    }
 
-                return {
+    // "Benfica vs Porto", "Benfica - Porto" → ['Benfica', 'Porto']
+    static sides(query) {
+        return query.split(/\s+(?:vs?\.?|-)\s+/i).map(s => s.trim()).filter(Boolean).slice(0, 2);
+    }
+
+    static async searchTeams(query, { limit = SEARCH_CONFIG.teamLimit } = {}) {
+        const sides = this.sides(query);
+        if (sides.length > 1) {
+            const found = await Promise.all(sides.map(side => this.searchTeams(side, { limit })));
+            return found.flat().filter((t, i, all) => all.findIndex(u => u.teamId === t.teamId) === i).slice(0, limit);
+        }
+
+        const teams = (await TeamRegistry.getTeams())
+            .map(t => {
+                const best = t.aliases.reduce((acc, alias) => {
+                    const score = this.score(query, alias);
+                    return score > acc.score ? { alias, score } : acc;
+                }, { alias: t.name, score: this.score(query, t.name) });
+                return { teamId: t.id, name: t.name, matchedAlias: best.alias, score: best.score };
+            })
+            .filter(t => t.score >= SEARCH_CONFIG.minScore)
+            .sort((a, b) => b.score - a.score || a.name.localeCompare(b.name))
+            .slice(0, limit);
+        if (teams.length === 0) return [];
+
+        // Partite in archivio e ultima competizione di ogni squadra trovata
+        const ids = teams.map(t => t.teamId);
+        const placeholders = ids.map(() => '?').join(',');
+        const activity = await new Promise((resolve) => {
+            db.all(`
+                SELECT team_id, COUNT(*) as matches, MAX(match_date) as last_match,
+                       (SELECT competition_id FROM historical_matches h
+                        WHERE h.home_team_id = x.team_id OR h.away_team_id = x.team_id
+                        ORDER BY match_date DESC LIMIT 1) as competition_id
+                FROM (
+                    SELECT home_team_id as team_id, match_date FROM historical_matches WHERE home_team_id IN (${placeholders})
+                    UNION ALL
+                    SELECT away_team_id, match_date FROM historical_matches WHERE away_team_id IN (${placeholders})
+                ) x
+                GROUP BY team_id
+            `, [...ids, ...ids], (err, rows) => resolve(err ? [] : rows || []));
+        });
+
+        return teams.map(t => {
+            const row = activity.find(a => a.team_id === t.teamId);
+            return {
+                ...t,
+                score: t.score.toFixed(2),
+                matches: row?.matches || 0,
+                lastMatch: row?.last_match || null,
+                league: row ? TeamProfileService.leagueCode(row.competition_id) : null
+            };
+        });
+    }
+
+    // filters: { from, to, competitionId, score, htScore }; query "A vs B" cerca gli scontri diretti
+    static async searchMatches(query, filters = {}, { limit = SEARCH_CONFIG.matchLimit } = {}) {
+        const where = [];
+        const params = [];
+
+        if (query) {
+            const teamSets = [];
+            for (const side of this.sides(query)) {
+                const teams = await this.searchTeams(side, { limit: SEARCH_CONFIG.matchTeams });
+                if (teams.length === 0) return [];
+                const best = parseFloat(teams[0].score);
+                teamSets.push(teams.filter(t => parseFloat(t.score) >= best - SEARCH_CONFIG.matchTeamMargin).map(t => t.teamId));
+            }
+
+            const inList = (ids) => ids.map(() => '?').join(',');
+            if (teamSets.length === 2) {
+                where.push(`((home_team_id IN (${inList(teamSets[0])}) AND away_team_id IN (${inList(teamSets[1])}))
+                    OR (home_team_id IN (${inList(teamSets[1])}) AND away_team_id IN (${inList(teamSets[0])})))`);
+                params.push(...teamSets[0], ...teamSets[1], ...teamSets[1], ...teamSets[0]);
+            } else {
+                where.push(`(home_team_id IN (${inList(teamSets[0])}) OR away_team_id IN (${inList(teamSets[0])}))`);
+                params.push(...teamSets[0], ...teamSets[0]);
+            }
+        }
+        if (filters.from) {
+            where.push('match_date >= ?');
+            params.push(filters.from);
+        }
+        if (filters.to) {
+            where.push('match_date <= ?');
+            params.push(`${filters.to}T23:59:59Z`);
+        }
+        if (filters.competitionId) {
+            where.push('competition_id = ?');
+            params.push(filters.competitionId);
+        }
+        if (filters.score) {
+            const [home, away] = filters.score.split('-').map(Number);
+            where.push('home_goals = ? AND away_goals = ?');
+            params.push(home, away);
+        }
+        if (filters.htScore) {
+            const [home, away] = filters.htScore.split('-').map(Number);
+            where.push('home_goals_ht = ? AND away_goals_ht = ?');
+            params.push(home, away);
+        }
+
+        const rows = await new Promise((resolve, reject) => {
+            db.all(`
+                SELECT * FROM historical_matches
+                ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+                ORDER BY match_date DESC, id DESC
+                LIMIT ?
+            `, [...params, limit], (err, rows) => err ? reject(err) : resolve(rows || []));
+        });
+
+        return rows.map(m => ({
+            id: m.id,
+            utcDate: m.match_date,
+            status: m.status,
+            season: m.season,
+            matchday: m.matchday,
+            competitionId: m.competition_id,
+            league: TeamProfileService.leagueCode(m.competition_id),
+            homeTeam: { id: m.home_team_id, name: m.home_team_name },
+            awayTeam: { id: m.away_team_id, name: m.away_team_name },
+            score: {
+                fullTime: { home: m.home_goals, away: m.away_goals },
+                halfTime: { home: m.home_goals_ht, away: m.away_goals_ht }
+            }
+        }));
+    }
+}
+
+// ===========================================
+// QUALITÀ DEI DATI
+// ===========================================
+// Anomalie in historical_matches: parziali oltre il finale, partite doppie, date impossibili,
+// squadre con una sola presenza (spesso un nome scritto diversamente), parziali 0-0 sospetti
+// e copertura dei parziali
+const AUDIT_CONFIG = {
+    duplicateWindowDays: 3,     // Stesse squadre, stesso campo entro N giorni → probabile doppione
+    seasonStartMonth: '06-01',  // Finestra plausibile di una stagione "season": dal 1 giugno...
+    seasonEndMonth: '07-31',    // ...al 31 luglio dell'anno dopo
+    halfTimeNullableMigration: 10,  // Da questa migrazione il parziale mancante è NULL e non più 0-0
+    defaultLimit: 100
+};
+
+class DataQualityAudit {
+
+    static query(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            db.all(sql, params, (err, rows) => err ? reject(err) : resolve(rows || []));
+        });
+    }
+
+    static formatMatch(m) {
+        return {
+            id: m.id,
+            date: m.match_date,
+            season: m.season,
+            competitionId: m.competition_id,
+            league: TeamProfileService.leagueCode(m.competition_id),
+            homeTeam: { id: m.home_team_id, name: m.home_team_name },
+            awayTeam: { id: m.away_team_id, name: m.away_team_name },
+            score: m.home_goals !== null ? `${m.home_goals}-${m.away_goals}` : null,
+            scoreHT: m.home_goals_ht !== null ? `${m.home_goals_ht}-${m.away_goals_ht}` : null,
+            status: m.status
+        };
+    }
+
+    // Istante in cui il parziale mancante ha smesso di valere 0-0: prima, un 0-0 può essere un segnaposto.
+    // Senza la migrazione (o senza schema_version) ogni 0-0 resta sospetto
+    static async halfTimePlaceholderCutoff() {
+        try {
+            const rows = await this.query(`SELECT applied_at FROM schema_version WHERE version = ?`, [AUDIT_CONFIG.halfTimeNullableMigration]);
+            return rows[0]?.applied_at || '9999-12-31';
+        } catch (err) {
+            return '9999-12-31';
+        }
+    }
+
+    static async halfTimeAboveFullTime(competitionId, limit) {
+        const rows = await this.query(`
+            SELECT * FROM historical_matches
+            WHERE (home_goals_ht > home_goals OR away_goals_ht > away_goals)
+            AND (? IS NULL OR competition_id = ?)
+            ORDER BY match_date DESC
+            LIMIT ?
+        `, [competitionId, competitionId, limit]);
+        return rows.map(m => this.formatMatch(m));
+    }
+
+    // Coppie di partite con stesse squadre nello stesso campo a pochi giorni di distanza
+    static async duplicateFixtures(competitionId, limit) {
+        const rows = await this.query(`
+            SELECT a.id as first_id, b.id as second_id
+            FROM historical_matches a
+            JOIN historical_matches b
+              ON a.home_team_id = b.home_team_id AND a.away_team_id = b.away_team_id AND a.id < b.id
+             AND ABS(julianday(a.match_date) - julianday(b.match_date)) <= ?
+            WHERE (? IS NULL OR a.competition_id = ?)
+            ORDER BY a.match_date DESC
+            LIMIT ?
+        `, [AUDIT_CONFIG.duplicateWindowDays, competitionId, competitionId, limit]);
+        if (rows.length === 0) return [];
+
+        const ids = [...new Set(rows.flatMap(r => [r.first_id, r.second_id]))];
+        const matches = await this.query(`SELECT * FROM historical_matches WHERE id IN (${ids.map(() => '?').join(',')})`, ids);
+        const byId = new Map(matches.map(m => [m.id, this.formatMatch(m)]));
+
+        return rows.map(r => {
+            const first = byId.get(r.first_id);
+            const second = byId.get(r.second_id);
+            return {
+                matches: [first, second],
+                sameScore: first.score === second.score,
+                daysApart: Math.round(Math.abs(new Date(first.date) - new Date(second.date)) / 86400000)
+            };
+        });
+    }
+
+    // Date non leggibili, partite terminate nel futuro, date fuori dalla finestra della stagione
+    static async impossibleDates(competitionId, limit) {
+        const rows = await this.query(`
+            SELECT *,
+                CASE
+                    WHEN julianday(match_date) IS NULL THEN 'unparseable'
+                    WHEN status = 'FINISHED' AND match_date > strftime('%Y-%m-%dT%H:%M:%SZ', 'now') THEN 'finished_in_future'
+                    ELSE 'outside_season'
+                END as reason
+            FROM historical_matches
+            WHERE (? IS NULL OR competition_id = ?)
+            AND (
+                julianday(match_date) IS NULL
+                OR (status = 'FINISHED' AND match_date > strftime('%Y-%m-%dT%H:%M:%SZ', 'now'))
+                OR match_date < (season || '-' || ?)
+                OR match_date > ((season + 1) || '-' || ? || 'T23:59:59Z')
+            )
+            ORDER BY match_date DESC
+            LIMIT ?
+        `, [competitionId, competitionId, AUDIT_CONFIG.seasonStartMonth, AUDIT_CONFIG.seasonEndMonth, limit]);
+        return rows.map(m => ({ ...this.formatMatch(m), reason: m.reason }));
+    }
+
+    // Parziali 0-0 salvati prima della migrazione dei parziali NULL: non distinguibili da un dato mancante.
+    // Prima quelli con più gol nel finale (0-0 all'intervallo meno plausibile); una reimportazione
+    // (INSERT OR REPLACE) riscrive created_at e toglie la partita dalla lista
+    static async suspectedHalfTimePlaceholders(competitionId, limit, cutoff) {
+        const rows = await this.query(`
+            SELECT * FROM historical_matches
+            WHERE home_goals_ht = 0 AND away_goals_ht = 0 AND created_at < ?
+            AND (? IS NULL OR competition_id = ?)
+            ORDER BY total_goals DESC, match_date DESC
+            LIMIT ?
+        `, [cutoff, competitionId, competitionId, limit]);
+        return rows.map(m => this.formatMatch(m));
+    }
+
+    // Squadre comparse in una sola partita, con la squadra nota più simile
+    static async singleAppearanceTeams(competitionId, limit) {
+        const rows = await this.query(`
+            SELECT team_id, team_name, MIN(match_id) as match_id FROM (
+                SELECT home_team_id as team_id, home_team_name as team_name, id as match_id, competition_id FROM historical_matches
+                UNION ALL
+                SELECT away_team_id, away_team_name, id, competition_id FROM historical_matches
+            )
+            GROUP BY team_id
+            HAVING COUNT(*) = 1 AND (? IS NULL OR MAX(competition_id) = ?)
+            ORDER BY team_name
+            LIMIT ?
+        `, [competitionId, competitionId, limit]);
+        if (rows.length === 0) return [];
+
+        const matchIds = rows.map(r => r.match_id);
+        const matches = await this.query(`SELECT * FROM historical_matches WHERE id IN (${matchIds.map(() => '?').join(',')})`, matchIds);
+
+        return Promise.all(rows.map(async r => ({
+            teamId: r.team_id,
+            name: r.team_name,
+            match: this.formatMatch(matches.find(m => m.id === r.match_id)),
+            suggestion: (await SearchService.searchTeams(r.team_name, { limit: 2 })).find(t => t.teamId !== r.team_id) || null
+        })));
+    }
+
+    // Partite terminate con e senza parziale, per competizione e stagione
+    static async halfTimeCoverage(competitionId, cutoff) {
+        const rows = await this.query(`
+            SELECT competition_id, season, COUNT(*) as matches, COUNT(total_goals_ht) as with_ht,
+                SUM(CASE WHEN home_goals_ht = 0 AND away_goals_ht = 0 AND created_at < ? THEN 1 ELSE 0 END) as suspected_ht
+            FROM historical_matches
+            WHERE status = 'FINISHED' AND (? IS NULL OR competition_id = ?)
+            GROUP BY competition_id, season
+            ORDER BY competition_id, season DESC
+        `, [cutoff, competitionId, competitionId]);
+        return rows.map(r => ({
+            competitionId: r.competition_id,
+            league: TeamProfileService.leagueCode(r.competition_id),
+            season: r.season,
+            matches: r.matches,
+            withHalfTime: r.with_ht,
+            missingHalfTime: r.matches - r.with_ht,
+            suspectedPlaceholderHalfTime: r.suspected_ht,
+            coverage: ((r.with_ht / r.matches) * 100).toFixed(1)
+        }));
+    }
+
+    static async run({ competitionId = null, limit = AUDIT_CONFIG.defaultLimit } = {}) {
+        const cutoff = await this.halfTimePlaceholderCutoff();
+        const [halfTimeAboveFullTime, duplicateFixtures, impossibleDates, singleAppearanceTeams, suspectedHalfTimePlaceholders, halfTimeCoverage] = await Promise.all([
+            this.halfTimeAboveFullTime(competitionId, limit),
+            this.duplicateFixtures(competitionId, limit),
+            this.impossibleDates(competitionId, limit),
+            this.singleAppearanceTeams(competitionId, limit),
+            this.suspectedHalfTimePlaceholders(competitionId, limit, cutoff),
+            this.halfTimeCoverage(competitionId, cutoff)
+        ]);
+
+        const anomalies = { halfTimeAboveFullTime, duplicateFixtures, impossibleDates, singleAppearanceTeams, suspectedHalfTimePlaceholders };
+        return {
+            generatedAt: new Date().toISOString(),
+            limit,
+            summary: {
+                ...Object.fromEntries(Object.entries(anomalies).map(([key, list]) => [key, list.length])),
+                matchesMissingHalfTime: halfTimeCoverage.reduce((acc, r) => acc + r.missingHalfTime, 0),
+                matchesSuspectedHalfTimePlaceholder: halfTimeCoverage.reduce((acc, r) => acc + r.suspectedPlaceholderHalfTime, 0)
+            },
+            anomalies,
+            halfTimeCoverage
+        };
+    }
+}
+
+// ===========================================
+// PESATURA TEMPORALE DELLE PARTITE
+// ===========================================
+// Peso esponenziale 0.5^(giorni / emivita): una partita vecchia di un'emivita conta la metà
+const DECAY_CONFIG = {
+    halfLifeDays: {
+        h2h: parseFloat(process.env.DECAY_HALF_LIFE_H2H) || 730,
+        form: parseFloat(process.env.DECAY_HALF_LIFE_FORM) || 90,
+        model: parseFloat(process.env.DECAY_HALF_LIFE_MODEL) || 365
+    },
+    h2hYears: 10,           // Finestra scontri diretti (le partite più vecchie pesano poco)
+    h2hLimit: 30,
+    formMatches: 20         // Partite recenti per la forma (al posto del taglio fisso a 5)
+};
+
+// Forma per campo: peso massimo della forma casalinga/esterna nella media con la forma generale,
+// ridotto quando il campione per campo è piccolo (peso = maxWeight * n / (n + shrinkMatches))
+const VENUE_FORM_CONFIG = {
+    maxWeight: 0.7,
+    shrinkMatches: 3
+};
+
+class TimeDecay {
+
+    // halfLifeDays <= 0 disattiva la pesatura
+    static weight(matchDate, referenceDate, halfLifeDays) {
+        if (!(halfLifeDays > 0)) return 1;
+        const ageDays = (new Date(referenceDate || Date.now()) - new Date(matchDate)) / (24 * 60 * 60 * 1000);
+        return Math.pow(0.5, Math.max(0, ageDays) / halfLifeDays);
+    }
+
+    static weightMatches(matches, referenceDate, halfLifeDays) {
+        return matches.map(m => ({ ...m, weight: this.weight(m.match_date, referenceDate, halfLifeDays) }));
+    }
+
+    // Numerosità effettiva (Kish): (Σw)² / Σw²
+    static effectiveSampleSize(weights) {
+        const sum = weights.reduce((a, w) => a + w, 0);
+        const sumSquares = weights.reduce((a, w) => a + w * w, 0);
+        return sumSquares > 0 ? (sum * sum) / sumSquares : 0;
+    }
+
+    static describe(matches, halfLifeDays) {
+        return {
+            halfLifeDays,
+            matches: matches.length,
+            effectiveSampleSize: this.effectiveSampleSize(matches.map(m => m.weight ?? 1)).toFixed(1)
+        };
+    }
+}
+
+// ===========================================
+// MODELLO GOL (DIXON-COLES) E DISTRIBUZIONE RISULTATI
+// ===========================================
+const GOAL_MODEL_CONFIG = {
+    seasons: 3,             // Stagioni usate per il fit
+    minMatches: 50,         // Partite minime della competizione per stimare il modello
+    minTeamMatches: 5,      // Partite minime per squadra per usarne i parametri
+    priorMatches: 2,        // Partite "fittizie" nella media che stabilizzano le squadre con pochi dati
+    iterations: 60,
+    cacheMinutes: 360,
+    rhoRange: { min: -0.2, max: 0.2, step: 0.01 },
+    defaultHalfTimeShare: 0.45
+};
+
+const MAX_HALF_GOALS = 8;
+const ONE_X_TWO = ['home', 'draw', 'away'];
+const GOAL_THRESHOLDS = [0.5, 1.5, 2.5, 3.5];
+const TEAM_GOAL_THRESHOLDS = [0.5, 1.5, 2.5];
+const GOAL_LINE_LIMITS = { max: 10.5, count: 12 };   // Soglie richiedibili: x.5 fino a 10.5, al massimo 12
+const goalLineKey = (threshold) => threshold.toString().replace('.', '');   // 2.5 -> "25" (over25/under25)
+const CORRECT_SCORE_MAX = 6;    // Griglia risultati esatti 0-0 ... 6-6 (+ "altro")
+
+// Multigol (gol totali compresi tra min e max) e gol esatti (l'ultimo valore è "N+"), per partita e per squadra
+const MULTIGOL_CONFIG = {
+    fullTime: {
+        ranges: [[1, 2], [1, 3], [1, 4], [1, 5], [2, 3], [2, 4], [2, 5], [2, 6], [3, 4], [3, 5], [3, 6], [4, 6]],
+        teamRanges: [[1, 2], [1, 3], [2, 3]],
+        exactMax: 5,
+        teamExactMax: 3
+    },
+    halfTime: {
+        ranges: [[0, 1], [1, 2], [1, 3], [2, 3]],
+        teamRanges: [[0, 1], [1, 2]],
+        exactMax: 3,
+        teamExactMax: 2
+    }
+};
+
+// Linee asiatiche a passi di 0.25 (handicap dal punto di vista della squadra di casa)
+const lineRange = (from, to) => Array.from({ length: Math.round((to - from) / 0.25) + 1 }, (_, i) => from + i * 0.25);
+const ASIAN_LINES = {
+    fullTime: { handicap: lineRange(-2.5, 2.5), totals: lineRange(0.5, 4.5) },
+    halfTime: { handicap: lineRange(-1.5, 1.5), totals: lineRange(0.5, 2.5) }
+};
+
+const fittedModels = new Map();
+
+// Distribuzione congiunta dei risultati e mercati derivati
+class ScorelineModel {
+
+    static poissonVector(lambda, maxGoals = MAX_HALF_GOALS) {
+        const values = [];
+        let term = Math.exp(-lambda);
+        for (let k = 0; k <= maxGoals; k++) {
+            values.push(term);
+            term = term * lambda / (k + 1);
+        }
+        return values;
+    }
+
+    static logPoisson(k, lambda) {
+        let logFactorial = 0;
+        for (let i = 2; i <= k; i++) logFactorial += Math.log(i);
+        return k * Math.log(lambda) - lambda - logFactorial;
+    }
+
+    // Correzione Dixon-Coles per i risultati bassi (0-0, 1-0, 0-1, 1-1)
+    static tau(homeGoals, awayGoals, lambdaHome, lambdaAway, rho) {
+        if (homeGoals === 0 && awayGoals === 0) return 1 - lambdaHome * lambdaAway * rho;
+        if (homeGoals === 0 && awayGoals === 1) return 1 + lambdaHome * rho;
+        if (homeGoals === 1 && awayGoals === 0) return 1 + lambdaAway * rho;
+        if (homeGoals === 1 && awayGoals === 1) return 1 - rho;
+        return 1;
+    }
+
+    // Matrice [golCasa][golTrasferta] normalizzata a 1
+    static buildMatrix(lambdaHome, lambdaAway, rho = 0, maxGoals = MAX_HALF_GOALS) {
+        const home = this.poissonVector(lambdaHome, maxGoals);
+        const away = this.poissonVector(lambdaAway, maxGoals);
+        const matrix = [];
+        let sum = 0;
+
+        for (let i = 0; i <= maxGoals; i++) {
+            matrix.push([]);
+            for (let j = 0; j <= maxGoals; j++) {
+                const p = home[i] * away[j] * Math.max(0, this.tau(i, j, lambdaHome, lambdaAway, rho));
+                matrix[i].push(p);
+                sum += p;
+            }
+        }
+
+        return matrix.map(row => row.map(p => p / sum));
+    }
+
+    // Risultato finale = somma dei due tempi (tempi indipendenti)
+    static convolve(first, second) {
+        const size = first.length + second.length - 1;
+        const result = Array.from({ length: size }, () => new Array(size).fill(0));
+
+        first.forEach((row1, h1) => row1.forEach((p1, a1) => {
+            if (p1 === 0) return;
+            second.forEach((row2, h2) => row2.forEach((p2, a2) => {
+                result[h1 + h2][a1 + a2] += p1 * p2;
+            }));
+        }));
+
+        return result;
+    }
+
+    // expected = { halfTime: { home, away, rho }, secondHalf: { home, away, rho } }
+    // I gol attesi restano allegati (expected) per poter ricostruire le matrici (es. schedine)
+    static buildPeriods(expected) {
+        const halfTime = this.buildMatrix(expected.halfTime.home, expected.halfTime.away, expected.halfTime.rho || 0);
+        const secondHalf = this.buildMatrix(expected.secondHalf.home, expected.secondHalf.away, expected.secondHalf.rho || 0);
+
+        return {
+            fullTime: this.convolve(halfTime, secondHalf),
+            halfTime,
+            secondHalf,
+            expected: {
+                halfTime: { home: expected.halfTime.home, away: expected.halfTime.away, rho: expected.halfTime.rho || 0 },
+                secondHalf: { home: expected.secondHalf.home, away: expected.secondHalf.away, rho: expected.secondHalf.rho || 0 }
+            }
+        };
+    }
+
+    // Soglie Over/Under da una distribuzione dei gol (indice = numero di gol)
+    static overUnder(distribution, thresholds) {
+        const result = {};
+        thresholds.forEach(threshold => {
+            const under = distribution.slice(0, Math.floor(threshold) + 1).reduce((sum, p) => sum + (p || 0), 0);
+            const key = goalLineKey(threshold);
+            result[`over${key}`] = ((1 - under) * 100).toFixed(1);
+            result[`under${key}`] = (under * 100).toFixed(1);
+        });
+        return result;
+    }
+
+    // goalLines: { thresholds, teamThresholds } (soglie sul totale e sui gol di ciascuna squadra)
+    static marketsFromMatrix(matrix, goalLines = {}) {
+        let home = 0, draw = 0, away = 0, btts = 0;
+        let expectedHome = 0, expectedAway = 0;
+        const totals = [];
+        const homeTotals = [];
+        const awayTotals = [];
+
+        matrix.forEach((row, i) => row.forEach((p, j) => {
+            if (i > j) home += p;
+            else if (i < j) away += p;
+            else draw += p;
+
+            if (i > 0 && j > 0) btts += p;
+            expectedHome += i * p;
+            expectedAway += j * p;
+            totals[i + j] = (totals[i + j] || 0) + p;
+            homeTotals[i] = (homeTotals[i] || 0) + p;
+            awayTotals[j] = (awayTotals[j] || 0) + p;
+        }));
+
+        const teamThresholds = goalLines.teamThresholds || TEAM_GOAL_THRESHOLDS;
+
+        return {
+            '1X2': {
+                home: (home * 100).toFixed(1),
+                draw: (draw * 100).toFixed(1),
+                away: (away * 100).toFixed(1)
+            },
+            goals: {
+                expectedTotal: (expectedHome + expectedAway).toFixed(2),
+                expectedHome: expectedHome.toFixed(2),
+                expectedAway: expectedAway.toFixed(2),
+                ...this.overUnder(totals, goalLines.thresholds || GOAL_THRESHOLDS)
+            },
+            // Gol della singola squadra (es. casa Over 1.5)
+            homeGoals: { expected: expectedHome.toFixed(2), ...this.overUnder(homeTotals, teamThresholds) },
+            awayGoals: { expected: expectedAway.toFixed(2), ...this.overUnder(awayTotals, teamThresholds) },
+            btts: {
+                btts_yes: (btts * 100).toFixed(1),
+                btts_no: ((1 - btts) * 100).toFixed(1)
+            },
+            ...this.derivedFromMatrix(matrix),
+            correctScore: this.correctScoreFromMatrix(matrix)
+        };
+    }
+
+    // Mercati derivati dalla stessa distribuzione: doppia chance, draw no bet (rimborso col pareggio,
+    // probabilità condizionata all'assenza di pareggio), margine di vittoria, porta inviolata, vittoria a zero
+    static derivedFromMatrix(matrix) {
+        const margin = { home1: 0, home2: 0, home3plus: 0, draw: 0, away1: 0, away2: 0, away3plus: 0 };
+        let homeNil = 0, awayNil = 0, homeWinToNil = 0, awayWinToNil = 0;
+
+        matrix.forEach((row, i) => row.forEach((p, j) => {
+            const diff = Math.abs(i - j);
+            const band = diff >= 3 ? '3plus' : String(diff);
+            if (i === j) margin.draw += p;
+            else margin[`${i > j ? 'home' : 'away'}${band}`] += p;
+
+            if (j === 0) awayNil += p;
+            if (i === 0) homeNil += p;
+            if (i > 0 && j === 0) homeWinToNil += p;
+            if (j > 0 && i === 0) awayWinToNil += p;
+        }));
+
+        const { home, draw, away } = this.outcomes(matrix);
+        const format = (p) => (p * 100).toFixed(1);
+
+        return {
+            doubleChance: { '1X': format(home + draw), '12': format(home + away), 'X2': format(draw + away) },
+            drawNoBet: {
+                home: home + away > 0 ? format(home / (home + away)) : null,
+                away: home + away > 0 ? format(away / (home + away)) : null
+            },
+            winningMargin: Object.fromEntries(Object.entries(margin).map(([key, p]) => [key, format(p)])),
+            // cleanSheet.home = la squadra di casa non subisce gol
+            cleanSheet: { home: format(awayNil), away: format(homeNil) },
+            winToNil: { home: format(homeWinToNil), away: format(awayWinToNil) }
+        };
+    }
+
+    // Parziale/finale (9 esiti): risultato del 1° tempo x risultato finale, tempi indipendenti
+    static htftFromPeriods(periods) {
+        const htft = {};
+        ONE_X_TWO.forEach(ht => ONE_X_TWO.forEach(ft => { htft[`${ht}_${ft}`] = 0; }));
+        const result = (home, away) => (home > away ? 'home' : home < away ? 'away' : 'draw');
+
+        periods.halfTime.forEach((row1, h1) => row1.forEach((p1, a1) => {
+            if (p1 === 0) return;
+            periods.secondHalf.forEach((row2, h2) => row2.forEach((p2, a2) => {
+                htft[`${result(h1, a1)}_${result(h1 + h2, a1 + a2)}`] += p1 * p2;
+            }));
+        }));
+
+        return Object.fromEntries(Object.entries(htft).map(([key, p]) => [key, (p * 100).toFixed(1)]));
+    }
+
+    // Risultati esatti: griglia [golCasa][golTrasferta], bucket "altro" e risultati più probabili
+    static correctScoreFromMatrix(matrix, maxGoals = CORRECT_SCORE_MAX, top = 5) {
+        const grid = [];
+        const scores = [];
+        let covered = 0;
+
+        for (let i = 0; i <= maxGoals; i++) {
+            grid.push([]);
+            for (let j = 0; j <= maxGoals; j++) {
+                const p = matrix[i]?.[j] || 0;
+                covered += p;
+                grid[i].push((p * 100).toFixed(2));
+                scores.push({ score: `${i}-${j}`, home: i, away: j, p });
+            }
+        }
+
+        return {
+            maxGoals,
+            matrix: grid,
+            other: (Math.max(0, 1 - covered) * 100).toFixed(2),
+            mostLikely: scores
+                .sort((a, b) => b.p - a.p)
+                .slice(0, top)
+                .map(({ score, home, away, p }) => ({ score, home, away, probability: (p * 100).toFixed(2) }))
+        };
+    }
+
+    // Confronto tra i tempi (mercati sui 90'): tempo con più gol, gol in entrambi i tempi,
+    // squadra a segno in entrambi i tempi, squadra che vince almeno un tempo
+    static halvesFromPeriods(periods) {
+        const totals = { first: 0, second: 0, equal: 0, goalBoth: 0, homeBoth: 0, awayBoth: 0, homeEither: 0, awayEither: 0 };
+
+        periods.halfTime.forEach((row1, h1) => row1.forEach((p1, a1) => {
+            if (p1 === 0) return;
+            periods.secondHalf.forEach((row2, h2) => row2.forEach((p2, a2) => {
+                const p = p1 * p2;
+                const first = h1 + a1;
+                const second = h2 + a2;
+                if (first > second) totals.first += p;
+                else if (second > first) totals.second += p;
+                else totals.equal += p;
+                if (first > 0 && second > 0) totals.goalBoth += p;
+                if (h1 > 0 && h2 > 0) totals.homeBoth += p;
+                if (a1 > 0 && a2 > 0) totals.awayBoth += p;
+                if (h1 > a1 || h2 > a2) totals.homeEither += p;
+                if (a1 > h1 || a2 > h2) totals.awayEither += p;
+            }));
+        }));
+
+        return this.formatHalves(totals);
+    }
+
+    // totals: probabilità (o frequenze) già normalizzate
+    static formatHalves(totals) {
+        const format = (p) => (p * 100).toFixed(1);
+        return {
+            highestScoringHalf: { first: format(totals.first), second: format(totals.second), equal: format(totals.equal) },
+            goalBothHalves: { yes: format(totals.goalBoth), no: format(1 - totals.goalBoth) },
+            scoreBothHalves: { home: format(totals.homeBoth), away: format(totals.awayBoth) },
+            winEitherHalf: { home: format(totals.homeEither), away: format(totals.awayEither) }
+        };
+    }
+
+    // distribution: probabilità (o pesi normalizzati) per numero di gol -> { '1-2': %, ... } e { '0': %, ..., '5+': % }
+    static goalCountMarkets(distribution, ranges, exactMax) {
+        const sum = (from, to) => distribution.slice(from, to + 1).reduce((acc, p) => acc + (p || 0), 0);
+        const format = (p) => (p * 100).toFixed(1);
+        const exact = {};
+        for (let goals = 0; goals < exactMax; goals++) exact[goals] = format(distribution[goals] || 0);
+        exact[`${exactMax}+`] = format(sum(exactMax, distribution.length));
+
+        return {
+            multigol: Object.fromEntries(ranges.map(([min, max]) => [`${min}-${max}`, format(sum(min, max))])),
+            exactGoals: exact
+        };
+    }
+
+    static multigolFromMatrix(matrix, config) {
+        const totals = [], homeTotals = [], awayTotals = [];
+        matrix.forEach((row, i) => row.forEach((p, j) => {
+            totals[i + j] = (totals[i + j] || 0) + p;
+            homeTotals[i] = (homeTotals[i] || 0) + p;
+            awayTotals[j] = (awayTotals[j] || 0) + p;
+        }));
+
+        const match = this.goalCountMarkets(totals, config.ranges, config.exactMax);
+        const home = this.goalCountMarkets(homeTotals, config.teamRanges, config.teamExactMax);
+        const away = this.goalCountMarkets(awayTotals, config.teamRanges, config.teamExactMax);
+
+        return {
+            multigol: match.multigol,
+            exactGoals: match.exactGoals,
+            homeMultigol: home.multigol,
+            homeExactGoals: home.exactGoals,
+            awayMultigol: away.multigol,
+            awayExactGoals: away.exactGoals
+        };
+    }
+
+    static outcomes(matrix) {
+        let home = 0, draw = 0, away = 0;
+        matrix.forEach((row, i) => row.forEach((p, j) => {
+            if (i > j) home += p;
+            else if (i < j) away += p;
+            else draw += p;
+        }));
+        return { home, draw, away };
+    }
+
+    static toProbabilities(periods, goalLines = {}) {
+        return {
+            fullTime: {
+                ...this.marketsFromMatrix(periods.fullTime, goalLines),
+                ...this.multigolFromMatrix(periods.fullTime, MULTIGOL_CONFIG.fullTime),
+                ...this.halvesFromPeriods(periods),
+                htft: this.htftFromPeriods(periods),
+                asian: this.asianFromMatrix(periods.fullTime, ASIAN_LINES.fullTime)
+            },
+            halfTime: {
+                ...this.marketsFromMatrix(periods.halfTime, goalLines),
+                ...this.multigolFromMatrix(periods.halfTime, MULTIGOL_CONFIG.halfTime),
+                asian: this.asianFromMatrix(periods.halfTime, ASIAN_LINES.halfTime)
+            },
+            secondHalf: this.marketsFromMatrix(periods.secondHalf, goalLines),
+            expectedByHalf: periods.expected
+        };
+    }
+
+    // Linea quarter (es. -0.75) = metà puntata su ciascuna delle due linee adiacenti (-0.5 e -1)
+    static splitLine(line) {
+        return Math.abs((line * 4) % 2) === 1 ? [line - 0.25, line + 0.25] : [line];
+    }
+
+    // distribution: [{ value, p }]; margin(value, line) > 0 vince, = 0 rimborso, < 0 perde
+    static settleAsian(distribution, line, margin) {
+        const totals = { win: 0, halfWin: 0, push: 0, halfLoss: 0, loss: 0 };
+        const parts = this.splitLine(line);
+
+        distribution.forEach(({ value, p }) => {
+            const score = parts.reduce((sum, part) => sum + Math.sign(margin(value, part)), 0) / parts.length;
+            if (score === 1) totals.win += p;
+            else if (score === 0.5) totals.halfWin += p;
+            else if (score === 0) totals.push += p;
+            else if (score === -0.5) totals.halfLoss += p;
+            else totals.loss += p;
+        });
+
+        // Quota equa: rendimento atteso nullo contando mezze vincite/perdite e rimborsi
+        const winWeight = totals.win + totals.halfWin / 2;
+        const lossWeight = totals.loss + totals.halfLoss / 2;
+
+        return {
+            win: (totals.win * 100).toFixed(1),
+            halfWin: (totals.halfWin * 100).toFixed(1),
+            push: (totals.push * 100).toFixed(1),
+            halfLoss: (totals.halfLoss * 100).toFixed(1),
+            loss: (totals.loss * 100).toFixed(1),
+            fairPrice: winWeight > 0 ? (1 + lossWeight / winWeight).toFixed(2) : null
+        };
+    }
+
+    // Handicap asiatico (distribuzione della differenza reti) e linee gol asiatiche (distribuzione dei gol totali)
+    static asianFromMatrix(matrix, lines) {
+        const differences = new Map();
+        const totals = new Map();
+        matrix.forEach((row, i) => row.forEach((p, j) => {
+            differences.set(i - j, (differences.get(i - j) || 0) + p);
+            totals.set(i + j, (totals.get(i + j) || 0) + p);
+        }));
+
+        const toDistribution = (map) => [...map.entries()].map(([value, p]) => ({ value, p }));
+        const differenceDistribution = toDistribution(differences);
+        const totalDistribution = toDistribution(totals);
+
+        const handicap = lines.handicap.map(line => ({
+            line,
+            home: this.settleAsian(differenceDistribution, line, (diff, l) => diff + l),
+            away: this.settleAsian(differenceDistribution, -line, (diff, l) => -diff + l)
+        }));
+
+        const goalLines = lines.totals.map(line => ({
+            line,
+            over: this.settleAsian(totalDistribution, line, (total, l) => total - l),
+            under: this.settleAsian(totalDistribution, line, (total, l) => l - total)
+        }));
+
+        // Linea principale: quella con le due quote eque più vicine tra loro
+        const balance = (a, b) => Math.abs(parseFloat(a.fairPrice || 99) - parseFloat(b.fairPrice || 99));
+        const mainHandicap = handicap.reduce((best, h) => balance(h.home, h.away) < balance(best.home, best.away) ? h : best);
+        const mainTotal = goalLines.reduce((best, t) => balance(t.over, t.under) < balance(best.over, best.under) ? t : best);
+
+        return {
+            handicap,
+            totals: goalLines,
+            main: { handicap: mainHandicap.line, total: mainTotal.line }
+        };
+    }
+
+    // Gol attesi sui 90' -> gol attesi per tempo usando la quota media di gol nel 1° tempo
+    static splitByHalf(expectedHome, expectedAway, halfTimeShare, rho = {}) {
+        return {
+            halfTime: {
+                home: expectedHome * halfTimeShare.home,
+                away: expectedAway * halfTimeShare.away,
+                rho: rho.halfTime || 0
+            },
+            secondHalf: {
+                home: expectedHome * (1 - halfTimeShare.home),
+                away: expectedAway * (1 - halfTimeShare.away),
+                rho: rho.secondHalf || 0
+            }
+        };
+    }
+
+    // "0.5,2.5,4.5" -> [0.5, 2.5, 4.5]; undefined se assente, null se non valida (solo soglie x.5)
+    static parseThresholds(value) {
+        if (value === undefined || value === '') return undefined;
+        const thresholds = [...new Set(String(value).split(',').map(v => parseFloat(v)))].sort((a, b) => a - b);
+        const valid = thresholds.length > 0 && thresholds.length <= GOAL_LINE_LIMITS.count &&
+            thresholds.every(t => Number.isFinite(t) && t > 0 && t <= GOAL_LINE_LIMITS.max && t % 1 === 0.5);
+        return valid ? thresholds : null;
+    }
+
+    // Query ?thresholds=0.5,4.5,5.5&teamThresholds=0.5,1.5 -> { goalLines, errors }
+    static parseGoalLines(query = {}) {
+        const goalLines = {};
+        const errors = [];
+        ['thresholds', 'teamThresholds'].forEach(param => {
+            const parsed = this.parseThresholds(query[param]);
+            if (parsed === null) {
+                errors.push(`${param} must be a comma-separated list of up to ${GOAL_LINE_LIMITS.count} lines like 0.5, 1.5 ... ${GOAL_LINE_LIMITS.max}`);
+            } else if (parsed) {
+                goalLines[param] = parsed;
+            }
+        });
+        return { goalLines, errors };
+    }
+}
+
+// Modello attacco/difesa stimato per competizione su historical_matches
+class DixonColesModel {
+
+    // asOf: modello stimato solo sulle partite precedenti a quella data (backtest)
+    static async getModel(competitionId, asOf = null) {
+        if (!competitionId) return null;
+
+        const cacheKey = asOf ? `${competitionId}@${asOf}` : competitionId;
+        const cached = fittedModels.get(cacheKey);
+        if (cached && (asOf || Date.now() - cached.fittedAt < GOAL_MODEL_CONFIG.cacheMinutes * 60 * 1000)) {
+            return cached.model;
+        }
+
+        const matches = await HistoricalManager.getCompetitionMatches(competitionId, GOAL_MODEL_CONFIG.seasons, asOf);
+        const model = matches.length >= GOAL_MODEL_CONFIG.minMatches ? this.fit(matches, asOf) : null;
+
+        if (model) {
+            model.info.competitionId = competitionId;
+            if (asOf) model.info.asOf = asOf;
+            console.log(`📐 Dixon-Coles fitted for ${cacheKey}: ${model.info.matchesUsed} matches, ${model.info.teamsRated} teams, pseudo-R² ${model.info.pseudoR2}`);
+        }
+
+        fittedModels.set(cacheKey, { model, fittedAt: Date.now() });
+        return model;
+    }
+
+    // Libera i modelli "storici" stimati durante un backtest
+    static clearHistoricalModels() {
+        [...fittedModels.keys()]
+            .filter(key => typeof key === 'string' && key.includes('@'))
+            .forEach(key => fittedModels.delete(key));
+    }
+
+    // Ogni partita pesa secondo la sua età rispetto alla data del fit (asOf o adesso)
+    static fit(rawMatches, asOf = null) {
+        const halfLifeDays = DECAY_CONFIG.halfLifeDays.model;
+        const matches = TimeDecay.weightMatches(rawMatches, asOf, halfLifeDays);
+        const teams = new Map();
+        const getTeam = (id, name) => {
+            if (!teams.has(id)) {
+                teams.set(id, { id, name, matches: 0, goalsFor: 0, goalsAgainst: 0, attack: 1, defence: 1 });
+            }
+            return teams.get(id);
+        };
+
+        let homeGoals = 0, awayGoals = 0, totalWeight = 0;
+        matches.forEach(m => {
+            const home = getTeam(m.home_team_id, m.home_team_name);
+            const away = getTeam(m.away_team_id, m.away_team_name);
+            const w = m.weight;
+            home.matches++;
+            away.matches++;
+            home.goalsFor += w * m.home_goals;
+            home.goalsAgainst += w * m.away_goals;
+            away.goalsFor += w * m.away_goals;
+            away.goalsAgainst += w * m.home_goals;
+            homeGoals += w * m.home_goals;
+            awayGoals += w * m.away_goals;
+            totalWeight += w;
+        });
+
+        const n = matches.length;
+        const prior = GOAL_MODEL_CONFIG.priorMatches * (homeGoals + awayGoals) / (2 * totalWeight);
+        let base = Math.max(0.1, awayGoals / totalWeight);
+        let homeAdvantage = Math.max(0.1, homeGoals / totalWeight) / base;
+
+        // Stima iterativa (massima verosimiglianza Poisson) di attacco, difesa, fattore campo
+        for (let iter = 0; iter < GOAL_MODEL_CONFIG.iterations; iter++) {
+            const expectedFor = new Map();
+            const expectedAgainst = new Map();
+
+            matches.forEach(m => {
+                const home = teams.get(m.home_team_id);
+                const away = teams.get(m.away_team_id);
+                const w = m.weight;
+                expectedFor.set(home.id, (expectedFor.get(home.id) || 0) + w * base * homeAdvantage * away.defence);
+                expectedFor.set(away.id, (expectedFor.get(away.id) || 0) + w * base * home.defence);
+                expectedAgainst.set(home.id, (expectedAgainst.get(home.id) || 0) + w * base * away.attack);
+                expectedAgainst.set(away.id, (expectedAgainst.get(away.id) || 0) + w * base * homeAdvantage * home.attack);
+            });
+
+            teams.forEach(team => {
+                team.attack = (team.goalsFor + prior) / (expectedFor.get(team.id) + prior);
+                team.defence = (team.goalsAgainst + prior) / (expectedAgainst.get(team.id) + prior);
+            });
+
+            // Normalizza (media 1) e ricalcola base e vantaggio campo
+            const meanAttack = [...teams.values()].reduce((s, t) => s + t.attack, 0) / teams.size;
+            const meanDefence = [...teams.values()].reduce((s, t) => s + t.defence, 0) / teams.size;
+            teams.forEach(team => {
+                team.attack /= meanAttack;
+                team.defence /= meanDefence;
+            });
+
+            let awayStrength = 0, homeStrength = 0;
+            matches.forEach(m => {
+                const home = teams.get(m.home_team_id);
+                const away = teams.get(m.away_team_id);
+                awayStrength += m.weight * away.attack * home.defence;
+                homeStrength += m.weight * home.attack * away.defence;
+            });
+            base = Math.max(0.1, awayGoals / awayStrength);
+            homeAdvantage = Math.max(0.1, homeGoals / (base * homeStrength));
+        }
+
+        const halfTimeShare = this.estimateHalfTimeShare(matches);
+        const model = {
+            teams, base, homeAdvantage, halfTimeShare,
+            leagueAverage: { home: homeGoals / totalWeight, away: awayGoals / totalWeight },
+            rho: { halfTime: 0, secondHalf: 0 }
+        };
+
+        // Parametro di dipendenza per tempo + bontà del fit, sulle sole partite con parziale
+        const samples = matches.filter(m => m.home_goals_ht !== null && m.away_goals_ht !== null).map(m => {
+            const expected = this.expectedGoals(model, m.home_team_id, m.away_team_id);
+            const htHome = m.home_goals_ht;
+            const htAway = m.away_goals_ht;
+            return {
+                expected,
+                weight: m.weight,
+                halfTime: { home: htHome, away: htAway },
+                secondHalf: { home: Math.max(0, m.home_goals - htHome), away: Math.max(0, m.away_goals - htAway) }
+            };
+        });
+
+        if (samples.length > 0) {
+            model.rho.halfTime = this.estimateRho(samples, 'halfTime');
+            model.rho.secondHalf = this.estimateRho(samples, 'secondHalf');
+        }
+
+        const logLikelihood = this.logLikelihood(samples, model.rho);
+        const baselineLogLikelihood = this.logLikelihood(samples.map(s => ({
+            ...s,
+            expected: ScorelineModel.splitByHalf(model.leagueAverage.home, model.leagueAverage.away, halfTimeShare)
+        })), { halfTime: 0, secondHalf: 0 });
+
+        model.info = {
+            name: 'dixon_coles',
+            matchesUsed: n,
+            matchesWithHalfTime: samples.length,
+            teamsRated: teams.size,
+            seasons: [matches[0].season, matches[n - 1].season],
+            homeAdvantage: homeAdvantage.toFixed(3),
+            rho: { halfTime: model.rho.halfTime.toFixed(2), secondHalf: model.rho.secondHalf.toFixed(2) },
+            halfTimeShare: { home: halfTimeShare.home.toFixed(3), away: halfTimeShare.away.toFixed(3) },
+            logLikelihood: logLikelihood.toFixed(1),
+            baselineLogLikelihood: baselineLogLikelihood.toFixed(1),
+            avgLogLoss: samples.length > 0 ? (-logLikelihood / samples.length).toFixed(4) : null,
+            pseudoR2: samples.length > 0 ? (1 - logLikelihood / baselineLogLikelihood).toFixed(4) : null,
+            timeDecay: TimeDecay.describe(matches, halfLifeDays),
+            fittedAt: new Date().toISOString()
+        };
+
+        return model;
+    }
+
+    static estimateHalfTimeShare(matches) {
+        let ftHome = 0, ftAway = 0, htHome = 0, htAway = 0;
+        matches.filter(m => m.home_goals_ht !== null && m.away_goals_ht !== null).forEach(m => {
+            const w = m.weight ?? 1;
+            ftHome += w * m.home_goals;
+            ftAway += w * m.away_goals;
+            htHome += w * m.home_goals_ht;
+            htAway += w * m.away_goals_ht;
+        });
+
+        const fallback = GOAL_MODEL_CONFIG.defaultHalfTimeShare;
+        return {
+            home: ftHome > 0 && htHome > 0 ? htHome / ftHome : fallback,
+            away: ftAway > 0 && htAway > 0 ? htAway / ftAway : fallback
+        };
+    }
+
+    // Gol attesi per tempo (con rho) per una coppia di squadre presenti nel modello
+    static expectedGoals(model, homeId, awayId) {
+        const home = model.teams.get(homeId);
+        const away = model.teams.get(awayId);
+        const lambdaHome = model.base * model.homeAdvantage * home.attack * away.defence;
+        const lambdaAway = model.base * away.attack * home.defence;
+        return ScorelineModel.splitByHalf(lambdaHome, lambdaAway, model.halfTimeShare, model.rho);
+    }
+
+    static predict(model, homeId, awayId) {
+        const home = model?.teams.get(homeId);
+        const away = model?.teams.get(awayId);
+        if (!home || !away) return null;
+        if (Math.min(home.matches, away.matches) < GOAL_MODEL_CONFIG.minTeamMatches) return null;
+
+        return this.expectedGoals(model, homeId, awayId);
+    }
+
+    static estimateRho(samples, period) {
+        const { min, max, step } = GOAL_MODEL_CONFIG.rhoRange;
+        let bestRho = 0, bestScore = -Infinity;
+
+        for (let rho = min; rho <= max + 1e-9; rho += step) {
+            let score = 0;
+            for (const s of samples) {
+                const { home, away } = s[period];
+                if (home > 1 || away > 1) continue;
+                const t = ScorelineModel.tau(home, away, s.expected[period].home, s.expected[period].away, rho);
+                if (t <= 0) {
+                    score = -Infinity;
+                    break;
+                }
+                score += (s.weight ?? 1) * Math.log(t);
+            }
+            if (score > bestScore) {
+                bestScore = score;
+                bestRho = rho;
+            }
+        }
+
+        return Math.round(bestRho * 100) / 100;
+    }
+
+    static logLikelihood(samples, rho) {
+        let total = 0;
+        samples.forEach(s => {
+            ['halfTime', 'secondHalf'].forEach(period => {
+                const { home, away } = s[period];
+                const lambdaHome = Math.max(1e-6, s.expected[period].home);
+                const lambdaAway = Math.max(1e-6, s.expected[period].away);
+                const t = ScorelineModel.tau(home, away, lambdaHome, lambdaAway, rho[period]);
+                total += ScorelineModel.logPoisson(home, lambdaHome)
+                    + ScorelineModel.logPoisson(away, lambdaAway)
+                    + Math.log(Math.max(1e-12, t));
+            });
+        });
+        return total;
+    }
+}
+
+// ===========================================
+// RATING ELO DELLE SQUADRE
+// ===========================================
+const ELO_CONFIG = {
+    initialRating: 1500,
+    kFactor: 20,
+    homeAdvantage: 65,      // Punti Elo di vantaggio per la squadra di casa
+    goalDifferenceWeighting: process.env.ELO_GOAL_DIFF !== 'false',
+    drawWidth: 400,         // Quanto cala la probabilità di pareggio al crescere della differenza rating
+    defaultDrawRate: 0.27,
+    drawRateWindow: 100,    // Squadre "vicine": differenza di rating (con fattore campo) sotto questa soglia
+    drawRateMinMatches: 50, // Partite tra squadre vicine necessarie per usare la frequenza osservata
+    rebuildDelayMs: 5000
+};
+
+let eloDrawRate = ELO_CONFIG.defaultDrawRate;  // Aggiornato ad ogni ricalcolo con la frequenza reale dei pareggi tra squadre vicine
+const eloDrawRatesAsOf = new Map();            // data → frequenza dei pareggi fino a quella data (backtest, una per blocco di refit)
+let rebuildTimer = null;
+
+class EloRatings {
+
+    static expectedScore(homeRating, awayRating) {
+        return 1 / (1 + Math.pow(10, (awayRating - homeRating - ELO_CONFIG.homeAdvantage) / 400));
+    }
+
+    // Moltiplicatore per differenza reti (stile World Football Elo)
+    static goalDifferenceMultiplier(homeGoals, awayGoals) {
+        if (!ELO_CONFIG.goalDifferenceWeighting) return 1;
+        const diff = Math.abs(homeGoals - awayGoals);
+        if (diff <= 1) return 1;
+        if (diff === 2) return 1.5;
+        return (11 + diff) / 8;
+    }
+
+    static rate(homeRating, awayRating, homeGoals, awayGoals) {
+        const expected = this.expectedScore(homeRating, awayRating);
+        const actual = homeGoals > awayGoals ? 1 : homeGoals < awayGoals ? 0 : 0.5;
+        const delta = ELO_CONFIG.kFactor * this.goalDifferenceMultiplier(homeGoals, awayGoals) * (actual - expected);
+        return { home: homeRating + delta, away: awayRating - delta };
+    }
+
+    // Probabilità 1X2 implicite nella differenza di rating
+    static probabilities(homeRating, awayRating, drawRate = eloDrawRate) {
+        const expected = this.expectedScore(homeRating, awayRating);
+        const diff = homeRating + ELO_CONFIG.homeAdvantage - awayRating;
+        const draw = drawRate * Math.exp(-Math.pow(diff / ELO_CONFIG.drawWidth, 2));
+        const home = Math.max(0, expected - draw / 2);
+        const away = Math.max(0, 1 - expected - draw / 2);
+        const sum = home + draw + away;
+        return { home: home / sum, draw: draw / sum, away: away / sum, expectedScore: expected };
+    }
+
+    // Ricalcolo completo in ordine cronologico su tutto historical_matches, in coda alle altre scritture
+    static rebuild() {
+        return WriteQueue.enqueue(() => this.rebuildNow());
+    }
+
+    static async rebuildNow() {
+        const matches = await new Promise((resolve) => {
+            db.all(`
+                SELECT id, match_date, competition_id, home_team_id, away_team_id,
+                       home_team_name, away_team_name, home_goals, away_goals
+                FROM historical_matches
+                WHERE status = 'FINISHED'
+                ORDER BY match_date ASC, id ASC
+            `, [], (err, rows) => resolve(err ? [] : rows || []));
+        });
+
+        const teams = new Map();
+        const history = [];
+        let closeMatches = 0, closeDraws = 0;
+
+        const getTeam = (id, name) => {
+            if (!teams.has(id)) {
+                teams.set(id, { id, name, rating: ELO_CONFIG.initialRating, matches: 0 });
+            }
+            return teams.get(id);
+        };
+
+        matches.forEach(m => {
+            const home = getTeam(m.home_team_id, m.home_team_name);
+            const away = getTeam(m.away_team_id, m.away_team_name);
+
+            if (Math.abs(home.rating + ELO_CONFIG.homeAdvantage - away.rating) < ELO_CONFIG.drawRateWindow) {
+                closeMatches++;
+                if (m.home_goals === m.away_goals) closeDraws++;
+            }
+
+            const next = this.rate(home.rating, away.rating, m.home_goals, m.away_goals);
+            history.push([m.id, home.id, away.id, m.match_date, m.competition_id, 1, home.rating, next.home]);
+            history.push([m.id, away.id, home.id, m.match_date, m.competition_id, 0, away.rating, next.away]);
+
+            [[home, next.home], [away, next.away]].forEach(([team, rating]) => {
+                team.rating = rating;
+                team.matches++;
+                team.lastMatchDate = m.match_date;
+                team.lastCompetitionId = m.competition_id;
+            });
+        });
+
+        await WriteQueue.transaction((check) => {
+            db.run('DELETE FROM rating_history', check);
+            db.run('DELETE FROM team_ratings', check);
+
+            const historyStmt = db.prepare(`
+                INSERT OR REPLACE INTO rating_history
+                (match_id, team_id, opponent_id, match_date, competition_id, is_home, rating_before, rating_after)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+            `);
+            history.forEach(row => historyStmt.run(row, check));
+            historyStmt.finalize();
+
+            const teamStmt = db.prepare(`
+                INSERT INTO team_ratings (team_id, team_name, rating, matches, last_match_date, last_competition_id)
+                VALUES (?, ?, ?, ?, ?, ?)
+            `);
+            teams.forEach(t => teamStmt.run([t.id, t.name, t.rating, t.matches, t.lastMatchDate, t.lastCompetitionId], check));
+            teamStmt.finalize();
+        });
+
+        if (closeMatches >= ELO_CONFIG.drawRateMinMatches) eloDrawRate = closeDraws / closeMatches;
+        eloDrawRatesAsOf.clear();
+
+        console.log(`🏅 Elo ratings rebuilt: ${teams.size} teams from ${matches.length} matches (draw rate ${(eloDrawRate * 100).toFixed(1)}%)`);
+        return { teams: teams.size, matches: matches.length };
+    }
+
+    static scheduleRebuild() {
+        clearTimeout(rebuildTimer);
+        rebuildTimer = setTimeout(() => {
+            this.rebuild().catch(err => console.error('❌ Elo rebuild error:', err.message));
+        }, ELO_CONFIG.rebuildDelayMs);
+    }
+
+    // Aggiornamento incrementale quando saveMatch registra un nuovo risultato
+    static applyMatch(match) {
+        return WriteQueue.enqueue(() => this.applyMatchNow(match))
+            .catch(err => console.error('❌ Elo update error:', err.message));
+    }
+
+    static async applyMatchNow(match) {
+        const [alreadyRated, home, away] = await Promise.all([
+            new Promise((resolve) => {
+                db.get(`SELECT 1 AS found FROM rating_history WHERE match_id = ? LIMIT 1`,
+                    [match.id], (err, row) => resolve(!!row));
+            }),
+            this.getTeamRating(match.home_team_id),
+            this.getTeamRating(match.away_team_id)
+        ]);
+
+        // Risultato corretto o partita fuori ordine cronologico: serve il ricalcolo completo
+        if (alreadyRated ||
+            (home?.last_match_date && home.last_match_date > match.match_date) ||
+            (away?.last_match_date && away.last_match_date > match.match_date)) {
+            this.scheduleRebuild();
+            return;
+        }
+
+        const homeRating = home?.rating ?? ELO_CONFIG.initialRating;
+        const awayRating = away?.rating ?? ELO_CONFIG.initialRating;
+        const next = this.rate(homeRating, awayRating, match.home_goals, match.away_goals);
+
+        const run = (sql, params) => new Promise((resolve, reject) => {
+            db.run(sql, params, (err) => err ? reject(err) : resolve());
+        });
+
+        const insertHistory = `
+            INSERT OR REPLACE INTO rating_history
+            (match_id, team_id, opponent_id, match_date, competition_id, is_home, rating_before, rating_after)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `;
+        const upsertRating = `
+            INSERT INTO team_ratings (team_id, team_name, rating, matches, last_match_date, last_competition_id)
+            VALUES (?, ?, ?, 1, ?, ?)
+            ON CONFLICT(team_id) DO UPDATE SET
+                team_name = excluded.team_name,
+                rating = excluded.rating,
+                matches = team_ratings.matches + 1,
+                last_match_date = excluded.last_match_date,
+                last_competition_id = excluded.last_competition_id,
+                updated_at = CURRENT_TIMESTAMP
+        `;
+
+        await run(insertHistory, [match.id, match.home_team_id, match.away_team_id, match.match_date, match.competition_id, 1, homeRating, next.home]);
+        await run(insertHistory, [match.id, match.away_team_id, match.home_team_id, match.match_date, match.competition_id, 0, awayRating, next.away]);
+        await run(upsertRating, [match.home_team_id, match.home_team_name, next.home, match.match_date, match.competition_id]);
+        await run(upsertRating, [match.away_team_id, match.away_team_name, next.away, match.match_date, match.competition_id]);
+    }
+
+    static async getTeamRating(teamId) {
+        return new Promise((resolve) => {
+            db.get(`SELECT * FROM team_ratings WHERE team_id = ?`, [teamId], (err, row) => {
+                resolve(err ? null : row || null);
+            });
+        });
+    }
+
+    static async getRatings(competitionId = null, limit = 50) {
+        return new Promise((resolve) => {
+            db.all(`
+                SELECT * FROM team_ratings
+                ${competitionId ? 'WHERE last_competition_id = ?' : ''}
+                ORDER BY rating DESC
+                LIMIT ?
+            `, competitionId ? [competitionId, limit] : [limit], (err, rows) => {
+                resolve(err ? [] : rows || []);
+            });
+        });
+    }
+
+    static async getTeamHistory(teamId, limit = 100) {
+        return new Promise((resolve) => {
+            db.all(`
+                SELECT rh.*, o.team_name AS opponent_name,
+                       m.home_goals, m.away_goals
+                FROM rating_history rh
+                LEFT JOIN team_ratings o ON o.team_id = rh.opponent_id
+                LEFT JOIN historical_matches m ON m.id = rh.match_id
+                WHERE rh.team_id = ?
+                ORDER BY rh.match_date DESC
+                LIMIT ?
+            `, [teamId, limit], (err, rows) => {
+                resolve(err ? [] : rows || []);
+            });
+        });
+    }
+
+    // Rating di una squadra prima di una certa data (dallo storico)
+    static async getTeamRatingAsOf(teamId, asOf) {
+        return new Promise((resolve) => {
+            db.get(`
+                SELECT rh.team_id, tr.team_name, rh.rating_after AS rating,
+                       (SELECT COUNT(*) FROM rating_history WHERE team_id = ? AND match_date < ?) AS matches
+                FROM rating_history rh
+                LEFT JOIN team_ratings tr ON tr.team_id = rh.team_id
+                WHERE rh.team_id = ? AND rh.match_date < ?
+                ORDER BY rh.match_date DESC
+                LIMIT 1
+            `, [teamId, asOf, teamId, asOf], (err, row) => {
+                resolve(err ? null : row || null);
+            });
+        });
+    }
+
+    // Come in rebuild, ma sulle sole partite precedenti ad asOf: un backtest non usa i pareggi futuri
+    static async getDrawRateAsOf(asOf) {
+        if (eloDrawRatesAsOf.has(asOf)) return eloDrawRatesAsOf.get(asOf);
+
+        const row = await new Promise((resolve) => {
+            db.get(`
+                SELECT COUNT(*) AS matches, SUM(CASE WHEN m.home_goals = m.away_goals THEN 1 ELSE 0 END) AS draws
+                FROM rating_history h
+                JOIN rating_history a ON a.match_id = h.match_id AND a.is_home = 0
+                JOIN historical_matches m ON m.id = h.match_id
+                WHERE h.is_home = 1 AND h.match_date < ?
+                  AND ABS(h.rating_before + ? - a.rating_before) < ?
+            `, [asOf, ELO_CONFIG.homeAdvantage, ELO_CONFIG.drawRateWindow], (err, row) => resolve(err ? null : row));
+        });
+
+        const drawRate = row?.matches >= ELO_CONFIG.drawRateMinMatches ? row.draws / row.matches : ELO_CONFIG.defaultDrawRate;
+        eloDrawRatesAsOf.set(asOf, drawRate);
+        return drawRate;
+    }
+
+    static clearDrawRatesAsOf() {
+        eloDrawRatesAsOf.clear();
+    }
+
+    // drawRateAsOf: data della frequenza dei pareggi (nei backtest l'inizio del blocco di refit, come
+    // il modello gol, per non rifare il calcolo ad ogni calcio d'inizio)
+    static async predict(homeId, awayId, asOf = null, drawRateAsOf = asOf) {
+        const getRating = (teamId) => asOf ? this.getTeamRatingAsOf(teamId, asOf) : this.getTeamRating(teamId);
+        const [home, away, drawRate] = await Promise.all([
+            getRating(homeId),
+            getRating(awayId),
+            drawRateAsOf ? this.getDrawRateAsOf(drawRateAsOf) : eloDrawRate
+        ]);
+        if (!home || !away) return null;
+
+        const probs = this.probabilities(home.rating, away.rating, drawRate);
+        return {
+            home: { teamId: home.team_id, teamName: home.team_name, rating: home.rating.toFixed(1), matches: home.matches },
+            away: { teamId: away.team_id, teamName: away.team_name, rating: away.rating.toFixed(1), matches: away.matches },
+            homeAdvantage: ELO_CONFIG.homeAdvantage,
+            goalDifferenceWeighting: ELO_CONFIG.goalDifferenceWeighting,
+            expectedScore: probs.expectedScore,
+            '1X2': {
+                home: (probs.home * 100).toFixed(1),
+                draw: (probs.draw * 100).toFixed(1),
+                away: (probs.away * 100).toFixed(1)
+            }
+        };
+    }
+}
+
+// ===========================================
+// QUOTE BOOKMAKER E VALUE BET
+// ===========================================
+// I mercati seguono la struttura dell'output di SmartCalculator: "<periodo>.<gruppo>" + selezione,
+// es. market "fullTime.1X2" / selection "home", market "halfTime.goals" / selection "over15",
+// market "fullTime.btts" / selection "btts_yes".
+const ODDS_PERIODS = ['fullTime', 'halfTime', 'secondHalf'];
+
+class OddsManager {
+
+    static validate(entry) {
+        const errors = [];
+        if (!entry.matchId) errors.push('matchId is required');
+        if (!entry.homeTeamId || !entry.awayTeamId) errors.push('homeTeamId and awayTeamId are required');
+        if (!entry.bookmaker) errors.push('bookmaker is required');
+        if (!Array.isArray(entry.odds) || entry.odds.length === 0) errors.push('odds must be a non-empty array');
+
+        (entry.odds || []).forEach((o, index) => {
+            const [period, group] = (o.market || '').split('.');
+            if (!ODDS_PERIODS.includes(period) || !group) {
+                errors.push(`odds[${index}]: market must look like "fullTime.1X2"`);
+            }
+            if (!o.selection) errors.push(`odds[${index}]: selection is required`);
+            if (!(parseFloat(o.price) > 1)) errors.push(`odds[${index}]: price must be a decimal price > 1`);
+        });
+
+        return errors;
+    }
+
+    static async saveOdds(entry) {
+        const competitionId = entry.competitionId || API_CONFIG.competitions[entry.league] || null;
+
+        return new Promise((resolve, reject) => {
+            db.serialize(() => {
+                const stmt = db.prepare(`
+                    INSERT OR REPLACE INTO odds
+                    (match_id, bookmaker, market, selection, price,
+                     home_team_id, away_team_id, competition_id, match_date, updated_at)
+                    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+                `);
+                entry.odds.forEach(o => stmt.run([
+                    parseInt(entry.matchId),
+                    entry.bookmaker,
+                    o.market,
+                    o.selection,
+                    parseFloat(o.price),
+                    parseInt(entry.homeTeamId),
+                    parseInt(entry.awayTeamId),
+                    competitionId,
+                    entry.utcDate || null
+                ]));
+                stmt.finalize((err) => err ? reject(err) : resolve(entry.odds.length));
+            });
+        });
+    }
+
+    static async getOdds(matchId) {
+        return new Promise((resolve) => {
+            db.all(`
+                SELECT * FROM odds WHERE match_id = ?
+                ORDER BY market, selection, price DESC
+            `, [matchId], (err, rows) => {
+                resolve(err ? [] : rows || []);
+            });
+        });
+    }
+
+    static async getOddsForMatches(matchIds) {
+        if (!matchIds.length) return [];
+        return new Promise((resolve) => {
+            db.all(`SELECT * FROM odds WHERE match_id IN (${matchIds.map(() => '?').join(',')})`,
+                matchIds, (err, rows) => resolve(err ? [] : rows || []));
+        });
+    }
+
+    // Probabilità del modello (0-1) per una selezione, o null se il mercato non è coperto
+    static getModelProbability(analysis, market, selection) {
+        const [period, group] = market.split('.');
+        const value = parseFloat(analysis?.[period]?.[group]?.[selection]);
+        return Number.isFinite(value) ? value / 100 : null;
+    }
+
+    // Edge (probabilità modello - probabilità implicita) ed EV per unità puntata
+    static evaluate(analysis, oddsRows) {
+        return oddsRows
+            .map(row => {
+                const probability = this.getModelProbability(analysis, row.market, row.selection);
+                if (probability === null) return null;
+
+                const impliedProbability = 1 / row.price;
+                return {
+                    bookmaker: row.bookmaker,
+                    market: row.market,
+                    selection: row.selection,
+                    price: row.price,
+                    modelProbability: (probability * 100).toFixed(1),
+                    impliedProbability: (impliedProbability * 100).toFixed(1),
+                    fairPrice: probability > 0 ? (1 / probability).toFixed(2) : null,
+                    edge: ((probability - impliedProbability) * 100).toFixed(1),
+                    expectedValue: (probability * row.price - 1).toFixed(3),
+                    isValue: probability * row.price > 1
+                };
+            })
+            .filter(Boolean)
+            .sort((a, b) => parseFloat(b.expectedValue) - parseFloat(a.expectedValue));
+    }
+}
+
+// ===========================================
+// SMART CALCULATOR ESTESO
+// ===========================================
+// SmartCalculator AGGIORNATO - Versione completa con tutti gli Over/Under
+class SmartCalculator {
+    
+    // options.asOf: usa solo dati precedenti a quella data (backtest senza lookahead)
+    // options.modelAsOf: data di stima del modello gol (di default asOf)
+    // options.quiet: niente log per singola partita
+    // options.goalLines: { thresholds, teamThresholds } soglie Over/Under (di default GOAL_THRESHOLDS / TEAM_GOAL_THRESHOLDS)
+    // calibrate: false per ottenere le probabilità grezze (i backtest non usano la ricalibrazione)
+    static async calculateProbabilities(homeId, awayId, competitionId, options = {}) {
+        const result = await this.estimateProbabilities(homeId, awayId, competitionId, options);
+        return options.calibrate === false ? result : CalibrationService.apply(result);
+    }
+    
+    static async estimateProbabilities(homeId, awayId, competitionId, options = {}) {
+        const { asOf = null, modelAsOf = asOf, quiet = false, goalLines = {} } = options;
+        const log = quiet ? () => {} : console.log;
+        log(`🧮 Calculating enhanced probabilities for ${homeId} vs ${awayId}`);
+        
+        // Ottieni H2H con dati primo tempo, modello gol della competizione, rating Elo e forma per campo
+        const [h2hMatches, model, eloRatings, form] = await Promise.all([
+            HistoricalManager.getH2HWithHalftime(homeId, awayId, DECAY_CONFIG.h2hYears, asOf, DECAY_CONFIG.h2hLimit),
+            DixonColesModel.getModel(competitionId, modelAsOf),
+            EloRatings.predict(homeId, awayId, asOf, modelAsOf),
+            this.getFormSplits(homeId, awayId, competitionId, asOf)
+        ]);
+        const h2h = TimeDecay.weightMatches(h2hMatches, asOf, DECAY_CONFIG.halfLifeDays.h2h);
+        const formSplits = this.summarizeFormSplits(form, homeId, awayId);
+        
+        const expected = DixonColesModel.predict(model, homeId, awayId);
+        if (expected) {
+            log(`📐 Using Dixon-Coles goal model (${model.info.matchesUsed} matches)`);
+            return { ...this.fromGoalModel(model, expected, h2h, homeId, awayId, goalLines), eloRatings, formSplits };
+        }
+        
+        if (h2h.length >= 3) {
+            log(`✅ Using H2H enhanced analysis (${h2h.length} matches)`);
+            return { ...this.fromH2HEnhanced(h2h, homeId, awayId, model, goalLines), eloRatings, formSplits };
+        }
+        
+        if (form.home.overall.length >= 3 && form.away.overall.length >= 3) {
+            log(`📊 Using recent form analysis (${form.home.overall.length} + ${form.away.overall.length} matches)`);
+            return { ...this.fromRecentForm(form, homeId, awayId, model, goalLines), eloRatings, formSplits };
+        }
+        
+        if (eloRatings) {
+            log(`🏅 Using Elo ratings (${eloRatings.home.rating} vs ${eloRatings.away.rating})`);
+            return { ...this.fromRatings(eloRatings, model, goalLines), formSplits };
+        }
+        
+        // Fallback generico
+        log(`⚠️ Using enhanced generic fallback`);
+        return { ...this.getEnhancedGenericProbabilities(goalLines), formSplits };
+    }
+    
+    // Forma generale e per campo (casa per chi gioca in casa, trasferta per l'ospite), pesata per età
+    static async getFormSplits(homeId, awayId, competitionId, asOf = null) {
+        const limit = DECAY_CONFIG.formMatches;
+        const [homeOverall, homeVenue, awayOverall, awayVenue] = await Promise.all([
+            HistoricalManager.getTeamForm(homeId, competitionId, limit, asOf),
+            HistoricalManager.getTeamForm(homeId, competitionId, limit, asOf, 'home'),
+            HistoricalManager.getTeamForm(awayId, competitionId, limit, asOf),
+            HistoricalManager.getTeamForm(awayId, competitionId, limit, asOf, 'away')
+        ]);
+        
+        const weigh = (matches) => TimeDecay.weightMatches(matches, asOf, DECAY_CONFIG.halfLifeDays.form);
+        return {
+            home: { overall: weigh(homeOverall), venue: weigh(homeVenue) },
+            away: { overall: weigh(awayOverall), venue: weigh(awayVenue) }
+        };
+    }
+    
+    // Media tra forma generale e forma per campo, col peso del campo ridotto se ha poche partite
+    static blendForm(splits, teamId) {
+        const overall = this.analyzeTeamMatches(splits.overall, teamId);
+        const venue = this.analyzeTeamMatches(splits.venue, teamId);
+        const ess = TimeDecay.effectiveSampleSize(splits.venue.map(m => m.weight ?? 1));
+        const venueWeight = VENUE_FORM_CONFIG.maxWeight * ess / (ess + VENUE_FORM_CONFIG.shrinkMatches);
+        const mix = (key) => venueWeight * venue[key] + (1 - venueWeight) * overall[key];
+        
+        return {
+            overall,
+            venue,
+            venueWeight,
+            avgGoalsFor: mix('avgGoalsFor'),
+            avgGoalsAgainst: mix('avgGoalsAgainst')
+        };
+    }
+    
+    static summarizeFormSplits(form, homeId, awayId) {
+        const describe = (analysis, matches) => ({
+            matches: matches.length,
+            effectiveSampleSize: TimeDecay.effectiveSampleSize(matches.map(m => m.weight ?? 1)).toFixed(1),
+            winRate: (analysis.winRate * 100).toFixed(1),
+            drawRate: (analysis.drawRate * 100).toFixed(1),
+            avgGoalsFor: analysis.avgGoalsFor.toFixed(2),
+            avgGoalsAgainst: analysis.avgGoalsAgainst.toFixed(2),
+            bttsRate: (analysis.bttsRate * 100).toFixed(1),
+            form: analysis.formString
+        });
+        const side = (splits, teamId, venue) => {
+            const blend = this.blendForm(splits, teamId);
+            return {
+                venue,
+                overall: describe(blend.overall, splits.overall),
+                [venue]: describe(blend.venue, splits.venue),
+                venueWeight: blend.venueWeight.toFixed(2),
+                blended: {
+                    avgGoalsFor: blend.avgGoalsFor.toFixed(2),
+                    avgGoalsAgainst: blend.avgGoalsAgainst.toFixed(2)
+                }
+            };
+        };
+        
+        return {
+            halfLifeDays: DECAY_CONFIG.halfLifeDays.form,
+            home: side(form.home, homeId, 'home'),
+            away: side(form.away, awayId, 'away')
+        };
+    }
+    
+    // Tutti i mercati dalla distribuzione congiunta del modello Dixon-Coles
+    // Pesatura temporale nella stessa forma per ogni dataSource: null dove la fonte non ha pesato partite
+    // (rating Elo e fallback generico non ne pesano nessuna)
+    static timeDecayBlock({ model = null, h2h = null, form = null } = {}) {
+        return { model, h2h, form };
+    }
+    
+    static fromGoalModel(model, expected, h2h, currentHomeId, currentAwayId, goalLines = {}) {
+        const periods = ScorelineModel.buildPeriods(expected);
+        const homeTeam = model.teams.get(currentHomeId);
+        const awayTeam = model.teams.get(currentAwayId);
+        
+        // Confidenza: campione delle due squadre + miglioramento del fit rispetto alla media di lega
+        // (pseudo-R² null senza partite con parziale: fit non misurato, nessun contributo)
+        const sampleFactor = Math.min(1, Math.min(homeTeam.matches, awayTeam.matches) / 38);
+        const fitFactor = Math.max(0, Math.min(1, parseFloat(model.info.pseudoR2 ?? 0) / 0.05));
+        
+        return {
+            ...ScorelineModel.toProbabilities(periods, goalLines),
+            h2hData: h2h.length > 0 ? this.summarizeH2H(h2h, currentHomeId, goalLines.thresholds).h2hData : null,
+            confidence: Math.round(50 + sampleFactor * 25 + fitFactor * 15),
+            dataSource: 'dixon_coles_model',
+            timeDecay: this.timeDecayBlock({
+                model: model.info.timeDecay,
+                h2h: h2h.length > 0 ? TimeDecay.describe(h2h, DECAY_CONFIG.halfLifeDays.h2h) : null
+            }),
+            modelInfo: {
+                ...model.info,
+                expectedGoals: {
+                    home: (expected.halfTime.home + expected.secondHalf.home).toFixed(2),
+                    away: (expected.halfTime.away + expected.secondHalf.away).toFixed(2)
+                },
+                teamMatches: { home: homeTeam.matches, away: awayTeam.matches }
+            }
+        };
+    }
+    
+    // Rating Elo: sposta i gol medi di lega finché la distribuzione rispetta il punteggio atteso Elo
+    static fromRatings(eloRatings, model = null, goalLines = {}) {
+        const total = model ? model.leagueAverage.home + model.leagueAverage.away : 2.65;
+        const halfTimeShare = model?.halfTimeShare || {
+            home: GOAL_MODEL_CONFIG.defaultHalfTimeShare,
+            away: GOAL_MODEL_CONFIG.defaultHalfTimeShare
+        };
+        
+        let low = -total * 0.95, high = total * 0.95, periods = null;
+        for (let i = 0; i < 30; i++) {
+            const supremacy = (low + high) / 2;
+            periods = ScorelineModel.buildPeriods(
+                ScorelineModel.splitByHalf((total + supremacy) / 2, (total - supremacy) / 2, halfTimeShare)
+            );
+            const { home, draw } = ScorelineModel.outcomes(periods.fullTime);
+            if (home + draw / 2 < eloRatings.expectedScore) low = supremacy;
+            else high = supremacy;
+        }
+        
+        const minMatches = Math.min(eloRatings.home.matches, eloRatings.away.matches);
+        
+        return {
+            ...ScorelineModel.toProbabilities(periods, goalLines),
+            h2hData: null,
+            confidence: Math.round(45 + 20 * Math.min(1, minMatches / 60)),
+            dataSource: 'elo_ratings',
+            timeDecay: this.timeDecayBlock(),
+            eloRatings
+        };
+    }
+    
+    // Calcolo H2H: gol medi degli scontri diretti -> distribuzione risultati
+    static fromH2HEnhanced(matches, currentHomeId, currentAwayId, model = null, goalLines = {}) {
+        const { h2hData, goals } = this.summarizeH2H(matches, currentHomeId, goalLines.thresholds);
+        const timeDecay = TimeDecay.describe(matches, DECAY_CONFIG.halfLifeDays.h2h);
+        
+        // Gli scontri diretti sono giocati su entrambi i campi: applica il fattore campo della lega
+        const venueFactor = Math.sqrt(model?.homeAdvantage || 1);
+        const perHalf = (home, away, weight) => ({ home: (home / weight) * venueFactor, away: (away / weight) / venueFactor });
+        
+        // Senza parziali negli scontri diretti: gol finali divisi tra i tempi con la quota della lega
+        const expected = goals.htWeight > 0
+            ? {
+                halfTime: perHalf(goals.htHome, goals.htAway, goals.htWeight),
+                secondHalf: perHalf(goals.shHome, goals.shAway, goals.htWeight)
+            }
+            : ScorelineModel.splitByHalf(
+                (goals.ftHome / goals.weight) * venueFactor,
+                (goals.ftAway / goals.weight) / venueFactor,
+                model?.halfTimeShare || { home: GOAL_MODEL_CONFIG.defaultHalfTimeShare, away: GOAL_MODEL_CONFIG.defaultHalfTimeShare }
+            );
+        
+        return {
+            ...ScorelineModel.toProbabilities(ScorelineModel.buildPeriods(expected), goalLines),
+            h2hData,
+            confidence: Math.round(Math.min(90, 55 + parseFloat(timeDecay.effectiveSampleSize) * 4)),
+            dataSource: 'h2h_enhanced_database',
+            timeDecay: this.timeDecayBlock({ h2h: timeDecay })
+        };
+    }
+    
+    // Statistiche aggregate degli scontri diretti, orientate sulla squadra di casa attuale.
+    // Medie e percentuali sono pesate con match.weight (pesatura temporale), i conteggi V/N/P no.
+    // Primo e secondo tempo solo sulle partite con parziale noto (null se non ce n'è nessuna).
+    static summarizeH2H(matches, currentHomeId, thresholds = GOAL_THRESHOLDS) {
+        const hasHalfTime = (m) => m.home_goals_ht !== null && m.home_goals_ht !== undefined
+            && m.away_goals_ht !== null && m.away_goals_ht !== undefined;
+        const total = matches.reduce((sum, m) => sum + (m.weight ?? 1), 0);
+        const htTotal = matches.filter(hasHalfTime).reduce((sum, m) => sum + (m.weight ?? 1), 0);
+        const pct = (count, base) => (base > 0 ? ((count / base) * 100).toFixed(1) : null);
+        
+        // Contatori risultato finale
+        let ftHomeWins = 0, ftAwayWins = 0, ftDraws = 0;
+        let ftTotalGoals = 0, ftBtts = 0;
+        
+        // Contatori primo tempo  
+        let htHomeWins = 0, htAwayWins = 0, htDraws = 0;
+        let htTotalGoals = 0, htBtts = 0;
+        
+        // Contatori secondo tempo
+        let shHomeWins = 0, shAwayWins = 0, shDraws = 0;
+        let shTotalGoals = 0, shBtts = 0;
+        
+        // Gol per squadra (dal punto di vista della squadra di casa attuale)
+        const goals = { ftHome: 0, ftAway: 0, htHome: 0, htAway: 0, shHome: 0, shAway: 0, weight: total, htWeight: htTotal };
+        
+        // Contatori per tutte le soglie Over/Under richieste
+        const emptyCounters = () => Object.fromEntries(thresholds.map(t => [`over${goalLineKey(t)}`, 0]));
+        const overCounters = { ft: emptyCounters(), ht: emptyCounters(), sh: emptyCounters() };
+        
+        // Parziale/finale dalle coppie match_result_ht/match_result, orientate sulla squadra di casa attuale
+        const htftCounters = {};
+        ONE_X_TWO.forEach(ht => ONE_X_TWO.forEach(ft => { htftCounters[`${ht}_${ft}`] = 0; }));
+        const swapSides = { home: 'away', away: 'home', draw: 'draw' };
+        
+        // Confronto tra i tempi (stesse chiavi di ScorelineModel.halvesFromPeriods)
+        const halvesCounters = { first: 0, second: 0, equal: 0, goalBoth: 0, homeBoth: 0, awayBoth: 0, homeEither: 0, awayEither: 0 };
+        
+        // Distribuzione (pesata) dei gol totali per multigol e gol esatti
+        const goalDistribution = { ft: [], ht: [] };
+        const addGoals = (distribution, goalsScored, w) => { distribution[goalsScored] = (distribution[goalsScored] || 0) + w; };
+        const countOver = (counters, goalsScored, w) => thresholds.forEach(t => {
+            if (goalsScored > t) counters[`over${goalLineKey(t)}`] += w;
+        });
+        
+        matches.forEach(match => {
+            const isCurrentHome = match.home_team_id === currentHomeId;
+            const w = match.weight ?? 1;
+            
+            // === DATI FINALE ===
+            const ftGoals = match.total_goals;
+            ftTotalGoals += w * ftGoals;
+            if (match.home_goals > 0 && match.away_goals > 0) ftBtts += w;
+            
+            // Over/Under finale
+            countOver(overCounters.ft, ftGoals, w);
+            addGoals(goalDistribution.ft, ftGoals, w);
+            
+            goals.ftHome += w * (isCurrentHome ? match.home_goals : match.away_goals);
+            goals.ftAway += w * (isCurrentHome ? match.away_goals : match.home_goals);
+            
+            // === RISULTATI ===
+            // Risultati finale
+            if (match.match_result === 'draw') {
+                ftDraws++;
+            } else if (
+                (match.match_result === 'home' && match.home_team_id === currentHomeId) ||
+                (match.match_result === 'away' && match.away_team_id === currentHomeId)
+            ) {
+                ftHomeWins++;
+            } else {
+                ftAwayWins++;
+            }
+            
+            if (!hasHalfTime(match)) return;
+            
+            // === DATI PRIMO TEMPO ===
+            const htGoalsHome = match.home_goals_ht;
+            const htGoalsAway = match.away_goals_ht;
+            const htGoals = htGoalsHome + htGoalsAway;
+            
+            htTotalGoals += w * htGoals;
+            if (htGoalsHome > 0 && htGoalsAway > 0) htBtts += w;
+            
+            // Over/Under primo tempo
+            countOver(overCounters.ht, htGoals, w);
+            addGoals(goalDistribution.ht, htGoals, w);
+            
+            // Parziale/finale
+            const storedHT = match.match_result_ht || this.getMatchResult({ home: htGoalsHome, away: htGoalsAway });
+            const storedFT = match.match_result || this.getMatchResult({ home: match.home_goals, away: match.away_goals });
+            const orient = (result) => (isCurrentHome ? result : swapSides[result]);
+            htftCounters[`${orient(storedHT)}_${orient(storedFT)}`] += w;
+            
+            // === DATI SECONDO TEMPO ===
+            const shGoalsHome = Math.max(0, match.home_goals - htGoalsHome);
+            const shGoalsAway = Math.max(0, match.away_goals - htGoalsAway);
+            const shGoals = shGoalsHome + shGoalsAway;
+            
+            shTotalGoals += w * shGoals;
+            if (shGoalsHome > 0 && shGoalsAway > 0) shBtts += w;
+            
+            // Confronto tra i tempi, dal punto di vista della squadra di casa attuale
+            const [htFor, htAgainst] = isCurrentHome ? [htGoalsHome, htGoalsAway] : [htGoalsAway, htGoalsHome];
+            const [shFor, shAgainst] = isCurrentHome ? [shGoalsHome, shGoalsAway] : [shGoalsAway, shGoalsHome];
+            if (htGoals > shGoals) halvesCounters.first += w;
+            else if (shGoals > htGoals) halvesCounters.second += w;
+            else halvesCounters.equal += w;
+            if (htGoals > 0 && shGoals > 0) halvesCounters.goalBoth += w;
+            if (htFor > 0 && shFor > 0) halvesCounters.homeBoth += w;
+            if (htAgainst > 0 && shAgainst > 0) halvesCounters.awayBoth += w;
+            if (htFor > htAgainst || shFor > shAgainst) halvesCounters.homeEither += w;
+            if (htAgainst > htFor || shAgainst > shFor) halvesCounters.awayEither += w;
+            
+            // Over/Under secondo tempo
+            countOver(overCounters.sh, shGoals, w);
+            
+            goals.htHome += w * (isCurrentHome ? htGoalsHome : htGoalsAway);
+            goals.htAway += w * (isCurrentHome ? htGoalsAway : htGoalsHome);
+            goals.shHome += w * (isCurrentHome ? shGoalsHome : shGoalsAway);
+            goals.shAway += w * (isCurrentHome ? shGoalsAway : shGoalsHome);
+            
+            // Risultati primo tempo
+            const htResult = this.getMatchResult({ home: htGoalsHome, away: htGoalsAway });
+            if (htResult === 'draw') {
+                htDraws++;
+            } else if (
+                (htResult === 'home' && match.home_team_id === currentHomeId) ||
+                (htResult === 'away' && match.away_team_id === currentHomeId)
+            ) {
+                htHomeWins++;
+            } else {
+                htAwayWins++;
+            }
+            
+            // Risultati secondo tempo 
+            const shResult = this.getMatchResult({ home: shGoalsHome, away: shGoalsAway });
+            if (shResult === 'draw') {
+                shDraws++;
+            } else if (
+                (shResult === 'home' && match.home_team_id === currentHomeId) ||
+                (shResult === 'away' && match.away_team_id === currentHomeId)
+            ) {
+                shHomeWins++;
+            } else {
+                shAwayWins++;
+            }
+        });
+        
+        const goalCounts = (distribution, base, config) => (base > 0
+            ? ScorelineModel.goalCountMarkets(distribution.map(w => (w || 0) / base), config.ranges, config.exactMax)
+            : { multigol: null, exactGoals: null });
+        const goalCountsFT = goalCounts(goalDistribution.ft, total, MULTIGOL_CONFIG.fullTime);
+        const goalCountsHT = goalCounts(goalDistribution.ht, htTotal, MULTIGOL_CONFIG.halfTime);
+        
+        // over05HT_pct, over25FT_pct, over352H_pct, ... per ogni soglia
+        const overPercentages = (counters, suffix, base) => Object.fromEntries(
+            Object.entries(counters).map(([key, count]) => [`${key}${suffix}_pct`, pct(count, base)])
+        );
+        
+        return {
+            goals,
+            h2hData: {
+                matches: matches.map(m => {
+                    const withHT = hasHalfTime(m);
+                    return {
+                        date: m.match_date,
+                        homeTeamName: m.home_team_name,
+                        awayTeamName: m.away_team_name,
+                        scoreHT: withHT ? `${m.home_goals_ht}-${m.away_goals_ht}` : null,
+                        scoreFT: `${m.home_goals}-${m.away_goals}`,
+                        totalGoalsHT: withHT ? m.total_goals_ht : null,
+                        totalGoalsFT: m.total_goals,
+                        totalGoals2H: withHT ? Math.max(0, m.total_goals - m.total_goals_ht) : null,
+                        isBTTS_HT: withHT ? m.home_goals_ht > 0 && m.away_goals_ht > 0 : null,
+                        isBTTS_FT: m.home_goals > 0 && m.away_goals > 0,
+                        isBTTS_2H: withHT ? (m.home_goals - m.home_goals_ht) > 0 && (m.away_goals - m.away_goals_ht) > 0 : null
+                    };
+                }).slice(0, 8),
+                summary: {
+                    totalMatches: matches.length,
+                    matchesWithHalfTime: matches.filter(hasHalfTime).length,
+                    effectiveSampleSize: TimeDecay.effectiveSampleSize(matches.map(m => m.weight ?? 1)).toFixed(1),
+                    avgGoalsHT: htTotal > 0 ? (htTotalGoals / htTotal).toFixed(2) : null,
+                    avgGoalsFT: (ftTotalGoals / total).toFixed(2),
+                    avgGoals2H: htTotal > 0 ? (shTotalGoals / htTotal).toFixed(2) : null,
+                    // Aggiungi tutte le percentuali
+                    thresholds,
+                    ...overPercentages(overCounters.ht, 'HT', htTotal),
+                    ...overPercentages(overCounters.ft, 'FT', total),
+                    ...overPercentages(overCounters.sh, '2H', htTotal),
+                    multigolFT_pct: goalCountsFT.multigol,
+                    exactGoalsFT_pct: goalCountsFT.exactGoals,
+                    multigolHT_pct: goalCountsHT.multigol,
+                    exactGoalsHT_pct: goalCountsHT.exactGoals,
+                    halves_pct: htTotal > 0
+                        ? ScorelineModel.formatHalves(Object.fromEntries(Object.entries(halvesCounters).map(([key, count]) => [key, count / htTotal])))
+                        : null,
+                    htft_pct: Object.fromEntries(Object.entries(htftCounters).map(([key, count]) => [key, pct(count, htTotal)])),
+                    bttsHT_pct: pct(htBtts, htTotal),
+                    bttsFT_pct: pct(ftBtts, total),
+                    btts2H_pct: pct(shBtts, htTotal),
+                    homeWinsFT: ftHomeWins,
+                    awayWinsFT: ftAwayWins,
+                    drawsFT: ftDraws,
+                    homeWinsHT: htHomeWins,
+                    awayWinsHT: htAwayWins,
+                    drawsHT: htDraws,
+                    // NUOVO: Aggiungi risultati secondo tempo
+                    homeWins2H: shHomeWins,
+                    awayWins2H: shAwayWins,
+                    draws2H: shDraws
+                }
+            }
+        };
+    }
+    
+    // Fallback basato su forma recente: forma generale mescolata a quella casalinga/esterna (getFormSplits)
+    static fromRecentForm(form, currentHomeId, currentAwayId, model = null, goalLines = {}) {
+        const homeAnalysis = this.blendForm(form.home, currentHomeId);
+        const awayAnalysis = this.blendForm(form.away, currentAwayId);
+        
+        // Gol attesi: attacco di una squadra contro difesa dell'altra. Il fattore campo della lega
+        // copre solo la parte di forma non specifica per campo (quella per campo lo contiene già)
+        const leagueVenueFactor = Math.sqrt(model?.homeAdvantage || 1);
+        const homeVenueFactor = Math.pow(leagueVenueFactor, 1 - homeAnalysis.venueWeight);
+        const awayVenueFactor = Math.pow(leagueVenueFactor, 1 - awayAnalysis.venueWeight);
+        const expectedHomeGoals = ((homeAnalysis.avgGoalsFor + awayAnalysis.avgGoalsAgainst) / 2) * homeVenueFactor;
+        const expectedAwayGoals = ((awayAnalysis.avgGoalsFor + homeAnalysis.avgGoalsAgainst) / 2) / awayVenueFactor;
+        
+        const halfTimeShare = model?.halfTimeShare || {
+            home: GOAL_MODEL_CONFIG.defaultHalfTimeShare,
+            away: GOAL_MODEL_CONFIG.defaultHalfTimeShare
+        };
+        const expected = ScorelineModel.splitByHalf(expectedHomeGoals, expectedAwayGoals, halfTimeShare);
+        
+        return {
+            ...ScorelineModel.toProbabilities(ScorelineModel.buildPeriods(expected), goalLines),
+            h2hData: null,
+            confidence: 65,
+            dataSource: 'recent_form_analysis',
+            timeDecay: this.timeDecayBlock({
+                form: {
+                    home: TimeDecay.describe(form.home.overall, DECAY_CONFIG.halfLifeDays.form),
+                    away: TimeDecay.describe(form.away.overall, DECAY_CONFIG.halfLifeDays.form)
+                }
+            }),
+            formBreakdown: {
+                home: {
+                    matches: form.home.overall.length,
+                    venueMatches: form.home.venue.length,
+                    venueWeight: homeAnalysis.venueWeight.toFixed(2),
+                    winRate: (homeAnalysis.overall.winRate * 100).toFixed(1) + '%',
+                    avgGoals: homeAnalysis.avgGoalsFor.toFixed(2),
+                    form: homeAnalysis.overall.formString
+                },
+                away: {
+                    matches: form.away.overall.length,
+                    venueMatches: form.away.venue.length,
+                    venueWeight: awayAnalysis.venueWeight.toFixed(2),
+                    winRate: (awayAnalysis.overall.winRate * 100).toFixed(1) + '%',
+                    avgGoals: awayAnalysis.avgGoalsFor.toFixed(2),
+                    form: awayAnalysis.overall.formString
+                }
+            }
+        };
+    }
+    
+    // Helper per analizzare partite di una squadra (medie pesate con match.weight)
+    static analyzeTeamMatches(matches, teamId) {
+        let wins = 0, draws = 0, losses = 0;
+        let goalsFor = 0, goalsAgainst = 0, bttsCount = 0, totalWeight = 0;
+        const formChars = [];
+        
+        matches.forEach(match => {
+            const isHomeInMatch = match.home_team_id === teamId;
+            const ourGoals = isHomeInMatch ? match.home_goals : match.away_goals;
+            const theirGoals = isHomeInMatch ? match.away_goals : match.home_goals;
+            const w = match.weight ?? 1;
+            
+            totalWeight += w;
+            goalsFor += w * ourGoals;
+            goalsAgainst += w * theirGoals;
+            
+            if (ourGoals > 0 && theirGoals > 0) bttsCount += w;
+            
+            if (ourGoals > theirGoals) {
+                wins += w;
+                formChars.push('W');
+            } else if (ourGoals < theirGoals) {
+                losses += w;
+                formChars.push('L');
+            } else {
+                draws += w;
+                formChars.push('D');
+            }
+        });
+        
+        return {
+            winRate: totalWeight > 0 ? wins / totalWeight : 0,
+            drawRate: totalWeight > 0 ? draws / totalWeight : 0,
+            avgGoalsFor: totalWeight > 0 ? goalsFor / totalWeight : 0,
+            avgGoalsAgainst: totalWeight > 0 ? goalsAgainst / totalWeight : 0,
+            bttsRate: totalWeight > 0 ? bttsCount / totalWeight : 0,
+            formString: formChars.slice(0, 5).join(''),     // Ultime 5 partite
+            totalMatches: matches.length
+        };
+    }
+    
+    // Fallback generico: tutti i mercati dai risultati esatti di una partita "media" (2.65 gol attesi)
+    static getEnhancedGenericProbabilities(goalLines = {}) {
+        const periods = ScorelineModel.buildPeriods({
+            halfTime: { home: 0.65, away: 0.55 },
+            secondHalf: { home: 0.8, away: 0.65 }
+        });
+        
+        return {
+            ...ScorelineModel.toProbabilities(periods, goalLines),
+            h2hData: null,
+            confidence: 45,
+            dataSource: 'enhanced_generic_fallback',
+            timeDecay: this.timeDecayBlock()
+        };
+    }
+    
+    static getMatchResult(score) {
+        if (score.home > score.away) return 'home';
+        if (score.away > score.home) return 'away';
+        return 'draw';
+    }
+}
+
+// ===========================================
+// GESTIONE DELLE PUNTATE (KELLY E PUNTATE FISSE)
+// ===========================================
+const STAKING_CONFIG = {
+    kellyFraction: 0.25,        // Kelly frazionato di default (1/4 Kelly)
+    fixedPercent: 1,            // % del bankroll per la strategia a percentuale fissa
+    fixedUnit: 10,              // Puntata fissa in valuta
+    maxStakePercent: 5,         // Tetto per singola puntata (% bankroll)
+    maxFixturePercent: 10       // Tetto complessivo per le puntate sulla stessa partita (% bankroll)
+};
+
+const STAKING_STRATEGIES = ['kelly', 'fractionalKelly', 'fixedPercentage', 'fixedUnit'];
+
+class StakingService {
+
+    // Frazione di Kelly: (p * b - q) / b con b = quota - 1; zero se il valore atteso è negativo
+    static kellyFraction(probability, price) {
+        const b = price - 1;
+        if (b <= 0) return 0;
+        return Math.max(0, (probability * b - (1 - probability)) / b);
+    }
+
+    static normalizeOptions(options = {}) {
+        const number = (value, fallback) => (Number.isFinite(parseFloat(value)) ? parseFloat(value) : fallback);
+        return {
+            bankroll: number(options.bankroll, 0),
+            kellyFraction: number(options.kellyFraction, STAKING_CONFIG.kellyFraction),
+            fixedPercent: number(options.fixedPercent, STAKING_CONFIG.fixedPercent),
+            fixedUnit: number(options.fixedUnit, STAKING_CONFIG.fixedUnit),
+            maxStakePercent: number(options.maxStakePercent, STAKING_CONFIG.maxStakePercent),
+            maxFixturePercent: number(options.maxFixturePercent, STAKING_CONFIG.maxFixturePercent)
+        };
+    }
+
+    static validate(body) {
+        const errors = [];
+        if (!(parseFloat(body.bankroll) > 0)) errors.push('bankroll must be a positive number');
+        if (!Array.isArray(body.bets) || body.bets.length === 0) errors.push('bets must be a non-empty array');
+
+        (body.bets || []).forEach((bet, index) => {
+            const [period, group] = (bet.market || '').split('.');
+            if (!ODDS_PERIODS.includes(period) || !group) errors.push(`bets[${index}]: market must look like "fullTime.1X2"`);
+            if (!bet.selection) errors.push(`bets[${index}]: selection is required`);
+            if (!(parseFloat(bet.price) > 1)) errors.push(`bets[${index}]: price must be a decimal price > 1`);
+            if (bet.probability !== undefined && !(parseFloat(bet.probability) > 0 && parseFloat(bet.probability) < 100)) {
+                errors.push(`bets[${index}]: probability must be a percentage between 0 and 100`);
+            }
+        });
+
+        if (parseFloat(body.kellyFraction) <= 0 || parseFloat(body.kellyFraction) > 1) {
+            errors.push('kellyFraction must be in (0, 1]');
+        }
+        return errors;
+    }
+
+    // bets: [{ market, selection, price, probability? }] sulla stessa partita; probabilità in % o dal modello
+    static calculate(analysis, bets, rawOptions = {}) {
+        const options = this.normalizeOptions(rawOptions);
+        const { bankroll } = options;
+        const maxStake = bankroll * options.maxStakePercent / 100;
+
+        const rows = bets.map(bet => {
+            const price = parseFloat(bet.price);
+            const probability = bet.probability !== undefined
+                ? parseFloat(bet.probability) / 100
+                : OddsManager.getModelProbability(analysis, bet.market, bet.selection);
+
+            if (probability === null) {
+                return { ...bet, price, error: 'Market not covered by the model: pass probability explicitly' };
+            }
+
+            const expectedValue = probability * price - 1;
+            const kelly = this.kellyFraction(probability, price);
+            const isValue = expectedValue > 0;
+
+            const raw = {
+                kelly: bankroll * kelly,
+                fractionalKelly: bankroll * kelly * options.kellyFraction,
+                fixedPercentage: isValue ? bankroll * options.fixedPercent / 100 : 0,
+                fixedUnit: isValue ? Math.min(options.fixedUnit, bankroll) : 0
+            };
+
+            const stakes = {};
+            STAKING_STRATEGIES.forEach(strategy => {
+                stakes[strategy] = { amount: Math.min(raw[strategy], maxStake), capped: raw[strategy] > maxStake };
+            });
+
+            return {
+                market: bet.market,
+                selection: bet.selection,
+                price,
+                probability,
+                impliedProbability: 1 / price,
+                expectedValue,
+                kellyFraction: kelly,
+                isValue,
+                stakes
+            };
+        });
+
+        // Più puntate sulla stessa partita: se il totale supera il tetto, riduzione proporzionale
+        const maxFixture = bankroll * options.maxFixturePercent / 100;
+        const totals = {};
+        STAKING_STRATEGIES.forEach(strategy => {
+            const valid = rows.filter(r => !r.error);
+            const total = valid.reduce((sum, r) => sum + r.stakes[strategy].amount, 0);
+            const scale = total > maxFixture ? maxFixture / total : 1;
+
+            valid.forEach(r => {
+                r.stakes[strategy].amount *= scale;
+                if (scale < 1) r.stakes[strategy].capped = true;
+            });
+
+            const staked = total * scale;
+            const expectedProfit = valid.reduce((sum, r) => sum + r.stakes[strategy].amount * r.expectedValue, 0);
+            totals[strategy] = {
+                staked: staked.toFixed(2),
+                bankrollPercent: bankroll > 0 ? ((staked / bankroll) * 100).toFixed(2) : '0.00',
+                expectedProfit: expectedProfit.toFixed(2),
+                scaledToFixtureCap: scale < 1
+            };
+        });
+
+        return {
+            options,
+            bets: rows.map(r => r.error ? r : {
+                ...r,
+                probability: (r.probability * 100).toFixed(1),
+                impliedProbability: (r.impliedProbability * 100).toFixed(1),
+                expectedValue: r.expectedValue.toFixed(3),
+                kellyFraction: (r.kellyFraction * 100).toFixed(2),
+                stakes: Object.fromEntries(STAKING_STRATEGIES.map(strategy => [strategy, {
+                    amount: r.stakes[strategy].amount.toFixed(2),
+                    capped: r.stakes[strategy].capped
+                }]))
+            }),
+            totals
+        };
+    }
+}
+
+// ===========================================
+// ESITO DEI MERCATI
+// ===========================================
+// Stessa convenzione di OddsManager: market "<periodo>.<gruppo>" + selezione
+class MarketSettler {
+
+    // scores: { fullTime: { home, away }, halfTime: { home, away } | null }
+    static periodScores(scores) {
+        const { fullTime, halfTime } = scores;
+        return {
+            fullTime,
+            halfTime: halfTime || null,
+            secondHalf: halfTime ? {
+                home: Math.max(0, fullTime.home - halfTime.home),
+                away: Math.max(0, fullTime.away - halfTime.away)
+            } : null
+        };
+    }
+
+    // 'won' | 'lost' | null (mercato non valutabile con i dati disponibili)
+    // drawNoBet: null anche in caso di pareggio (puntata rimborsata)
+    static settle(market, selection, scores) {
+        const [period, group] = market.split('.');
+        const periods = this.periodScores(scores);
+        const score = periods[period];
+        if (!score) return null;
+        const outcome = (won) => (won ? 'won' : 'lost');
+
+        switch (group) {
+            case '1X2': {
+                if (!['home', 'draw', 'away'].includes(selection)) return null;
+                return HistoricalManager.getMatchResult(score) === selection ? 'won' : 'lost';
+            }
+            case 'doubleChance': {
+                const covered = { '1X': ['home', 'draw'], '12': ['home', 'away'], 'X2': ['draw', 'away'] }[selection];
+                if (!covered) return null;
+                return outcome(covered.includes(HistoricalManager.getMatchResult(score)));
+            }
+            case 'drawNoBet': {
+                if (!['home', 'away'].includes(selection)) return null;
+                const result = HistoricalManager.getMatchResult(score);
+                return result === 'draw' ? null : outcome(result === selection);
+            }
+            case 'highestScoringHalf':
+            case 'goalBothHalves':
+            case 'scoreBothHalves':
+            case 'winEitherHalf': {
+                if (period !== 'fullTime' || !periods.halfTime) return null;
+                const first = periods.halfTime;
+                const second = periods.secondHalf;
+                if (group === 'highestScoringHalf') {
+                    const diff = (first.home + first.away) - (second.home + second.away);
+                    const winner = diff > 0 ? 'first' : diff < 0 ? 'second' : 'equal';
+                    return ['first', 'second', 'equal'].includes(selection) ? outcome(winner === selection) : null;
+                }
+                if (group === 'goalBothHalves') {
+                    if (!['yes', 'no'].includes(selection)) return null;
+                    const both = first.home + first.away > 0 && second.home + second.away > 0;
+                    return outcome((selection === 'yes') === both);
+                }
+                if (!['home', 'away'].includes(selection)) return null;
+                const other = selection === 'home' ? 'away' : 'home';
+                if (group === 'scoreBothHalves') return outcome(first[selection] > 0 && second[selection] > 0);
+                return outcome(first[selection] > first[other] || second[selection] > second[other]);
+            }
+            case 'htft': {
+                const match = /^(home|draw|away)_(home|draw|away)$/.exec(selection);
+                if (!match || period !== 'fullTime' || !periods.halfTime) return null;
+                return outcome(HistoricalManager.getMatchResult(periods.halfTime) === match[1]
+                    && HistoricalManager.getMatchResult(score) === match[2]);
+            }
+            case 'winningMargin': {
+                const match = /^(?:draw|(home|away)([12]|3plus))$/.exec(selection);
+                if (!match) return null;
+                const diff = score.home - score.away;
+                if (selection === 'draw') return outcome(diff === 0);
+                const signed = match[1] === 'home' ? diff : -diff;
+                return outcome(match[2] === '3plus' ? signed >= 3 : signed === parseInt(match[2]));
+            }
+            case 'multigol':
+            case 'homeMultigol':
+            case 'awayMultigol': {
+                const match = /^(\d+)-(\d+)$/.exec(selection);
+                if (!match) return null;
+                const scored = group === 'homeMultigol' ? score.home : group === 'awayMultigol' ? score.away : score.home + score.away;
+                return outcome(scored >= parseInt(match[1]) && scored <= parseInt(match[2]));
+            }
+            case 'exactGoals':
+            case 'homeExactGoals':
+            case 'awayExactGoals': {
+                const match = /^(\d+)(\+?)$/.exec(selection);
+                if (!match) return null;
+                const scored = group === 'homeExactGoals' ? score.home : group === 'awayExactGoals' ? score.away : score.home + score.away;
+                return outcome(match[2] ? scored >= parseInt(match[1]) : scored === parseInt(match[1]));
+            }
+            case 'cleanSheet': {
+                if (!['home', 'away'].includes(selection)) return null;
+                return outcome((selection === 'home' ? score.away : score.home) === 0);
+            }
+            case 'winToNil': {
+                if (!['home', 'away'].includes(selection)) return null;
+                const [scored, conceded] = selection === 'home' ? [score.home, score.away] : [score.away, score.home];
+                return outcome(scored > 0 && conceded === 0);
+            }
+            case 'goals':
+            case 'homeGoals':
+            case 'awayGoals': {
+                const match = /^(over|under)(\d+)$/.exec(selection);
+                if (!match) return null;
+                const threshold = parseInt(match[2]) / 10;
+                const scored = group === 'homeGoals' ? score.home : group === 'awayGoals' ? score.away : score.home + score.away;
+                const isOver = scored > threshold;
+                return (match[1] === 'over') === isOver ? 'won' : 'lost';
+            }
+            case 'btts': {
+                if (!['btts_yes', 'btts_no'].includes(selection)) return null;
+                const isBtts = score.home > 0 && score.away > 0;
+                return (selection === 'btts_yes') === isBtts ? 'won' : 'lost';
+            }
+            default:
+                return null;
+        }
+    }
+
+    // Esiti di tutte le selezioni valutabili di un payload { fullTime: { '1X2', goals, btts, ... }, ... }
+    static settleAll(probabilities, scores) {
+        const results = [];
+        ODDS_PERIODS.forEach(period => {
+            Object.entries(probabilities?.[period] || {}).forEach(([group, selections]) => {
+                if (!selections || typeof selections !== 'object') return;
+                Object.entries(selections).forEach(([selection, value]) => {
+                    const probability = parseFloat(value);
+                    if (Array.isArray(value) || !Number.isFinite(probability)) return;
+                    const outcome = this.settle(`${period}.${group}`, selection, scores);
+                    if (outcome) results.push({ market: `${period}.${group}`, selection, probability, outcome });
+                });
+            });
+        });
+        return results;
+    }
+}
+
+// ===========================================
+// SCHEDINE (MULTIPLE)
+// ===========================================
+// Partite diverse = eventi indipendenti (prodotto delle probabilità); più selezioni sulla stessa
+// partita sono correlate (es. "1 + Over 2.5") e si valutano insieme sulla distribuzione dei risultati
+const ACCUMULATOR_CONFIG = {
+    maxLegs: 20,
+    maxSelectionsPerLeg: 6
+};
+
+class AccumulatorService {
+
+    static validate(body) {
+        const errors = [];
+        if (!Array.isArray(body.legs) || body.legs.length === 0) errors.push('legs must be a non-empty array');
+        if ((body.legs || []).length > ACCUMULATOR_CONFIG.maxLegs) errors.push(`at most ${ACCUMULATOR_CONFIG.maxLegs} legs are allowed`);
+        if (body.price !== undefined && !(parseFloat(body.price) > 1)) errors.push('price must be a decimal price > 1');
+
+        const fixtures = new Set();
+        (body.legs || []).forEach((leg, index) => {
+            if (!parseInt(leg.homeTeamId) || !parseInt(leg.awayTeamId)) errors.push(`legs[${index}]: homeTeamId and awayTeamId are required`);
+            const fixture = `${parseInt(leg.homeTeamId)}-${parseInt(leg.awayTeamId)}`;
+            if (fixtures.has(fixture)) errors.push(`legs[${index}]: duplicate match, put all its selections in the same leg`);
+            fixtures.add(fixture);
+
+            if (leg.price !== undefined && !(parseFloat(leg.price) > 1)) errors.push(`legs[${index}]: price must be a decimal price > 1`);
+            if (!Array.isArray(leg.selections) || leg.selections.length === 0) {
+                errors.push(`legs[${index}]: selections must be a non-empty array`);
+                return;
+            }
+            if (leg.selections.length > ACCUMULATOR_CONFIG.maxSelectionsPerLeg) {
+                errors.push(`legs[${index}]: at most ${ACCUMULATOR_CONFIG.maxSelectionsPerLeg} selections per match`);
+            }
+
+            // Selezione valida = MarketSettler sa valutarla su un risultato qualsiasi
+            const sample = { fullTime: { home: 1, away: 0 }, halfTime: { home: 0, away: 0 } };
+            leg.selections.forEach((s, k) => {
+                if (MarketSettler.settle(s?.market || '', s?.selection, sample) === null) {
+                    errors.push(`legs[${index}].selections[${k}]: unsupported market/selection "${s?.market}" "${s?.selection}"`);
+                }
+                // Il rimborso col pareggio non si combina con le altre selezioni
+                if ((s?.market || '').endsWith('.drawNoBet')) {
+                    errors.push(`legs[${index}].selections[${k}]: draw no bet is not supported in accumulators`);
+                }
+                if (s?.price !== undefined && !(parseFloat(s.price) > 1)) {
+                    errors.push(`legs[${index}].selections[${k}]: price must be a decimal price > 1`);
+                }
+            });
+        });
+        return errors;
+    }
+
+    // Probabilità congiunta sulla griglia 1° tempo x 2° tempo: ogni cella è un risultato completo
+    // (parziale + finale), così le selezioni di periodi diversi restano coerenti tra loro
+    static jointProbability(periods, selections) {
+        const marginals = selections.map(() => 0);
+        let joint = 0;
+
+        periods.halfTime.forEach((row1, h1) => row1.forEach((p1, a1) => {
+            if (p1 === 0) return;
+            periods.secondHalf.forEach((row2, h2) => row2.forEach((p2, a2) => {
+                const p = p1 * p2;
+                if (p === 0) return;
+                const scores = { fullTime: { home: h1 + h2, away: a1 + a2 }, halfTime: { home: h1, away: a1 } };
+                let all = true;
+                selections.forEach((s, k) => {
+                    if (MarketSettler.settle(s.market, s.selection, scores) === 'won') marginals[k] += p;
+                    else all = false;
+                });
+                if (all) joint += p;
+            }));
+        }));
+
+        return { joint, marginals };
+    }
+
+    static formatPrice(probability) {
+        return probability > 0 ? (1 / probability).toFixed(2) : null;
+    }
+
+    // Probabilità dalle matrici del modello non calibrate: la calibrazione corregge i singoli
+    // mercati, non la distribuzione congiunta da cui si ricavano le combinazioni
+    static async evaluateLeg(leg) {
+        const homeTeamId = parseInt(leg.homeTeamId);
+        const awayTeamId = parseInt(leg.awayTeamId);
+        const analysis = await SmartCalculator.calculateProbabilities(
+            homeTeamId,
+            awayTeamId,
+            leg.competitionId || API_CONFIG.competitions[leg.league] || null,
+            { quiet: true, calibrate: false }
+        );
+        const periods = ScorelineModel.buildPeriods(analysis.expectedByHalf);
+        const { joint, marginals } = this.jointProbability(periods, leg.selections);
+        const independent = marginals.reduce((product, p) => product * p, 1);
+
+        // Quota della gamba: quella indicata, altrimenti il prodotto delle quote delle selezioni
+        const selectionPrices = leg.selections.map(s => parseFloat(s.price));
+        const price = leg.price !== undefined
+            ? parseFloat(leg.price)
+            : (selectionPrices.every(p => p > 1) ? selectionPrices.reduce((a, b) => a * b, 1) : null);
+
+        return {
+            homeTeamId,
+            awayTeamId,
+            homeTeam: leg.homeTeam || null,
+            awayTeam: leg.awayTeam || null,
+            dataSource: analysis.dataSource,
+            confidence: analysis.confidence,
+            selections: leg.selections.map((s, k) => ({
+                market: s.market,
+                selection: s.selection,
+                price: selectionPrices[k] > 1 ? selectionPrices[k] : null,
+                probability: (marginals[k] * 100).toFixed(2),
+                fairPrice: this.formatPrice(marginals[k])
+            })),
+            probability: joint,
+            independentProbability: independent,
+            // > 1: selezioni che si rafforzano a vicenda, < 1: in contrasto, 0: incompatibili
+            correlation: independent > 0 ? joint / independent : null,
+            price
+        };
+    }
+
+    static async evaluate(body) {
+        const legs = [];
+        for (const leg of body.legs) legs.push(await this.evaluateLeg(leg));
+
+        const probability = legs.reduce((product, leg) => product * leg.probability, 1);
+        const independentProbability = legs.reduce((product, leg) => product * leg.independentProbability, 1);
+        const price = body.price !== undefined
+            ? parseFloat(body.price)
+            : (legs.every(leg => leg.price) ? legs.reduce((product, leg) => product * leg.price, 1) : null);
+        const expectedValue = price ? probability * price - 1 : null;
+
+        return {
+            legs: legs.map(leg => ({
+                ...leg,
+                probability: (leg.probability * 100).toFixed(2),
+                independentProbability: (leg.independentProbability * 100).toFixed(2),
+                correlation: leg.correlation !== null ? leg.correlation.toFixed(3) : null,
+                fairPrice: this.formatPrice(leg.probability),
+                price: leg.price ? leg.price.toFixed(2) : null,
+                expectedValue: leg.price ? (leg.probability * leg.price - 1).toFixed(3) : null
+            })),
+            combined: {
+                probability: (probability * 100).toFixed(2),
+                independentProbability: (independentProbability * 100).toFixed(2),
+                fairPrice: this.formatPrice(probability),
+                naiveFairPrice: this.formatPrice(independentProbability),
+                price: price ? price.toFixed(2) : null,
+                impliedProbability: price ? ((1 / price) * 100).toFixed(2) : null,
+                expectedValue: expectedValue !== null ? expectedValue.toFixed(3) : null,
+                isValue: expectedValue !== null && expectedValue > 0
+            }
+        };
+    }
+}
+
+// ===========================================
+// STORICO DELLE PREVISIONI PRE-PARTITA
+// ===========================================
+// Aggiornare quando cambia il modo in cui SmartCalculator calcola le probabilità
+const MODEL_VERSION = '1.0.0';
+
+const PREDICTION_CONFIG = {
+    snapshotMinutes: 60     // Al massimo una fotografia per partita ogni ora
+};
+
+// Mercati mostrati nel confronto "previsto vs reale" sulle card delle partite terminate
+const PREDICTION_SUMMARY_MARKETS = [
+    'fullTime.1X2', 'fullTime.goals.over25', 'fullTime.goals.under25',
+    'fullTime.btts.btts_yes', 'fullTime.btts.btts_no', 'halfTime.1X2'
+];
+
+class PredictionStore {
+
+    // Salva la previsione di una partita futura (payload completo di SmartCalculator)
+    static async snapshot(match, competitionId, probabilities) {
+        const recent = await new Promise((resolve) => {
+            db.get(`
+                SELECT id FROM predictions
+                WHERE match_id = ? AND model_version = ?
+                AND created_at > datetime('now', ?)
+            `, [match.id, MODEL_VERSION, `-${PREDICTION_CONFIG.snapshotMinutes} minutes`], (err, row) => resolve(err ? null : row));
+        });
+        if (recent) return null;
+
+        return new Promise((resolve, reject) => {
+            db.run(`
+                INSERT INTO predictions
+                (match_id, competition_id, home_team_id, away_team_id, match_date,
+                 model_version, data_source, confidence, calibration_id, probabilities)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `, [
+                match.id,
+                competitionId,
+                match.homeTeam.id,
+                match.awayTeam.id,
+                match.utcDate,
+                MODEL_VERSION,
+                probabilities.dataSource,
+                probabilities.confidence,
+                probabilities.calibration?.id || null,
+                JSON.stringify(probabilities)
+            ], function(err) {
+                if (err) reject(err);
+                else resolve(this.lastID);
+            });
+        });
+    }
+
+    // Esito di ogni mercato per tutte le previsioni non ancora regolate della partita, in coda alle
+    // altre scritture: saveMatch la avvia senza attenderla e la sync salva più partite di fila
+    static settleMatch(matchId, scores) {
+        return WriteQueue.enqueue(() => this.settleMatchNow(matchId, scores));
+    }
+
+    static async settleMatchNow(matchId, scores) {
+        const pending = await new Promise((resolve) => {
+            db.all(`SELECT id, probabilities FROM predictions WHERE match_id = ? AND settled_at IS NULL`,
+                [matchId], (err, rows) => resolve(err ? [] : rows || []));
+        });
+        if (pending.length === 0) return 0;
+
+        await WriteQueue.transaction((check) => {
+            const stmt = db.prepare(`
+                INSERT OR REPLACE INTO prediction_settlements (prediction_id, market, selection, probability, outcome)
+                VALUES (?, ?, ?, ?, ?)
+            `);
+            pending.forEach(prediction => {
+                MarketSettler.settleAll(JSON.parse(prediction.probabilities), scores).forEach(s => {
+                    stmt.run([prediction.id, s.market, s.selection, s.probability, s.outcome], check);
+                });
+            });
+            stmt.finalize();
+            db.run(`
+                UPDATE predictions
+                SET settled_at = CURRENT_TIMESTAMP, home_goals = ?, away_goals = ?, home_goals_ht = ?, away_goals_ht = ?
+                WHERE match_id = ? AND settled_at IS NULL
+            `, [
+                scores.fullTime.home, scores.fullTime.away,
+                scores.halfTime?.home ?? null, scores.halfTime?.away ?? null,
+                matchId
+            ], check);
+        });
+
+        console.log(`🧾 Settled ${pending.length} prediction(s) for match ${matchId}`);
+        return pending.length;
+    }
+
+    // Regola le previsioni di partite già salvate come terminate (es. importate senza passare da saveMatch)
+    static async settlePending() {
+        const rows = await new Promise((resolve) => {
+            db.all(`
+                SELECT DISTINCT m.id, m.home_goals, m.away_goals, m.home_goals_ht, m.away_goals_ht
+                FROM predictions p
+                JOIN historical_matches m ON m.id = p.match_id
+                WHERE p.settled_at IS NULL AND m.status = 'FINISHED'
+            `, (err, rows) => resolve(err ? [] : rows || []));
+        });
+
+        for (const m of rows) {
+            await this.settleMatch(m.id, {
+                fullTime: { home: m.home_goals, away: m.away_goals },
+                halfTime: m.home_goals_ht !== null ? { home: m.home_goals_ht, away: m.away_goals_ht } : null
+            });
+        }
+        return rows.length;
+    }
+
+    static async getPredictions(matchId) {
+        const [predictions, settlements] = await Promise.all([
+            new Promise((resolve) => {
+                db.all(`SELECT * FROM predictions WHERE match_id = ? ORDER BY created_at DESC`,
+                    [matchId], (err, rows) => resolve(err ? [] : rows || []));
+            }),
+            new Promise((resolve) => {
+                db.all(`
+                    SELECT s.* FROM prediction_settlements s
+                    JOIN predictions p ON p.id = s.prediction_id
+                    WHERE p.match_id = ?
+                `, [matchId], (err, rows) => resolve(err ? [] : rows || []));
+            })
+        ]);
+
+        return predictions.map(p => ({
+            ...p,
+            probabilities: JSON.parse(p.probabilities),
+            settlements: settlements.filter(s => s.prediction_id === p.id)
+        }));
+    }
+
+    // Ultima previsione prima del calcio d'inizio per ogni partita, col riepilogo degli esiti
+    static async getSummaries(matchIds) {
+        if (!matchIds.length) return new Map();
+
+        const placeholders = matchIds.map(() => '?').join(',');
+        const rows = await new Promise((resolve) => {
+            db.all(`
+                SELECT p.* FROM predictions p
+                WHERE p.match_id IN (${placeholders})
+                AND p.created_at <= datetime(p.match_date)
+                AND p.id = (
+                    SELECT p2.id FROM predictions p2
+                    WHERE p2.match_id = p.match_id AND p2.created_at <= datetime(p2.match_date)
+                    ORDER BY p2.created_at DESC, p2.id DESC LIMIT 1
+                )
+            `, matchIds, (err, rows) => resolve(err ? [] : rows || []));
+        });
+        if (rows.length === 0) return new Map();
+
+        const settlements = await new Promise((resolve) => {
+            db.all(`SELECT * FROM prediction_settlements WHERE prediction_id IN (${rows.map(() => '?').join(',')})`,
+                rows.map(r => r.id), (err, result) => resolve(err ? [] : result || []));
+        });
+
+        return new Map(rows.map(row => [row.match_id, this.summarize(row, settlements.filter(s => s.prediction_id === row.id))]));
+    }
+
+    static summarize(row, settlements) {
+        const probabilities = JSON.parse(row.probabilities);
+        const oneXTwo = probabilities.fullTime?.['1X2'] || {};
+        const pick = ['home', 'draw', 'away'].reduce((best, k) =>
+            parseFloat(oneXTwo[k]) > parseFloat(oneXTwo[best]) ? k : best, 'home');
+
+        const markets = settlements
+            .filter(s => PREDICTION_SUMMARY_MARKETS.some(key => `${s.market}.${s.selection}`.startsWith(key)))
+            .map(s => ({ market: s.market, selection: s.selection, probability: s.probability, outcome: s.outcome }));
+
+        return {
+            predictionId: row.id,
+            createdAt: row.created_at,
+            modelVersion: row.model_version,
+            dataSource: row.data_source,
+            confidence: row.confidence,
+            predicted: {
+                '1X2': oneXTwo,
+                pick,
+                over25: probabilities.fullTime?.goals?.over25 || null,
+                btts_yes: probabilities.fullTime?.btts?.btts_yes || null
+            },
+            settled: row.settled_at !== null,
+            actual: row.settled_at !== null ? {
+                scoreFT: `${row.home_goals}-${row.away_goals}`,
+                scoreHT: row.home_goals_ht !== null ? `${row.home_goals_ht}-${row.away_goals_ht}` : null,
+                result: HistoricalManager.getMatchResult({ home: row.home_goals, away: row.away_goals })
+            } : null,
+            pickCorrect: settlements.some(s => s.market === 'fullTime.1X2' && s.selection === pick && s.outcome === 'won'),
+            markets,
+            totals: {
+                won: settlements.filter(s => s.outcome === 'won').length,
+                lost: settlements.filter(s => s.outcome === 'lost').length
+            }
+        };
+    }
+}
+
+// ===========================================
+// BACKTEST DEI MODELLI DI PROBABILITÀ
+// ===========================================
+const BACKTEST_CONFIG = {
+    refitDays: 7,           // Il modello gol viene ri-stimato al massimo una volta a settimana
+    maxMatches: 2000,       // Limite per le esecuzioni via API
+    valueEdge: 5            // Edge minimo (punti %) per la strategia "value_edge_5"
+};
+
+const BACKTEST_STRATEGIES = ['value', 'value_edge_5', 'model_favourite_1X2'];
+
+// Backtest in corso (uno alla volta): { runId, done, total }
+let backtestJob = null;
+
+class BacktestEngine {
+
+    static async getMatches({ competitionId = null, season = null, from = null, to = null, limit = null } = {}) {
+        const conditions = [`status = 'FINISHED'`];
+        const params = [];
+
+        if (competitionId) { conditions.push('competition_id = ?'); params.push(competitionId); }
+        if (season) { conditions.push('season = ?'); params.push(season); }
+        if (from) { conditions.push('match_date >= ?'); params.push(from); }
+        if (to) { conditions.push('match_date <= ?'); params.push(`${to}T23:59:59Z`); }
+
+        return new Promise((resolve) => {
+            db.all(`
+                SELECT * FROM historical_matches
+                WHERE ${conditions.join(' AND ')}
+                ORDER BY match_date ASC, id ASC
+                ${limit ? 'LIMIT ?' : ''}
+            `, limit ? [...params, limit] : params, (err, rows) => {
+                resolve(err ? [] : rows || []);
+            });
+        });
+    }
+
+    // Data di stima del modello: inizio del blocco di refitDays che contiene la partita
+    static modelDate(matchDate, refitDays = BACKTEST_CONFIG.refitDays) {
+        const day = 24 * 60 * 60 * 1000;
+        const time = new Date(matchDate).getTime();
+        return new Date(Math.floor(time / (refitDays * day)) * refitDays * day).toISOString();
+    }
+
+    // Avvia il backtest in background (come la sync manuale): la riga 'running' dà subito il runId
+    static async start(params = {}) {
+        if (backtestJob) return null;
+        backtestJob = { runId: null, done: 0, total: null };
+        try {
+            backtestJob.runId = await this.createRun(params);
+        } catch (err) {
+            backtestJob = null;
+            throw err;
+        }
+
+        const { runId } = backtestJob;
+        this.execute(runId, params, (done, total) => Object.assign(backtestJob, { done, total }))
+            .catch(err => console.error(`❌ Backtest ${runId} failed:`, err.message))
+            .finally(() => { backtestJob = null; });
+        return runId;
+    }
+
+    static getJob() {
+        return backtestJob ? { ...backtestJob } : null;
+    }
+
+    static async run(params = {}, onProgress = null) {
+        const runId = await this.createRun(params);
+        return this.execute(runId, params, onProgress);
+    }
+
+    static async execute(runId, params, onProgress = null) {
+        try {
+            const matches = await this.getMatches(params);
+            console.log(`🔁 Backtest ${runId} started on ${matches.length} matches`);
+            if (onProgress) onProgress(0, matches.length);
+            const { summary, predictions } = await this.evaluate(matches, params, onProgress);
+            await this.saveRun(runId, summary, predictions);
+
+            console.log(`✅ Backtest ${runId} completed: ${predictions.length} matches, 1X2 accuracy ${summary.overall.accuracy}%`);
+            return { runId, summary, predictions };
+        } catch (err) {
+            await this.failRun(runId, err).catch(() => {});
+            throw err;
+        }
+    }
+
+    static async evaluate(matches, params, onProgress = null) {
+        const predictions = [];
+        for (const [index, m] of matches.entries()) {
+            const analysis = await SmartCalculator.calculateProbabilities(m.home_team_id, m.away_team_id, m.competition_id, {
+                asOf: m.match_date,
+                modelAsOf: this.modelDate(m.match_date, params.refitDays),
+                quiet: true,
+                calibrate: false
+            });
+            predictions.push(this.buildRecord(m, analysis));
+
+            if (onProgress && (index + 1) % 100 === 0) onProgress(index + 1, matches.length);
+        }
+
+        DixonColesModel.clearHistoricalModels();
+        EloRatings.clearDrawRatesAsOf();
+
+        const odds = await OddsManager.getOddsForMatches(matches.map(m => m.id));
+        return { summary: this.summarize(predictions, odds), predictions };
+    }
+
+    static buildRecord(match, analysis) {
+        const probabilities = {};
+        ODDS_PERIODS.forEach(period => {
+            const data = analysis[period];
+            if (data) probabilities[period] = { '1X2': data['1X2'], goals: data.goals, btts: data.btts };
+        });
+
+        return {
+            matchId: match.id,
+            date: match.match_date,
+            competitionId: match.competition_id,
+            season: match.season,
+            homeTeam: match.home_team_name,
+            awayTeam: match.away_team_name,
+            dataSource: analysis.dataSource,
+            confidence: analysis.confidence,
+            probabilities,
+            actual: {
+                fullTime: { home: match.home_goals, away: match.away_goals },
+                halfTime: match.home_goals_ht !== null && match.home_goals_ht !== undefined
+                    ? { home: match.home_goals_ht, away: match.away_goals_ht }
+                    : null
+            }
+        };
+    }
+
+    // Selezioni "pronosticate" dal modello per ogni mercato (esito più probabile)
+    static predictedSelections(record) {
+        const picks = [];
+        Object.entries(record.probabilities).forEach(([period, data]) => {
+            const oneXTwo = data['1X2'];
+            if (oneXTwo) {
+                const pick = ['home', 'draw', 'away'].reduce((best, k) =>
+                    parseFloat(oneXTwo[k]) > parseFloat(oneXTwo[best]) ? k : best, 'home');
+                picks.push({ key: `${period}.1X2`, market: `${period}.1X2`, selection: pick });
+            }
+
+            GOAL_THRESHOLDS.forEach(threshold => {
+                const key = threshold.toString().replace('.', '');
+                const over = parseFloat(data.goals?.[`over${key}`]);
+                if (!Number.isFinite(over)) return;
+                picks.push({
+                    key: `${period}.goals.${threshold}`,
+                    market: `${period}.goals`,
+                    selection: over >= 50 ? `over${key}` : `under${key}`
+                });
+            });
+
+            const bttsYes = parseFloat(data.btts?.btts_yes);
+            if (Number.isFinite(bttsYes)) {
+                picks.push({ key: `${period}.btts`, market: `${period}.btts`, selection: bttsYes >= 50 ? 'btts_yes' : 'btts_no' });
+            }
+        });
+        return picks;
+    }
+
+    static emptyStats() {
+        const roi = {};
+        BACKTEST_STRATEGIES.forEach(s => { roi[s] = { bets: 0, won: 0, staked: 0, returned: 0 }; });
+        return { matches: 0, markets: {}, roi };
+    }
+
+    static addRecord(stats, record, matchOdds) {
+        stats.matches++;
+
+        this.predictedSelections(record).forEach(pick => {
+            const outcome = MarketSettler.settle(pick.market, pick.selection, record.actual);
+            if (!outcome) return;
+            const market = stats.markets[pick.key] || (stats.markets[pick.key] = { predictions: 0, hits: 0 });
+            market.predictions++;
+            if (outcome === 'won') market.hits++;
+        });
+
+        if (matchOdds.length === 0) return;
+
+        // Miglior prezzo per selezione tra i bookmaker
+        const best = new Map();
+        matchOdds.forEach(o => {
+            const key = `${o.market}|${o.selection}`;
+            if (!best.has(key) || best.get(key).price < o.price) best.set(key, o);
+        });
+
+        const bet = (strategy, market, selection, price) => {
+            const outcome = MarketSettler.settle(market, selection, record.actual);
+            if (!outcome) return;
+            const roi = stats.roi[strategy];
+            roi.bets++;
+            roi.staked += 1;
+            if (outcome === 'won') {
+                roi.won++;
+                roi.returned += price;
+            }
+        };
+
+        OddsManager.evaluate(record.probabilities, [...best.values()]).forEach(v => {
+            if (!v.isValue) return;
+            bet('value', v.market, v.selection, v.price);
+            if (parseFloat(v.edge) >= BACKTEST_CONFIG.valueEdge) bet('value_edge_5', v.market, v.selection, v.price);
+        });
+
+        const favourite = this.predictedSelections(record).find(p => p.key === 'fullTime.1X2');
+        const favouriteOdds = favourite && best.get(`fullTime.1X2|${favourite.selection}`);
+        if (favouriteOdds) bet('model_favourite_1X2', favourite.market, favourite.selection, favouriteOdds.price);
+    }
+
+    static formatStats(stats) {
+        const markets = {};
+        Object.entries(stats.markets).forEach(([key, m]) => {
+            markets[key] = { ...m, hitRate: ((m.hits / m.predictions) * 100).toFixed(1) };
+        });
+
+        const roi = {};
+        Object.entries(stats.roi).forEach(([strategy, r]) => {
+            roi[strategy] = {
+                ...r,
+                returned: r.returned.toFixed(2),
+                profit: (r.returned - r.staked).toFixed(2),
+                roi: r.staked > 0 ? (((r.returned - r.staked) / r.staked) * 100).toFixed(1) : null
+            };
+        });
+
+        return {
+            matches: stats.matches,
+            accuracy: markets['fullTime.1X2']?.hitRate || null,
+            markets,
+            roi
+        };
+    }
+
+    static summarize(predictions, odds) {
+        const oddsByMatch = new Map();
+        odds.forEach(o => {
+            if (!oddsByMatch.has(o.match_id)) oddsByMatch.set(o.match_id, []);
+            oddsByMatch.get(o.match_id).push(o);
+        });
+
+        const overall = this.emptyStats();
+        const groups = { byCompetition: {}, bySeason: {}, byDataSource: {} };
+
+        predictions.forEach(record => {
+            const matchOdds = oddsByMatch.get(record.matchId) || [];
+            this.addRecord(overall, record, matchOdds);
+
+            [
+                ['byCompetition', record.competitionId],
+                ['bySeason', record.season],
+                ['byDataSource', record.dataSource]
+            ].forEach(([group, key]) => {
+                if (!groups[group][key]) groups[group][key] = this.emptyStats();
+                this.addRecord(groups[group][key], record, matchOdds);
+            });
+        });
+
+        const format = (group) => Object.fromEntries(
+            Object.entries(group).map(([key, stats]) => [key, this.formatStats(stats)])
+        );
+
+        return {
+            overall: this.formatStats(overall),
+            byCompetition: format(groups.byCompetition),
+            bySeason: format(groups.bySeason),
+            byDataSource: format(groups.byDataSource),
+            matchesWithOdds: predictions.filter(p => oddsByMatch.has(p.matchId)).length
+        };
+    }
+
+    static async createRun(params) {
+        return new Promise((resolve, reject) => {
+            db.run(`
+                INSERT INTO backtest_runs (params, status) VALUES (?, 'running')
+            `, [JSON.stringify(params)], function(err) {
+                if (err) reject(err);
+                else resolve(this.lastID);
+            });
+        });
+    }
+
+    static async failRun(runId, error) {
+        return new Promise((resolve, reject) => {
+            db.run(`
+                UPDATE backtest_runs SET status = 'failed', error = ?, finished_at = CURRENT_TIMESTAMP WHERE id = ?
+            `, [error.message, runId], (err) => err ? reject(err) : resolve());
+        });
+    }
+
+    // In coda alle altre scritture: il backtest in background può finire durante una sync o un rebuild Elo
+    static async saveRun(runId, summary, predictions) {
+        await WriteQueue.enqueue(() => WriteQueue.transaction((check) => {
+            const stmt = db.prepare(`
+                INSERT OR REPLACE INTO backtest_predictions
+                (run_id, match_id, match_date, competition_id, season, data_source, confidence,
+                 probabilities, home_goals, away_goals, home_goals_ht, away_goals_ht)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `);
+            predictions.forEach(p => stmt.run([
+                runId, p.matchId, p.date, p.competitionId, p.season, p.dataSource, p.confidence,
+                JSON.stringify(p.probabilities),
+                p.actual.fullTime.home, p.actual.fullTime.away,
+                p.actual.halfTime?.home ?? null, p.actual.halfTime?.away ?? null
+            ], check));
+            stmt.finalize();
+            db.run(`
+                UPDATE backtest_runs
+                SET status = 'completed', summary = ?, matches = ?, finished_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `, [JSON.stringify(summary), predictions.length, runId], check);
+        }));
+
+        return runId;
+    }
+
+    // status: 'running' | 'completed' | 'failed' (null = tutti)
+    static async getRuns(limit = 20, status = null) {
+        return new Promise((resolve) => {
+            db.all(`
+                SELECT id, created_at, finished_at, status, error, params, matches FROM backtest_runs
+                ${status ? 'WHERE status = ?' : ''}
+                ORDER BY id DESC LIMIT ?
+            `, status ? [status, limit] : [limit], (err, rows) => resolve(err ? [] : rows || []));
+        });
+    }
+
+    static async getRun(runId) {
+        return new Promise((resolve) => {
+            db.get(`SELECT * FROM backtest_runs WHERE id = ?`, [runId], (err, row) => {
+                resolve(err || !row ? null : { ...row, params: JSON.parse(row.params), summary: JSON.parse(row.summary) });
+            });
+        });
+    }
+
+    static async getPredictions(runId, limit = 100, offset = 0) {
+        return new Promise((resolve) => {
+            db.all(`
+                SELECT bp.*, m.home_team_name, m.away_team_name
+                FROM backtest_predictions bp
+                LEFT JOIN historical_matches m ON m.id = bp.match_id
+                WHERE bp.run_id = ?
+                ORDER BY bp.match_date ASC
+                LIMIT ? OFFSET ?
+            `, [runId, limit, offset], (err, rows) => {
+                resolve(err ? [] : (rows || []).map(r => ({ ...r, probabilities: JSON.parse(r.probabilities) })));
+            });
+        });
+    }
+}
+
+// ===========================================
+// CALIBRAZIONE DELLE PROBABILITÀ
+// ===========================================
+const CALIBRATION_CONFIG = {
+    bins: 10,               // Bin del diagramma di affidabilità
+    minSamples: 50,         // Campioni minimi per ricalibrare una selezione
+    epsilon: 1e-6,          // Clamp delle probabilità per log loss e logit
+    plattIterations: 50
+};
+
+const CALIBRATION_METHODS = ['isotonic', 'platt'];
+
+// Previsioni valutabili: di un backtest o salvate da PredictionStore e già regolate
+const CALIBRATION_SOURCES = ['backtest', 'predictions'];
+
+// Gruppi ricalibrati da applyPeriods (goals solo alle soglie GOAL_THRESHOLDS): gli altri restano quelli del modello
+const CALIBRATED_GROUPS = ['1X2', 'doubleChance', 'drawNoBet', 'goals', 'btts'];
+
+// Ricalibrazione attiva: { id, method, runId, fittedAt, markets: { 'fullTime.goals.over25': params } }
+let activeRecalibration = null;
+
+class CalibrationService {
+
+    // Record di backtest_predictions (o predictions regolate) nello stesso formato di BacktestEngine.buildRecord
+    static fromBacktestRows(rows) {
+        return rows.map(r => ({
+            matchId: r.match_id,
+            dataSource: r.data_source,
+            probabilities: typeof r.probabilities === 'string' ? JSON.parse(r.probabilities) : r.probabilities,
+            actual: {
+                fullTime: { home: r.home_goals, away: r.away_goals },
+                halfTime: r.home_goals_ht !== null ? { home: r.home_goals_ht, away: r.away_goals_ht } : null
+            }
+        }));
+    }
+
+    static async getRunRecords(runId) {
+        return new Promise((resolve) => {
+            db.all(`SELECT * FROM backtest_predictions WHERE run_id = ? ORDER BY match_date ASC`, [runId],
+                (err, rows) => resolve(err ? [] : this.fromBacktestRows(rows || [])));
+        });
+    }
+
+    // Previsioni salvate e regolate: per partita l'ultima fotografia presa prima del calcio d'inizio
+    static async getStoredRecords() {
+        return new Promise((resolve) => {
+            db.all(`
+                SELECT * FROM predictions
+                WHERE id IN (
+                    SELECT MAX(id) FROM predictions
+                    WHERE settled_at IS NOT NULL AND datetime(created_at) <= datetime(match_date)
+                    GROUP BY match_id
+                )
+                ORDER BY match_date ASC
+            `, [], (err, rows) => resolve(err ? [] : this.fromBacktestRows(rows || [])));
+        });
+    }
+
+    static clamp(p) {
+        return Math.min(1 - CALIBRATION_CONFIG.epsilon, Math.max(CALIBRATION_CONFIG.epsilon, p));
+    }
+
+    // Coppie (probabilità, esito) per ogni selezione valutabile del record
+    static binaryEvents(record) {
+        return MarketSettler.settleAll(record.probabilities, record.actual).map(s => {
+            const [period, group] = s.market.split('.');
+            return { period, key: `${group}.${s.selection}`, p: s.probability / 100, y: s.outcome === 'won' ? 1 : 0 };
+        });
+    }
+
+    static reliabilityBins(events, bins = CALIBRATION_CONFIG.bins) {
+        const buckets = Array.from({ length: bins }, (_, i) => ({ from: i / bins, to: (i + 1) / bins, n: 0, sumP: 0, sumY: 0 }));
+        events.forEach(({ p, y }) => {
+            const bucket = buckets[Math.min(bins - 1, Math.floor(p * bins))];
+            bucket.n++;
+            bucket.sumP += p;
+            bucket.sumY += y;
+        });
+
+        return buckets.map(b => ({
+            from: b.from.toFixed(2),
+            to: b.to.toFixed(2),
+            count: b.n,
+            avgPredicted: b.n > 0 ? ((b.sumP / b.n) * 100).toFixed(1) : null,
+            observedRate: b.n > 0 ? ((b.sumY / b.n) * 100).toFixed(1) : null
+        }));
+    }
+
+    static scoreBinary(events, bins) {
+        let brier = 0, logLoss = 0, sumP = 0, sumY = 0;
+        events.forEach(({ p, y }) => {
+            const q = this.clamp(p);
+            brier += (p - y) ** 2;
+            logLoss -= y * Math.log(q) + (1 - y) * Math.log(1 - q);
+            sumP += p;
+            sumY += y;
+        });
+
+        const n = events.length;
+        return {
+            samples: n,
+            brier: (brier / n).toFixed(4),
+            logLoss: (logLoss / n).toFixed(4),
+            avgPredicted: ((sumP / n) * 100).toFixed(1),
+            observedRate: ((sumY / n) * 100).toFixed(1),
+            bins: this.reliabilityBins(events, bins)
+        };
+    }
+
+    // Brier multiclasse, log loss e Ranked Probability Score (ordine casa/pareggio/trasferta)
+    static scoreOneXTwo(records, period) {
+        let n = 0, brier = 0, logLoss = 0, rps = 0;
+
+        records.forEach(record => {
+            const probs = record.probabilities?.[period]?.['1X2'];
+            if (!probs) return;
+            const actual = ONE_X_TWO.find(s => MarketSettler.settle(`${period}.1X2`, s, record.actual) === 'won');
+            if (!actual) return;
+
+            const p = ONE_X_TWO.map(s => parseFloat(probs[s]) / 100);
+            const y = ONE_X_TWO.map(s => (s === actual ? 1 : 0));
+
+            n++;
+            brier += p.reduce((sum, pk, k) => sum + (pk - y[k]) ** 2, 0);
+            logLoss -= Math.log(this.clamp(p[ONE_X_TWO.indexOf(actual)]));
+
+            let cumP = 0, cumY = 0, sum = 0;
+            for (let k = 0; k < ONE_X_TWO.length - 1; k++) {
+                cumP += p[k];
+                cumY += y[k];
+                sum += (cumP - cumY) ** 2;
+            }
+            rps += sum / (ONE_X_TWO.length - 1);
+        });
+
+        if (n === 0) return null;
+        return {
+            matches: n,
+            brier: (brier / n).toFixed(4),
+            logLoss: (logLoss / n).toFixed(4),
+            rps: (rps / n).toFixed(4)
+        };
+    }
+
+    static report(records, { bins = CALIBRATION_CONFIG.bins } = {}) {
+        const byPeriod = {};
+        records.forEach(record => {
+            this.binaryEvents(record).forEach(event => {
+                const period = byPeriod[event.period] || (byPeriod[event.period] = {});
+                (period[event.key] || (period[event.key] = [])).push(event);
+            });
+        });
+
+        const periods = {};
+        ODDS_PERIODS.forEach(period => {
+            if (!byPeriod[period]) return;
+            const markets = {};
+            Object.entries(byPeriod[period]).forEach(([key, events]) => {
+                markets[key] = this.scoreBinary(events, bins);
+            });
+            periods[period] = { '1X2': this.scoreOneXTwo(records, period), markets };
+        });
+
+        return { records: records.length, bins, periods };
+    }
+
+    // Pool Adjacent Violators: funzione a gradini non decrescente, salvata come punti (x, y)
+    static fitIsotonic(events) {
+        const sorted = [...events].sort((a, b) => a.p - b.p);
+        const blocks = [];
+        sorted.forEach(({ p, y }) => {
+            blocks.push({ sumP: p, sumY: y, n: 1 });
+            while (blocks.length > 1) {
+                const last = blocks[blocks.length - 1];
+                const prev = blocks[blocks.length - 2];
+                if (prev.sumY / prev.n <= last.sumY / last.n) break;
+                prev.sumP += last.sumP;
+                prev.sumY += last.sumY;
+                prev.n += last.n;
+                blocks.pop();
+            }
+        });
+
+        return {
+            x: blocks.map(b => b.sumP / b.n),
+            y: blocks.map(b => b.sumY / b.n)
+        };
+    }
+
+    // Platt scaling sul logit: p' = sigmoid(a * logit(p) + b), stimato con Newton-Raphson
+    static fitPlatt(events) {
+        const logit = (p) => Math.log(this.clamp(p) / (1 - this.clamp(p)));
+        let a = 1, b = 0;
+
+        for (let iter = 0; iter < CALIBRATION_CONFIG.plattIterations; iter++) {
+            let gA = 0, gB = 0, hAA = 0, hAB = 0, hBB = 0;
+            events.forEach(({ p, y }) => {
+                const x = logit(p);
+                const q = 1 / (1 + Math.exp(-(a * x + b)));
+                const w = q * (1 - q);
+                gA += (q - y) * x;
+                gB += q - y;
+                hAA += w * x * x;
+                hAB += w * x;
+                hBB += w;
+            });
+
+            const det = hAA * hBB - hAB * hAB;
+            if (Math.abs(det) < 1e-12) break;
+            const dA = (hBB * gA - hAB * gB) / det;
+            const dB = (hAA * gB - hAB * gA) / det;
+            a -= dA;
+            b -= dB;
+            if (Math.abs(dA) + Math.abs(dB) < 1e-8) break;
+        }
+
+        return { a, b };
+    }
+
+    static applyValue(method, params, p) {
+        if (method === 'platt') {
+            const x = Math.log(this.clamp(p) / (1 - this.clamp(p)));
+            return 1 / (1 + Math.exp(-(params.a * x + params.b)));
+        }
+
+        // Isotonica: interpolazione lineare tra i centri dei blocchi, costante agli estremi
+        const { x, y } = params;
+        if (p <= x[0]) return y[0];
+        if (p >= x[x.length - 1]) return y[y.length - 1];
+        const i = x.findIndex(v => v >= p);
+        const t = (p - x[i - 1]) / (x[i] - x[i - 1] || 1);
+        return y[i - 1] + t * (y[i] - y[i - 1]);
+    }
+
+    static fit(records, method) {
+        const grouped = {};
+        records.forEach(record => {
+            this.binaryEvents(record).forEach(event => {
+                const key = `${event.period}.${event.key}`;
+                (grouped[key] || (grouped[key] = [])).push(event);
+            });
+        });
+
+        const markets = {};
+        Object.entries(grouped).forEach(([key, events]) => {
+            if (events.length < CALIBRATION_CONFIG.minSamples) return;
+            markets[key] = method === 'platt' ? this.fitPlatt(events) : this.fitIsotonic(events);
+        });
+        return markets;
+    }
+
+    // Stima e attiva una ricalibrazione dalle previsioni di un backtest
+    static async recalibrate(runId, method = 'isotonic') {
+        const records = await this.getRunRecords(runId);
+        if (records.length === 0) throw new Error(`Backtest ${runId} has no predictions`);
+
+        const markets = this.fit(records, method);
+        const id = await new Promise((resolve, reject) => {
+            db.serialize(() => {
+                db.run(`UPDATE calibration_models SET active = 0`);
+                db.run(`
+                    INSERT INTO calibration_models (run_id, method, markets, active) VALUES (?, ?, ?, 1)
+                `, [runId, method, JSON.stringify(markets)], function(err) {
+                    if (err) reject(err);
+                    else resolve(this.lastID);
+                });
+            });
+        });
+
+        activeRecalibration = { id, method, runId, fittedAt: new Date().toISOString(), markets };
+        console.log(`🎚️ Recalibration ${id} (${method}) active on ${Object.keys(markets).length} selections`);
+
+        const before = this.report(records);
+        const after = this.report(records.map(r => ({ ...r, probabilities: this.applyPeriods(r.probabilities) })));
+        return { id, method, runId, selections: Object.keys(markets).length, before, after };
+    }
+
+    static async disableRecalibration() {
+        await new Promise((resolve) => db.run(`UPDATE calibration_models SET active = 0`, () => resolve()));
+        activeRecalibration = null;
+    }
+
+    static async loadActive() {
+        return new Promise((resolve) => {
+            db.get(`SELECT * FROM calibration_models WHERE active = 1 ORDER BY id DESC LIMIT 1`, (err, row) => {
+                activeRecalibration = err || !row ? null : {
+                    id: row.id,
+                    method: row.method,
+                    runId: row.run_id,
+                    fittedAt: row.created_at,
+                    markets: JSON.parse(row.markets)
+                };
+                resolve(activeRecalibration);
+            });
+        });
+    }
+
+    static getActive() {
+        if (!activeRecalibration) return null;
+        const { id, method, runId, fittedAt, markets } = activeRecalibration;
+        return { id, method, runId, fittedAt, selections: Object.keys(markets).length };
+    }
+
+    static apply(result) {
+        if (!activeRecalibration) return result;
+        return {
+            ...result,
+            ...this.applyPeriods(result),
+            calibration: { ...this.getActive(), uncalibrated: this.uncalibratedGroups(result) }
+        };
+    }
+
+    // Per periodo, i mercati non ricalibrati: vengono dalla matrice dei risultati del modello e possono non
+    // tornare con 1X2 e Over/Under ricalibrati (es. risultati esatti, HT/FT, asiatici, multigol, soglie extra)
+    static uncalibratedGroups(result) {
+        const calibratedLines = GOAL_THRESHOLDS.map(goalLineKey);
+        const groups = {};
+        ODDS_PERIODS.forEach(period => {
+            const data = result[period];
+            if (!data) return;
+            const raw = Object.keys(data).filter(group => data[group] && typeof data[group] === 'object' && !CALIBRATED_GROUPS.includes(group));
+            Object.keys(data.goals || {}).forEach(key => {
+                const line = /^over(\d+)$/.exec(key)?.[1];
+                if (line && !calibratedLines.includes(line)) raw.push(`goals.over${line}`, `goals.under${line}`);
+            });
+            if (raw.length > 0) groups[period] = raw;
+        });
+        return groups;
+    }
+
+    // Ricalibra i mercati per periodo: 1X2 rinormalizzato, under e btts_no complementari
+    static applyPeriods(result) {
+        const { method, markets } = activeRecalibration;
+        const calibrate = (key, value) => {
+            const params = markets[key];
+            const p = parseFloat(value) / 100;
+            return params && Number.isFinite(p) ? this.applyValue(method, params, p) : p;
+        };
+
+        const periods = {};
+        ODDS_PERIODS.forEach(period => {
+            const data = result[period];
+            if (!data) return;
+            const updated = { ...data };
+
+            if (data['1X2']) {
+                const raw = ONE_X_TWO.map(s => calibrate(`${period}.1X2.${s}`, data['1X2'][s]));
+                const total = raw.reduce((a, b) => a + b, 0);
+                updated['1X2'] = Object.fromEntries(ONE_X_TWO.map((s, k) => [s, ((raw[k] / total) * 100).toFixed(1)]));
+
+                // Doppia chance e draw no bet restano coerenti con l'1X2 ricalibrato
+                const [home, draw, away] = raw.map(p => p / total);
+                if (data.doubleChance) {
+                    updated.doubleChance = {
+                        '1X': ((home + draw) * 100).toFixed(1),
+                        '12': ((home + away) * 100).toFixed(1),
+                        'X2': ((draw + away) * 100).toFixed(1)
+                    };
+                }
+                if (data.drawNoBet && home + away > 0) {
+                    updated.drawNoBet = {
+                        home: ((home / (home + away)) * 100).toFixed(1),
+                        away: ((away / (home + away)) * 100).toFixed(1)
+                    };
+                }
+            }
+
+            if (data.goals) {
+                updated.goals = { ...data.goals };
+                GOAL_THRESHOLDS.forEach(threshold => {
+                    const key = threshold.toString().replace('.', '');
+                    if (data.goals[`over${key}`] === undefined) return;
+                    const over = calibrate(`${period}.goals.over${key}`, data.goals[`over${key}`]);
+                    updated.goals[`over${key}`] = (over * 100).toFixed(1);
+                    updated.goals[`under${key}`] = ((1 - over) * 100).toFixed(1);
+                });
+            }
+
+            if (data.btts) {
+                const yes = calibrate(`${period}.btts.btts_yes`, data.btts.btts_yes);
+                updated.btts = { btts_yes: (yes * 100).toFixed(1), btts_no: ((1 - yes) * 100).toFixed(1) };
+            }
+
+            periods[period] = updated;
+        });
+
+        return periods;
+    }
+}
+
+// ===========================================
+// API ENDPOINTS AGGIORNATI
+// ===========================================
+
+// Endpoint principale (invariato)
+app.get('/api/matches/:leagueId', async (req, res) => {
+    const start = Date.now();
+    
+    try {
+        const { leagueId } = req.params;
+        const { season } = req.query;
+        
+        console.log(`🚀 Processing ${leagueId} season ${season || 'current'}`);
+        
+        const matches = await MainAPI.getSmartMatches(leagueId, season ? parseInt(season) : null);
+        
+        if (!matches?.length) {
+            return res.json({ success: true, matches: [], message: 'No matches found' });
+        }
+
+        const competitionId = API_CONFIG.competitions[leagueId];
+        const now = new Date();
+        const [storedOdds, predictionSummaries] = await Promise.all([
+            OddsManager.getOddsForMatches(matches.map(m => m.id)),
+            PredictionStore.getSummaries(matches.filter(m => m.status === 'FINISHED').map(m => m.id))
+        ]);
+
+        const enriched = await Promise.all(
+            matches.map(async (match) => {
+                const matchDate = new Date(match.utcDate);
+                const isFuture = matchDate > now;
+                const isFinished = match.status === 'FINISHED';
+                const canAnalyze = isFuture;
+
+                let analysis = null;
+                if (canAnalyze) {
+                    try {
+                        console.log(`[ANALYZING] ${match.homeTeam.name} vs ${match.awayTeam.name}`);
+                        
+                        const [probabilities, homeForm, awayForm] = await Promise.all([
+                            SmartCalculator.calculateProbabilities(match.homeTeam.id, match.awayTeam.id, competitionId),
+                            MainAPI.getTeamForm(match.homeTeam.id, competitionId),
+                            MainAPI.getTeamForm(match.awayTeam.id, competitionId)
+                        ]);
+                        
+                        analysis = {
+                            probabilities,
+                            homeForm,
+                            awayForm,
+                            confidence: probabilities.confidence,
+                            dataSource: probabilities.dataSource
+                        };
+                        
+                        // Fotografia della previsione pre-partita, regolata da saveMatch a fine gara
+                        PredictionStore.snapshot(match, competitionId, probabilities)
+                            .catch(err => console.error(`❌ Prediction snapshot failed: ${err.message}`));
+                        
+                        // Selezioni a valore atteso positivo sulle quote salvate
+                        const matchOdds = storedOdds.filter(o => o.match_id === match.id);
+                        if (matchOdds.length > 0) {
+                            const valueBets = OddsManager.evaluate(probabilities, matchOdds).filter(v => v.isValue);
+                            analysis.valueBets = valueBets;
+                        }
+                        
+                    } catch (error) {
+                        console.error(`❌ Analysis error: ${error.message}`);
+                    }
+                }
+
+                return {
                     ...match,
                     canAnalyze,
                     isFuture,
                     isFinished,
                     hasResult: match.score?.fullTime?.home !== null,
+                    hasValueBets: (analysis?.valueBets?.length || 0) > 0,
                     analysis,
+                    prediction: predictionSummaries.get(match.id) || null,
                     displayStatus: isFinished ? 'Terminata' : isFuture ? 'Programmata' : match.status,
                     timeInfo: getTimeInfo(match)
                 };
             })
-        );
+        );
+
+        const time = Date.now() - start;
+
+        res.json({
+            success: true,
+            matches: enriched,
+            metadata: {
+                league: leagueId,
+                season: season || 'current',
+                totalMatches: enriched.length,
+                analyzableMatches: enriched.filter(m => m.canAnalyze).length,
+                finishedMatches: enriched.filter(m => m.isFinished).length,
+                upcomingMatches: enriched.filter(m => m.isFuture).length,
+                withAnalysis: enriched.filter(m => m.analysis).length,
+                withValueBets: enriched.filter(m => m.hasValueBets).length,
+                withPrediction: enriched.filter(m => m.prediction).length,
+                processingTime: `${time}ms`,
+                strategy: 'smart_recent_and_upcoming',
+                halftimeSupport: true // NUOVO FLAG
+            }
+        });
+        
+    } catch (error) {
+        console.error('❌ API Error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// NUOVO ENDPOINT per analisi estesa
+app.get('/api/extended-analysis/:homeId/:awayId', async (req, res) => {
+    try {
+        const { homeId, awayId } = req.params;
+        const { league = 'SA' } = req.query;
+        const competitionId = API_CONFIG.competitions[league];
+        const { goalLines, errors } = ScorelineModel.parseGoalLines(req.query);
+        if (errors.length > 0) {
+            return res.status(400).json({ success: false, errors });
+        }
+        
+        const analysis = await SmartCalculator.calculateProbabilities(
+            parseInt(homeId), 
+            parseInt(awayId), 
+            competitionId,
+            { goalLines }
+        );
+        
+        res.json({
+            success: true,
+            homeTeamId: homeId,
+            awayTeamId: awayId,
+            league,
+            analysis,
+            breakdown: {
+                fullTime: 'Risultato finale (90 minuti)',
+                halfTime: 'Risultato primo tempo (45 minuti)', 
+                secondHalf: 'Solo secondo tempo (45-90 min)'
+            },
+            isExtendedAnalysis: !!(analysis.fullTime || analysis.halfTime)
+        });
+        
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Resto del codice invariato (MainAPI, endpoints, etc...)
+class MainAPI {
+    static async getSmartMatches(leagueId, season = null) {
+        if (!season) season = new Date().getFullYear();
+        
+        const cacheKey = `matches_${leagueId}_${season}`;
+        const cached = await cache.get(cacheKey);
+        if (cached) return cached;
+
+        const competitionId = API_CONFIG.competitions[leagueId];
+        if (!competitionId) throw new Error(`Unknown league: ${leagueId}`);
+
+        try {
+            const data = await dataProvider.getMatches(competitionId, { season });
+
+            const allMatches = data.matches || [];
+            console.log(`📊 Retrieved ${allMatches.length} matches for ${leagueId} ${season}`);
+            
+            const now = new Date();
+            const finished = allMatches
+                .filter(m => m.status === 'FINISHED' && new Date(m.utcDate) <= now)
+                .sort((a, b) => new Date(b.utcDate) - new Date(a.utcDate))
+                .slice(0, 15);
+                
+            const upcoming = allMatches
+                .filter(m => ['SCHEDULED', 'TIMED'].includes(m.status) && new Date(m.utcDate) > now)
+                .sort((a, b) => new Date(a.utcDate) - new Date(b.utcDate))
+                .slice(0, 15);
+            
+            const smartSelection = [...finished, ...upcoming];
+            console.log(`🎯 Smart selection: ${finished.length} finished + ${upcoming.length} upcoming`);
+            
+            await cache.set(cacheKey, smartSelection, 20);
+            return smartSelection;
+
+        } catch (error) {
+            console.error(`❌ Error fetching matches:`, error.message);
+            throw error;
+        }
+    }
+    
+    static async getTeamForm(teamId, competitionId) {
+        const matches = await HistoricalManager.getTeamForm(teamId, competitionId, 5);
+        
+        let wins = 0, draws = 0, losses = 0, goalsFor = 0, goalsAgainst = 0;
+        const form = [];
+        
+        matches.forEach(match => {
+            const isHome = match.home_team_id === teamId;
+            const ourGoals = isHome ? match.home_goals : match.away_goals;
+            const theirGoals = isHome ? match.away_goals : match.home_goals;
+            
+            goalsFor += ourGoals;
+            goalsAgainst += theirGoals;
+            
+            if (ourGoals > theirGoals) {
+                wins++;
+                form.push('W');
+            } else if (ourGoals < theirGoals) {
+                losses++;
+                form.push('L');
+            } else {
+                draws++;
+                form.push('D');
+            }
+        });
+        
+        return {
+            matches: matches.length,
+            wins, draws, losses,
+            goalsFor, goalsAgainst,
+            formString: form.join(''),
+            points: wins * 3 + draws,
+            avgGoalsFor: matches.length > 0 ? (goalsFor / matches.length).toFixed(1) : '0.0',
+            recentMatches: matches.slice(0, 3).map(m => ({
+                date: m.match_date.split('T')[0],
+                opponent: m.home_team_id === teamId ? m.away_team_name : m.home_team_name,
+                result: `${m.home_team_id === teamId ? m.home_goals : m.away_goals}-${m.home_team_id === teamId ? m.away_goals : m.home_goals}`,
+                wasHome: m.home_team_id === teamId
+            }))
+        };
+    }
+}
+
+// ===========================================
+// INIZIALIZZAZIONE AUTOMATICA AGGIORNATA
+// ===========================================
+class AutoInitializer {
+    
+    static async checkAndInitialize() {
+        console.log('🔍 Checking database initialization status...');
+        
+        const hasData = await this.checkExistingData();
+        
+        if (hasData) {
+            console.log('✅ Historical data already exists');
+            // Controlla se abbiamo dati primo tempo
+            await this.checkHalftimeData();
+            return;
+        }
+        
+        console.log('📥 No historical data found, starting automatic population...');
+        console.log('⏱️  This will take approximately 15-20 minutes but only happens once');
+        
+        await this.populateAllLeagues();
+    }
+    
+    static async checkExistingData() {
+        return new Promise((resolve) => {
+            db.get(`
+                SELECT COUNT(*) as count 
+                FROM historical_matches 
+                WHERE season >= ?
+            `, [new Date().getFullYear() - 4], (err, row) => {
+                if (err) {
+                    console.log('Database check error:', err.message);
+                    resolve(false);
+                } else {
+                    const hasEnoughData = (row?.count || 0) > 1000;
+                    console.log(`📊 Found ${row?.count || 0} historical matches`);
+                    resolve(hasEnoughData);
+                }
+            });
+        });
+    }
+    
+    static async checkHalftimeData() {
+        return new Promise((resolve) => {
+            db.get(`
+                SELECT 
+                    COUNT(*) as total,
+                    COUNT(total_goals_ht) as with_ht,
+                    ROUND(AVG(total_goals_ht), 2) as avg_ht_goals
+                FROM historical_matches 
+                WHERE season >= ?
+            `, [new Date().getFullYear() - 2], (err, row) => {
+                if (err) {
+                    console.log('HT check error:', err.message);
+                    resolve();
+                    return;
+                }
+                
+                const total = row?.total || 0;
+                const withHT = row?.with_ht || 0;
+                const coverage = total > 0 ? ((withHT / total) * 100).toFixed(1) : '0.0';
+                
+                console.log(`📊 Halftime Data Status:`);
+                console.log(`   Total matches: ${total}`);
+                console.log(`   With HT data: ${withHT}`);
+                console.log(`   Coverage: ${coverage}%`);
+                console.log(`   Avg HT goals: ${row?.avg_ht_goals || '0.00'}`);
+                
+                if (withHT < total * 0.8) {
+                    console.log('⚠️  Low halftime data coverage, but this is normal');
+                    console.log('   New matches will automatically include HT data');
+                }
+                
+                resolve();
+            });
+        });
+    }
+    
+    static async populateAllLeagues() {
+        const leagues = Object.keys(API_CONFIG.competitions);
+        const currentYear = new Date().getFullYear();
+        const startYear = currentYear - 4;
+        
+        console.log(`🏆 Populating ${leagues.length} leagues from ${startYear} to ${currentYear}`);
+        
+        for (const leagueId of leagues) {
+            try {
+                console.log(`\n=== Processing ${leagueId} ===`);
+                await this.populateLeague(leagueId, startYear, currentYear);
+                console.log(`✅ Completed ${leagueId}`);
+                
+                await new Promise(resolve => setTimeout(resolve, 2000));
+                
+            } catch (error) {
+                console.error(`❌ Failed to populate ${leagueId}:`, error.message);
+            }
+        }
+        
+        console.log('\n🎉 Database initialization completed with halftime support!');
+        console.log('📊 Server is now ready with full historical data including first half statistics');
+    }
+    
+    static async populateLeague(leagueId, startYear, endYear) {
+        const competitionId = API_CONFIG.competitions[leagueId];
+        if (!competitionId) {
+            throw new Error(`Unknown league: ${leagueId}`);
+        }
+        
+        for (let season = startYear; season <= endYear; season++) {
+            try {
+                console.log(`  📅 Fetching ${leagueId} season ${season}...`);
+                
+                const data = await dataProvider.getMatches(competitionId, { season, status: 'FINISHED' });
+                
+                const matches = data.matches || [];
+                console.log(`    📋 Found ${matches.length} finished matches`);
+                
+                let saved = 0;
+                for (const match of matches) {
+                    if (await HistoricalManager.saveMatch(match, season, competitionId)) {
+                        saved++;
+                    }
+                }
+                
+                console.log(`    💾 Saved ${saved} matches with HT data to database`);
+                
+            } catch (error) {
+                console.error(`    ❌ Error season ${season}:`, error.message);
+                
+                if (error.response?.status === 429) {
+                    console.log('    ⏳ Rate limited, waiting 30 seconds...');
+                    await new Promise(resolve => setTimeout(resolve, 30000));
+                }
+            }
+        }
+    }
+}
+
+// ===========================================
+// SINCRONIZZAZIONE PERIODICA RISULTATI E CALENDARIO
+// ===========================================
+// Ogni esecuzione scarica per campionato la finestra [ultima sync - overlap, oggi + lookahead]
+// e salva solo le partite modificate (lastUpdated) dopo l'ultima sync riuscita
+const SYNC_CONFIG = {
+    // Con DATA_PROVIDER=file la sync pianificata è spenta di default: scriverebbe le partite registrate nel DB reale
+    enabled: process.env.SYNC_ENABLED ? process.env.SYNC_ENABLED !== 'false' : DATA_PROVIDER_CONFIG.provider !== 'file',
+    schedule: process.env.SYNC_CRON || '*/30 * * * *',
+    leagues: (process.env.SYNC_LEAGUES || Object.keys(API_CONFIG.competitions).join(','))
+        .split(',').map(l => l.trim().toUpperCase()).filter(l => API_CONFIG.competitions[l]),
+    overlapDays: 3,      // Ricontrolla gli ultimi giorni: risultati corretti, rinvii
+    lookaheadDays: 14,   // Calendario delle prossime partite
+    initialDays: 30      // Prima sync di un campionato senza storico di esecuzioni
+};
+
+// Partite in calendario salvate nella tabella fixtures (le altre senza risultato vengono tolte)
+const FIXTURE_STATUSES = ['SCHEDULED', 'TIMED', 'POSTPONED'];
+
+// Nomi accettati da node-cron (completi o di tre lettere, senza distinzione maiuscole) nei campi mese e giorno
+const CRON_NAMES = {
+    months: ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'],
+    weekdays: ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday']
+};
+
+let syncTask = null;
+let syncRunning = false;
+
+class SyncScheduler {
+
+    static seasonOf(match) {
+        const start = match.season?.startDate;
+        if (start) return parseInt(start.slice(0, 4));
+        const date = new Date(match.utcDate);
+        return date.getUTCMonth() >= 6 ? date.getUTCFullYear() : date.getUTCFullYear() - 1;
+    }
+
+    // Inizio dell'ultima sync riuscita: le partite aggiornate dopo questo istante sono "nuove"
+    static async getWatermark(league) {
+        return new Promise((resolve) => {
+            db.get(`SELECT MAX(started_at) as watermark FROM sync_runs WHERE league = ? AND status = 'success'`,
+                [league], (err, row) => resolve(err ? null : row?.watermark || null));
+        });
+    }
+
+    static async saveRun(run) {
+        return new Promise((resolve, reject) => {
+            db.run(`
+                INSERT INTO sync_runs
+                (league, competition_id, trigger, status, started_at, finished_at, window_from, window_to,
+                 fetched, changed, saved, fixtures, error)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `, [
+                run.league, run.competitionId, run.trigger, run.status, run.startedAt, run.finishedAt,
+                run.windowFrom, run.windowTo, run.fetched, run.changed, run.saved, run.fixtures, run.error
+            ], function(err) {
+                if (err) reject(err);
+                else resolve(this.lastID);
+            });
+        });
+    }
+
+    static async saveFixture(match, competitionId) {
+        return new Promise((resolve, reject) => {
+            db.run(`
+                INSERT OR REPLACE INTO fixtures
+                (id, competition_id, season, matchday, match_date, home_team_id, away_team_id,
+                 home_team_name, away_team_name, status, updated_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+            `, [
+                match.id, competitionId, this.seasonOf(match), match.matchday || null, match.utcDate,
+                match.homeTeam.id, match.awayTeam.id, match.homeTeam.name, match.awayTeam.name, match.status
+            ], (err) => err ? reject(err) : resolve());
+        });
+    }
+
+    static async removeFixture(matchId) {
+        return new Promise((resolve, reject) => {
+            db.run(`DELETE FROM fixtures WHERE id = ?`, [matchId], (err) => err ? reject(err) : resolve());
+        });
+    }
+
+    // Prossime partite in calendario di un campionato (da adesso)
+    static async getFixtures(competitionId, limit = 50) {
+        return new Promise((resolve) => {
+            db.all(`
+                SELECT * FROM fixtures
+                WHERE competition_id = ? AND match_date >= ?
+                ORDER BY match_date ASC, id ASC
+                LIMIT ?
+            `, [competitionId, new Date().toISOString(), limit], (err, rows) => resolve(err ? [] : (rows || []).map(f => ({
+                id: f.id,
+                date: f.match_date,
+                season: f.season,
+                matchday: f.matchday,
+                status: f.status,
+                homeTeam: { id: f.home_team_id, name: f.home_team_name },
+                awayTeam: { id: f.away_team_id, name: f.away_team_name },
+                updatedAt: f.updated_at
+            }))));
+        });
+    }
+
+    static async syncLeague(league, trigger = 'schedule') {
+        const competitionId = API_CONFIG.competitions[league];
+        if (!competitionId) throw new Error(`Unknown league: ${league}`);
+
+        const day = 24 * 60 * 60 * 1000;
+        const startedAt = new Date();
+        const watermark = await this.getWatermark(league);
+        const windowFrom = watermark
+            ? new Date(new Date(watermark).getTime() - SYNC_CONFIG.overlapDays * day)
+            : new Date(startedAt.getTime() - SYNC_CONFIG.initialDays * day);
+        const windowTo = new Date(startedAt.getTime() + SYNC_CONFIG.lookaheadDays * day);
+
+        const run = {
+            league, competitionId, trigger, status: 'success',
+            startedAt: startedAt.toISOString(), finishedAt: null,
+            windowFrom: windowFrom.toISOString().split('T')[0], windowTo: windowTo.toISOString().split('T')[0],
+            fetched: 0, changed: 0, saved: 0, fixtures: 0, error: null
+        };
+
+        try {
+            const data = await dataProvider.getMatches(competitionId, { dateFrom: run.windowFrom, dateTo: run.windowTo });
+
+            const matches = data.matches || [];
+            const changed = watermark
+                ? matches.filter(m => !m.lastUpdated || new Date(m.lastUpdated) > new Date(watermark))
+                : matches;
+
+            run.fetched = matches.length;
+            run.changed = changed.length;
+            const unsaved = [];
+            for (const match of changed) {
+                if (await HistoricalManager.saveMatch(match, this.seasonOf(match), competitionId)) {
+                    run.saved++;
+                    await this.removeFixture(match.id);
+                } else if (FIXTURE_STATUSES.includes(match.status)) {
+                    await this.saveFixture(match, competitionId);
+                    run.fixtures++;
+                } else if (match.status === 'FINISHED') {
+                    unsaved.push(match.id);
+                } else {
+                    await this.removeFixture(match.id);
+                }
+            }
+
+            // La lista partite in cache deve riflettere risultati e calendario aggiornati
+            if (changed.length > 0) {
+                db.run(`DELETE FROM cache_simple WHERE key LIKE ?`, [`matches_${league}_%`]);
+            }
+
+            // Una partita terminata non salvata va riscaricata: la run fallita non sposta il watermark
+            if (unsaved.length > 0) {
+                throw new Error(`${unsaved.length} finished match(es) not saved: ${unsaved.join(', ')}`);
+            }
+        } catch (error) {
+            run.status = 'error';
+            run.error = error.response?.status ? `HTTP ${error.response.status}: ${error.message}` : error.message;
+        }
+
+        run.finishedAt = new Date().toISOString();
+        run.id = await this.saveRun(run);
+
+        if (run.status === 'success') {
+            console.log(`🔄 Sync ${league}: ${run.fetched} fetched, ${run.changed} changed, ${run.saved} saved, ${run.fixtures} fixtures`);
+        } else {
+            console.error(`❌ Sync ${league} failed: ${run.error}`);
+        }
+        return run;
+    }
+
+    // Tutti i campionati configurati, uno alla volta (rate limit dell'API)
+    static async runAll(trigger = 'schedule', leagues = SYNC_CONFIG.leagues) {
+        if (syncRunning) return null;
+        syncRunning = true;
+        try {
+            const runs = [];
+            for (const league of leagues) {
+                runs.push(await this.syncLeague(league, trigger));
+            }
+            return runs;
+        } finally {
+            syncRunning = false;
+        }
+    }
+
+    static start() {
+        if (!SYNC_CONFIG.enabled) {
+            console.log(process.env.SYNC_ENABLED
+                ? '⏸️  Scheduled sync disabled (SYNC_ENABLED=false)'
+                : '⏸️  Scheduled sync disabled with the file data provider (SYNC_ENABLED=true and a separate DB_PATH to replay fixtures)');
+            return false;
+        }
+        if (!dataProvider.isConfigured()) {
+            console.log(`⏸️  Scheduled sync disabled: data provider "${DATA_PROVIDER_CONFIG.provider}" not configured`);
+            return false;
+        }
+        if (!cron.validate(SYNC_CONFIG.schedule)) {
+            console.error(`❌ Invalid SYNC_CRON expression: ${SYNC_CONFIG.schedule}`);
+            return false;
+        }
+
+        syncTask = cron.schedule(SYNC_CONFIG.schedule, () => {
+            this.runAll('schedule').catch(err => console.error('❌ Scheduled sync failed:', err.message));
+        });
+        console.log(`⏰ Scheduled sync: "${SYNC_CONFIG.schedule}" for ${SYNC_CONFIG.leagues.join(', ')}`);
+        return true;
+    }
+
+    // "MON-fri" → "1-5", "JAN" → "1": i nomi sconosciuti restano e rendono il campo non valido
+    static cronNamesToNumbers(field, names, first) {
+        return field.replace(/[a-z]+/gi, word => {
+            const name = word.toLowerCase();
+            const index = names.findIndex(n => n === name || n.slice(0, 3) === name);
+            return index >= 0 ? String(index + first) : word;
+        });
+    }
+
+    // Prossimo istante che soddisfa l'espressione cron (5 campi, o 6 con i secondi), entro un anno
+    static nextRun(expression = SYNC_CONFIG.schedule, from = new Date()) {
+        const fields = expression.trim().split(/\s+/);
+        if (fields.length === 6) fields.shift();
+        if (fields.length !== 5) return null;
+        fields[3] = this.cronNamesToNumbers(fields[3], CRON_NAMES.months, 1);
+        fields[4] = this.cronNamesToNumbers(fields[4], CRON_NAMES.weekdays, 0);
+
+        const ranges = [[0, 59], [0, 23], [1, 31], [1, 12], [0, 7]];
+        const parse = (field, [min, max]) => {
+            const values = new Set();
+            for (const part of field.split(',')) {
+                const [range, stepText] = part.split('/');
+                const step = stepText ? parseInt(stepText) : 1;
+                let [start, end] = range === '*' ? [min, max] : range.split('-').map(Number);
+                if (end === undefined) end = stepText ? max : start;
+                if ([start, end, step].some(v => !Number.isInteger(v)) || step < 1) return null;
+                for (let v = start; v <= end; v += step) values.add(v);
+            }
+            return values;
+        };
+
+        const [minutes, hours, days, months, weekdays] = fields.map((f, i) => parse(f, ranges[i]));
+        if ([minutes, hours, days, months, weekdays].some(v => v === null)) return null;
+        if (weekdays.has(7)) weekdays.add(0);
+
+        // Come cron: se giorno del mese e della settimana sono entrambi ristretti basta uno dei due
+        const dayMatches = (date) => {
+            const byMonthDay = days.has(date.getDate());
+            const byWeekday = weekdays.has(date.getDay());
+            if (fields[2] === '*' || fields[4] === '*') return byMonthDay && byWeekday;
+            return byMonthDay || byWeekday;
+        };
+
+        const candidate = new Date(from);
+        candidate.setSeconds(0, 0);
+        candidate.setMinutes(candidate.getMinutes() + 1);
+        const limit = from.getTime() + 366 * 24 * 60 * 60 * 1000;
+
+        while (candidate.getTime() <= limit) {
+            if (!months.has(candidate.getMonth() + 1) || !dayMatches(candidate)) {
+                candidate.setDate(candidate.getDate() + 1);
+                candidate.setHours(0, 0, 0, 0);
+                continue;
+            }
+            if (!hours.has(candidate.getHours())) {
+                candidate.setHours(candidate.getHours() + 1, 0, 0, 0);
+                continue;
+            }
+            if (minutes.has(candidate.getMinutes())) return candidate;
+            candidate.setMinutes(candidate.getMinutes() + 1);
+        }
+        return null;
+    }
+
+    static async getStatus() {
+        const rows = await new Promise((resolve) => {
+            db.all(`
+                SELECT r.* FROM sync_runs r
+                WHERE r.id IN (SELECT MAX(id) FROM sync_runs GROUP BY league)
+                OR r.id IN (SELECT MAX(id) FROM sync_runs WHERE status = 'success' GROUP BY league)
+            `, [], (err, rows) => resolve(err ? [] : rows || []));
+        });
+
+        const formatRun = (r) => r ? {
+            id: r.id,
+            trigger: r.trigger,
+            status: r.status,
+            startedAt: r.started_at,
+            finishedAt: r.finished_at,
+            window: { from: r.window_from, to: r.window_to },
+            fetched: r.fetched,
+            changed: r.changed,
+            saved: r.saved,
+            fixtures: r.fixtures,
+            error: r.error
+        } : null;
+
+        const nextRun = syncTask ? this.nextRun()?.toISOString() || null : null;
+        const leagues = [...new Set([...SYNC_CONFIG.leagues, ...rows.map(r => r.league)])];
+
+        return {
+            enabled: Boolean(syncTask),
+            schedule: SYNC_CONFIG.schedule,
+            running: syncRunning,
+            nextRun,
+            leagues: leagues.map(league => {
+                const runs = rows.filter(r => r.league === league).sort((a, b) => b.id - a.id);
+                return {
+                    league,
+                    competitionId: API_CONFIG.competitions[league] || null,
+                    scheduled: SYNC_CONFIG.leagues.includes(league),
+                    lastRun: formatRun(runs[0]),
+                    lastSuccess: formatRun(runs.find(r => r.status === 'success')),
+                    nextRun: SYNC_CONFIG.leagues.includes(league) ? nextRun : null
+                };
+            })
+        };
+    }
+}
+
+// ===========================================
+// ALTRI ENDPOINTS
+// ===========================================
+
+// Test intelligente aggiornato
+app.get('/api/test/:homeId/:awayId', async (req, res) => {
+    try {
+        const { homeId, awayId } = req.params;
+        const { league = 'SA' } = req.query;
+        const competitionId = API_CONFIG.competitions[league];
+        
+        const [probabilities, homeForm, awayForm, h2h] = await Promise.all([
+            SmartCalculator.calculateProbabilities(parseInt(homeId), parseInt(awayId), competitionId),
+            MainAPI.getTeamForm(parseInt(homeId), competitionId),
+            MainAPI.getTeamForm(parseInt(awayId), competitionId),
+            HistoricalManager.getH2HWithHalftime(parseInt(homeId), parseInt(awayId))
+        ]);
+        
+        res.json({
+            success: true,
+            probabilities,
+            homeForm: {
+                teamId: homeId,
+                formString: homeForm.formString,
+                points: homeForm.points,
+                avgGoals: homeForm.avgGoalsFor,
+                recentMatches: homeForm.recentMatches
+            },
+            awayForm: {
+                teamId: awayId,
+                formString: awayForm.formString,
+                points: awayForm.points,
+                avgGoals: awayForm.avgGoalsFor,
+                recentMatches: awayForm.recentMatches
+            },
+            h2hSummary: {
+                totalMatches: h2h.length,
+                dataSource: probabilities.dataSource,
+                confidence: probabilities.confidence,
+                hasHalftimeData: h2h.some(m => m.home_goals_ht !== null)
+            }
+        });
+        
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
 
-        const time = Date.now() - start;
+// Inserimento quote (singolo oggetto o array)
+// { matchId, homeTeamId, awayTeamId, league, utcDate, bookmaker, odds: [{ market, selection, price }] }
+app.post('/api/odds', async (req, res) => {
+    try {
+        const entries = Array.isArray(req.body) ? req.body : [req.body];
+        const errors = entries.flatMap((entry, index) =>
+            OddsManager.validate(entry || {}).map(e => entries.length > 1 ? `[${index}] ${e}` : e)
+        );
+        
+        if (errors.length > 0) {
+            return res.status(400).json({ success: false, errors });
+        }
+        
+        let saved = 0;
+        for (const entry of entries) {
+            saved += await OddsManager.saveOdds(entry);
+        }
+        
+        res.json({ success: true, saved });
+        
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
 
+// Quote salvate per una partita
+app.get('/api/odds/:matchId', async (req, res) => {
+    try {
+        const odds = await OddsManager.getOdds(parseInt(req.params.matchId));
+        
         res.json({
             success: true,
-            matches: enriched,
-            metadata: {
-                league: leagueId,
-                season: season || 'current',
-                totalMatches: enriched.length,
-                analyzableMatches: enriched.filter(m => m.canAnalyze).length,
-                finishedMatches: enriched.filter(m => m.isFinished).length,
-                upcomingMatches: enriched.filter(m => m.isFuture).length,
-                withAnalysis: enriched.filter(m => m.analysis).length,
-                processingTime: `${time}ms`,
-                strategy: 'smart_recent_and_upcoming',
-                halftimeSupport: true // NUOVO FLAG
-            }
+            matchId: req.params.matchId,
+            odds: odds.map(o => ({
+                bookmaker: o.bookmaker,
+                market: o.market,
+                selection: o.selection,
+                price: o.price,
+                updatedAt: o.updated_at
+            }))
         });
         
     } catch (error) {
-        console.error('❌ API Error:', error);
         res.status(500).json({ success: false, error: error.message });
     }
 });
 
-// NUOVO ENDPOINT per analisi estesa
-app.get('/api/extended-analysis/:homeId/:awayId', async (req, res) => {
+// Value bet: quote salvate vs probabilità SmartCalculator
+app.get('/api/value-bets/:matchId', async (req, res) => {
     try {
-        const { homeId, awayId } = req.params;
-        const { league = 'SA' } = req.query;
-        const competitionId = API_CONFIG.competitions[league];
+        const { minEdge = 0 } = req.query;
+        const odds = await OddsManager.getOdds(parseInt(req.params.matchId));
         
-        const analysis = await SmartCalculator.calculateProbabilities(
-            parseInt(homeId), 
-            parseInt(awayId), 
-            competitionId
-        );
+        if (odds.length === 0) {
+            return res.status(404).json({ success: false, error: 'No odds stored for this match' });
+        }
+        
+        const { home_team_id: homeId, away_team_id: awayId, competition_id: competitionId } = odds[0];
+        const analysis = await SmartCalculator.calculateProbabilities(homeId, awayId, competitionId);
+        const selections = OddsManager.evaluate(analysis, odds);
         
         res.json({
             success: true,
+            matchId: req.params.matchId,
             homeTeamId: homeId,
             awayTeamId: awayId,
-            league,
-            analysis,
-            breakdown: {
-                fullTime: 'Risultato finale (90 minuti)',
-                halfTime: 'Risultato primo tempo (45 minuti)', 
-                secondHalf: 'Solo secondo tempo (45-90 min)'
-            },
-            isExtendedAnalysis: !!(analysis.fullTime || analysis.halfTime)
+            dataSource: analysis.dataSource,
+            confidence: analysis.confidence,
+            selections,
+            valueBets: selections.filter(s => s.isValue && parseFloat(s.edge) >= parseFloat(minEdge))
         });
         
     } catch (error) {
@@ -889,290 +5445,326 @@ app.get('/api/extended-analysis/:homeId/:awayId', async (req, res) => {
     }
 });
 
-// Resto del codice invariato (MainAPI, endpoints, etc...)
-class MainAPI {
-    static async getSmartMatches(leagueId, season = null) {
-        if (!season) season = new Date().getFullYear();
+// Puntate consigliate per una o più selezioni della stessa partita
+// { bankroll, homeTeamId, awayTeamId, league, bets: [{ market, selection, price, probability? }],
+//   kellyFraction, fixedPercent, fixedUnit, maxStakePercent, maxFixturePercent }
+app.post('/api/stakes', async (req, res) => {
+    try {
+        const body = req.body || {};
+        const errors = StakingService.validate(body);
         
-        const cacheKey = `matches_${leagueId}_${season}`;
-        const cached = await cache.get(cacheKey);
-        if (cached) return cached;
-
-        const competitionId = API_CONFIG.competitions[leagueId];
-        if (!competitionId) throw new Error(`Unknown league: ${leagueId}`);
-
-        try {
-            const response = await rateLimitedCall(async () => {
-                return await axios.get(
-                    `${API_CONFIG.baseUrl}/competitions/${competitionId}/matches`,
-                    {
-                        headers: API_CONFIG.headers,
-                        params: { season },
-                        timeout: 15000
-                    }
-                );
-            });
-
-            const allMatches = response.data.matches || [];
-            console.log(`📊 Retrieved ${allMatches.length} matches for ${leagueId} ${season}`);
-            
-            const now = new Date();
-            const finished = allMatches
-                .filter(m => m.status === 'FINISHED' && new Date(m.utcDate) <= now)
-                .sort((a, b) => new Date(b.utcDate) - new Date(a.utcDate))
-                .slice(0, 15);
-                
-            const upcoming = allMatches
-                .filter(m => ['SCHEDULED', 'TIMED'].includes(m.status) && new Date(m.utcDate) > now)
-                .sort((a, b) => new Date(a.utcDate) - new Date(b.utcDate))
-                .slice(0, 15);
-            
-            const smartSelection = [...finished, ...upcoming];
-            console.log(`🎯 Smart selection: ${finished.length} finished + ${upcoming.length} upcoming`);
-            
-            await cache.set(cacheKey, smartSelection, 20);
-            return smartSelection;
-
-        } catch (error) {
-            console.error(`❌ Error fetching matches:`, error.message);
-            throw error;
+        const needsModel = (body.bets || []).some(b => b.probability === undefined);
+        if (needsModel && (!body.homeTeamId || !body.awayTeamId)) {
+            errors.push('homeTeamId and awayTeamId are required when a bet has no probability');
+        }
+        if (errors.length > 0) {
+            return res.status(400).json({ success: false, errors });
         }
-    }
-    
-    static async getTeamForm(teamId, competitionId) {
-        const matches = await HistoricalManager.getTeamForm(teamId, competitionId, 5);
         
-        let wins = 0, draws = 0, losses = 0, goalsFor = 0, goalsAgainst = 0;
-        const form = [];
+        const analysis = needsModel
+            ? await SmartCalculator.calculateProbabilities(
+                parseInt(body.homeTeamId),
+                parseInt(body.awayTeamId),
+                body.competitionId || API_CONFIG.competitions[body.league] || null
+            )
+            : null;
         
-        matches.forEach(match => {
-            const isHome = match.home_team_id === teamId;
-            const ourGoals = isHome ? match.home_goals : match.away_goals;
-            const theirGoals = isHome ? match.away_goals : match.home_goals;
-            
-            goalsFor += ourGoals;
-            goalsAgainst += theirGoals;
-            
-            if (ourGoals > theirGoals) {
-                wins++;
-                form.push('W');
-            } else if (ourGoals < theirGoals) {
-                losses++;
-                form.push('L');
-            } else {
-                draws++;
-                form.push('D');
-            }
+        res.json({
+            success: true,
+            dataSource: analysis?.dataSource || 'user_probabilities',
+            confidence: analysis?.confidence || null,
+            ...StakingService.calculate(analysis, body.bets, body)
         });
         
-        return {
-            matches: matches.length,
-            wins, draws, losses,
-            goalsFor, goalsAgainst,
-            formString: form.join(''),
-            points: wins * 3 + draws,
-            avgGoalsFor: matches.length > 0 ? (goalsFor / matches.length).toFixed(1) : '0.0',
-            recentMatches: matches.slice(0, 3).map(m => ({
-                date: m.match_date.split('T')[0],
-                opponent: m.home_team_id === teamId ? m.away_team_name : m.home_team_name,
-                result: `${m.home_team_id === teamId ? m.home_goals : m.away_goals}-${m.home_team_id === teamId ? m.away_goals : m.home_goals}`,
-                wasHome: m.home_team_id === teamId
-            }))
-        };
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
     }
-}
+});
 
-// ===========================================
-// INIZIALIZZAZIONE AUTOMATICA AGGIORNATA
-// ===========================================
-class AutoInitializer {
-    
-    static async checkAndInitialize() {
-        console.log('🔍 Checking database initialization status...');
-        
-        const hasData = await this.checkExistingData();
-        
-        if (hasData) {
-            console.log('✅ Historical data already exists');
-            // Controlla se abbiamo dati primo tempo
-            await this.checkHalftimeData();
-            return;
+// Schedina multipla: probabilità combinata, quota equa ed EV; selezioni sulla stessa partita valutate insieme
+app.post('/api/accumulator', async (req, res) => {
+    try {
+        const body = req.body || {};
+        const errors = AccumulatorService.validate(body);
+        if (errors.length > 0) {
+            return res.status(400).json({ success: false, errors });
         }
         
-        console.log('📥 No historical data found, starting automatic population...');
-        console.log('⏱️  This will take approximately 15-20 minutes but only happens once');
+        res.json({
+            success: true,
+            ...(await AccumulatorService.evaluate(body))
+        });
         
-        await this.populateAllLeagues();
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
     }
-    
-    static async checkExistingData() {
-        return new Promise((resolve) => {
-            db.get(`
-                SELECT COUNT(*) as count 
-                FROM historical_matches 
-                WHERE season >= ?
-            `, [new Date().getFullYear() - 4], (err, row) => {
-                if (err) {
-                    console.log('Database check error:', err.message);
-                    resolve(false);
-                } else {
-                    const hasEnoughData = (row?.count || 0) > 1000;
-                    console.log(`📊 Found ${row?.count || 0} historical matches`);
-                    resolve(hasEnoughData);
-                }
-            });
+});
+
+// Previsioni salvate per una partita (più recente per prima) con l'esito per mercato
+app.get('/api/predictions/:matchId', async (req, res) => {
+    try {
+        const predictions = await PredictionStore.getPredictions(parseInt(req.params.matchId));
+        
+        res.json({
+            success: true,
+            matchId: req.params.matchId,
+            predictions: predictions.map(p => ({
+                predictionId: p.id,
+                createdAt: p.created_at,
+                matchDate: p.match_date,
+                modelVersion: p.model_version,
+                dataSource: p.data_source,
+                confidence: p.confidence,
+                calibrationId: p.calibration_id,
+                settledAt: p.settled_at,
+                actual: p.settled_at ? {
+                    scoreFT: `${p.home_goals}-${p.away_goals}`,
+                    scoreHT: p.home_goals_ht !== null ? `${p.home_goals_ht}-${p.away_goals_ht}` : null
+                } : null,
+                probabilities: p.probabilities,
+                settlements: p.settlements.map(s => ({
+                    market: s.market,
+                    selection: s.selection,
+                    probability: s.probability,
+                    outcome: s.outcome
+                }))
+            }))
         });
+        
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
     }
-    
-    static async checkHalftimeData() {
-        return new Promise((resolve) => {
-            db.get(`
-                SELECT 
-                    COUNT(*) as total,
-                    COUNT(home_goals_ht) as with_ht,
-                    ROUND(AVG(COALESCE(total_goals_ht, 0)), 2) as avg_ht_goals
-                FROM historical_matches 
-                WHERE season >= ?
-            `, [new Date().getFullYear() - 2], (err, row) => {
-                if (err) {
-                    console.log('HT check error:', err.message);
-                    resolve();
-                    return;
-                }
-                
-                const total = row?.total || 0;
-                const withHT = row?.with_ht || 0;
-                const coverage = total > 0 ? ((withHT / total) * 100).toFixed(1) : '0.0';
-                
-                console.log(`📊 Halftime Data Status:`);
-                console.log(`   Total matches: ${total}`);
-                console.log(`   With HT data: ${withHT}`);
-                console.log(`   Coverage: ${coverage}%`);
-                console.log(`   Avg HT goals: ${row?.avg_ht_goals || '0.00'}`);
-                
-                if (withHT < total * 0.8) {
-                    console.log('⚠️  Low halftime data coverage, but this is normal');
-                    console.log('   New matches will automatically include HT data');
-                }
-                
-                resolve();
-            });
+});
+
+// Avvia un backtest in background: { league, season, from, to, limit, refitDays } → runId (stato su GET /api/backtest/:runId)
+app.post('/api/backtest', async (req, res) => {
+    try {
+        const { league, season, from, to, limit, refitDays } = req.body || {};
+        const competitionId = league ? API_CONFIG.competitions[league] : null;
+        if (league && !competitionId) {
+            return res.status(400).json({ success: false, error: `Unknown league: ${league}` });
+        }
+        
+        const params = {
+            competitionId,
+            season: season ? parseInt(season) : null,
+            from: from || null,
+            to: to || null,
+            limit: Math.min(parseInt(limit) || BACKTEST_CONFIG.maxMatches, BACKTEST_CONFIG.maxMatches),
+            refitDays: parseInt(refitDays) || BACKTEST_CONFIG.refitDays
+        };
+        
+        const runId = await BacktestEngine.start(params);
+        if (!runId) {
+            return res.status(409).json({ success: false, error: 'A backtest is already running', job: BacktestEngine.getJob() });
+        }
+        res.status(202).json({ success: true, started: true, runId, status: 'running', params });
+        
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Elenco backtest eseguiti
+app.get('/api/backtest', async (req, res) => {
+    try {
+        const runs = await BacktestEngine.getRuns(parseInt(req.query.limit) || 20);
+        res.json({
+            success: true,
+            runs: runs.map(r => ({
+                runId: r.id,
+                createdAt: r.created_at,
+                finishedAt: r.finished_at,
+                status: r.status,
+                error: r.error,
+                matches: r.matches,
+                params: JSON.parse(r.params)
+            }))
         });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
     }
-    
-    static async populateAllLeagues() {
-        const leagues = Object.keys(API_CONFIG.competitions);
-        const currentYear = new Date().getFullYear();
-        const startYear = currentYear - 4;
+});
+
+// Dettaglio backtest con previsioni (paginato)
+app.get('/api/backtest/:runId', async (req, res) => {
+    try {
+        const runId = parseInt(req.params.runId);
+        const { limit = 100, offset = 0 } = req.query;
+        
+        const run = await BacktestEngine.getRun(runId);
+        if (!run) {
+            return res.status(404).json({ success: false, error: `Backtest ${runId} not found` });
+        }
+        
+        const predictions = await BacktestEngine.getPredictions(runId, parseInt(limit) || 100, parseInt(offset) || 0);
         
-        console.log(`🏆 Populating ${leagues.length} leagues from ${startYear} to ${currentYear}`);
+        const job = BacktestEngine.getJob();
+        res.json({
+            success: true,
+            runId,
+            createdAt: run.created_at,
+            finishedAt: run.finished_at,
+            status: run.status,
+            error: run.error,
+            progress: job?.runId === runId ? { done: job.done, total: job.total } : null,
+            params: run.params,
+            summary: run.summary,
+            predictions: predictions.map(p => ({
+                matchId: p.match_id,
+                date: p.match_date,
+                homeTeam: p.home_team_name,
+                awayTeam: p.away_team_name,
+                competitionId: p.competition_id,
+                season: p.season,
+                dataSource: p.data_source,
+                confidence: p.confidence,
+                probabilities: p.probabilities,
+                actual: {
+                    scoreFT: `${p.home_goals}-${p.away_goals}`,
+                    scoreHT: p.home_goals_ht !== null ? `${p.home_goals_ht}-${p.away_goals_ht}` : null
+                }
+            }))
+        });
         
-        for (const leagueId of leagues) {
-            try {
-                console.log(`\n=== Processing ${leagueId} ===`);
-                await this.populateLeague(leagueId, startYear, currentYear);
-                console.log(`✅ Completed ${leagueId}`);
-                
-                await new Promise(resolve => setTimeout(resolve, 2000));
-                
-            } catch (error) {
-                console.error(`❌ Failed to populate ${leagueId}:`, error.message);
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Calibrazione delle previsioni di un backtest (default: ultimo eseguito) - ?runId=3&bins=10,
+// oppure delle previsioni salvate e già regolate - ?source=predictions
+app.get('/api/calibration', async (req, res) => {
+    try {
+        const source = req.query.source || 'backtest';
+        if (!CALIBRATION_SOURCES.includes(source)) {
+            return res.status(400).json({ success: false, error: `source must be one of: ${CALIBRATION_SOURCES.join(', ')}` });
+        }
+
+        let runId = null, records;
+        if (source === 'predictions') {
+            records = await CalibrationService.getStoredRecords();
+            if (records.length === 0) {
+                return res.status(404).json({ success: false, error: 'No settled predictions yet' });
+            }
+        } else {
+            runId = parseInt(req.query.runId) || (await BacktestEngine.getRuns(1, 'completed'))[0]?.id;
+            if (!runId) {
+                return res.status(404).json({ success: false, error: 'No backtest available: run POST /api/backtest first' });
+            }
+
+            records = await CalibrationService.getRunRecords(runId);
+            if (records.length === 0) {
+                return res.status(404).json({ success: false, error: `Backtest ${runId} not found or empty` });
             }
         }
         
-        console.log('\n🎉 Database initialization completed with halftime support!');
-        console.log('📊 Server is now ready with full historical data including first half statistics');
+        const bins = Math.min(Math.max(parseInt(req.query.bins) || CALIBRATION_CONFIG.bins, 2), 50);
+        res.json({
+            success: true,
+            source,
+            runId,
+            ...CalibrationService.report(records, { bins }),
+            recalibration: CalibrationService.getActive()
+        });
+        
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
     }
-    
-    static async populateLeague(leagueId, startYear, endYear) {
-        const competitionId = API_CONFIG.competitions[leagueId];
-        if (!competitionId) {
-            throw new Error(`Unknown league: ${leagueId}`);
+});
+
+// Stima e attiva la ricalibrazione (isotonic | platt) dalle previsioni di un backtest
+app.post('/api/calibration/recalibrate', async (req, res) => {
+    try {
+        const { runId, method = 'isotonic' } = req.body || {};
+        if (!CALIBRATION_METHODS.includes(method)) {
+            return res.status(400).json({ success: false, error: `method must be one of: ${CALIBRATION_METHODS.join(', ')}` });
         }
-        
-        for (let season = startYear; season <= endYear; season++) {
-            try {
-                console.log(`  📅 Fetching ${leagueId} season ${season}...`);
-                
-                const response = await rateLimitedCall(async () => {
-                    return await axios.get(
-                        `${API_CONFIG.baseUrl}/competitions/${competitionId}/matches`,
-                        {
-                            headers: API_CONFIG.headers,
-                            params: { 
-                                season,
-                                status: 'FINISHED' 
-                            },
-                            timeout: 20000
-                        }
-                    );
-                });
-                
-                const matches = response.data.matches || [];
-                console.log(`    📋 Found ${matches.length} finished matches`);
-                
-                let saved = 0;
-                for (const match of matches) {
-                    if (await HistoricalManager.saveMatch(match, season, competitionId)) {
-                        saved++;
-                    }
-                }
-                
-                console.log(`    💾 Saved ${saved} matches with HT data to database`);
-                
-            } catch (error) {
-                console.error(`    ❌ Error season ${season}:`, error.message);
-                
-                if (error.response?.status === 429) {
-                    console.log('    ⏳ Rate limited, waiting 30 seconds...');
-                    await new Promise(resolve => setTimeout(resolve, 30000));
-                }
-            }
+        if (!parseInt(runId)) {
+            return res.status(400).json({ success: false, error: 'runId is required' });
         }
+        
+        const result = await CalibrationService.recalibrate(parseInt(runId), method);
+        res.json({ success: true, ...result });
+        
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
     }
-}
+});
 
-// ===========================================
-// ALTRI ENDPOINTS
-// ===========================================
+// Disattiva la ricalibrazione (le probabilità tornano quelle grezze del modello)
+app.delete('/api/calibration/recalibrate', async (req, res) => {
+    try {
+        await CalibrationService.disableRecalibration();
+        res.json({ success: true, recalibration: null });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
 
-// Test intelligente aggiornato
-app.get('/api/test/:homeId/:awayId', async (req, res) => {
+// Rating Elo correnti (opzionale: ?league=SA&limit=50)
+app.get('/api/ratings', async (req, res) => {
     try {
-        const { homeId, awayId } = req.params;
-        const { league = 'SA' } = req.query;
-        const competitionId = API_CONFIG.competitions[league];
+        const { league, limit = 50 } = req.query;
+        const competitionId = league ? API_CONFIG.competitions[league] : null;
+        if (league && !competitionId) {
+            return res.status(400).json({ success: false, error: `Unknown league: ${league}` });
+        }
         
-        const [probabilities, homeForm, awayForm, h2h] = await Promise.all([
-            SmartCalculator.calculateProbabilities(parseInt(homeId), parseInt(awayId), competitionId),
-            MainAPI.getTeamForm(parseInt(homeId), competitionId),
-            MainAPI.getTeamForm(parseInt(awayId), competitionId),
-            HistoricalManager.getH2HWithHalftime(parseInt(homeId), parseInt(awayId))
+        const ratings = await EloRatings.getRatings(competitionId, parseInt(limit) || 50);
+        
+        res.json({
+            success: true,
+            league: league || 'all',
+            ratings: ratings.map((r, index) => ({
+                rank: index + 1,
+                teamId: r.team_id,
+                teamName: r.team_name,
+                rating: r.rating.toFixed(1),
+                matches: r.matches,
+                lastMatchDate: r.last_match_date,
+                competitionId: r.last_competition_id
+            }))
+        });
+        
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Storico rating di una squadra
+app.get('/api/ratings/team/:teamId', async (req, res) => {
+    try {
+        const teamId = parseInt(req.params.teamId);
+        const { limit = 100 } = req.query;
+        
+        const [current, history] = await Promise.all([
+            EloRatings.getTeamRating(teamId),
+            EloRatings.getTeamHistory(teamId, parseInt(limit) || 100)
         ]);
         
+        if (!current) {
+            return res.status(404).json({ success: false, error: `No rating for team ${teamId}` });
+        }
+        
         res.json({
             success: true,
-            probabilities,
-            homeForm: {
-                teamId: homeId,
-                formString: homeForm.formString,
-                points: homeForm.points,
-                avgGoals: homeForm.avgGoalsFor,
-                recentMatches: homeForm.recentMatches
-            },
-            awayForm: {
-                teamId: awayId,
-                formString: awayForm.formString,
-                points: awayForm.points,
-                avgGoals: awayForm.avgGoalsFor,
-                recentMatches: awayForm.recentMatches
-            },
-            h2hSummary: {
-                totalMatches: h2h.length,
-                dataSource: probabilities.dataSource,
-                confidence: probabilities.confidence,
-                hasHalftimeData: h2h.some(m => m.home_goals_ht !== null)
-            }
+            teamId,
+            teamName: current.team_name,
+            rating: current.rating.toFixed(1),
+            matches: current.matches,
+            history: history.map(h => ({
+                matchId: h.match_id,
+                date: h.match_date,
+                competitionId: h.competition_id,
+                opponentId: h.opponent_id,
+                opponentName: h.opponent_name,
+                isHome: !!h.is_home,
+                score: h.home_goals !== null && h.home_goals !== undefined ? `${h.home_goals}-${h.away_goals}` : null,
+                ratingBefore: h.rating_before.toFixed(1),
+                ratingAfter: h.rating_after.toFixed(1),
+                change: (h.rating_after - h.rating_before).toFixed(1)
+            }))
         });
         
     } catch (error) {
@@ -1180,6 +5772,242 @@ app.get('/api/test/:homeId/:awayId', async (req, res) => {
     }
 });
 
+// Probabilità 1X2 basate sui rating
+app.get('/api/ratings/predict/:homeId/:awayId', async (req, res) => {
+    try {
+        const prediction = await EloRatings.predict(parseInt(req.params.homeId), parseInt(req.params.awayId));
+        
+        if (!prediction) {
+            return res.status(404).json({ success: false, error: 'Ratings not available for both teams' });
+        }
+        
+        res.json({ success: true, prediction });
+        
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Ricalcolo completo dei rating
+app.post('/api/ratings/rebuild', async (req, res) => {
+    try {
+        const result = await EloRatings.rebuild();
+        res.json({ success: true, ...result });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Squadre con id inventato dall'import e possibili corrispondenze; ?name= per cercare un nome qualsiasi
+app.get('/api/teams/suggestions', async (req, res) => {
+    try {
+        if (req.query.name) {
+            const name = String(req.query.name);
+            const teamId = await TeamRegistry.resolve(name);
+            return res.json({
+                success: true,
+                name,
+                teamId,
+                suggestions: await TeamRegistry.suggest(name, {
+                    limit: parseInt(req.query.limit) || TEAM_MATCH_CONFIG.suggestionLimit,
+                    excludeId: teamId
+                })
+            });
+        }
+
+        const unmatched = await TeamRegistry.unmatched();
+        res.json({ success: true, threshold: TEAM_MATCH_CONFIG.suggestionThreshold, count: unmatched.length, unmatched });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Nuovo alias: { alias, teamId } (i prossimi import con quel nome useranno teamId)
+app.post('/api/teams/aliases', async (req, res) => {
+    try {
+        const { alias, teamId } = req.body || {};
+        if (!alias || !String(alias).trim() || !parseInt(teamId)) {
+            return res.status(400).json({ success: false, error: 'alias and teamId are required' });
+        }
+
+        const result = await TeamRegistry.addAlias(String(alias), parseInt(teamId));
+        res.json({ success: true, ...result });
+    } catch (error) {
+        res.status(error.message.startsWith('Unknown team') ? 404 : 500).json({ success: false, error: error.message });
+    }
+});
+
+// Unisce due squadre: { sourceId, targetId } → tutte le partite di sourceId passano a targetId
+app.post('/api/teams/merge', async (req, res) => {
+    try {
+        const sourceId = parseInt(req.body?.sourceId);
+        const targetId = parseInt(req.body?.targetId);
+        if (!sourceId || !targetId || sourceId === targetId) {
+            return res.status(400).json({ success: false, error: 'sourceId and targetId are required and must differ' });
+        }
+
+        const result = await TeamRegistry.merge(sourceId, targetId);
+        res.json({ success: true, ...result });
+    } catch (error) {
+        res.status(error.message.startsWith('Unknown team') ? 404 : 500).json({ success: false, error: error.message });
+    }
+});
+
+// Profilo squadra: stagioni, competizioni, statistiche FT/HT, gol per tempo, serie, risultati
+app.get('/api/teams/:teamId', async (req, res) => {
+    try {
+        const teamId = parseInt(req.params.teamId);
+        if (!teamId || String(teamId) !== req.params.teamId) {
+            return res.status(400).json({ success: false, error: 'teamId must be a numeric id' });
+        }
+
+        const profile = await TeamProfileService.getProfile(teamId);
+        if (!profile) {
+            return res.status(404).json({ success: false, error: `Unknown team: ${teamId}` });
+        }
+        res.json({ success: true, ...profile });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Ricerca: ?q=famalicao (o "benfica vs porto") &type=teams|matches &league &from &to (YYYY-MM-DD) &score=2-1 &htScore=1-0
+app.get('/api/search', async (req, res) => {
+    try {
+        const q = String(req.query.q || '').trim();
+        const { type = 'all', from, to, score, htScore } = req.query;
+        const league = req.query.league ? String(req.query.league).toUpperCase() : null;
+        const limit = Math.min(parseInt(req.query.limit) || SEARCH_CONFIG.matchLimit, SEARCH_CONFIG.maxLimit);
+
+        if (!['all', 'teams', 'matches'].includes(type)) {
+            return res.status(400).json({ success: false, error: 'type must be one of: all, teams, matches' });
+        }
+        if (league && !API_CONFIG.competitions[league]) {
+            return res.status(400).json({ success: false, error: `Unknown league: ${req.query.league}` });
+        }
+        if ([from, to].some(d => d && !/^\d{4}-\d{2}-\d{2}$/.test(d))) {
+            return res.status(400).json({ success: false, error: 'from and to must be YYYY-MM-DD' });
+        }
+        if ([score, htScore].some(s => s && !/^\d+-\d+$/.test(s))) {
+            return res.status(400).json({ success: false, error: 'score and htScore must look like 2-1' });
+        }
+
+        const filters = {
+            from: from || null,
+            to: to || null,
+            competitionId: league ? API_CONFIG.competitions[league] : null,
+            score: score || null,
+            htScore: htScore || null
+        };
+        const hasFilters = Object.values(filters).some(Boolean);
+        if (!q && !hasFilters) {
+            return res.status(400).json({ success: false, error: 'q or at least one filter is required' });
+        }
+
+        const teams = q && type !== 'matches'
+            ? await SearchService.searchTeams(q, { limit: Math.min(limit, SEARCH_CONFIG.teamLimit) })
+            : [];
+        const matches = type !== 'teams'
+            ? await SearchService.searchMatches(q, filters, { limit })
+            : [];
+
+        res.json({ success: true, query: q, league, filters, teams, matches });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Anomalie dei dati storici: ?league=PPL per un solo campionato, ?limit= righe massime per controllo
+app.get('/api/audit', async (req, res) => {
+    try {
+        const league = req.query.league ? String(req.query.league).toUpperCase() : null;
+        if (league && !API_CONFIG.competitions[league]) {
+            return res.status(400).json({ success: false, error: `Unknown league: ${req.query.league}` });
+        }
+
+        const result = await DataQualityAudit.run({
+            competitionId: league ? API_CONFIG.competitions[league] : null,
+            limit: Math.min(parseInt(req.query.limit) || AUDIT_CONFIG.defaultLimit, 1000)
+        });
+        res.json({ success: true, league, ...result });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Ultima esecuzione (e ultima riuscita) e prossima esecuzione della sync per campionato
+app.get('/api/sync/status', async (req, res) => {
+    try {
+        res.json({ success: true, ...(await SyncScheduler.getStatus()) });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Sync immediata: { league } opzionale, altrimenti tutti i campionati configurati (in background)
+app.post('/api/sync/run', async (req, res) => {
+    const league = req.body?.league ? String(req.body.league).toUpperCase() : null;
+    if (league && !API_CONFIG.competitions[league]) {
+        return res.status(400).json({ success: false, error: `Unknown league: ${league}` });
+    }
+    if (!dataProvider.isConfigured()) {
+        return res.status(503).json({ success: false, error: `Data provider "${DATA_PROVIDER_CONFIG.provider}" not configured` });
+    }
+    if (syncRunning) {
+        return res.status(409).json({ success: false, error: 'A sync is already running' });
+    }
+
+    const leagues = league ? [league] : SYNC_CONFIG.leagues;
+    SyncScheduler.runAll('manual', leagues).catch(err => console.error('❌ Manual sync failed:', err.message));
+    res.status(202).json({ success: true, started: true, leagues });
+});
+
+// Prossime partite in calendario salvate dalla sync: ?limit= righe massime
+app.get('/api/fixtures/:leagueId', async (req, res) => {
+    try {
+        const league = req.params.leagueId.toUpperCase();
+        const competitionId = API_CONFIG.competitions[league];
+        if (!competitionId) {
+            return res.status(400).json({ success: false, error: `Unknown league: ${req.params.leagueId}` });
+        }
+
+        const fixtures = await SyncScheduler.getFixtures(competitionId, Math.min(parseInt(req.query.limit) || 50, 500));
+        res.json({ success: true, league, count: fixtures.length, fixtures });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Classifica: ?season=2024&matchday=20 oppure &date=YYYY-MM-DD, &period=halfTime per il solo primo tempo
+app.get('/api/standings/:leagueId', async (req, res) => {
+    try {
+        const league = req.params.leagueId.toUpperCase();
+        const competitionId = API_CONFIG.competitions[league];
+        if (!competitionId) {
+            return res.status(400).json({ success: false, error: `Unknown league: ${req.params.leagueId}` });
+        }
+
+        const { season, matchday, date, period = 'fullTime' } = req.query;
+        if (!STANDINGS_PERIODS.includes(period)) {
+            return res.status(400).json({ success: false, error: `period must be one of: ${STANDINGS_PERIODS.join(', ')}` });
+        }
+        if (date && !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+            return res.status(400).json({ success: false, error: 'date must be YYYY-MM-DD' });
+        }
+
+        const result = await StandingsService.compute(competitionId, {
+            season: season ? parseInt(season) : null,
+            matchday: matchday ? parseInt(matchday) : null,
+            date: date || null,
+            period
+        });
+
+        res.json({ success: true, league, competitionId, ...result });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
 // Health check aggiornato
 app.get('/api/health', (req, res) => {
     res.json({ 
@@ -1192,10 +6020,33 @@ app.get('/api/health', (req, res) => {
             'Smart Match Selection',
             '🆕 First Half Statistics (45 min)', // NUOVO
             '🆕 Second Half Analysis (45-90 min)', // NUOVO
-            '🆕 Multi-Period Probabilities' // NUOVO
+            '🆕 Multi-Period Probabilities', // NUOVO
+            '🆕 Dixon-Coles Goal Model (joint scoreline distribution)',
+            '🆕 Elo Team Ratings',
+            '🆕 Bookmaker Odds & Value Bets',
+            '🆕 Historical Backtesting',
+            '🆕 Probability Calibration',
+            '🆕 Asian Handicap & Goal Lines (FT/HT)',
+            '🆕 Time-Decay Weighting (H2H, form, goal model)',
+            '🆕 Venue-Specific Form (home/away splits)',
+            '🆕 Kelly / Fixed Stake Calculator',
+            '🆕 Prediction History & Automatic Settlement',
+            '🆕 Team Aliases & Identity Merge',
+            '🆕 Scheduled Incremental Sync',
+            '🆕 League Standings (FT / first half, home / away)',
+            '🆕 Team Profiles (seasons, streaks, scoring by half)',
+            '🆕 Fuzzy Team & Match Search',
+            '🆕 Data Quality Audit (missing HT stored as NULL)',
+            '🆕 Accumulator Builder (same-match correlated selections)',
+            '🆕 Custom Goal Lines & Team Totals',
+            '🆕 Derived Markets (double chance, DNB, HT/FT, winning margin, clean sheet, win to nil)',
+            '🆕 Multigol & Exact Total Goals (match and team, FT/HT)',
+            '🆕 Half Comparison Markets (highest scoring half, goal/score in both halves, win either half)'
         ],
         apis: {
-            footballData: process.env.FOOTBALL_DATA_API_KEY ? 'Configured' : 'Missing'
+            footballData: process.env.FOOTBALL_DATA_API_KEY ? 'Configured' : 'Missing',
+            dataProvider: DATA_PROVIDER_CONFIG.provider,
+            dataProviderReady: dataProvider.isConfigured()
         },
         halftimeSupport: true // NUOVO FLAG
     });
@@ -1210,12 +6061,12 @@ app.get('/api/db-stats', (req, res) => {
         // NUOVE QUERY per statistiche primo tempo
         `SELECT 
             COUNT(*) as total_matches,
-            COUNT(home_goals_ht) as with_halftime_data,
-            ROUND(AVG(COALESCE(total_goals_ht, 0)), 2) as avg_ht_goals,
+            COUNT(total_goals_ht) as with_halftime_data,
+            ROUND(AVG(total_goals_ht), 2) as avg_ht_goals,
             ROUND(AVG(total_goals), 2) as avg_ft_goals,
             ROUND(
-                COUNT(CASE WHEN COALESCE(home_goals_ht, 0) > 0 AND COALESCE(away_goals_ht, 0) > 0 THEN 1 END) * 100.0 / 
-                COUNT(CASE WHEN home_goals_ht IS NOT NULL THEN 1 END), 1
+                COUNT(CASE WHEN home_goals_ht > 0 AND away_goals_ht > 0 THEN 1 END) * 100.0 / 
+                NULLIF(COUNT(total_goals_ht), 0), 1
             ) as btts_ht_percentage
         FROM historical_matches`
     ];
@@ -1268,11 +6119,11 @@ function getTimeInfo(match) {
 }
 
 // Cleanup
-setInterval(() => {
-    db.run(`DELETE FROM cache_simple WHERE expires_at < datetime('now')`);
-}, 3600000);
-
-const path = require('path');
+if (require.main === module) {
+    setInterval(() => {
+        db.run(`DELETE FROM cache_simple WHERE expires_at < datetime('now')`);
+    }, 3600000);
+}
 
 if (process.env.NODE_ENV === 'production') {
     app.use(express.static(path.resolve(__dirname, 'client', 'dist')));
@@ -1282,41 +6133,103 @@ if (process.env.NODE_ENV === 'production') {
     });
 }
 
-// Start server
-app.listen(PORT, '0.0.0.0', () => {
-    console.log(`🚀 Football API Server running on port ${PORT}`);
-    console.log('📊 Features:');
-    console.log('  - Historical database with real match data');
-    console.log('  - Intelligent H2H calculations from local DB');
-    console.log('  - Team form analysis (last 5 matches)');
-    console.log('  - Smart fallback calculations');
-    console.log('  - Optimized match selection strategy');
-    console.log('  🆕 - First half statistics (45 min analysis)');
-    console.log('  🆕 - Second half analysis (45-90 min)');
-    console.log('  🆕 - Multi-period probability calculations');
-    console.log('🌐 Endpoints:');
-    console.log('  - GET /api/matches/:leagueId (enhanced with HT support)');
-    console.log('  - GET /api/extended-analysis/:homeId/:awayId (NEW - multi-period analysis)');
-    console.log('  - GET /api/db-stats (enhanced with HT statistics)');
-    console.log('  - GET /api/health (updated features list)');
-    console.log('');
-    console.log('🎯 All new matches will automatically include first half data');
-    console.log('📈 Enhanced H2H analysis with multi-period statistics');
-});
+// Avvio del server solo se eseguito direttamente (gli script CLI importano i moduli)
+if (require.main === module) {
+    // Lo schema deve essere aggiornato con "npm run db:migrate" prima dell'avvio
+    SchemaMigrator.assertCurrent().then(({ current }) => {
+        console.log(`📦 Database schema v${current}`);
+        console.log(`🔌 Data provider: ${DATA_PROVIDER_CONFIG.provider}${dataProvider.isConfigured() ? '' : ' (not configured)'}`);
+
+        // Start server
+        app.listen(PORT, '0.0.0.0', () => {
+            console.log(`🚀 Football API Server running on port ${PORT}`);
+            console.log('📊 Features:');
+            console.log('  - Historical database with real match data');
+            console.log('  - Intelligent H2H calculations from local DB');
+            console.log('  - Team form analysis (last 5 matches)');
+            console.log('  - Smart fallback calculations');
+            console.log('  - Optimized match selection strategy');
+            console.log('  🆕 - First half statistics (45 min analysis)');
+            console.log('  🆕 - Second half analysis (45-90 min)');
+            console.log('  🆕 - Multi-period probability calculations');
+            console.log('🌐 Endpoints:');
+            console.log('  - GET /api/matches/:leagueId (enhanced with HT support)');
+            console.log('  - GET /api/extended-analysis/:homeId/:awayId (NEW - multi-period analysis, ?thresholds=&teamThresholds=)');
+            console.log('  - GET /api/db-stats (enhanced with HT statistics)');
+            console.log('  - GET /api/health (updated features list)');
+            console.log('  - GET /api/ratings, /api/ratings/team/:teamId, /api/ratings/predict/:homeId/:awayId (Elo)');
+            console.log('  - POST /api/odds, GET /api/odds/:matchId, GET /api/value-bets/:matchId');
+            console.log('  - POST /api/backtest, GET /api/backtest, GET /api/backtest/:runId');
+            console.log('  - GET /api/calibration (?source=backtest|predictions), POST|DELETE /api/calibration/recalibrate');
+            console.log('  - POST /api/stakes (Kelly, fractional Kelly, fixed stakes)');
+            console.log('  - POST /api/accumulator (multiple: combined probability, fair price, EV)');
+            console.log('  - GET /api/predictions/:matchId (pre-match predictions and settlement)');
+            console.log('  - GET /api/teams/suggestions, POST /api/teams/aliases, POST /api/teams/merge');
+            console.log('  - GET /api/sync/status, POST /api/sync/run (scheduled incremental sync)');
+            console.log('  - GET /api/fixtures/:leagueId (upcoming fixtures stored by the sync)');
+            console.log('  - GET /api/standings/:leagueId (league table by season / matchday / date)');
+            console.log('  - GET /api/teams/:teamId (team profile: seasons, stats, streaks, results)');
+            console.log('  - GET /api/search?q= (fuzzy team and match search with date / league / score filters)');
+            console.log('  - GET /api/audit (data quality: HT > FT, duplicates, impossible dates, single-appearance teams, suspected HT 0-0 placeholders)');
+            console.log('');
+            console.log('🎯 All new matches will automatically include first half data');
+            console.log('📈 Enhanced H2H analysis with multi-period statistics');
+        
+            CalibrationService.loadActive().then(active => {
+                if (active) console.log(`🎚️ Recalibration ${active.id} (${active.method}) loaded`);
+            });
+        });
 
-// Avvia l'inizializzazione automatica aggiornata
-setTimeout(() => {
-    AutoInitializer.checkAndInitialize()
-        .then(() => console.log('✅ Auto-initialization check completed with halftime support'))
-        .catch(err => console.error('❌ Auto-initialization failed:', err));
-}, 3000);
-
-process.on('SIGINT', () => {
-    console.log('Shutting down server...');
-    db.close(() => {
-        console.log('Database closed');
-        process.exit(0);
+        // Avvia l'inizializzazione automatica aggiornata
+        setTimeout(() => {
+            AutoInitializer.checkAndInitialize()
+                .then(() => console.log('✅ Auto-initialization check completed with halftime support'))
+                .then(() => TeamRegistry.sync())
+                .then(() => EloRatings.rebuild())
+                .then(() => PredictionStore.settlePending())
+                .then(() => SyncScheduler.start())
+                .catch(err => console.error('❌ Auto-initialization failed:', err));
+        }, 3000);
+    }).catch(err => {
+        console.error(`❌ ${err.message}`);
+        process.exit(1);
     });
-});
 
-module.exports = app;
\ No newline at end of file
+    process.on('SIGINT', () => {
+        console.log('Shutting down server...');
+        db.close(() => {
+            console.log('Database closed');
+            process.exit(0);
+        });
+    });
+}
+
+module.exports = app;
+Object.assign(module.exports, {
+    db,
+    API_CONFIG,
+    DATA_PROVIDER_CONFIG,
+    DATA_PROVIDERS,
+    dataProvider,
+    ScorelineModel,
+    HistoricalManager,
+    MainAPI,
+    DixonColesModel,
+    EloRatings,
+    OddsManager,
+    MarketSettler,
+    SmartCalculator,
+    BacktestEngine,
+    BACKTEST_CONFIG,
+    CalibrationService,
+    StakingService,
+    PredictionStore,
+    TeamRegistry,
+    SchemaMigrator,
+    SyncScheduler,
+    StandingsService,
+    TeamProfileService,
+    SearchService,
+    DataQualityAudit,
+    AccumulatorService
+});
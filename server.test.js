@@ -0,0 +1,141 @@
+// Modello dei risultati: matrice dei punteggi, stima Dixon-Coles e decadimento temporale
+process.env.DB_PATH = ':memory:';
+
+const {
+    db,
+    ScorelineModel,
+    DixonColesModel,
+    SmartCalculator
+} = require('./server');
+
+const sum = (matrix) => matrix.reduce((total, row) => total + row.reduce((a, p) => a + p, 0), 0);
+const pct = (value) => parseFloat(value) / 100;
+
+const AVERAGE_MATCH = {
+    halfTime: { home: 0.65, away: 0.55, rho: -0.05 },
+    secondHalf: { home: 0.8, away: 0.65, rho: -0.05 }
+};
+
+afterAll(() => new Promise((resolve) => db.close(() => resolve())));
+
+describe('ScorelineModel', () => {
+    it('builds a scoreline matrix that sums to 1', () => {
+        expect(sum(ScorelineModel.buildMatrix(1.4, 1.1))).toBeCloseTo(1, 10);
+        expect(sum(ScorelineModel.buildMatrix(1.4, 1.1, -0.1))).toBeCloseTo(1, 10);
+    });
+
+    it('applies the Dixon-Coles correction only to low scores', () => {
+        const independent = ScorelineModel.buildMatrix(1.4, 1.1, 0);
+        const corrected = ScorelineModel.buildMatrix(1.4, 1.1, -0.1);
+        const ratio = (i, j) => corrected[i][j] / independent[i][j];
+
+        // rho < 0: più 0-0 e 1-1, meno 1-0 e 0-1; gli altri risultati cambiano solo per la rinormalizzazione
+        expect(ratio(0, 0)).toBeGreaterThan(ratio(2, 1));
+        expect(ratio(1, 1)).toBeGreaterThan(ratio(2, 1));
+        expect(ratio(1, 0)).toBeLessThan(ratio(2, 1));
+        expect(ratio(0, 1)).toBeLessThan(ratio(2, 1));
+        expect(ratio(2, 1)).toBeCloseTo(ratio(3, 2), 10);
+        expect(ScorelineModel.tau(2, 0, 1.4, 1.1, -0.1)).toBe(1);
+    });
+
+    it('combines the two halves into a full-time matrix with the summed expected goals', () => {
+        const periods = ScorelineModel.buildPeriods({
+            halfTime: { home: 0.6, away: 0.5 },
+            secondHalf: { home: 0.8, away: 0.6 }
+        });
+        const markets = ScorelineModel.marketsFromMatrix(periods.fullTime);
+
+        expect(sum(periods.fullTime)).toBeCloseTo(1, 10);
+        expect(periods.fullTime[0][0]).toBeCloseTo(periods.halfTime[0][0] * periods.secondHalf[0][0], 12);
+        expect(parseFloat(markets.goals.expectedHome)).toBeCloseTo(1.4, 2);
+        expect(parseFloat(markets.goals.expectedAway)).toBeCloseTo(1.1, 2);
+    });
+
+    it('derives consistent markets from the same distribution', () => {
+        const { fullTime } = ScorelineModel.toProbabilities(ScorelineModel.buildPeriods(AVERAGE_MATCH));
+        const { home, draw, away } = fullTime['1X2'];
+
+        expect(pct(home) + pct(draw) + pct(away)).toBeCloseTo(1, 2);
+        expect(pct(fullTime.doubleChance['1X'])).toBeCloseTo(pct(home) + pct(draw), 2);
+        expect(pct(fullTime.drawNoBet.home)).toBeCloseTo(pct(home) / (pct(home) + pct(away)), 2);
+        expect(pct(fullTime.goals.over25) + pct(fullTime.goals.under25)).toBeCloseTo(1, 3);
+        expect(pct(fullTime.goals.over05)).toBeGreaterThan(pct(fullTime.goals.over15));
+    });
+});
+
+describe('DixonColesModel.fit', () => {
+    // Campionato sintetico: la squadra 1 segna più di tutte, in casa si segna di più
+    const teams = [1, 2, 3, 4, 5, 6];
+    const matches = [];
+    ['2023-09-01', '2024-09-01'].forEach((start, season) => {
+        let day = 0;
+        teams.forEach(home => teams.forEach(away => {
+            if (home === away) return;
+            const date = new Date(new Date(start).getTime() + day++ * 3 * 24 * 60 * 60 * 1000);
+            const homeGoals = (home === 1 ? 3 : 1) + (away === 6 ? 1 : 0);
+            const awayGoals = (away === 1 ? 2 : (home + away) % 2);
+            matches.push({
+                match_date: date.toISOString(),
+                season: 2023 + season,
+                home_team_id: home, away_team_id: away,
+                home_team_name: `Team ${home}`, away_team_name: `Team ${away}`,
+                home_goals: homeGoals, away_goals: awayGoals,
+                home_goals_ht: Math.floor(homeGoals / 2), away_goals_ht: Math.floor(awayGoals / 2)
+            });
+        }));
+    });
+    const model = DixonColesModel.fit(matches, '2025-06-01');
+
+    it('rates the strongest attack above the league average', () => {
+        const attacks = teams.map(id => model.teams.get(id).attack);
+        expect(Math.max(...attacks)).toBe(model.teams.get(1).attack);
+        expect(model.teams.get(1).attack).toBeGreaterThan(1);
+        expect(attacks.reduce((a, b) => a + b, 0) / teams.length).toBeCloseTo(1, 6);
+    });
+
+    it('estimates home advantage and the half-time share of goals', () => {
+        expect(model.homeAdvantage).toBeGreaterThan(1);
+        expect(model.halfTimeShare.home).toBeGreaterThan(0);
+        expect(model.halfTimeShare.home).toBeLessThan(1);
+        expect(model.info).toMatchObject({ name: 'dixon_coles', matchesUsed: 60, teamsRated: 6, seasons: [2023, 2024] });
+    });
+
+    it('predicts expected goals per half for known teams only', () => {
+        const strongAtHome = DixonColesModel.predict(model, 1, 2);
+        const strongAway = DixonColesModel.predict(model, 2, 1);
+        const total = (e, side) => e.halfTime[side] + e.secondHalf[side];
+
+        expect(total(strongAtHome, 'home')).toBeGreaterThan(total(strongAway, 'away'));
+        expect(total(strongAtHome, 'home')).toBeGreaterThan(total(strongAtHome, 'away'));
+        expect(DixonColesModel.predict(model, 1, 99)).toBeNull();
+    });
+
+    it('reports a finite confidence when no match has a half-time score', () => {
+        const withoutHalfTime = DixonColesModel.fit(matches.map(m => ({ ...m, home_goals_ht: null, away_goals_ht: null })), '2025-06-01');
+        const expected = DixonColesModel.predict(withoutHalfTime, 1, 2);
+        const analysis = SmartCalculator.fromGoalModel(withoutHalfTime, expected, [], 1, 2);
+
+        expect(withoutHalfTime.info.pseudoR2).toBeNull();
+        expect(Number.isFinite(analysis.confidence)).toBe(true);
+    });
+});
+
+describe('SmartCalculator time decay', () => {
+    const unweighted = { model: null, h2h: null, form: null };
+
+    it('reports the same timeDecay shape for sources that weight no matches', () => {
+        const eloRatings = { expectedScore: 0.6, home: { matches: 30 }, away: { matches: 40 } };
+
+        expect(SmartCalculator.fromRatings(eloRatings).timeDecay).toEqual(unweighted);
+        expect(SmartCalculator.getEnhancedGenericProbabilities().timeDecay).toEqual(unweighted);
+    });
+
+    it('fills in the half-life and effective sample size of the weighted matches', () => {
+        const h2h = [{ weight: 1 }, { weight: 0.5 }, { weight: 0.5 }].map((m, i) => ({
+            ...m, home_team_id: 1, away_team_id: 2, home_goals: i, away_goals: 1, home_goals_ht: 0, away_goals_ht: 0
+        }));
+        const { timeDecay } = SmartCalculator.fromH2HEnhanced(h2h, 1, 2);
+
+        expect(timeDecay).toEqual({ ...unweighted, h2h: { halfLifeDays: 730, matches: 3, effectiveSampleSize: '2.7' } });
+    });
+});
@@ -0,0 +1,101 @@
+// Esito delle previsioni: mercati valutati sul risultato finale e regolazione delle previsioni salvate
+process.env.DB_PATH = ':memory:';
+
+const { db, SchemaMigrator, MarketSettler, PredictionStore } = require('./server');
+
+const run = (sql, params = []) => new Promise((resolve, reject) => {
+    db.run(sql, params, (err) => err ? reject(err) : resolve());
+});
+const all = (sql, params = []) => new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => err ? reject(err) : resolve(rows));
+});
+
+afterAll(() => new Promise((resolve) => db.close(() => resolve())));
+
+describe('MarketSettler.settleAll', () => {
+    const probabilities = {
+        fullTime: {
+            '1X2': { home: '45.0', draw: '27.0', away: '28.0' },
+            goals: { expectedTotal: '2.65', over25: '50.0', under25: '50.0' },
+            btts: { btts_yes: '52.0', btts_no: '48.0' },
+            doubleChance: { '1X': '72.0', '12': '73.0', 'X2': '55.0' },
+            htft: { away_home: '4.0', home_home: '30.0' },
+            correctScore: { top: [{ score: '1-0', probability: '10.0' }] }
+        },
+        halfTime: {
+            '1X2': { home: '35.0', draw: '42.0', away: '23.0' },
+            drawNoBet: { home: '60.0', away: '40.0' }
+        }
+    };
+
+    it('settles every numeric selection against the final and half-time scores', () => {
+        const results = MarketSettler.settleAll(probabilities, {
+            fullTime: { home: 2, away: 1 },
+            halfTime: { home: 0, away: 1 }
+        });
+        const outcome = (market, selection) => results.find(r => r.market === market && r.selection === selection)?.outcome;
+
+        expect(outcome('fullTime.1X2', 'home')).toBe('won');
+        expect(outcome('fullTime.1X2', 'draw')).toBe('lost');
+        expect(outcome('fullTime.goals', 'over25')).toBe('won');
+        expect(outcome('fullTime.goals', 'under25')).toBe('lost');
+        expect(outcome('fullTime.btts', 'btts_yes')).toBe('won');
+        expect(outcome('fullTime.doubleChance', 'X2')).toBe('lost');
+        expect(outcome('fullTime.htft', 'away_home')).toBe('won');
+        expect(outcome('halfTime.1X2', 'away')).toBe('won');
+        expect(outcome('halfTime.drawNoBet', 'home')).toBe('lost');
+        expect(results.find(r => r.selection === 'over25').probability).toBe(50);
+
+        // Valori non numerici (gol attesi, liste dei risultati esatti) non sono selezioni
+        expect(results.some(r => r.selection === 'expectedTotal' || r.market === 'fullTime.correctScore')).toBe(false);
+        expect(results).toHaveLength(17);
+    });
+
+    it('skips half-time markets without a half-time score and voids draw no bet on a draw', () => {
+        const results = MarketSettler.settleAll(probabilities, { fullTime: { home: 1, away: 1 }, halfTime: null });
+
+        expect(results.some(r => r.market.startsWith('halfTime.') || r.market === 'fullTime.htft')).toBe(false);
+        expect(MarketSettler.settle('fullTime.drawNoBet', 'home', { fullTime: { home: 1, away: 1 }, halfTime: null })).toBeNull();
+    });
+});
+
+describe('PredictionStore.settleMatch', () => {
+    const probabilities = JSON.stringify({
+        fullTime: {
+            '1X2': { home: '45.0', draw: '27.0', away: '28.0' },
+            btts: { btts_yes: '52.0', btts_no: '48.0' }
+        }
+    });
+
+    beforeAll(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        await SchemaMigrator.migrate();
+
+        for (const matchId of [1, 1, 2]) {
+            await run(`INSERT INTO predictions (match_id, model_version, probabilities) VALUES (?, 'test', ?)`, [matchId, probabilities]);
+        }
+    });
+
+    afterAll(() => jest.restoreAllMocks());
+
+    it('settles each pending prediction once when settlements overlap', async () => {
+        const scores = { fullTime: { home: 2, away: 1 }, halfTime: { home: 0, away: 1 } };
+        const settled = await Promise.all([
+            PredictionStore.settleMatch(1, scores),
+            PredictionStore.settleMatch(2, scores),
+            PredictionStore.settleMatch(1, scores)
+        ]);
+
+        expect(settled).toEqual([2, 1, 0]);
+        expect(await all(`
+            SELECT p.match_id, COUNT(*) AS settlements, SUM(s.outcome = 'won') AS won
+            FROM prediction_settlements s JOIN predictions p ON p.id = s.prediction_id
+            GROUP BY p.match_id ORDER BY p.match_id
+        `)).toEqual([
+            { match_id: 1, settlements: 10, won: 4 },
+            { match_id: 2, settlements: 5, won: 2 }
+        ]);
+        expect(await all(`SELECT DISTINCT home_goals, away_goals, home_goals_ht FROM predictions WHERE settled_at IS NOT NULL`))
+            .toEqual([{ home_goals: 2, away_goals: 1, home_goals_ht: 0 }]);
+    });
+});
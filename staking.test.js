@@ -0,0 +1,33 @@
+// Puntate: frazione di Kelly e tetti per puntata e per partita
+process.env.DB_PATH = ':memory:';
+
+const { db, StakingService } = require('./server');
+
+afterAll(() => new Promise((resolve) => db.close(() => resolve())));
+
+describe('StakingService', () => {
+    it('computes the Kelly fraction and ignores negative expected value', () => {
+        expect(StakingService.kellyFraction(0.5, 3)).toBeCloseTo(0.25, 10);
+        expect(StakingService.kellyFraction(0.3, 3)).toBe(0);
+        expect(StakingService.kellyFraction(0.9, 1)).toBe(0);
+    });
+
+    it('caps single stakes and scales the bets on a fixture down to maxFixturePercent', () => {
+        const result = StakingService.calculate(null, [
+            { market: 'fullTime.1X2', selection: 'home', price: 2.5, probability: 60 },
+            { market: 'fullTime.goals', selection: 'over25', price: 3, probability: 50 },
+            { market: 'fullTime.btts', selection: 'btts_yes', price: 1.5, probability: 50 }
+        ], { bankroll: 1000, maxStakePercent: 5, maxFixturePercent: 6 });
+
+        // Kelly pieno 333 e 250 → tetto 50 ciascuna → totale 100 oltre il 6% → scalate a 30
+        expect(result.bets[0].stakes.kelly).toEqual({ amount: '30.00', capped: true });
+        expect(result.bets[1].stakes.kelly).toEqual({ amount: '30.00', capped: true });
+        expect(result.bets[2]).toMatchObject({ isValue: false, kellyFraction: '0.00' });
+        expect(result.bets[2].stakes.kelly.amount).toBe('0.00');
+        expect(result.totals.kelly).toMatchObject({ staked: '60.00', bankrollPercent: '6.00', scaledToFixtureCap: true });
+
+        // 1% fisso su due puntate di valore resta sotto il tetto della partita
+        expect(result.bets[0].stakes.fixedPercentage).toEqual({ amount: '10.00', capped: false });
+        expect(result.totals.fixedPercentage).toMatchObject({ staked: '20.00', scaledToFixtureCap: false });
+    });
+});
@@ -0,0 +1,84 @@
+// Classifiche: punti e spareggi, taglio per giornata o data, classifica del primo tempo
+process.env.DB_PATH = ':memory:';
+
+const { db, SchemaMigrator, StandingsService } = require('./server');
+
+const run = (sql, params = []) => new Promise((resolve, reject) => {
+    db.run(sql, params, (err) => err ? reject(err) : resolve());
+});
+
+const atalanta = { id: 102, name: 'Atalanta BC' };
+const bologna = { id: 103, name: 'Bologna FC 1909' };
+const cagliari = { id: 104, name: 'Cagliari Calcio' };
+const empoli = { id: 445, name: 'Empoli FC' };
+
+let nextId = 1;
+const insertMatch = (season, matchday, date, home, away, goals, halfTime) => run(`
+    INSERT INTO historical_matches
+    (id, match_date, season, competition_id, matchday, home_team_id, away_team_id, home_team_name, away_team_name,
+     home_goals, away_goals, home_goals_ht, away_goals_ht, status)
+    VALUES (?, ?, ?, 2019, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'FINISHED')
+`, [nextId++, date, season, matchday, home.id, away.id, home.name, away.name, ...goals, ...(halfTime || [null, null])]);
+
+const table = (result) => result.standings.map(row => [row.teamName, row.points]);
+
+describe('StandingsService.compute', () => {
+    beforeAll(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        await SchemaMigrator.migrate();
+
+        await insertMatch(2022, 38, '2023-05-28T16:00:00Z', atalanta, bologna, [0, 1], [0, 0]);
+        await insertMatch(2023, 1, '2023-08-19T16:00:00Z', atalanta, bologna, [2, 0], [1, 0]);
+        await insertMatch(2023, 1, '2023-08-19T18:45:00Z', cagliari, empoli, [1, 1], [0, 1]);
+        await insertMatch(2023, 2, '2023-08-26T16:00:00Z', bologna, cagliari, [3, 1], null);
+        await insertMatch(2023, 2, '2023-08-26T18:45:00Z', empoli, atalanta, [0, 1], [0, 0]);
+    });
+
+    afterAll(async () => {
+        jest.restoreAllMocks();
+        await new Promise((resolve) => db.close(() => resolve()));
+    });
+
+    it('builds the table of the latest season with home and away splits', async () => {
+        const result = await StandingsService.compute(2019);
+
+        expect(result).toMatchObject({ season: 2023, seasons: [2023, 2022], period: 'fullTime', maxMatchday: 2, matchesCounted: 4 });
+        expect(table(result)).toEqual([
+            [atalanta.name, 6], [bologna.name, 3], [empoli.name, 1], [cagliari.name, 1]
+        ]);
+        expect(result.standings[0]).toMatchObject({
+            position: 1, played: 2, won: 2, goalsFor: 3, goalsAgainst: 0, goalDifference: 3, form: 'WW',
+            home: { played: 1, won: 1, points: 3, goalDifference: 2 },
+            away: { played: 1, won: 1, points: 3, goalDifference: 1 }
+        });
+        expect(result.standings[1].form).toBe('LW');
+    });
+
+    it('stops at a matchday or a date and breaks ties on goals scored and name', async () => {
+        const byMatchday = await StandingsService.compute(2019, { season: 2023, matchday: 1 });
+        const byDate = await StandingsService.compute(2019, { season: 2023, date: '2023-08-19' });
+
+        expect(table(byMatchday)).toEqual([
+            [atalanta.name, 3], [cagliari.name, 1], [empoli.name, 1], [bologna.name, 0]
+        ]);
+        expect(byDate.standings).toEqual(byMatchday.standings);
+        expect(byDate.lastMatchDate).toBe('2023-08-19T18:45:00Z');
+    });
+
+    it('ranks first-half results and leaves out matches without a half-time score', async () => {
+        const result = await StandingsService.compute(2019, { season: 2023, period: 'halfTime' });
+
+        expect(result.matchesCounted).toBe(3);
+        expect(table(result)).toEqual([
+            [atalanta.name, 4], [empoli.name, 4], [bologna.name, 0], [cagliari.name, 0]
+        ]);
+        expect(result.standings.find(row => row.teamId === cagliari.id).played).toBe(1);
+    });
+
+    it('computes an older season on request', async () => {
+        const result = await StandingsService.compute(2019, { season: 2022 });
+
+        expect(table(result)).toEqual([[bologna.name, 3], [atalanta.name, 0]]);
+        expect(result.seasonDates).toEqual({ from: '2023-05-28T16:00:00Z', to: '2023-05-28T16:00:00Z' });
+    });
+});
@@ -0,0 +1,148 @@
+// Sync: prossima esecuzione pianificata e sync incrementale / lista partite sulle risposte registrate in fixtures/football-data (DATA_PROVIDER=file)
+process.env.DB_PATH = ':memory:';
+process.env.DATA_PROVIDER = 'file';
+process.env.DATA_PROVIDER_DIR = require('path').join(__dirname, 'fixtures', 'football-data');
+
+const { db, SchemaMigrator, SyncScheduler, MainAPI, EloRatings, dataProvider } = require('./server');
+
+const all = (sql, params = []) => new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => err ? reject(err) : resolve(rows));
+});
+
+describe('SyncScheduler.nextRun', () => {
+    // Lunedì 19 ottobre 2026, 12:00 ora locale
+    const from = new Date(2026, 9, 19, 12, 0);
+
+    it.each([
+        ['*/30 * * * *', new Date(2026, 9, 19, 12, 30)],
+        ['0 6 * * MON', new Date(2026, 9, 26, 6, 0)],
+        ['0 6 * * mon-fri', new Date(2026, 9, 20, 6, 0)],
+        ['0 6 * * Saturday,sun', new Date(2026, 9, 24, 6, 0)],
+        ['0 6 1 JAN *', new Date(2027, 0, 1, 6, 0)],
+        ['0 0 6 1 1 *', new Date(2027, 0, 1, 6, 0)],
+        ['0 6 * oct-dec 7', new Date(2026, 9, 25, 6, 0)]
+    ])('finds the next run for "%s"', (expression, expected) => {
+        expect(SyncScheduler.nextRun(expression, from)).toEqual(expected);
+    });
+
+    it('returns null for expressions it cannot read', () => {
+        expect(SyncScheduler.nextRun('0 6 * * funday', from)).toBeNull();
+        expect(SyncScheduler.nextRun('0 6 * *', from)).toBeNull();
+    });
+});
+
+describe('SyncScheduler and MainAPI with the file data provider', () => {
+    let eloUpdates;
+
+    beforeAll(async () => {
+        // Solo Date è finto: le fixture della Primeira Liga 2025 sono "recenti" rispetto a questo istante
+        jest.useFakeTimers({
+            now: new Date('2025-08-26T12:00:00Z'),
+            doNotFake: ['nextTick', 'setImmediate', 'clearImmediate', 'setTimeout', 'clearTimeout',
+                'setInterval', 'clearInterval', 'queueMicrotask', 'hrtime', 'performance']
+        });
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        eloUpdates = jest.spyOn(EloRatings, 'applyMatch');
+        await SchemaMigrator.migrate();
+    });
+
+    afterAll(async () => {
+        await Promise.all(eloUpdates.mock.results.map(r => r.value));
+        jest.useRealTimers();
+        jest.restoreAllMocks();
+        await new Promise((resolve) => db.close(() => resolve()));
+    });
+
+    it('uses the recorded fixtures', () => {
+        expect(dataProvider.isConfigured()).toBe(true);
+    });
+
+    it('saves finished matches with half-time scores on the first sync', async () => {
+        const run = await SyncScheduler.syncLeague('PPL', 'manual');
+
+        expect(run).toMatchObject({ status: 'success', competitionId: 2017, fetched: 25, changed: 25, saved: 25, fixtures: 0 });
+        expect(run.windowFrom).toBe('2025-07-27');
+
+        const [match] = await all(`SELECT * FROM historical_matches WHERE id = 545700`);
+        expect(match).toMatchObject({
+            home_team_name: 'Casa Pia AC', away_team_name: 'Sporting Clube de Portugal', season: 2025,
+            home_goals: 0, away_goals: 2, match_result: 'away',
+            home_goals_ht: 0, away_goals_ht: 1, match_result_ht: 'away'
+        });
+
+        await Promise.all(eloUpdates.mock.results.map(r => r.value));
+        const ratings = await all(`SELECT COUNT(*) as n FROM rating_history`);
+        expect(ratings[0].n).toBe(50);
+    });
+
+    it('only processes matches updated after the last successful run', async () => {
+        const run = await SyncScheduler.syncLeague('PPL', 'manual');
+
+        expect(run.status).toBe('success');
+        expect(run.windowFrom).toBe('2025-08-23');
+        expect(run.fetched).toBeGreaterThan(0);
+        expect(run.changed).toBe(0);
+
+        const runs = await all(`SELECT league, status, saved FROM sync_runs ORDER BY id`);
+        expect(runs).toEqual([
+            { league: 'PPL', status: 'success', saved: 25 },
+            { league: 'PPL', status: 'success', saved: 0 }
+        ]);
+    });
+
+    it('records a failed run for a competition without fixtures', async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        const run = await SyncScheduler.syncLeague('SA', 'manual');
+
+        expect(run.status).toBe('error');
+        expect(run.error).toMatch(/^HTTP 404: No recorded fixtures for competition 2019/);
+    });
+
+    it('selects the latest finished matches for the match list', async () => {
+        const matches = await MainAPI.getSmartMatches('PPL', 2025);
+
+        expect(matches).toHaveLength(15);
+        expect(matches.every(m => m.status === 'FINISHED')).toBe(true);
+        expect(matches[0].utcDate).toBe('2025-08-25T19:15:00Z');
+    });
+
+    describe('with fixtures and unsaved results', () => {
+        const updated = '2025-08-26T12:30:00Z';
+        const match = (id, status, score, utcDate) => ({
+            id, utcDate, status, matchday: 4, lastUpdated: updated,
+            season: { startDate: '2025-08-08' },
+            homeTeam: { id: 498, name: 'Sporting Clube de Portugal' },
+            awayTeam: { id: 503, name: 'FC Porto' },
+            score: { winner: null, fullTime: score, halfTime: { home: null, away: null } }
+        });
+
+        it('stores upcoming fixtures and fails the run when a finished match is not saved', async () => {
+            jest.spyOn(dataProvider, 'getMatches').mockResolvedValueOnce({ matches: [
+                match(999001, 'TIMED', { home: null, away: null }, '2025-08-30T19:00:00Z'),
+                match(999002, 'FINISHED', { home: null, away: null }, '2025-08-26T10:00:00Z')
+            ] });
+            const run = await SyncScheduler.syncLeague('PPL', 'manual');
+
+            expect(run).toMatchObject({ status: 'error', saved: 0, fixtures: 1, error: '1 finished match(es) not saved: 999002' });
+            expect(await SyncScheduler.getFixtures(2017)).toEqual([expect.objectContaining({
+                id: 999001, date: '2025-08-30T19:00:00Z', status: 'TIMED', matchday: 4, season: 2025,
+                homeTeam: { id: 498, name: 'Sporting Clube de Portugal' }
+            })]);
+        });
+
+        it('fetches the unsaved match again and drops fixtures once they have a result', async () => {
+            jest.spyOn(dataProvider, 'getMatches').mockResolvedValueOnce({ matches: [
+                match(999002, 'FINISHED', { home: 2, away: 0 }, '2025-08-26T10:00:00Z'),
+                match(999001, 'FINISHED', { home: 1, away: 1 }, '2025-08-30T19:00:00Z')
+            ] });
+            const run = await SyncScheduler.syncLeague('PPL', 'manual');
+
+            expect(run).toMatchObject({ status: 'success', changed: 2, saved: 2, fixtures: 0 });
+            expect(await SyncScheduler.getFixtures(2017)).toEqual([]);
+            expect(await all(`SELECT id, home_goals_ht FROM historical_matches WHERE id IN (999001, 999002) ORDER BY id`)).toEqual([
+                { id: 999001, home_goals_ht: null },
+                { id: 999002, home_goals_ht: null }
+            ]);
+        });
+    });
+});
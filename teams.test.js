@@ -0,0 +1,87 @@
+// Identità delle squadre: somiglianza dei nomi e unione di due id della stessa squadra
+process.env.DB_PATH = ':memory:';
+
+const { db, SchemaMigrator, TeamRegistry } = require('./server');
+
+const run = (sql, params = []) => new Promise((resolve, reject) => {
+    db.run(sql, params, (err) => err ? reject(err) : resolve());
+});
+const all = (sql, params = []) => new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => err ? reject(err) : resolve(rows));
+});
+
+const insertMatch = (id, date, home, away, goals) => run(`
+    INSERT INTO historical_matches
+    (id, match_date, season, competition_id, home_team_id, away_team_id, home_team_name, away_team_name, home_goals, away_goals, status)
+    VALUES (?, ?, 2023, 2017, ?, ?, ?, ?, ?, ?, 'FINISHED')
+`, [id, date, home.id, away.id, home.name, away.name, goals[0], goals[1]]);
+
+describe('TeamRegistry.similarity', () => {
+    it('matches acronyms, prefixes and accents of the same team', () => {
+        expect(TeamRegistry.similarity('Sporting CP', 'Sporting Clube de Portugal')).toBeGreaterThan(0.8);
+        expect(TeamRegistry.similarity('Inter', 'FC Internazionale Milano')).toBeGreaterThan(0.6);
+        expect(TeamRegistry.similarity('Vitória SC', 'Vitoria Guimaraes')).toBeGreaterThan(0.5);
+    });
+
+    it('keeps different teams apart', () => {
+        expect(TeamRegistry.similarity('FC Porto', 'FC Arouca')).toBeLessThan(0.5);
+        expect(TeamRegistry.similarity('Sporting CP', 'SC Braga')).toBeLessThan(0.5);
+        expect(TeamRegistry.similarity('', 'FC Porto')).toBe(0);
+    });
+});
+
+describe('TeamRegistry.merge', () => {
+    const sporting = { id: 498, name: 'Sporting Clube de Portugal' };
+    const sportingFile = { id: 3105436749, name: 'Sporting CP' };
+    const porto = { id: 503, name: 'FC Porto' };
+
+    beforeAll(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        await SchemaMigrator.migrate();
+
+        for (const team of [sporting, sportingFile, porto]) await TeamRegistry.register(team.id, team.name, 'test');
+        // Stessa partita da due fonti (football-data e import), più una partita solo dall'import
+        await insertMatch(1001, '2023-09-02T19:30:00Z', sporting, porto, [2, 1]);
+        await insertMatch(3000000001, '2023-09-02T00:00:00Z', sportingFile, porto, [2, 1]);
+        await insertMatch(3000000002, '2024-02-10T00:00:00Z', porto, sportingFile, [0, 0]);
+        await run(`INSERT INTO backtest_runs (id, params) VALUES (1, '{}')`);
+        await run(`
+            INSERT INTO backtest_predictions (run_id, match_id, match_date, probabilities, home_goals, away_goals)
+            VALUES (1, 3000000001, '2023-09-02T00:00:00Z', '{}', 2, 1)
+        `);
+        await run(`
+            INSERT INTO odds (match_id, bookmaker, market, selection, price, home_team_id, away_team_id)
+            VALUES (3000000001, 'bet365', 'fullTime.1X2', 'home', 1.8, ?, ?)
+        `, [sportingFile.id, porto.id]);
+    });
+
+    afterAll(async () => {
+        jest.restoreAllMocks();
+        await new Promise((resolve) => db.close(() => resolve()));
+    });
+
+    it('moves matches, names and aliases to the surviving team and drops the duplicate fixture', async () => {
+        const result = await TeamRegistry.merge(sportingFile.id, sporting.id);
+
+        expect(result).toMatchObject({ matchesUpdated: 2, duplicatesRemoved: 1 });
+        expect(await all(`SELECT id, home_team_name, away_team_name FROM historical_matches ORDER BY id`)).toEqual([
+            { id: 1001, home_team_name: sporting.name, away_team_name: porto.name },
+            { id: 3000000002, home_team_name: porto.name, away_team_name: sporting.name }
+        ]);
+        expect(await TeamRegistry.resolve('Sporting CP')).toBe(sporting.id);
+        expect(await all(`SELECT id FROM teams WHERE id = ?`, [sportingFile.id])).toEqual([]);
+    });
+
+    it('moves odds and backtest predictions of the duplicate to the surviving match', async () => {
+        expect(await all(`SELECT run_id, match_id FROM backtest_predictions`)).toEqual([{ run_id: 1, match_id: 1001 }]);
+        expect(await all(`SELECT match_id, home_team_id FROM odds`)).toEqual([{ match_id: 1001, home_team_id: sporting.id }]);
+    });
+
+    it('rebuilds the Elo ratings on the merged history', async () => {
+        const ratings = await all(`SELECT team_id, team_name, matches FROM team_ratings ORDER BY team_id`);
+        expect(ratings).toEqual([
+            { team_id: sporting.id, team_name: sporting.name, matches: 2 },
+            { team_id: porto.id, team_name: porto.name, matches: 2 }
+        ]);
+    });
+});